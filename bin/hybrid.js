@@ -7,9 +7,14 @@
  * 
  * Usage:
  *   hybrid ask "What does the auth module do?"
+ *   hybrid ask --agent openrouter --model deepseek/deepseek-chat "Explain this regex"
  *   hybrid draft src/new-feature.js "Create a rate limiter"
  *   hybrid review src/
+ *   hybrid resume
  *   hybrid costs
+ *   hybrid route explain "Fix the login bug"
+ *   hybrid conversations list
+ *   hybrid agent replay <session>
  */
 
 import { Command } from 'commander';
@@ -18,6 +23,13 @@ import ora from 'ora';
 import { Orchestrator } from '../src/orchestrator/index.js';
 import { ClaudeCodeAdapter } from '../src/adapters/claude-code.js';
 import { GeminiCliAdapter } from '../src/adapters/gemini-cli.js';
+import { ConversationManager, ExportFormat } from '../src/services/conversation-manager.js';
+import { getDefaultConversationsDir } from '../src/services/conversation-store.js';
+import { findTraceFiles, readTrace, buildReplaySteps, TRACE_SUFFIX } from '../src/services/agent-trace.js';
+import { getOutputDir } from '../src/mcp/tool-handlers/base.js';
+import { loadRoutingPolicy, explainRoute, escalateRoute, estimateInputTokens } from '../src/services/routing-policy.js';
+import { RouteStats, getRouteStatsPath } from '../src/services/route-stats.js';
+import { ISSUE_SEVERITIES } from '../src/services/review-verdict.js';
 
 const program = new Command();
 
@@ -52,6 +64,26 @@ function connectProgress(orchestrator, spinner) {
       case 'correction':
         spinner.text = chalk.yellow(message);
         break;
+      case 'resume':
+        spinner.info(chalk.cyan(`${message} (${details.steps} steps done)`));
+        spinner.start('Continuing...');
+        break;
+      case 'decompose':
+      case 'node-start':
+        spinner.text = message;
+        break;
+      case 'graph':
+        spinner.info(chalk.cyan(`${message}: ${details.nodes.map((node) => node.id).join(', ')}`));
+        spinner.start('Running subtasks...');
+        break;
+      case 'node-complete':
+        spinner.text = chalk.green(message);
+        break;
+      case 'node-failed':
+      case 'node-skipped':
+        spinner.warn(chalk.yellow(message));
+        spinner.start('Running subtasks...');
+        break;
       case 'complete':
         spinner.succeed('Task completed');
         break;
@@ -77,6 +109,10 @@ function printSummary(result) {
   console.log(`  Task type: ${chalk.cyan(summary.taskType)}`);
   console.log(`  Complexity: ${chalk.cyan(summary.complexity)}`);
   console.log(`  Steps: ${summary.stepsCount}`);
+  if (summary.nodes) {
+    const { total, complete, failed, skipped } = summary.nodes;
+    console.log(`  Subtasks: ${complete}/${total} complete${failed ? chalk.red(`, ${failed} failed`) : ''}${skipped ? chalk.yellow(`, ${skipped} skipped`) : ''}`);
+  }
 
   if (summary.reviewIterations > 0) {
     console.log(`  Reviews: ${summary.reviewIterations}`);
@@ -88,6 +124,52 @@ function printSummary(result) {
   console.log(`  Cost: $${cost?.toFixed(4) || '0.0000'}`);
 }
 
+/**
+ * Print the issues of the last review, most severe first
+ * @param {object} result
+ */
+function printReviewIssues(result) {
+  const issues = result.summary?.issues || [];
+  if (issues.length === 0) return;
+
+  const colors = { critical: chalk.red.bold, major: chalk.red, minor: chalk.yellow, info: chalk.gray };
+  const sorted = [...issues].sort((a, b) => ISSUE_SEVERITIES.indexOf(a.severity) - ISSUE_SEVERITIES.indexOf(b.severity));
+  console.log('\n' + chalk.bold(`Review Issues (${issues.length}):`));
+  for (const issue of sorted) {
+    const location = issue.file ? chalk.cyan(`${issue.file}${issue.line ? `:${issue.line}` : ''} `) : '';
+    const node = issue.node ? chalk.dim(`[${issue.node}] `) : '';
+    console.log(`  ${colors[issue.severity](issue.severity.padEnd(8))} ${node}${location}${issue.message}`);
+  }
+}
+
+/**
+ * Print recorded outcomes per route and which routes are escalated
+ * @param {Orchestrator} orchestrator
+ */
+function printRouteStats(orchestrator) {
+  const routes = orchestrator.getRouteStats();
+  console.log('\n' + chalk.bold('Routes:') + chalk.dim(` (${orchestrator.routeStats.path})`));
+  if (routes.length === 0) {
+    console.log(chalk.gray('  No runs recorded yet'));
+    return;
+  }
+
+  const percent = (rate) => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+  for (const route of routes) {
+    console.log(`  ${chalk.cyan(`${route.taskType}/${route.complexity}`)} → ${route.adapter}/${route.model}`);
+    console.log(chalk.dim(
+      `    ${route.runs} runs, ${route.failures} failed` +
+      ` | first-pass approval ${percent(route.firstPassRate)} (recent ${percent(route.recentFirstPassRate)})` +
+      ` | ${route.avgCorrections === null ? '-' : route.avgCorrections.toFixed(1)} corrections/review` +
+      ` | ${route.avgLatencyMs === null ? '-' : `${(route.avgLatencyMs / 1000).toFixed(1)}s`} avg` +
+      ` | ${route.avgCost === null ? '-' : `$${route.avgCost.toFixed(4)}`} avg`
+    ));
+    if (route.escalation) {
+      console.log(chalk.yellow(`    ↑ escalated to ${route.escalation.model}: ${route.escalation.reason}`));
+    }
+  }
+}
+
 program
   .name('hybrid')
   .description('Multi-agent CLI orchestrator combining Claude Code and Gemini CLI')
@@ -152,6 +234,7 @@ program
     console.log(`  GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? chalk.green('Set') : chalk.gray('Not set')}`);
     console.log(`  VERTEX_API_KEY: ${process.env.VERTEX_API_KEY ? chalk.green('Set (Gemini 3 Pro available)') : chalk.gray('Not set')}`);
     console.log(`  GOOGLE_API_KEY: ${process.env.GOOGLE_API_KEY ? chalk.green('Set') : chalk.gray('Not set')}`);
+    console.log(`  OPENROUTER_API_KEY: ${process.env.OPENROUTER_API_KEY ? chalk.green('Set (hybrid ask --agent openrouter)') : chalk.gray('Not set')}`);
     
     if (claude && gemini) {
       console.log('\n' + chalk.green('✓ All agents ready!'));
@@ -163,9 +246,10 @@ program
 program
   .command('ask <question>')
   .description('Ask a question - routed to the best agent automatically')
-  .option('-m, --model <model>', 'Force a specific model')
-  .option('-a, --agent <agent>', 'Force an agent (claude or gemini)')
+  .option('-m, --model <model>', 'Force a specific model (local/<name> goes to a local server, vendor/model to OpenRouter)')
+  .option('-a, --agent <agent>', 'Force an agent (claude, gemini, openrouter or local)')
   .option('--files <patterns...>', 'Include files for context')
+  .option('--decompose', 'Split into a graph of subtasks, each routed on its own')
   .action(async (question, options) => {
     const spinner = ora('Thinking...').start();
 
@@ -182,9 +266,12 @@ program
       const result = await orchestrator.execute(fullPrompt, {
         forceAdapter: options.agent,
         forceModel: options.model,
+        decompose: options.decompose,
       });
 
-      console.log('\n' + chalk.dim(`[${result.routing.adapter}/${result.routing.model}]`));
+      console.log('\n' + chalk.dim(result.graph
+        ? `[${result.graph.nodes.length} subtasks planned by ${result.routing.adapter}/${result.routing.model}]`
+        : `[${result.routing.adapter}/${result.routing.model}]`));
       console.log(result.result);
 
       if (verbose) {
@@ -241,6 +328,7 @@ program
   .description('Have Gemini draft code, then Claude reviews it')
   .option('--context <patterns...>', 'Reference files for context')
   .option('--no-review', 'Skip Claude review (just draft)')
+  .option('--decompose', 'Split into a graph of subtasks, each routed on its own')
   .action(async (file, description, options) => {
     const spinner = ora('Gemini is drafting code...').start();
 
@@ -257,6 +345,7 @@ Create production-quality code for this file.`;
 
       const result = await orchestrator.execute(prompt, {
         skipReview: options.noReview,
+        decompose: options.decompose,
       });
 
       console.log('\n' + chalk.green(`✓ Code drafted to ${file}`));
@@ -264,6 +353,7 @@ Create production-quality code for this file.`;
 
       // Always show summary for draft commands (shows collaboration process)
       printSummary(result);
+      printReviewIssues(result);
 
     } catch (error) {
       spinner.fail(chalk.red(error.message));
@@ -297,6 +387,29 @@ Review the code and identify issues.`;
 
       // Always show summary for review commands
       printSummary(result);
+      printReviewIssues(result);
+
+    } catch (error) {
+      spinner.fail(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('resume [sessionId]')
+  .description('Continue an interrupted ask/draft/review session from HYBRID_CONTEXT.md')
+  .action(async (sessionId) => {
+    const spinner = ora('Loading session...').start();
+
+    try {
+      const orchestrator = new Orchestrator({ workDir: process.cwd() });
+      connectProgress(orchestrator, spinner);
+
+      const result = await orchestrator.resume(sessionId);
+
+      console.log('\n' + result.result);
+      printSummary(result);
+      printReviewIssues(result);
 
     } catch (error) {
       spinner.fail(chalk.red(error.message));
@@ -306,16 +419,288 @@ Review the code and identify issues.`;
 
 program
   .command('costs')
-  .description('Show cost summary for this session')
-  .action(async () => {
-    const orchestrator = new Orchestrator({ workDir: process.cwd() });
+  .description('Show cost summary for this session and recorded outcomes per route')
+  .option('--reset-routes', 'Forget recorded route outcomes (undoes adaptive escalations)')
+  .action(async (options) => {
+    let orchestrator;
+    try {
+      orchestrator = new Orchestrator({ workDir: process.cwd() });
+      // Totals recorded by earlier runs live in HYBRID_CONTEXT.md
+      await orchestrator.loadContext();
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
     const costs = orchestrator.getTotalCosts();
     
     console.log('\n' + chalk.bold('Cost Summary:'));
     console.log(`  Claude: $${costs.claude.cost.toFixed(4)} (${costs.claude.inputTokens} in / ${costs.claude.outputTokens} out)`);
     console.log(`  Gemini: $${costs.gemini.cost.toFixed(4)} (${costs.gemini.inputTokens} in / ${costs.gemini.outputTokens} out)`);
     console.log(chalk.dim('  (Gemini CLI with Google account is FREE)'));
+    console.log(`  OpenRouter: $${costs.openrouter.cost.toFixed(4)} (${costs.openrouter.inputTokens} in / ${costs.openrouter.outputTokens} out)`);
+    console.log(`  Local: $${costs.local.cost.toFixed(4)} (${costs.local.inputTokens} in / ${costs.local.outputTokens} out, FREE)`);
     console.log(`  ${chalk.bold('Total:')} $${costs.total.toFixed(4)}`);
+
+    if (options.resetRoutes) {
+      orchestrator.routeStats.reset();
+      console.log('\n' + chalk.green(`✓ Route stats reset (${orchestrator.routeStats.path})`));
+      return;
+    }
+
+    printRouteStats(orchestrator);
+  });
+
+// ============================================================================
+// Routing (.hybrid/routing-policy.json, shared with the MCP server)
+// ============================================================================
+
+const route = program
+  .command('route')
+  .description('Inspect the routing policy');
+
+route
+  .command('explain <task>')
+  .description('Show which routing rule a task matches and why')
+  .option('--tool <name>', 'Route as a call to this MCP tool')
+  .option('--context-length <n>', 'Characters of extra context sent with the task', '0')
+  .option('--json', 'Print the explanation as JSON')
+  .action((task, options) => {
+    let policy;
+    try {
+      policy = loadRoutingPolicy(process.cwd());
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+
+    // Same token estimate the orchestrator and the MCP server route with
+    const inputTokens = estimateInputTokens(task, parseInt(options.contextLength, 10) || 0);
+    let explanation;
+    try {
+      explanation = explainRoute(policy, task, { tool: options.tool || null, inputTokens });
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+
+    // Apply adaptive escalation from the recorded route outcomes
+    const stats = new RouteStats({ path: getRouteStatsPath(process.cwd()) });
+    const { taskType, complexity, skipped, matched } = explanation;
+    const selected = escalateRoute(policy, explanation.route, (model) =>
+      stats.get(taskType.taskType, complexity.complexity, model));
+
+    if (options.json) {
+      console.log(JSON.stringify({ policy: policy.source || 'default', ...explanation, route: selected }, null, 2));
+      return;
+    }
+
+    console.log('\n' + chalk.bold('Routing:'));
+    console.log(`  Policy: ${policy.source ? chalk.cyan(policy.source) : chalk.gray('built-in default')}`);
+    console.log(`  Task type: ${chalk.cyan(taskType.taskType)} ${chalk.dim(`(${taskType.reason})`)}`);
+    console.log(`  Complexity: ${chalk.cyan(complexity.complexity)} ${chalk.dim(`(${complexity.reason})`)}`);
+    if (explanation.tool) {
+      console.log(`  Tool: ${chalk.cyan(explanation.tool)}`);
+    }
+
+    if (skipped.length > 0) {
+      console.log('\n' + chalk.bold('Skipped rules:'));
+      for (const { rule, reason } of skipped) {
+        console.log(chalk.gray(`  ✗ ${rule}: ${reason}`));
+      }
+    }
+
+    console.log('\n' + chalk.bold(`Matched rule ${matched.index + 1}: ${chalk.green(matched.rule)}`));
+    for (const reason of matched.reasons) {
+      console.log(`  ${chalk.green('✓')} ${reason}`);
+    }
+
+    console.log('\n' + chalk.bold('Route:'));
+    console.log(`  ${selected.adapter} → ${chalk.cyan(selected.model)}`);
+    if (selected.escalated) {
+      console.log(chalk.yellow(`  ↑ escalated from ${selected.escalated.from}: ${selected.escalated.reason}`));
+    }
+    console.log(`  Review: ${selected.requiresReview ? chalk.yellow('yes') : chalk.gray('no')}`);
+    console.log(`  Fallback: ${selected.fallback.length > 0 ? selected.fallback.join(', ') : chalk.gray('none')}`);
+  });
+
+// ============================================================================
+// Agent sessions (traces written by the MCP server's gemini_agent_task)
+// ============================================================================
+
+/** Color per replay step kind */
+const REPLAY_STYLES = {
+  start: chalk.bold.cyan,
+  session: chalk.dim,
+  tool: chalk.bold,
+  tool_result: chalk.gray,
+  text: chalk.white,
+  tokens: chalk.magenta,
+  error: chalk.red,
+  stop: chalk.bold.red,
+  result: chalk.green,
+  end: chalk.bold.cyan,
+};
+
+const agent = program
+  .command('agent')
+  .description('Inspect Gemini agent sessions run by the MCP server');
+
+agent
+  .command('replay <session>')
+  .description('Re-render an agent run step by step from its trace (session ID or .trace.jsonl file)')
+  .option('--step', 'Wait for Enter between steps')
+  .option('--delay <ms>', 'Pause between steps in milliseconds', '0')
+  .option('--max-output <chars>', 'Characters of tool output shown per step', '2000')
+  .action(async (session, options) => {
+    const paths = session.endsWith(TRACE_SUFFIX)
+      ? [session]
+      : await findTraceFiles(session, getOutputDir());
+
+    if (paths.length === 0) {
+      console.error(chalk.red(`No trace found for session ${session}`));
+      console.error(chalk.dim(`  Outputs: ${getOutputDir()}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    let records;
+    try {
+      records = (await Promise.all(paths.map(readTrace))).flat();
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = 1;
+      return;
+    }
+
+    const steps = buildReplaySteps(records, { maxOutput: parseInt(options.maxOutput, 10) });
+    const delay = parseInt(options.delay, 10) || 0;
+    const { createInterface } = await import('readline/promises');
+    const prompt = options.step ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+
+    console.log(chalk.bold(`\nReplaying ${paths.length} run(s), ${steps.length} steps`));
+    try {
+      for (const [i, step] of steps.entries()) {
+        const style = REPLAY_STYLES[step.kind] || chalk.white;
+        console.log(`\n${chalk.dim(`[${i + 1}/${steps.length}] +${(step.elapsedMs / 1000).toFixed(1)}s`)} ${style(step.title)}`);
+        if (step.body) {
+          console.log(step.body.split('\n').map((line) => chalk.dim('  │ ') + line).join('\n'));
+        }
+
+        if (prompt && i < steps.length - 1) {
+          await prompt.question(chalk.dim('  (Enter for next step)'));
+        } else if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    } finally {
+      prompt?.close();
+    }
+  });
+
+// ============================================================================
+// Conversations (shared with the MCP server's conversation store)
+// ============================================================================
+
+/**
+ * Open the on-disk conversation store used by the MCP server
+ * @returns {ConversationManager}
+ */
+function openConversations() {
+  return new ConversationManager({
+    persistPath: getDefaultConversationsDir(),
+    autoCleanup: false,
+  });
+}
+
+const conversations = program
+  .command('conversations')
+  .description('List, export and import Gemini conversations');
+
+conversations
+  .command('list')
+  .description('List stored conversations as a fork tree')
+  .option('--state <state>', 'Filter by state: active, paused, completed, expired')
+  .option('-n, --limit <count>', 'Max conversations to show', '20')
+  .action((options) => {
+    const manager = openConversations();
+    const { conversations: list, total } = manager.listConversations({
+      state: options.state,
+      limit: parseInt(options.limit, 10),
+    });
+
+    if (list.length === 0) {
+      console.log(chalk.yellow('No conversations found.'));
+      console.log(chalk.dim(`  Store: ${getDefaultConversationsDir()}`));
+      manager.destroy();
+      return;
+    }
+
+    const printNode = (conv, depth) => {
+      const indent = '  '.repeat(depth + 1);
+      const branch = depth > 0 ? chalk.dim('↳ ') : '';
+      const state = conv.state === 'active' ? chalk.green(conv.state) : chalk.gray(conv.state);
+      console.log(`${indent}${branch}${chalk.bold(conv.title)} ${chalk.dim(`(${conv.id})`)}`);
+      console.log(chalk.dim(`${indent}  ${conv.model} | ${conv.messageCount} messages | ${state} | updated ${conv.updatedAt}`));
+      conv.children.forEach(child => printNode(child, depth + 1));
+    };
+
+    console.log('\n' + chalk.bold(`Conversations (${total} total):`));
+    manager.buildForkTree(list).forEach(root => printNode(root, 0));
+    manager.destroy();
+  });
+
+conversations
+  .command('export <id>')
+  .description('Export a conversation as JSON, Markdown or HTML')
+  .option('-f, --format <format>', 'Export format: json, markdown, html', ExportFormat.JSON)
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(async (id, options) => {
+    const manager = openConversations();
+
+    try {
+      const exported = manager.exportConversation(id, options.format);
+      if (exported === null) {
+        throw new Error(`Conversation ${id} not found`);
+      }
+
+      if (options.output) {
+        const { writeFile } = await import('fs/promises');
+        await writeFile(options.output, exported, 'utf-8');
+        console.log(chalk.green(`✓ Exported ${id} (${options.format}) to ${options.output}`));
+      } else {
+        process.stdout.write(exported);
+      }
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = 1;
+    } finally {
+      manager.destroy();
+    }
+  });
+
+conversations
+  .command('import <file>')
+  .description('Import a conversation exported as JSON')
+  .action(async (file) => {
+    const manager = openConversations();
+
+    try {
+      const { readFile } = await import('fs/promises');
+      const newId = manager.importConversation(await readFile(file, 'utf-8'));
+      const conversation = manager.getConversation(newId);
+
+      console.log(chalk.green(`✓ Imported "${conversation.title}" (${conversation.messages.length} messages)`));
+      console.log(`  ID: ${chalk.cyan(newId)}`);
+      console.log(chalk.dim('  Restart the MCP server to continue it from Claude Code.'));
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = 1;
+    } finally {
+      manager.destroy();
+    }
   });
 
 program
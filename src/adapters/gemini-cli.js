@@ -2,6 +2,7 @@ import { spawn } from 'child_process';
 import { BaseAdapter } from './base.js';
 import { safeSpawn } from '../utils/security.js';
 import { GEMINI_PRICING } from '../config/index.js';
+import { GeminiApiClient, GeminiBackend, resolveGeminiBackend } from '../services/gemini-api-client.js';
 
 /**
  * Authentication Methods:
@@ -17,6 +18,9 @@ import { GEMINI_PRICING } from '../config/index.js';
  * 3. Vertex AI (for Gemini 3 Pro without restrictions)
  *    Set: VERTEX_API_KEY=your-vertex-key
  *    Or use Application Default Credentials (ADC)
+ *
+ * API-key and Vertex auth can skip the CLI and call the REST API directly
+ * (GEMINI_BACKEND=api, see src/services/gemini-api-client.js).
  */
 
 /**
@@ -44,6 +48,22 @@ export class GeminiCliAdapter extends BaseAdapter {
     // Pricing per 1M tokens - imported from centralized config
     // Note: OAuth users get FREE tier
     this.pricing = GEMINI_PRICING;
+
+    // REST backend for key-based auth (OAuth always goes through the CLI)
+    this.backend = this.auth.method === 'oauth'
+      ? GeminiBackend.CLI
+      : config.backend || resolveGeminiBackend(this.auth.method);
+    this.api = this.backend === GeminiBackend.API
+      ? config.apiClient || new GeminiApiClient({
+        authMethod: this.auth.method,
+        apiKey: this.auth.apiKey,
+        vertexKey: this.auth.vertexKey,
+        vertexProject: this.auth.vertexProject,
+        vertexLocation: this.auth.vertexLocation,
+        baseUrl: config.apiBaseUrl,
+      })
+      : null;
+    this.requests = new Map();
   }
 
   /**
@@ -78,10 +98,11 @@ export class GeminiCliAdapter extends BaseAdapter {
   }
 
   getCheckCommand() {
-    return 'gemini --version';
+    return this.api ? null : 'gemini --version';
   }
 
   async isAvailable() {
+    if (this.api) return this.api.isConfigured();
     return new Promise((resolve) => {
       // SECURITY: Use safeSpawn to prevent command injection
       const proc = safeSpawn(spawn, 'gemini', ['--version'], {});
@@ -153,8 +174,8 @@ export class GeminiCliAdapter extends BaseAdapter {
       topP = 0.9,
     } = options;
 
-    // Check auth status for this session
-    const authStatus = await this.checkAuth();
+    // Check auth status for this session (the REST backend has no CLI login)
+    const authStatus = this.api ? { isProSubscription: false } : await this.checkAuth();
 
     this.sessions.set(sessionId, {
       id: sessionId,
@@ -167,6 +188,8 @@ export class GeminiCliAdapter extends BaseAdapter {
       status: 'ready',
       createdAt: new Date().toISOString(),
       messageCount: 0,
+      // REST backend: conversation sent with every message
+      contents: [],
       totalInputTokens: 0,
       totalOutputTokens: 0,
       // Cost tracking - FREE with OAuth/Pro subscription
@@ -191,6 +214,11 @@ export class GeminiCliAdapter extends BaseAdapter {
       workDir = process.cwd(),
     } = options;
 
+    if (this.api) {
+      const result = await this.api.generate({ prompt, model });
+      return result.response.trim();
+    }
+
     return new Promise((resolve, reject) => {
       // Use stdin to pass prompt (avoids command line length limits on Windows)
       const args = ['--model', model, '--output-format', 'text'];
@@ -232,6 +260,11 @@ export class GeminiCliAdapter extends BaseAdapter {
     session.status = 'busy';
     session.messageCount++;
 
+    if (this.api) {
+      yield* this.sendViaApi(session, message, options);
+      return;
+    }
+
     // Use positional prompt (new recommended way) with stream-json for streaming
     const args = [
       '--model', session.model,
@@ -324,7 +357,49 @@ export class GeminiCliAdapter extends BaseAdapter {
     this.processes.delete(sessionId);
   }
 
+  /**
+   * Stream a message through the REST backend
+   * @private
+   */
+  async *sendViaApi(session, message, options) {
+    const controller = new AbortController();
+    this.requests.set(session.id, controller);
+    const contents = [...session.contents, { role: 'user', parts: [{ text: message }] }];
+    let text = '';
+
+    try {
+      for await (const event of this.api.generateStream({
+        model: session.model,
+        contents,
+        systemPrompt: session.systemPrompt,
+        temperature: options.temperature ?? session.temperature,
+        timeoutMs: options.timeoutMs,
+        signal: controller.signal,
+      })) {
+        if (event.type === 'delta') {
+          text += event.content;
+          yield { type: 'text', content: event.content };
+        } else if (event.type === 'usage') {
+          const { input: inputTokens, output: outputTokens } = event.tokens;
+          session.totalInputTokens += inputTokens;
+          session.totalOutputTokens += outputTokens;
+          session.estimatedCost += this.estimateCost(inputTokens, outputTokens, session.model);
+          yield { type: 'metadata', data: { inputTokens, outputTokens } };
+        }
+      }
+
+      // Keep the exchange so the next message continues the conversation
+      session.contents = [...contents, { role: 'model', parts: [{ text }] }];
+      yield { type: 'complete', result: { model: session.model } };
+    } finally {
+      session.status = 'ready';
+      this.requests.delete(session.id);
+    }
+  }
+
   async terminate(sessionId) {
+    this.requests.get(sessionId)?.abort();
+    this.requests.delete(sessionId);
     const proc = this.processes.get(sessionId);
     if (proc) {
       proc.kill('SIGTERM');
@@ -356,6 +431,7 @@ export class GeminiCliAdapter extends BaseAdapter {
       method: this.auth.method,
       isFree: this.auth.method === 'oauth',
       models: this.getSupportedModels(),
+      backend: this.backend,
       note: this.auth.method === 'oauth' 
         ? 'Using OAuth - 60 RPM, 1000 RPD FREE with Pro subscription'
         : this.auth.method === 'vertex'
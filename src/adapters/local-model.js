@@ -0,0 +1,248 @@
+import { BaseAdapter } from './base.js';
+import { LOCAL_PRICING } from '../config/pricing.js';
+import { readServerSentEvents } from '../utils/sse.js';
+
+/** Prefix that marks a model ID as served by a local server */
+export const LOCAL_MODEL_PREFIX = 'local/';
+
+/**
+ * Local Model Adapter
+ *
+ * Talks to any OpenAI-compatible `/v1/chat/completions` endpoint running on
+ * your own hardware: Ollama, llama.cpp server, vLLM or LM Studio. Model IDs
+ * are `local/<name>`, where <name> is the model as the server knows it
+ * (e.g. `local/qwen2.5-coder:7b`). Local models cost nothing.
+ *
+ * Setup:
+ *   LOCAL_MODEL_BASE_URL=http://localhost:11434/v1   (Ollama, the default)
+ *   LOCAL_MODEL_API_KEY=...                          (only if the server requires one)
+ *   LOCAL_MODEL_DEFAULT=local/qwen2.5-coder
+ */
+export class LocalModelAdapter extends BaseAdapter {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.baseUrl] Server URL up to and including /v1
+   * @param {string} [config.apiKey] Bearer token, if the server requires one
+   * @param {string} [config.defaultModel] Model for sessions spawned without one
+   * @param {number} [config.timeoutMs=600000] Longest a response may stream
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+    this.baseUrl = (config.baseUrl || process.env.LOCAL_MODEL_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.LOCAL_MODEL_API_KEY || null;
+    this.defaultModel = config.defaultModel || process.env.LOCAL_MODEL_DEFAULT || `${LOCAL_MODEL_PREFIX}qwen2.5-coder`;
+    this.timeoutMs = config.timeoutMs || 600000; // local hardware can be slow
+    this.requests = new Map();
+  }
+
+  /**
+   * Local servers have no CLI; availability is a reachable /models endpoint
+   */
+  getCheckCommand() {
+    return null;
+  }
+
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(2000),
+      });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  getSupportedModels() {
+    return [this.defaultModel];
+  }
+
+  getDefaultModel() {
+    return this.defaultModel;
+  }
+
+  async spawn(sessionId, options = {}) {
+    const {
+      model = this.getDefaultModel(),
+      workDir = process.cwd(),
+      systemPrompt = null,
+      temperature = 0.7,
+      maxTokens = 4096,
+    } = options;
+
+    this.sessions.set(sessionId, {
+      id: sessionId,
+      adapter: this.name,
+      model,
+      workDir,
+      systemPrompt,
+      temperature,
+      maxTokens,
+      messages: systemPrompt ? [{ role: 'system', content: systemPrompt }] : [],
+      status: 'ready',
+      createdAt: new Date().toISOString(),
+      messageCount: 0,
+      totalInputTokens: 0,
+      totalOutputTokens: 0,
+      estimatedCost: 0,
+    });
+
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Run one prompt without a session and return the full response
+   * Used by the collaboration engine
+   */
+  async runSync(prompt, options = {}) {
+    const { model = this.getDefaultModel(), temperature = 0.7, maxTokens = 4096 } = options;
+    let text = '';
+    for await (const event of this.streamChat([{ role: 'user', content: prompt }], { model, temperature, maxTokens })) {
+      if (event.type === 'text') text += event.content;
+    }
+    return text;
+  }
+
+  async *send(sessionId, message, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    session.status = 'busy';
+    session.messageCount++;
+
+    const controller = new AbortController();
+    this.requests.set(sessionId, controller);
+    const messages = [...session.messages, { role: 'user', content: message }];
+    let text = '';
+
+    try {
+      for await (const event of this.streamChat(messages, {
+        model: session.model,
+        temperature: options.temperature ?? session.temperature,
+        maxTokens: options.maxTokens ?? session.maxTokens,
+        signal: controller.signal,
+      })) {
+        if (event.type === 'text') {
+          text += event.content;
+        } else if (event.type === 'metadata') {
+          session.totalInputTokens += event.data.inputTokens;
+          session.totalOutputTokens += event.data.outputTokens;
+        }
+        yield event;
+      }
+
+      // Keep the exchange so the next message continues the conversation
+      session.messages = [...messages, { role: 'assistant', content: text }];
+      yield { type: 'complete', result: { model: session.model } };
+    } finally {
+      session.status = 'ready';
+      this.requests.delete(sessionId);
+    }
+  }
+
+  /**
+   * Stream a chat completion from the server
+   * @private
+   * @yields {{type: 'text', content: string}|{type: 'metadata', data: {inputTokens: number, outputTokens: number}}}
+   */
+  async *streamChat(messages, { model, temperature, maxTokens, signal }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: this.getHeaders(),
+          body: JSON.stringify({
+            model: model.startsWith(LOCAL_MODEL_PREFIX) ? model.slice(LOCAL_MODEL_PREFIX.length) : model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true,
+            stream_options: { include_usage: true },
+          }),
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new Error(`Local model server not reachable at ${this.baseUrl}: ${error.cause?.message || error.message}`);
+      }
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`Local model server error: ${response.status} - ${error}`);
+      }
+
+      for await (const data of readServerSentEvents(response.body)) {
+        const event = JSON.parse(data);
+        if (event.error) {
+          throw new Error(`Local model server error: ${event.error.message || JSON.stringify(event.error)}`);
+        }
+
+        const content = event.choices?.[0]?.delta?.content;
+        if (content) {
+          yield { type: 'text', content };
+        }
+        if (event.usage) {
+          yield {
+            type: 'metadata',
+            data: { inputTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 },
+          };
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(signal?.aborted
+          ? 'Local model request was cancelled'
+          : `Local model request timed out after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Request headers (Authorization only when an API key is set)
+   * @private
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+    };
+  }
+
+  async terminate(sessionId) {
+    this.requests.get(sessionId)?.abort();
+    this.requests.delete(sessionId);
+    this.sessions.delete(sessionId);
+  }
+
+  estimateCost(inputTokens, outputTokens) {
+    return (inputTokens / 1_000_000) * LOCAL_PRICING.input + (outputTokens / 1_000_000) * LOCAL_PRICING.output;
+  }
+
+  /**
+   * Get authentication info for display
+   */
+  getAuthInfo() {
+    return {
+      method: this.apiKey ? 'api-key' : 'none',
+      isFree: true,
+      models: this.getSupportedModels(),
+      note: `Local OpenAI-compatible server at ${this.baseUrl} (set LOCAL_MODEL_BASE_URL)`,
+    };
+  }
+}
+
+export default LocalModelAdapter;
@@ -0,0 +1,147 @@
+import { BaseAdapter } from './base.js';
+import { OpenRouterClient, OPENROUTER_MODELS } from '../services/openrouter-client.js';
+import { getOpenRouterPricing } from '../config/pricing.js';
+
+/**
+ * OpenRouter Adapter
+ *
+ * Streams chat completions from OpenRouter so the Orchestrator can route
+ * tasks to any OpenRouter model (`vendor/model` IDs such as
+ * `deepseek/deepseek-chat`). Unlike the CLI adapters there is no process:
+ * a session is the conversation history sent with every message.
+ *
+ * Prerequisites:
+ *   export OPENROUTER_API_KEY="sk-or-v1-your-api-key"
+ */
+export class OpenRouterAdapter extends BaseAdapter {
+  /**
+   * @param {Object} [config]
+   * @param {OpenRouterClient} [config.client] Client to use (default: one built from config)
+   * @param {string} [config.apiKey] API key (default: OPENROUTER_API_KEY)
+   * @param {string} [config.defaultModel] Model for sessions spawned without one
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'openrouter';
+    this.client = config.client || new OpenRouterClient(config);
+    this.requests = new Map();
+  }
+
+  /**
+   * OpenRouter has no CLI; availability is a configured API key
+   */
+  getCheckCommand() {
+    return null;
+  }
+
+  async isAvailable() {
+    return this.client.isConfigured();
+  }
+
+  getSupportedModels() {
+    return Object.keys(OPENROUTER_MODELS);
+  }
+
+  getDefaultModel() {
+    return this.client.defaultModel;
+  }
+
+  async spawn(sessionId, options = {}) {
+    const {
+      model = this.getDefaultModel(),
+      workDir = process.cwd(),
+      systemPrompt = null,
+      temperature = 0.7,
+      maxTokens = 4096,
+    } = options;
+
+    this.sessions.set(sessionId, {
+      id: sessionId,
+      adapter: this.name,
+      model,
+      workDir,
+      systemPrompt,
+      temperature,
+      maxTokens,
+      messages: systemPrompt ? [{ role: 'system', content: systemPrompt }] : [],
+      status: 'ready',
+      createdAt: new Date().toISOString(),
+      messageCount: 0,
+      totalInputTokens: 0,
+      totalOutputTokens: 0,
+      estimatedCost: 0,
+    });
+
+    return this.sessions.get(sessionId);
+  }
+
+  async *send(sessionId, message, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    session.status = 'busy';
+    session.messageCount++;
+
+    const controller = new AbortController();
+    this.requests.set(sessionId, controller);
+    const messages = [...session.messages, { role: 'user', content: message }];
+    let text = '';
+
+    try {
+      for await (const event of this.client.chatStream({
+        model: session.model,
+        messages,
+        temperature: options.temperature ?? session.temperature,
+        maxTokens: options.maxTokens ?? session.maxTokens,
+        timeoutMs: options.timeoutMs,
+        signal: controller.signal,
+      })) {
+        if (event.type === 'delta') {
+          text += event.content;
+          yield { type: 'text', content: event.content };
+        } else if (event.type === 'usage') {
+          const inputTokens = event.usage.prompt_tokens || 0;
+          const outputTokens = event.usage.completion_tokens || 0;
+          session.totalInputTokens += inputTokens;
+          session.totalOutputTokens += outputTokens;
+          session.estimatedCost += this.estimateCost(inputTokens, outputTokens, session.model);
+          yield { type: 'metadata', data: { inputTokens, outputTokens } };
+        }
+      }
+
+      // Keep the exchange so the next message continues the conversation
+      session.messages = [...messages, { role: 'assistant', content: text }];
+      yield { type: 'complete', result: { model: session.model } };
+    } finally {
+      session.status = 'ready';
+      this.requests.delete(sessionId);
+    }
+  }
+
+  async terminate(sessionId) {
+    this.requests.get(sessionId)?.abort();
+    this.requests.delete(sessionId);
+    this.sessions.delete(sessionId);
+  }
+
+  estimateCost(inputTokens, outputTokens, model = this.getDefaultModel()) {
+    const pricing = getOpenRouterPricing(model);
+    return (inputTokens / 1_000_000) * pricing.input + (outputTokens / 1_000_000) * pricing.output;
+  }
+
+  /**
+   * Get authentication info for display
+   */
+  getAuthInfo() {
+    return {
+      method: 'api-key',
+      isFree: false,
+      models: this.getSupportedModels(),
+      note: 'OpenRouter requires an API key - set OPENROUTER_API_KEY (https://openrouter.ai/keys)',
+    };
+  }
+}
+
+export default OpenRouterAdapter;
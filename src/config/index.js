@@ -37,6 +37,7 @@ export const CONFIG = {
     gemini: Pricing.GEMINI_PRICING,
     claude: Pricing.CLAUDE_PRICING,
     openRouter: Pricing.OPENROUTER_PRICING,
+    local: Pricing.LOCAL_PRICING,
     default: Pricing.DEFAULT_PRICING
   },
 
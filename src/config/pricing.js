@@ -58,6 +58,13 @@ export const OPENROUTER_PRICING = {
   'google/gemma-2-9b-it:free': { input: 0, output: 0 }
 };
 
+/**
+ * Pricing for local models (Ollama, llama.cpp, vLLM, LM Studio).
+ * They run on your own hardware, so every `local/...` model is free.
+ * @type {{input: number, output: number}}
+ */
+export const LOCAL_PRICING = { input: 0, output: 0 };
+
 /**
  * Default pricing for unknown models to prevent calculation errors.
  */
@@ -104,7 +111,7 @@ export function getOpenRouterPricing(model) {
  * @param {string} model - The model identifier.
  * @param {number} inputTokens - Number of prompt tokens.
  * @param {number} outputTokens - Number of completion tokens.
- * @param {string} provider - The provider ('gemini', 'claude', 'openrouter').
+ * @param {string} provider - The provider ('gemini', 'claude', 'openrouter', 'local').
  * @param {string} [authMethod='api_key'] - Authentication method (affects Gemini pricing).
  * @returns {number} The estimated cost in USD.
  */
@@ -132,6 +139,9 @@ export function calculateCost(model, inputTokens, outputTokens, provider, authMe
     case 'openrouter':
       pricing = getOpenRouterPricing(model);
       break;
+    case 'local':
+      pricing = LOCAL_PRICING;
+      break;
     default:
       pricing = DEFAULT_PRICING;
   }
@@ -36,11 +36,27 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { getConversationManager, MessageRole } from '../services/conversation-manager.js';
+import { getConversationManager, MessageRole, ExportFormat } from '../services/conversation-manager.js';
+import { getDefaultConversationsDir } from '../services/conversation-store.js';
+import { getAgentSessionManager } from '../services/agent-session-manager.js';
+import { getDefaultAgentSessionsDir } from '../services/agent-session-store.js';
+import { createProgressReporter } from './tool-handlers/base.js';
+import { compactIfNeeded } from './tool-handlers/conversations/index.js';
 import { processPrompt, hasFileReferences } from '../utils/prompt-processor.js';
 import { getResponseCache } from '../services/response-cache.js';
 import { applyEnvFile } from '../utils/env.js';
 import { AICollaborationEngine } from '../services/ai-collaboration.js';
+import { GeminiApiClient, GeminiBackend, resolveGeminiBackend } from '../services/gemini-api-client.js';
+import { AuthenticationError, ModelError, RateLimitError, TimeoutError } from '../utils/errors.js';
+import { getReplayCassette } from '../services/replay.js';
+import {
+  loadRoutingPolicy,
+  parseRoutingPolicy,
+  classifyTaskType,
+  classifyComplexity,
+  estimateInputTokens,
+  selectRoute,
+} from '../services/routing-policy.js';
 
 // Get project root from script location (works for system-wide MCP use)
 const __filename = fileURLToPath(import.meta.url);
@@ -77,6 +93,8 @@ import {
  * 3. Vertex AI Key - Enterprise, higher limits
  *
  * The system will try OAuth first, falling back to API keys if OAuth fails.
+ * Each method has a backend: OAuth always spawns the CLI; API key and Vertex
+ * spawn it too unless GEMINI_BACKEND(_API_KEY|_VERTEX)=api selects the REST API.
  */
 const AUTH_CONFIG = {
   // Primary method (what we try first)
@@ -106,6 +124,7 @@ function buildFallbackChain() {
     method: 'oauth',
     name: 'OAuth (Pro/Ultra)',
     available: true, // Always available to try
+    backend: GeminiBackend.CLI,
     env: {},
   });
 
@@ -116,6 +135,7 @@ function buildFallbackChain() {
       method: 'api-key',
       name: 'Gemini API Key',
       available: true,
+      backend: resolveGeminiBackend('api-key'),
       env: { GEMINI_API_KEY: apiKey },
     });
   }
@@ -126,6 +146,7 @@ function buildFallbackChain() {
       method: 'vertex',
       name: 'Vertex AI',
       available: true,
+      backend: resolveGeminiBackend('vertex'),
       env: {
         VERTEX_API_KEY: process.env.VERTEX_API_KEY,
         VERTEX_PROJECT: process.env.VERTEX_PROJECT,
@@ -215,60 +236,26 @@ function resetExpiredAuthFailures() {
 const MODEL_CAPABILITIES = GEMINI_MODELS;
 
 /**
- * Task type classifications for smart model routing
+ * Routing policy shared with the Orchestrator (src/services/routing-policy.js)
+ * Loaded once from the server's working directory; an invalid policy file
+ * falls back to the defaults so every tool keeps working.
  */
-const TASK_TYPES = {
-  // Complex tasks - prefer most capable model
-  complex: {
-    tools: [
-      'draft_code_implementation',
-      'gemini_verify_solution',
-      'gemini_eval_plan',
-      'ai_collaboration',
-      'gemini_code_review',
-    ],
-    promptIndicators: [
-      /implement|architect|design|refactor|optimize/i,
-      /security|vulnerability|exploit/i,
-      /complex|sophisticated|advanced/i,
-      /multi-step|end-to-end|comprehensive/i,
-      /\b(class|interface|module|component|system)\s+design/i,
-    ],
-    preferredTier: 1,
-  },
-  // Standard tasks - balanced model
-  standard: {
-    tools: [
-      'research_heavy_context',
-      'gemini_prompt',
-      'gemini_git_diff_review',
-      'cross_model_comparison',
-      'gemini_content_comparison',
-      'gemini_extract_structured',
-    ],
-    promptIndicators: [
-      /analyze|review|explain|compare/i,
-      /what|how|why|where/i,
-      /find|search|look for/i,
-    ],
-    preferredTier: 2,
-  },
-  // Simple tasks - fast model
-  simple: {
-    tools: [
-      'ask_gemini',
-      'summarize_directory',
-      'gemini_summarize_files',
-      'review_code_changes',
-    ],
-    promptIndicators: [
-      /summarize|overview|brief/i,
-      /quick|simple|basic/i,
-      /list|enumerate/i,
-    ],
-    preferredTier: 3,
-  },
-};
+let routingPolicy = null;
+
+function getRoutingPolicy() {
+  if (!routingPolicy) {
+    try {
+      routingPolicy = loadRoutingPolicy(process.cwd());
+      if (routingPolicy.source) {
+        console.error(`[gemini-worker] Routing policy: ${routingPolicy.source}`);
+      }
+    } catch (error) {
+      console.error(`[gemini-worker] ${error.message} - using the default routing policy`);
+      routingPolicy = parseRoutingPolicy({});
+    }
+  }
+  return routingPolicy;
+}
 
 /**
  * Rate limit tracking per model
@@ -418,36 +405,6 @@ function getSupportedModels() {
   return ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-3-flash-preview', 'gemini-3-pro-preview'];
 }
 
-/**
- * Classify task complexity based on tool name and prompt
- * @param {string} toolName - The MCP tool being called
- * @param {string} prompt - The prompt/content being sent
- * @returns {'complex' | 'standard' | 'simple'}
- */
-function classifyTaskComplexity(toolName, prompt = '') {
-  // Check tool-based classification first
-  for (const [taskType, config] of Object.entries(TASK_TYPES)) {
-    if (config.tools.includes(toolName)) {
-      return taskType;
-    }
-  }
-
-  // Fall back to prompt-based classification
-  if (prompt) {
-    // Check complex indicators first (highest priority)
-    for (const pattern of TASK_TYPES.complex.promptIndicators) {
-      if (pattern.test(prompt)) return 'complex';
-    }
-    // Check simple indicators (lower priority)
-    for (const pattern of TASK_TYPES.simple.promptIndicators) {
-      if (pattern.test(prompt)) return 'simple';
-    }
-  }
-
-  // Default to standard
-  return 'standard';
-}
-
 /**
  * Smart model selection based on task complexity and availability
  * @param {Object} options
@@ -474,23 +431,24 @@ function getSmartModel(options = {}) {
     // Fall through to smart selection if explicit model unavailable
   }
 
-  // Classify task complexity
-  const taskType = classifyTaskComplexity(toolName, prompt);
-  const preferredTier = preferFast ? 3 : TASK_TYPES[taskType]?.preferredTier || 2;
+  // Route by the shared policy; preferFast uses the policy's fast route
+  const policy = getRoutingPolicy();
+  let route = policy.fast;
+  if (!preferFast) {
+    const { taskType } = classifyTaskType(policy, prompt);
+    const inputTokens = estimateInputTokens(prompt);
+    const { complexity } = classifyComplexity(policy, prompt, inputTokens);
+    try {
+      route = selectRoute(policy, { taskType, complexity, tool: toolName, inputTokens });
+    } catch (error) {
+      console.error(`[gemini-worker] ${error.message} - using the fast route`);
+    }
+  }
 
-  // Build ordered list of candidates based on preference
+  // Only Gemini models from the route can run here (Claude routes list Gemini fallbacks)
   const supportedModels = getSupportedModels();
-  const candidates = Object.entries(MODEL_CAPABILITIES)
-    .filter(([model]) => supportedModels.includes(model))
-    .sort((a, b) => {
-      // Sort by distance from preferred tier
-      const distA = Math.abs(a[1].tier - preferredTier);
-      const distB = Math.abs(b[1].tier - preferredTier);
-      if (distA !== distB) return distA - distB;
-      // Prefer more capable model as tiebreaker
-      return a[1].tier - b[1].tier;
-    })
-    .map(([model]) => model);
+  const candidates = [route.model, ...route.fallback]
+    .filter((model) => supportedModels.includes(model));
 
   // Select first available model
   for (const model of candidates) {
@@ -577,6 +535,25 @@ function buildEnv(overrideMethod = null) {
   return env;
 }
 
+/**
+ * REST clients by auth method (created on first use)
+ */
+const geminiApiClients = new Map();
+
+function getGeminiApiClient(method) {
+  if (!geminiApiClients.has(method)) {
+    geminiApiClients.set(method, new GeminiApiClient({
+      authMethod: method,
+      apiKey: AUTH_CONFIG.apiKey,
+      vertexKey: AUTH_CONFIG.vertexKey,
+      vertexProject: AUTH_CONFIG.vertexProject,
+      vertexLocation: AUTH_CONFIG.vertexLocation,
+      baseUrl: process.env.GEMINI_API_BASE_URL,
+    }));
+  }
+  return geminiApiClients.get(method);
+}
+
 // ============================================================================
 // Gemini CLI Wrapper
 // ============================================================================
@@ -598,8 +575,19 @@ async function isGitAvailable() {
  * Execute Gemini CLI and return the response
  * Uses local OAuth for FREE tier access (60 RPM, 1000 RPD)
  * Includes automatic rate limit tracking and fallback
+ * With HYBRID_REPLAY set, calls are recorded to / replayed from a cassette
+ * (keyed by the requested model, so replay does not depend on rate-limit state)
  */
 async function runGeminiCli(prompt, options = {}) {
+  const cassette = getReplayCassette();
+  if (!cassette) return runGeminiCliLive(prompt, options);
+
+  // Record what Gemini answers, not what the response cache holds
+  return cassette.run('runGeminiCli', { prompt, model: options.model }, () =>
+    runGeminiCliLive(prompt, { ...options, useCache: false }));
+}
+
+async function runGeminiCliLive(prompt, options = {}) {
   // Reset expired auth failures before each request
   resetExpiredAuthFailures();
 
@@ -643,7 +631,51 @@ async function runGeminiCli(prompt, options = {}) {
     }
   }
 
-  const executeRequest = async (selectedModel, authMethod = null, _isRetry = false) => {
+  // Route each attempt to the backend of its auth method
+  const executeRequest = (selectedModel, authMethod = null, isRetry = false) => {
+    const currentAuthMethod = authMethod || getActiveAuthMethod();
+    const authConfig = AUTH_CONFIG.fallbackChain.find(c => c.method === currentAuthMethod);
+    return authConfig?.backend === GeminiBackend.API
+      ? executeApiRequest(selectedModel, currentAuthMethod, authMethod)
+      : executeCliRequest(selectedModel, authMethod, isRetry);
+  };
+
+  // REST backend: rejects with the same shapes as the CLI path so the
+  // auth and rate-limit fallbacks below work unchanged
+  const executeApiRequest = async (selectedModel, currentAuthMethod, authMethod) => {
+    try {
+      const result = await getGeminiApiClient(currentAuthMethod).generate({
+        prompt,
+        model: selectedModel,
+        timeoutMs: timeout,
+      });
+
+      if (authMethod && authMethod !== AUTH_CONFIG.activeMethod) {
+        AUTH_CONFIG.activeMethod = authMethod;
+        console.error(`[gemini-worker] Auth method set to: ${authMethod}`);
+      }
+      rateLimitTracker.recordSuccess(selectedModel);
+      if (result.tokens.input > 0 || result.tokens.output > 0) {
+        tokenTracker.record(selectedModel, result.tokens.input, result.tokens.output);
+      }
+
+      return { response: result.response.trim(), model: selectedModel, authMethod: currentAuthMethod, tokens: result.tokens };
+    } catch (error) {
+      if (error instanceof RateLimitError || (error instanceof ModelError && error.status === 404)) {
+        rateLimitTracker.recordFailure(selectedModel);
+        throw { isRateLimit: true, model: selectedModel, error: error.message };
+      }
+      if (error instanceof AuthenticationError) {
+        throw { isAuthError: true, authMethod: currentAuthMethod, error: error.message };
+      }
+      if (error instanceof TimeoutError) {
+        rateLimitTracker.recordFailure(selectedModel);
+      }
+      throw error;
+    }
+  };
+
+  const executeCliRequest = async (selectedModel, authMethod = null, _isRetry = false) => {
     return new Promise((resolve, reject) => {
       // Use stdin to pass prompt (avoids command line length limits on Windows)
       // Use JSON output format for structured responses with token tracking
@@ -761,7 +793,13 @@ async function runGeminiCli(prompt, options = {}) {
       proc.on('error', (err) => {
         clearTimeout(timeoutId);
         if (killed) return;
-        reject(new Error(`Failed to spawn Gemini CLI: ${err.message}. Is it installed? npm i -g @google/gemini-cli`));
+        const message = `Failed to spawn Gemini CLI: ${err.message}. Is it installed? npm i -g @google/gemini-cli`;
+        // Without the CLI, fall through to an auth method served by the REST API
+        if (err.code === 'ENOENT' && getNextAuthFallback(currentAuthMethod)?.backend === GeminiBackend.API) {
+          reject({ isAuthError: true, authMethod: currentAuthMethod, error: message });
+          return;
+        }
+        reject(new Error(message));
       });
 
       // Write prompt to stdin and close it to signal end of input
@@ -982,6 +1020,22 @@ async function readFilesFromPatterns(patterns, baseDir = process.cwd(), options
 // MCP Server Setup
 // ============================================================================
 
+/**
+ * Conversations are written through to a JSON-lines file store so
+ * multi-day threads survive server restarts.
+ * Override the location with HYBRID_CONVERSATIONS_DIR.
+ */
+const CONVERSATIONS_DIR = getDefaultConversationsDir();
+
+getConversationManager({ persistPath: CONVERSATIONS_DIR, compaction: true });
+
+/**
+ * Agent sessions are persisted the same way. Sessions that were running
+ * when the previous server stopped come back as `interrupted`.
+ * Override the location with HYBRID_AGENT_SESSIONS_DIR.
+ */
+getAgentSessionManager({ persistPath: getDefaultAgentSessionsDir() });
+
 const server = new Server(
   {
     name: 'hybrid-agent',
@@ -1500,7 +1554,7 @@ Gemini analyzes the diff and suggests improvements.`,
     },
   },
 
-  // === Conversation Tools (5) ===
+  // === Conversation Tools (8) ===
   {
     name: 'gemini_start_conversation',
     description: `Start a new stateful conversation with Gemini.
@@ -1535,7 +1589,8 @@ Returns a conversation ID to use with gemini_continue_conversation.`,
     name: 'gemini_continue_conversation',
     description: `Continue an existing conversation with Gemini.
 USE THIS to send follow-up messages in a multi-turn conversation.
-Automatically includes conversation history for context.`,
+Automatically includes conversation history for context.
+Long histories are compacted: older turns are replaced by a rolling summary.`,
     inputSchema: {
       type: 'object',
       properties: {
@@ -1551,9 +1606,33 @@ Automatically includes conversation history for context.`,
       required: ['conversation_id', 'message'],
     },
   },
+  {
+    name: 'gemini_fork_conversation',
+    description: `Fork a conversation into a new branch from a given message.
+USE THIS to explore an alternative approach from the same context without polluting the original.
+The fork copies history up to and including message_id and records a link to its parent.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        conversation_id: {
+          type: 'string',
+          description: 'ID of the conversation to fork',
+        },
+        message_id: {
+          type: 'string',
+          description: 'Last message to keep in the fork (omit to fork at the latest message)',
+        },
+        title: {
+          type: 'string',
+          description: 'Optional title for the fork',
+        },
+      },
+      required: ['conversation_id'],
+    },
+  },
   {
     name: 'gemini_list_conversations',
-    description: `List all active conversations.
+    description: `List all active conversations as a fork tree.
 USE THIS to see what conversations are available to continue.`,
     inputSchema: {
       type: 'object',
@@ -1602,6 +1681,51 @@ USE THIS to check token usage, message counts, and conversation health.`,
       required: [],
     },
   },
+  {
+    name: 'gemini_export_conversation',
+    description: `Export a conversation as JSON, Markdown or an HTML transcript.
+USE THIS to share a design discussion with teammates or move it to another machine.
+JSON exports are versioned and can be reloaded with gemini_import_conversation.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        conversation_id: {
+          type: 'string',
+          description: 'ID of the conversation to export',
+        },
+        format: {
+          type: 'string',
+          enum: ['json', 'markdown', 'html'],
+          description: 'Export format',
+          default: 'json',
+        },
+        output_path: {
+          type: 'string',
+          description: 'Optional file to write (relative to the working directory). Omit to return the export inline.',
+        },
+      },
+      required: ['conversation_id'],
+    },
+  },
+  {
+    name: 'gemini_import_conversation',
+    description: `Import a conversation previously exported as JSON.
+USE THIS to reload a shared conversation and continue it. The import gets a new ID.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        data: {
+          type: 'string',
+          description: 'Exported conversation JSON',
+        },
+        file_path: {
+          type: 'string',
+          description: 'Path to an exported JSON file (relative to the working directory)',
+        },
+      },
+      required: [],
+    },
+  },
 
   // === Cache Management Tool (1) ===
   {
@@ -1748,15 +1872,28 @@ CAPABILITIES:
 SAFETY:
 - Iteration limits prevent infinite loops
 - Timeout protection
-- All file mutations tracked for review
+- Optional token and cost budgets (max_tokens, max_cost_usd); the agent is killed when exceeded
+- Optional verify-and-iterate loop (verify_command): the result shows pass/fail per round
+- Optional plan-then-approve mode (require_plan_approval): Gemini writes a step plan first and
+  only runs after gemini_agent_approve; writes and commands outside the plan are flagged
+- All file mutations tracked for review, with a unified diff per file saved as a patch (gemini_agent_diff)
+- Working tree checkpointed before the task (undo with gemini_agent_rollback)
+- Tool calls checked against .hybrid/agent-policy.json (allowed commands, denied patterns, write paths);
+  the agent is killed on the first violation
+- Optional isolation in a temporary git worktree on a fresh branch (apply/discard with gemini_agent_merge),
+  so parallel tasks never touch each other or your uncommitted work
+- Live MCP progress notifications (tool calls, file changes, token usage) when a progressToken is sent
+- Runs are queued (status "queued", position in gemini_agent_list) beyond HYBRID_AGENT_MAX_PARALLEL
+  concurrent agents (default 2) and while another agent works in the same directory
 
 REQUIRES: GEMINI_AGENT_MODE=true in environment
 
 WORKFLOW:
 1. Start task with task_description
-2. Monitor progress via structured output
+2. Monitor live progress notifications and the structured output
+   (or pass background: true and poll gemini_agent_status / stop with gemini_agent_cancel)
 3. Resume interrupted sessions with session_id
-4. Review results with \`git diff\``,
+4. Review results with \`git diff\`; undo everything with gemini_agent_rollback`,
     inputSchema: {
       type: 'object',
       properties: {
@@ -1770,7 +1907,7 @@ WORKFLOW:
         },
         session_id: {
           type: 'string',
-          description: 'Resume a previous session (from prior gemini_agent_task call)',
+          description: 'Resume a previous session (from prior gemini_agent_task call), including sessions interrupted by a server restart; the resumed run gets a fresh max_iterations / timeout_minutes budget',
         },
         context_files: {
           type: 'array',
@@ -1787,11 +1924,44 @@ WORKFLOW:
           default: 10,
           description: 'Maximum execution time in minutes',
         },
+        verify_command: {
+          type: 'string',
+          description: 'Command run after the agent finishes (e.g. "npm test", no shell syntax); on failure the same Gemini session is resumed with the failing output',
+        },
+        max_verify_rounds: {
+          type: 'integer',
+          default: 3,
+          description: 'Maximum verify_command runs (1-10); the agent gets another turn after each failing run but the last, each with its own max_iterations / timeout_minutes budget',
+        },
+        max_tokens: {
+          type: 'integer',
+          description: 'Token budget - the agent is stopped once it reports more tokens (warning at 80%)',
+        },
+        max_cost_usd: {
+          type: 'number',
+          description: 'Cost budget in USD, priced per model (free with OAuth) - the agent is stopped once exceeded (warning at 80%)',
+        },
         model: {
           type: 'string',
           enum: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-3-pro-preview'],
           description: 'Model to use (auto-selected if not specified)',
         },
+        background: {
+          type: 'boolean',
+          default: false,
+          description: 'Return a session ID immediately and run detached (poll with gemini_agent_status)',
+        },
+        isolation: {
+          type: 'string',
+          enum: ['none', 'worktree'],
+          default: 'none',
+          description: 'worktree: run in a temporary git worktree on a fresh branch; the result includes the branch and a diff summary',
+        },
+        require_plan_approval: {
+          type: 'boolean',
+          default: false,
+          description: 'Return a structured step plan (files, commands, risks) without running anything; execute it with gemini_agent_approve',
+        },
       },
       required: ['task_description'],
     },
@@ -1799,18 +1969,134 @@ WORKFLOW:
   {
     name: 'gemini_agent_list',
     description: `List active agent sessions.
-USE THIS to see running or completed agent tasks and their status.`,
+USE THIS to see running or completed agent tasks, their status and whether they can be rolled back.`,
     inputSchema: {
       type: 'object',
       properties: {
         status: {
           type: 'string',
-          enum: ['pending', 'running', 'completed', 'failed'],
+          enum: ['pending', 'awaiting_approval', 'queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'],
           description: 'Filter by session status',
         },
       },
     },
   },
+  {
+    name: 'gemini_agent_status',
+    description: `Poll an agent session (typically one started with background: true).
+USE THIS to get output produced since a cursor, the current iteration and files touched.
+Pass the returned cursor on the next call to receive only new output.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'ID of the agent session',
+        },
+        cursor: {
+          type: 'integer',
+          default: 0,
+          description: 'Cursor from the previous gemini_agent_status call (0 for all buffered output)',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'gemini_agent_cancel',
+    description: `Cancel a running agent session.
+USE THIS to stop a runaway or no-longer-needed agent task. Sends SIGTERM; partial changes are kept for review.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'ID of the session to cancel',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'gemini_agent_rollback',
+    description: `Roll back an agent session to the checkpoint taken before it started.
+USE THIS to undo everything an agent task changed: modified and deleted files are restored,
+created files are removed (including changes made through shell commands).
+Files you edited again after the task finished are kept and reported as conflicts.
+Git repos are checkpointed on a hidden ref; other directories use a file-copy snapshot.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'ID of the session to roll back',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'gemini_agent_merge',
+    description: `Apply or discard the worktree of an agent session started with isolation: "worktree".
+USE THIS after reviewing the branch diff. "apply" brings the changes into the original working tree
+as uncommitted edits (atomically - nothing changes on conflict); "discard" throws them away.
+Both remove the worktree and its branch. Unmerged worktrees are discarded when the session expires (24h).`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'ID of the isolated agent session',
+        },
+        action: {
+          type: 'string',
+          enum: ['apply', 'discard'],
+          description: 'Apply the changes to the original working tree, or discard them',
+        },
+      },
+      required: ['session_id', 'action'],
+    },
+  },
+  {
+    name: 'gemini_agent_diff',
+    description: `Show the unified diff of everything an agent session changed.
+USE THIS to review an agent's edits (including shell-command changes) without running git diff -
+works for past sessions and in non-git directories. The combined patch is saved in the outputs directory.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'ID of the agent session',
+        },
+        file: {
+          type: 'string',
+          description: 'Only show the diff of this file',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
+  {
+    name: 'gemini_agent_approve',
+    description: `Approve the plan of an agent session started with require_plan_approval and run it.
+USE THIS after reviewing the plan (optionally get a second opinion with gemini_eval_plan).
+Pass an edited plan to change the steps; files and commands outside the approved plan are flagged as off-plan.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'ID of the session awaiting approval',
+        },
+        plan: {
+          type: 'object',
+          description: 'Edited plan replacing the proposed one: { summary, steps: [{ description, files, commands }], risks }',
+        },
+      },
+      required: ['session_id'],
+    },
+  },
   {
     name: 'gemini_agent_clear',
     description: `Clear/delete an agent session.
@@ -1835,6 +2121,8 @@ USE THIS to clean up completed or failed sessions.`,
 const AGENT_MODE_TOOL_NAMES = new Set([
   // Agent tools
   'gemini_agent_task', 'gemini_agent_list', 'gemini_agent_clear',
+  'gemini_agent_status', 'gemini_agent_cancel', 'gemini_agent_rollback',
+  'gemini_agent_merge', 'gemini_agent_diff', 'gemini_agent_approve',
   // Auth & Utility
   'gemini_auth_status', 'gemini_config_show', 'hybrid_metrics', 'gemini_cache_manage',
   // OpenRouter
@@ -1865,7 +2153,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: TOOLS,
 }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
 
   try {
@@ -1909,7 +2197,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           const isFailed = AUTH_CONFIG.authFailures[auth.method];
           const marker = isActive ? '>>> ' : isFailed ? '[X] ' : '    ';
           const suffix = isActive ? ' (active)' : isFailed ? ' (failed)' : '';
-          return `${marker}${i + 1}. ${auth.name}${suffix}`;
+          const backend = auth.backend === GeminiBackend.API ? ' [REST API]' : '';
+          return `${marker}${i + 1}. ${auth.name}${backend}${suffix}`;
         }).join('\n');
 
         if (!authInfo.authenticated && activeMethod === 'oauth') {
@@ -2655,85 +2944,9 @@ Provide comprehensive ${mode} analysis with multiple perspectives.`;
       // === OpenRouter Tools ===
       
       case 'openrouter_chat': {
-        const { prompt, model = 'openai/gpt-4.1-nano', temperature = 0.7, max_tokens = 4096 } = args;
-
-        const apiKey = process.env.OPENROUTER_API_KEY;
-        if (!apiKey) {
-          return {
-            content: [{ type: 'text', text: 'OpenRouter API key not configured. Set OPENROUTER_API_KEY environment variable.\nGet your key at: https://openrouter.ai/keys' }],
-            isError: true,
-          };
-        }
-
-        // Create AbortController for timeout (60 seconds)
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 60000);
-
-        try {
-          const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'https://github.com/hybrid-cli-agent',
-              'X-Title': 'Hybrid CLI Agent',
-            },
-            body: JSON.stringify({
-              model,
-              messages: [{ role: 'user', content: prompt }],
-              temperature,
-              max_tokens,
-            }),
-            signal: controller.signal,
-          });
-          clearTimeout(timeoutId);
-
-          if (!response.ok) {
-            const error = await response.text();
-            return {
-              content: [{ type: 'text', text: `OpenRouter error: ${error}` }],
-              isError: true,
-            };
-          }
-
-          const data = await response.json();
-          const content = data.choices[0]?.message?.content || 'No response';
-
-          // Track usage stats (fix: was previously not updating)
-          if (data.usage) {
-            openrouterStats.requests++;
-            openrouterStats.inputTokens += data.usage.prompt_tokens || 0;
-            openrouterStats.outputTokens += data.usage.completion_tokens || 0;
-            // Estimate cost based on model
-            const modelCosts = {
-              'openai/gpt-4.1-nano': { input: 0.1, output: 0.4 },
-              'openai/gpt-4.1-mini': { input: 0.4, output: 1.6 },
-              'openai/gpt-4o': { input: 2.5, output: 10 },
-              'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
-              'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
-            };
-            const costs = modelCosts[model] || { input: 0.5, output: 1.5 };
-            openrouterStats.estimatedCost +=
-              ((data.usage.prompt_tokens || 0) / 1_000_000) * costs.input +
-              ((data.usage.completion_tokens || 0) / 1_000_000) * costs.output;
-          }
-
-          return {
-            content: [{ type: 'text', text: `[${model}]\n\n${content}` }],
-          };
-        } catch (error) {
-          clearTimeout(timeoutId);
-          if (error.name === 'AbortError') {
-            return {
-              content: [{ type: 'text', text: 'OpenRouter request timed out after 60 seconds' }],
-              isError: true,
-            };
-          }
-          return {
-            content: [{ type: 'text', text: `OpenRouter error: ${error.message}` }],
-            isError: true,
-          };
-        }
+        // Shared with the tool handler, which routes the call through HYBRID_REPLAY
+        const { handlers: openrouterHandlers } = await import('./tool-handlers/openrouter/index.js');
+        return openrouterHandlers.openrouter_chat(args, { openrouterStats });
       }
 
       case 'openrouter_models': {
@@ -2977,6 +3190,11 @@ Use gemini_continue_conversation with this ID to send messages.`;
           };
         }
 
+        // Summarize older turns once the history crosses the compaction threshold
+        const compaction = await compactIfNeeded(conversationManager, conversation_id, async (prompt, options) =>
+          safeGetResponse(await runGeminiCli(prompt, options))
+        );
+
         // Add user message
         conversationManager.addMessage(conversation_id, MessageRole.USER, message);
 
@@ -2987,12 +3205,12 @@ Use gemini_continue_conversation with this ID to send messages.`;
         const geminiResult = await runGeminiCli(contextPrompt, { model: conversation.model });
 
         // Add assistant response
-        conversationManager.addMessage(conversation_id, MessageRole.ASSISTANT, geminiResult.response);
+        const reply = conversationManager.addMessage(conversation_id, MessageRole.ASSISTANT, geminiResult.response);
 
         const stats = conversationManager.getConversationStats(conversation_id);
 
         return {
-          content: [{ type: 'text', text: `[${conversation.title} - Turn ${stats.stats.userMessages}]\n\n${geminiResult.response}\n\n---\n_Tokens: ~${stats.stats.estimatedTokens} | Messages: ${stats.stats.messageCount}_` }],
+          content: [{ type: 'text', text: `[${conversation.title} - Turn ${stats.stats.userMessages}]\n\n${geminiResult.response}\n\n---\n_Tokens: ~${stats.stats.estimatedTokens} | Messages: ${stats.stats.messageCount} | Message ID: ${reply.id}${compaction ? ` | Compacted ${compaction.messagesCompacted} earlier messages (saved ~${compaction.tokensSaved} tokens)` : ''}_` }],
         };
       }
 
@@ -3008,13 +3226,24 @@ Use gemini_continue_conversation with this ID to send messages.`;
           };
         }
 
-        let output = `# Conversations (${result.total} total)\n\n`;
-        for (const conv of result.conversations) {
+        // Render forks nested under their parent
+        const renderNode = (conv, depth) => {
+          const indent = '   '.repeat(depth);
+          const branch = depth > 0 ? '↳ ' : '';
           const stateEmoji = conv.state === 'active' ? '🟢' : conv.state === 'completed' ? '✅' : '⏸️';
-          output += `${stateEmoji} **${conv.title}**\n`;
-          output += `   ID: \`${conv.id}\`\n`;
-          output += `   Model: ${conv.model} | Messages: ${conv.messageCount}\n`;
-          output += `   Updated: ${conv.updatedAt}\n\n`;
+          let text = `${indent}${branch}${stateEmoji} **${conv.title}**\n`;
+          text += `${indent}   ID: \`${conv.id}\`\n`;
+          text += `${indent}   Model: ${conv.model} | Messages: ${conv.messageCount}\n`;
+          if (conv.parentId) {
+            text += `${indent}   Forked from: \`${conv.parentId}\` at message \`${conv.forkedFromMessageId}\`\n`;
+          }
+          text += `${indent}   Updated: ${conv.updatedAt}\n\n`;
+          return text + conv.children.map(child => renderNode(child, depth + 1)).join('');
+        };
+
+        let output = `# Conversations (${result.total} total)\n\n`;
+        for (const root of conversationManager.buildForkTree(result.conversations)) {
+          output += renderNode(root, 0);
         }
 
         return {
@@ -3022,6 +3251,38 @@ Use gemini_continue_conversation with this ID to send messages.`;
         };
       }
 
+      case 'gemini_fork_conversation': {
+        const { conversation_id, message_id, title } = args;
+        const conversationManager = getConversationManager();
+
+        if (!conversationManager.getConversation(conversation_id)) {
+          return {
+            content: [{ type: 'text', text: `❌ Conversation ${conversation_id} not found` }],
+            isError: true,
+          };
+        }
+
+        try {
+          const fork = conversationManager.forkConversation(conversation_id, { messageId: message_id, title });
+
+          return {
+            content: [{ type: 'text', text: `✅ Conversation forked!
+- ID: ${fork.id}
+- Title: ${fork.title}
+- Parent: ${fork.parentId}
+- Forked at message: ${fork.forkedFromMessageId || '(empty history)'}
+- Messages copied: ${fork.messageCount}
+
+Use gemini_continue_conversation with the new ID to explore this branch.` }],
+          };
+        } catch (err) {
+          return {
+            content: [{ type: 'text', text: `❌ ${err.message}` }],
+            isError: true,
+          };
+        }
+      }
+
       case 'gemini_clear_conversation': {
         const { conversation_id } = args;
         const conversationManager = getConversationManager();
@@ -3058,16 +3319,22 @@ Use gemini_continue_conversation with this ID to send messages.`;
 
 **ID:** ${stats.id}
 **State:** ${stats.state}
-**Model:** ${stats.model}
+**Model:** ${stats.model}${stats.parentId ? `
+**Forked from:** ${stats.lineage.map(p => `${p.title} (\`${p.id}\`)`).join(' ← ') || stats.parentId} at message \`${stats.forkedFromMessageId}\`` : ''}
 
 ## Usage
 - Messages: ${stats.stats.messageCount}
 - User messages: ${stats.stats.userMessages}
 - Assistant messages: ${stats.stats.assistantMessages}
+- Messages held (not compacted): ${stats.stats.heldMessages}
 - Estimated tokens: ${stats.stats.estimatedTokens}
 - Token usage: ${stats.tokenUsagePercent.toFixed(1)}%
 - Message usage: ${stats.messageUsagePercent.toFixed(1)}%
 
+## Compaction
+- Compactions: ${stats.compaction.count}
+- Tokens saved: ~${stats.compaction.tokensSaved}${stats.compaction.history.map(c => `\n- ${c.timestamp}: ${c.messagesCompacted} messages, ${c.tokensBefore} → ${c.tokensAfter} tokens`).join('')}
+
 ## Timestamps
 - Created: ${stats.metadata.createdAt}
 - Updated: ${stats.metadata.updatedAt}` }],
@@ -3083,15 +3350,104 @@ Use gemini_continue_conversation with this ID to send messages.`;
 - Active conversations: ${globalStats.activeConversations}
 - Total messages: ${globalStats.totalMessages}
 - Estimated total tokens: ${globalStats.totalTokensEstimated}
+- Compactions: ${globalStats.totalCompactions} (saved ~${globalStats.totalTokensSaved} tokens)
 
 ## Limits
 - Max messages per conversation: ${globalStats.config.maxMessages}
 - Max tokens per conversation: ${globalStats.config.maxTotalTokens}
+- Compaction threshold: ${globalStats.config.compaction ? `${globalStats.config.compactionThreshold} tokens (keeps last ${globalStats.config.compactionKeepRecentTurns} turns)` : 'disabled'}
 - Conversation expiration: ${globalStats.config.expirationMs / 1000 / 60 / 60}h` }],
           };
         }
       }
 
+      case 'gemini_export_conversation': {
+        const { conversation_id, format = ExportFormat.JSON, output_path } = args;
+        const conversationManager = getConversationManager();
+
+        let exported;
+        try {
+          exported = conversationManager.exportConversation(conversation_id, format);
+        } catch (err) {
+          return {
+            content: [{ type: 'text', text: `❌ ${err.message}` }],
+            isError: true,
+          };
+        }
+
+        if (exported === null) {
+          return {
+            content: [{ type: 'text', text: `❌ Conversation ${conversation_id} not found.` }],
+            isError: true,
+          };
+        }
+
+        if (!output_path) {
+          return {
+            content: [{ type: 'text', text: exported }],
+          };
+        }
+
+        const safeOutputPath = sanitizePath(output_path);
+        const writeCheck = isWriteAllowed(output_path);
+        if (!safeOutputPath || !writeCheck.allowed) {
+          return {
+            content: [{ type: 'text', text: `❌ Cannot write export to ${output_path}: ${writeCheck.reason || 'Invalid path'}` }],
+            isError: true,
+          };
+        }
+
+        await writeFile(safeOutputPath, exported, 'utf-8');
+
+        return {
+          content: [{ type: 'text', text: `✅ Exported conversation ${conversation_id} (${format}) to ${safeOutputPath}` }],
+        };
+      }
+
+      case 'gemini_import_conversation': {
+        const { data, file_path } = args;
+        const conversationManager = getConversationManager();
+
+        if (!data && !file_path) {
+          return {
+            content: [{ type: 'text', text: '❌ Provide either data or file_path.' }],
+            isError: true,
+          };
+        }
+
+        let content = data;
+        if (!content) {
+          const safeFilePath = sanitizePath(file_path);
+          if (!safeFilePath) {
+            return {
+              content: [{ type: 'text', text: `❌ Invalid file path: ${file_path}` }],
+              isError: true,
+            };
+          }
+          content = await readFile(safeFilePath, 'utf-8');
+        }
+
+        try {
+          const newId = conversationManager.importConversation(content);
+          const conversation = conversationManager.getConversation(newId);
+
+          return {
+            content: [{ type: 'text', text: `✅ Conversation imported!
+- ID: ${newId}
+- Title: ${conversation.title}
+- Messages: ${conversation.messages.length}
+- State: ${conversation.state}
+
+Use gemini_continue_conversation with this ID to pick up where it left off.` }],
+          };
+        } catch (err) {
+          return {
+            content: [{ type: 'text', text: `❌ Import failed: ${err.message}` }],
+            isError: true,
+          };
+        }
+      }
+
       // === Cache Management Tool Handler ===
 
       case 'gemini_cache_manage': {
@@ -3345,7 +3701,13 @@ ${group_by !== 'none' ? '## [Group Name]\n\n' : ''}### [filename]
 
       case 'gemini_agent_task':
       case 'gemini_agent_list':
-      case 'gemini_agent_clear': {
+      case 'gemini_agent_clear':
+      case 'gemini_agent_status':
+      case 'gemini_agent_cancel':
+      case 'gemini_agent_rollback':
+      case 'gemini_agent_merge':
+      case 'gemini_agent_diff':
+      case 'gemini_agent_approve': {
         // Import handler dynamically to avoid circular dependencies
         const { handlers: agentHandlers } = await import('./tool-handlers/agent/index.js');
         const handler = agentHandlers[name];
@@ -3363,6 +3725,7 @@ ${group_by !== 'none' ? '## [Group Name]\n\n' : ''}### [filename]
           sanitizePath,
           sanitizeGlobPatterns,
           safeSpawn,
+          authMethod: getActiveAuthMethod(),
           buildEnv: () => {
             const env = { ...process.env };
             if (AUTH_CONFIG.method === 'api-key' && AUTH_CONFIG.apiKey) {
@@ -3371,6 +3734,8 @@ ${group_by !== 'none' ? '## [Group Name]\n\n' : ''}### [filename]
             return env;
           },
           spawn: (await import('child_process')).spawn,
+          // Live progress for clients that sent a progressToken
+          sendProgress: createProgressReporter(request.params._meta?.progressToken, extra?.sendNotification),
         };
 
         return await handler(args, handlerContext);
@@ -3417,11 +3782,11 @@ async function gracefulShutdown(signal) {
       console.error('[gemini-worker] Response cache persisted');
     }
 
-    // Clear any active conversations
+    // Conversations are written through to disk - just report what was saved
     const conversationManager = getConversationManager();
     if (conversationManager) {
-      const stats = conversationManager.getStats();
-      console.error(`[gemini-worker] Active conversations at shutdown: ${stats.activeConversations}`);
+      const stats = conversationManager.getGlobalStats();
+      console.error(`[gemini-worker] Active conversations at shutdown: ${stats.activeConversations} (persisted to ${CONVERSATIONS_DIR})`);
     }
 
     console.error('[gemini-worker] Shutdown complete');
@@ -2,36 +2,64 @@
  * Agent Tool Handlers
  *
  * Handles gemini_agent_task - autonomous task execution via Gemini's agent mode
+ *
+ * Features:
+ * - Blocking or background runs, optionally in a git worktree
+ * - Verify loop: re-run until a verify command passes
+ * - Plan approval, status polling, cancellation and session listing
+ * - Rollback to the pre-task checkpoint, worktree merge and per-session diffs
+ * - Agent policy checks (.hybrid/agent-policy.json); violations kill the agent
  */
 
 import { spawn } from 'child_process';
-import { createWriteStream, mkdirSync, existsSync } from 'fs';
+import { createWriteStream } from 'fs';
+import { readdir, readFile, writeFile } from 'fs/promises';
 import { join } from 'path';
-import { homedir } from 'os';
-import { success, error, validateRequired, processLargeOutput } from '../base.js';
+import { success, error, validateRequired, processLargeOutput, getOutputDir } from '../base.js';
 import {
   getAgentSessionManager,
   SessionStatus,
 } from '../../../services/agent-session-manager.js';
-import { OUTPUT_LIMITS } from '../../../config/timeouts.js';
-
-/**
- * Get or create the output directory for full agent output files
- * @returns {string} Path to output directory
- */
-function getAgentOutputDir() {
-  const baseDir = join(homedir(), '.claude', 'gemini-worker-outputs');
-  if (!existsSync(baseDir)) {
-    mkdirSync(baseDir, { recursive: true });
-  }
-  return baseDir;
-}
+import {
+  createCheckpoint,
+  sealCheckpoint,
+  rollbackCheckpoint,
+  diffCheckpoint,
+  discardCheckpoint,
+} from '../../../services/agent-checkpoint.js';
+import {
+  createWorktree,
+  commitWorktree,
+  diffWorktree,
+  applyWorktree,
+  discardWorktree,
+  WorktreeStatus,
+} from '../../../services/agent-worktree.js';
+import { loadAgentPolicy, checkToolCall } from '../../../services/agent-policy.js';
+import { buildPlanPrompt, parsePlan, checkPlanDeviation } from '../../../services/agent-plan.js';
+import { createTraceWriter, getTracePath } from '../../../services/agent-trace.js';
+import { parseUnifiedPatch } from '../../../utils/diff.js';
+import { BudgetError } from '../../../utils/errors.js';
+import { parseCommandLine, safeSpawnWithTimeout } from '../../../utils/security.js';
+import { OUTPUT_LIMITS, TIMEOUTS } from '../../../config/timeouts.js';
 
 /** Track last cleanup time to avoid running too frequently */
 let lastCleanupTime = 0;
 const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // Run at most once per day
 const MAX_FILE_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 
+/** Patches up to this size are shown inline in the task result */
+const INLINE_DIFF_MAX = 8000;
+
+/** Upper bound for max_verify_rounds */
+const MAX_VERIFY_ROUNDS = 10;
+
+/** Tail of a failing verify run sent back to the agent */
+const VERIFY_FEEDBACK_MAX = 8000;
+
+/** Tail of each verify run kept in the session */
+const VERIFY_STORED_MAX = 2000;
+
 /**
  * Clean up old output files (older than 30 days)
  * Runs asynchronously and doesn't block agent tasks
@@ -47,7 +75,7 @@ async function cleanupOldOutputFiles() {
 
   try {
     const { readdir, stat, unlink } = await import('fs/promises');
-    const outputDir = getAgentOutputDir();
+    const outputDir = getOutputDir();
     const files = await readdir(outputDir);
 
     let deletedCount = 0;
@@ -75,7 +103,7 @@ async function cleanupOldOutputFiles() {
     }
 
     if (deletedCount > 0) {
-      console.log(`[Agent] Cleaned up ${deletedCount} old output files (${(deletedBytes / 1024 / 1024).toFixed(1)}MB)`);
+      console.error(`[Agent] Cleaned up ${deletedCount} old output files (${(deletedBytes / 1024 / 1024).toFixed(1)}MB)`);
     }
   } catch (e) {
     // Silently ignore cleanup errors - non-critical operation
@@ -97,6 +125,164 @@ function parseAgentEvent(line) {
   }
 }
 
+/**
+ * Describe a tool call for a progress notification
+ * @param {Object} session - Session object (after the call was recorded)
+ * @param {string} tool - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string} Human-readable progress message
+ */
+function describeToolCall(session, tool, input) {
+  const target = input?.command || input?.path || input?.file_path || input?.filename || input?.pattern;
+  const detail = target ? `: ${String(target).slice(0, 120)}` : '';
+  return `[${session.iterations}/${session.maxIterations}] ${tool || 'tool'}${detail}`;
+}
+
+/**
+ * Describe file mutations made by the latest tool call
+ * Compares tracked file lists before and after recordToolCall
+ * @param {Object} before - File list lengths before the call
+ * @param {Object} session - Session object
+ * @returns {string[]} Messages such as "Created src/a.js"
+ */
+function describeFileMutations(before, session) {
+  return [
+    ...session.filesCreated.slice(before.created).map((f) => `Created ${f}`),
+    ...session.filesModified.slice(before.modified).map((f) => `Modified ${f}`),
+    ...session.filesDeleted.slice(before.deleted).map((f) => `Deleted ${f}`),
+  ];
+}
+
+/**
+ * Format the worktree branch and diff summary of an isolated session
+ * @param {Object} summary - Session summary from AgentSessionManager
+ * @returns {string[]} Markdown lines (empty for non-isolated sessions)
+ */
+function formatWorktreeSection(summary) {
+  const { worktree } = summary;
+  if (!worktree) return [];
+
+  const lines = [
+    '### Worktree:',
+    `- **Branch:** \`${worktree.branch}\` (from ${worktree.baseCommit.slice(0, 7)})`,
+    `- **Path:** \`${worktree.path}\``,
+    `- **Status:** ${worktree.status}`,
+  ];
+
+  const diff = worktree.diffSummary;
+  if (diff) {
+    lines.push(`- **Diff:** ${diff.files.length} file(s) changed, +${diff.insertions} -${diff.deletions}`);
+    for (const file of diff.files) {
+      const counts = file.added === null ? 'binary' : `+${file.added} -${file.removed}`;
+      lines.push(`  - \`${file.path}\` (${counts})`);
+    }
+  }
+
+  if (worktree.status === WorktreeStatus.ACTIVE) {
+    lines.push(`- **Review:** \`git diff ${worktree.baseCommit.slice(0, 7)}..${worktree.branch}\``);
+    lines.push(`- **Apply:** \`gemini_agent_merge({ session_id: "${summary.id}", action: "apply" })\``);
+    lines.push(`- **Discard:** \`gemini_agent_merge({ session_id: "${summary.id}", action: "discard" })\``);
+  }
+  lines.push('');
+
+  return lines;
+}
+
+/**
+ * Format the per-file change summary of a session's diff
+ * @param {Object} summary - Session summary from AgentSessionManager
+ * @param {string} [diffText] - Combined patch, shown inline when small
+ * @returns {string[]} Markdown lines (empty when no diff was recorded)
+ */
+function formatDiffSection(summary, diffText) {
+  const { diff } = summary;
+  if (!diff) return [];
+
+  const lines = [`### Changes: ${diff.files.length} file(s)`];
+  for (const file of diff.files) {
+    const counts = file.binary ? 'binary' : `+${file.added} -${file.removed}`;
+    lines.push(`- \`${file.path}\` (${file.status}, ${counts})`);
+  }
+  lines.push(`**Patch:** \`${diff.patchPath}\``);
+
+  if (diffText && diffText.length <= INLINE_DIFF_MAX) {
+    lines.push('', '```diff', diffText.trimEnd(), '```');
+  } else if (diffText) {
+    lines.push(`Full diff: \`gemini_agent_diff({ session_id: "${summary.id}" })\``);
+  }
+  lines.push('');
+
+  return lines;
+}
+
+/**
+ * Format the per-round verification history (empty without a verify command)
+ * @param {Object} summary - Session summary from AgentSessionManager
+ * @returns {string[]} Markdown lines
+ */
+function formatVerificationSection(summary) {
+  const { verification } = summary;
+  if (!verification) return [];
+
+  const { command, maxRounds, rounds, passed } = verification;
+  const outcome = rounds.length === 0
+    ? 'not run'
+    : passed ? `passed in round ${rounds.length}` : `failed after ${rounds.length} round(s)`;
+  const lines = [`### Verification: \`${command}\` (${outcome}, max ${maxRounds} rounds)`];
+  for (const round of rounds) {
+    const seconds = `${(round.durationMs / 1000).toFixed(1)}s`;
+    lines.push(round.passed
+      ? `- Round ${round.round}: passed (${seconds})`
+      : `- Round ${round.round}: failed (${round.exitCode === null ? 'did not finish' : `exit ${round.exitCode}`}, ${seconds})`);
+  }
+
+  const lastFailure = rounds.length > 0 && !passed ? rounds[rounds.length - 1].output.trim() : '';
+  if (lastFailure) {
+    lines.push('', 'Last failing output:', '```', lastFailure, '```');
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Format the tool calls that went beyond the approved plan (empty without any)
+ * @param {Object} summary - Session summary from AgentSessionManager
+ * @returns {string[]} Markdown lines
+ */
+function formatPlanDeviationSection(summary) {
+  if (summary.planDeviations.length === 0) return [];
+
+  const lines = [`### Off-plan actions: ${summary.planDeviations.length}`];
+  for (const deviation of summary.planDeviations) {
+    lines.push(`- \`${deviation.tool}\`: ${deviation.reason}`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Format the token/cost budget section (empty when the session has no budget)
+ * @param {Object} summary - Session summary from AgentSessionManager
+ * @returns {string[]} Markdown lines
+ */
+function formatBudgetSection(summary) {
+  const { maxTokens, maxCostUsd, costUsd, warnings } = summary.budget;
+  if (!maxTokens && !maxCostUsd) return [];
+
+  const lines = ['### Budget:'];
+  if (maxTokens) {
+    lines.push(`- Tokens: ${summary.tokens.total.toLocaleString()} of ${maxTokens.toLocaleString()}`);
+  }
+  if (maxCostUsd) {
+    lines.push(`- Cost: $${costUsd.toFixed(4)} of $${maxCostUsd.toFixed(4)}`);
+  }
+  for (const warning of warnings) {
+    lines.push(`- **Warning:** ${warning}`);
+  }
+  lines.push('');
+  return lines;
+}
+
 /**
  * Format successful agent result for display
  * Handles large outputs by truncating and saving to file
@@ -105,10 +291,11 @@ function parseAgentEvent(line) {
  * @param {string} [outputInfo.fullOutputPath] - Path to full output file
  * @param {number} [outputInfo.fullOutputSize] - Size of full output in bytes
  * @param {boolean} [outputInfo.truncated] - Whether MCP response was truncated
+ * @param {string} [outputInfo.diffText] - Combined patch of the session's changes
  * @returns {Object} Formatted result with text and metadata
  */
 function formatAgentResult(summary, outputInfo = {}) {
-  const { fullOutputPath, fullOutputSize, truncated } = outputInfo;
+  const { fullOutputPath, fullOutputSize, truncated, diffText } = outputInfo;
 
   const headerLines = [
     '## Agent Task Completed',
@@ -121,15 +308,17 @@ function formatAgentResult(summary, outputInfo = {}) {
   // Add full output file info if available
   if (fullOutputPath) {
     headerLines.push(`**Full Output:** \`${fullOutputPath}\` (${(fullOutputSize / 1024).toFixed(1)}KB)`);
+    headerLines.push(`**Trace:** \`${getTracePath(fullOutputPath)}\` (replay with \`hybrid agent replay ${summary.id}\`)`);
     if (truncated) {
       headerLines.push(`**Note:** MCP response truncated - use Read tool on full output file for complete details`);
     }
   }
   headerLines.push('');
 
-  const footerLines = [];
+  const footerLines = formatDiffSection(summary, diffText);
 
-  if (summary.files.created.length > 0) {
+  // Without a diff, fall back to the files named in tool calls
+  if (!summary.diff && summary.files.created.length > 0) {
     footerLines.push('### Files Created:');
     for (const file of summary.files.created) {
       footerLines.push(`- \`${file}\``);
@@ -137,7 +326,7 @@ function formatAgentResult(summary, outputInfo = {}) {
     footerLines.push('');
   }
 
-  if (summary.files.modified.length > 0) {
+  if (!summary.diff && summary.files.modified.length > 0) {
     footerLines.push('### Files Modified:');
     for (const file of summary.files.modified) {
       footerLines.push(`- \`${file}\``);
@@ -145,7 +334,7 @@ function formatAgentResult(summary, outputInfo = {}) {
     footerLines.push('');
   }
 
-  if (summary.files.deleted.length > 0) {
+  if (!summary.diff && summary.files.deleted.length > 0) {
     footerLines.push('### Files Deleted:');
     for (const file of summary.files.deleted) {
       footerLines.push(`- \`${file}\``);
@@ -170,13 +359,24 @@ function formatAgentResult(summary, outputInfo = {}) {
     footerLines.push('');
   }
 
+  footerLines.push(...formatPlanDeviationSection(summary));
+  footerLines.push(...formatVerificationSection(summary));
+  footerLines.push(...formatBudgetSection(summary));
+
   if (summary.resumeCommand) {
     footerLines.push('### Resume Command:');
     footerLines.push(`\`${summary.resumeCommand}\``);
     footerLines.push('');
   }
 
-  footerLines.push('**Review changes with:** `git diff` or `git status`');
+  footerLines.push(...formatWorktreeSection(summary));
+
+  if (!summary.worktree) {
+    footerLines.push('**Review changes with:** `git diff` or `git status`');
+  }
+  if (summary.rollback.available) {
+    footerLines.push(`**Undo all changes:** \`gemini_agent_rollback({ session_id: "${summary.id}" })\``);
+  }
 
   const header = headerLines.join('\n');
   const footer = footerLines.join('\n');
@@ -257,23 +457,37 @@ function formatAgentResult(summary, outputInfo = {}) {
  */
 function formatAgentError(summary, err) {
   const lines = [
-    '## Agent Task Failed',
+    err.cancelled ? '## Agent Task Cancelled' : '## Agent Task Failed',
     '',
     `**Error:** ${err.message}`,
     `**Session ID:** \`${summary.id}\``,
     `**Iterations completed:** ${summary.iterations}`,
   ];
 
+  if (summary.policyViolation) {
+    const { tool, rule, detail } = summary.policyViolation;
+    lines.push(`**Blocked:** \`${tool}\` - \`${detail}\` (rule: ${rule})`);
+    lines.push(`**Policy:** ${summary.policyViolation.source || 'built-in defaults'}`);
+  }
+
   // Include full output path if available (for debugging)
   if (err.fullOutputPath) {
     lines.push(`**Full Output:** \`${err.fullOutputPath}\``);
+    lines.push(`**Trace:** \`${getTracePath(err.fullOutputPath)}\` (replay with \`hybrid agent replay ${summary.id}\`)`);
     if (err.fullOutputSize) {
       lines.push(`**Output Size:** ${(err.fullOutputSize / 1024).toFixed(1)}KB`);
     }
   }
   lines.push('');
 
-  if (summary.files.created.length > 0 || summary.files.modified.length > 0) {
+  lines.push(...formatPlanDeviationSection(summary));
+  lines.push(...formatVerificationSection(summary));
+  lines.push(...formatBudgetSection(summary));
+
+  if (summary.diff) {
+    lines.push('Partial changes (review carefully):');
+    lines.push(...formatDiffSection(summary));
+  } else if (summary.files.created.length > 0 || summary.files.modified.length > 0) {
     lines.push('### Partial Changes (review carefully):');
     for (const file of [...summary.files.created, ...summary.files.modified]) {
       lines.push(`- \`${file}\``);
@@ -281,12 +495,20 @@ function formatAgentError(summary, err) {
     lines.push('');
   }
 
+  lines.push(...formatWorktreeSection(summary));
+
   lines.push('### Recovery Options:');
   if (summary.geminiSessionId) {
     lines.push(`1. Resume: \`gemini_agent_task({ session_id: "${summary.id}" })\``);
     lines.push(`2. Manual: \`${summary.resumeCommand}\``);
   }
-  lines.push('3. Rollback: `git checkout .`');
+  if (summary.worktree) {
+    lines.push(`3. Discard: \`gemini_agent_merge({ session_id: "${summary.id}", action: "discard" })\``);
+  } else if (summary.checkpoint) {
+    lines.push(`3. Rollback: \`gemini_agent_rollback({ session_id: "${summary.id}" })\``);
+  } else {
+    lines.push('3. Rollback: `git checkout .` (no checkpoint was taken for this session)');
+  }
 
   return lines.join('\n');
 }
@@ -301,6 +523,9 @@ function formatAgentError(summary, err) {
  * @param {Object} options.context Handler context
  * @param {string} options.workingDirectory Working directory
  * @param {number} options.timeoutMs Timeout in milliseconds
+ * @param {Function} [options.onProgress] Called with a message for each tool call, file mutation, token update and budget warning
+ * @param {Object} [options.policy] Agent policy - the process is killed on the first violating tool call
+ *   (and on the usage event that exceeds the session's token/cost budget)
  * @returns {Promise<Object>} Execution result
  */
 async function runAgentProcess({
@@ -311,17 +536,22 @@ async function runAgentProcess({
   context,
   workingDirectory,
   timeoutMs,
+  onProgress = () => {},
+  policy,
 }) {
   return new Promise((resolve, reject) => {
     // Use safeSpawn if available, otherwise spawn directly
+    const spawnImpl = context.spawn || spawn;
     const spawnFn = context.safeSpawn
-      ? (cmd, spawnArgs, opts) => context.safeSpawn(spawn, cmd, spawnArgs, opts)
-      : (cmd, spawnArgs, opts) => spawn(cmd, spawnArgs, opts);
+      ? (cmd, spawnArgs, opts) => context.safeSpawn(spawnImpl, cmd, spawnArgs, opts)
+      : (cmd, spawnArgs, opts) => spawnImpl(cmd, spawnArgs, opts);
 
     const proc = spawnFn('gemini', args, {
       cwd: workingDirectory,
       env: context.buildEnv ? context.buildEnv() : process.env,
     });
+    sessionManager.setProcess(session.id, proc);
+    sessionManager.startRun(session.id);
 
     let buffer = '';
     let textOutput = '';
@@ -329,12 +559,20 @@ async function runAgentProcess({
     let fullOutputSize = 0;
     let lastEvent = null;
     let timeoutHandle = null;
+    let stopped = false; // Set once we kill the agent - later output is ignored
 
     // Create write stream for full output (never truncated)
-    const outputDir = getAgentOutputDir();
+    const outputDir = getOutputDir();
     const fullOutputPath = join(outputDir, `agent-task-${session.id}-${Date.now()}-full.txt`);
     const fullOutputStream = createWriteStream(fullOutputPath, { encoding: 'utf8' });
 
+    // Every parsed event goes to the trace for `hybrid agent replay`
+    const trace = createTraceWriter(getTracePath(fullOutputPath), {
+      sessionId: session.id,
+      task: session.taskDescription,
+      args,
+    });
+
     // Write header to full output file
     fullOutputStream.write(`# Agent Task Full Output\n`);
     fullOutputStream.write(`Session: ${session.id}\n`);
@@ -352,6 +590,7 @@ async function runAgentProcess({
     const appendTextOutput = (text) => {
       // Always write to full output file first
       writeToFullOutput(text);
+      sessionManager.appendOutput(session.id, text);
 
       if (textOutputTruncated) return; // Already at limit for MCP response, skip
 
@@ -371,8 +610,12 @@ async function runAgentProcess({
     // Set up timeout
     if (timeoutMs > 0) {
       timeoutHandle = setTimeout(() => {
+        stopped = true;
+        trace.stop(`Timeout after ${Math.round(timeoutMs / 60000)} minutes`);
         proc.kill('SIGTERM');
-        reject(new Error(`Agent timeout after ${Math.round(timeoutMs / 60000)} minutes`));
+        const timeoutError = new Error(`Agent timeout after ${Math.round(timeoutMs / 60000)} minutes`);
+        timeoutError.fullOutputPath = fullOutputPath;
+        reject(timeoutError);
       }, timeoutMs);
     }
 
@@ -381,6 +624,7 @@ async function runAgentProcess({
     proc.stdin.end();
 
     proc.stdout.on('data', (chunk) => {
+      if (stopped) return;
       buffer += chunk.toString();
 
       // Process complete lines
@@ -392,12 +636,14 @@ async function runAgentProcess({
 
         const event = parseAgentEvent(line);
         lastEvent = event;
+        trace.event(event);
 
         switch (event.type) {
           case 'session':
             // Capture Gemini's session ID for --resume
             if (event.session_id) {
               sessionManager.setGeminiSessionId(session.id, event.session_id);
+              onProgress(`Agent started (Gemini session ${event.session_id})`);
             }
             break;
 
@@ -407,17 +653,57 @@ async function runAgentProcess({
             const limits = sessionManager.checkLimits(session.id);
             if (limits.exceeded) {
               if (timeoutHandle) clearTimeout(timeoutHandle);
+              stopped = true;
+              trace.stop(limits.reason);
               proc.kill('SIGTERM');
               reject(new Error(limits.reason));
               return;
             }
 
             // Record the tool call
+            const tool = event.tool_name || event.name;
+            const input = event.tool_input || event.input;
+            const filesBefore = {
+              created: session.filesCreated.length,
+              modified: session.filesModified.length,
+              deleted: session.filesDeleted.length,
+            };
             sessionManager.recordToolCall(session.id, {
-              tool: event.tool_name || event.name,
-              input: event.tool_input || event.input,
+              tool,
+              input,
               code: event.tool_code,
             });
+
+            onProgress(describeToolCall(session, tool, input));
+
+            // Enforce the agent policy - kill immediately, no grace period
+            const violation = checkToolCall(policy, tool, input, workingDirectory);
+            if (violation) {
+              if (timeoutHandle) clearTimeout(timeoutHandle);
+              stopped = true;
+              trace.stop(`Policy violation: ${violation.reason}`);
+              proc.kill('SIGKILL');
+              sessionManager.recordPolicyViolation(session.id, { ...violation, source: policy.source });
+              onProgress(`Policy violation: ${violation.reason}`);
+              const violationError = new Error(`Policy violation: ${violation.reason}`);
+              violationError.policyViolation = violation;
+              violationError.fullOutputPath = fullOutputPath;
+              reject(violationError);
+              return;
+            }
+
+            // Work outside an approved plan is flagged, not stopped
+            if (session.plan?.approvedAt) {
+              const deviation = checkPlanDeviation(session.plan, tool, input, workingDirectory);
+              if (deviation) {
+                sessionManager.recordPlanDeviation(session.id, deviation);
+                onProgress(`Off-plan: ${deviation.reason}`);
+              }
+            }
+
+            for (const mutation of describeFileMutations(filesBefore, session)) {
+              onProgress(mutation);
+            }
             break;
 
           case 'tool_result':
@@ -436,6 +722,28 @@ async function runAgentProcess({
               output: event.output_tokens || event.metrics?.output_tokens || 0,
               total: event.total_tokens || event.metrics?.total_tokens || 0,
             });
+            onProgress(
+              `Tokens: ${session.tokens.total.toLocaleString()} (in: ${session.tokens.input.toLocaleString()}, out: ${session.tokens.output.toLocaleString()})`
+            );
+
+            // Enforce the token/cost budget - usage only grows, so stop right away
+            const budget = sessionManager.checkBudget(session.id);
+            for (const warning of budget.warnings) {
+              onProgress(`Budget warning: ${warning}`);
+            }
+            if (budget.exceeded) {
+              if (timeoutHandle) clearTimeout(timeoutHandle);
+              stopped = true;
+              trace.stop(budget.reason);
+              proc.kill('SIGKILL');
+              onProgress(budget.reason);
+              const budgetError = budget.kind === 'cost'
+                ? new BudgetError(budget.reason, budget.spent, budget.limit)
+                : new BudgetError(budget.reason);
+              budgetError.fullOutputPath = fullOutputPath;
+              reject(budgetError);
+              return;
+            }
             break;
 
           case 'error':
@@ -471,6 +779,7 @@ async function runAgentProcess({
       // Process any remaining buffer
       if (buffer.trim()) {
         const event = parseAgentEvent(buffer);
+        trace.event(event);
         if (event.text || event.content) {
           appendTextOutput((event.text || event.content) + '\n');
         }
@@ -482,6 +791,21 @@ async function runAgentProcess({
       fullOutputStream.write(`Exit code: ${code}\n`);
       fullOutputStream.write(`Total output size: ${(fullOutputSize / 1024).toFixed(1)}KB\n`);
       fullOutputStream.end();
+      if (sessionManager.getSession(session.id)?.status === SessionStatus.CANCELLED) {
+        trace.stop('Cancelled with gemini_agent_cancel');
+      }
+      trace.end({ exitCode: code });
+      sessionManager.clearProcess(session.id);
+
+      // Cancelled via gemini_agent_cancel - the exit code is just the signal
+      if (sessionManager.getSession(session.id)?.status === SessionStatus.CANCELLED) {
+        const cancelError = new Error('Agent task cancelled');
+        cancelError.cancelled = true;
+        cancelError.fullOutputPath = fullOutputPath;
+        cancelError.fullOutputSize = fullOutputSize;
+        reject(cancelError);
+        return;
+      }
 
       if (code === 0) {
         resolve({
@@ -522,9 +846,11 @@ async function runAgentProcess({
 
     proc.on('error', (err) => {
       if (timeoutHandle) clearTimeout(timeoutHandle);
+      sessionManager.clearProcess(session.id);
       // Still close the output stream on spawn error
       fullOutputStream.write(`\nProcess error: ${err.message}\n`);
       fullOutputStream.end();
+      trace.end({ error: err.message });
       const spawnError = new Error(`Failed to spawn Gemini CLI: ${err.message}`);
       spawnError.fullOutputPath = fullOutputPath;
       reject(spawnError);
@@ -545,6 +871,13 @@ async function runAgentProcess({
  * @param {number} [args.max_iterations=20] Safety limit
  * @param {number} [args.timeout_minutes=10] Timeout
  * @param {string} [args.model] Model to use
+ * @param {boolean} [args.background=false] Return immediately and run detached
+ * @param {string} [args.isolation='none'] 'worktree' to run in a temporary git worktree on a fresh branch
+ * @param {number} [args.max_tokens] Token budget
+ * @param {number} [args.max_cost_usd] Cost budget in USD
+ * @param {string} [args.verify_command] Command that must pass after the agent finishes
+ * @param {number} [args.max_verify_rounds=3] Maximum verify_command runs
+ * @param {boolean} [args.require_plan_approval=false] Write a plan first and wait for gemini_agent_approve
  * @param {Object} context Handler context
  * @returns {Promise<Object>} Tool response
  */
@@ -560,6 +893,13 @@ async function handleGeminiAgentTask(args, context) {
     max_iterations = 20,
     timeout_minutes = 10,
     model,
+    background = false,
+    isolation = 'none',
+    max_tokens,
+    max_cost_usd,
+    verify_command,
+    max_verify_rounds = 3,
+    require_plan_approval = false,
   } = args;
 
   // Validate required arguments
@@ -578,8 +918,33 @@ async function handleGeminiAgentTask(args, context) {
     );
   }
 
+  if (!['none', 'worktree'].includes(isolation)) {
+    return error(`Invalid isolation: ${isolation} (expected "none" or "worktree")`);
+  }
+  if (max_tokens !== undefined && !(Number.isInteger(max_tokens) && max_tokens > 0)) {
+    return error(`Invalid max_tokens: ${max_tokens} (expected a positive integer)`);
+  }
+  if (max_cost_usd !== undefined && !(typeof max_cost_usd === 'number' && max_cost_usd > 0)) {
+    return error(`Invalid max_cost_usd: ${max_cost_usd} (expected a positive number)`);
+  }
+  if (verify_command !== undefined) {
+    try {
+      parseCommandLine(verify_command);
+    } catch (err) {
+      return error(`Invalid verify_command: ${err.message}`);
+    }
+  }
+  if (!(Number.isInteger(max_verify_rounds) && max_verify_rounds >= 1 && max_verify_rounds <= MAX_VERIFY_ROUNDS)) {
+    return error(`Invalid max_verify_rounds: ${max_verify_rounds} (expected 1-${MAX_VERIFY_ROUNDS})`);
+  }
+
+  if (session_id && require_plan_approval) {
+    return error('require_plan_approval only applies to new tasks');
+  }
+
   const sessionManager = getAgentSessionManager();
   let session;
+  let policy;
 
   // Resume existing session or create new
   if (session_id) {
@@ -587,22 +952,65 @@ async function handleGeminiAgentTask(args, context) {
     if (!session) {
       return error(`Session not found: ${session_id}`);
     }
+    if (session.status === SessionStatus.AWAITING_APPROVAL) {
+      return error(`Session ${session_id} is waiting for plan approval - use gemini_agent_approve`);
+    }
+    if (sessionManager.getProcess(session_id) || session.status === SessionStatus.QUEUED) {
+      return error(`Session ${session_id} is still ${session.status} - poll it with gemini_agent_status or cancel it first`);
+    }
+    if (session.worktree && session.worktree.status !== WorktreeStatus.ACTIVE) {
+      return error(`Session ${session_id} worktree was already ${session.worktree.status} - start a new task instead`);
+    }
     if (!session.geminiSessionId) {
       return error(
         'Session has no Gemini session ID - cannot resume.\n' +
           'The previous session may not have started successfully.'
       );
     }
-    // Update session for resume
-    sessionManager.setStatus(session_id, SessionStatus.RUNNING);
+    try {
+      // Isolated sessions follow the policy of the repo they were started from
+      const { worktree } = session;
+      policy = loadAgentPolicy(worktree ? join(worktree.repoRoot, worktree.prefix) : session.workingDirectory);
+    } catch (err) {
+      return error(err.message);
+    }
+    if (verify_command) {
+      sessionManager.setVerification(session_id, verify_command, max_verify_rounds);
+    }
+    // Running again, with a fresh time and iteration budget
+    sessionManager.resumeSession(session_id);
   } else {
+    try {
+      policy = loadAgentPolicy(working_directory || process.cwd());
+    } catch (err) {
+      return error(err.message);
+    }
+
     session = sessionManager.createSession({
       taskDescription: task_description,
       workingDirectory: working_directory || process.cwd(),
       maxIterations: max_iterations,
       timeoutMinutes: timeout_minutes,
       model,
+      background,
+      isolation: isolation === 'worktree' ? 'worktree' : null,
+      maxTokens: max_tokens,
+      maxCostUsd: max_cost_usd,
+      authMethod: context.authMethod,
+      verifyCommand: verify_command,
+      maxVerifyRounds: max_verify_rounds,
+      contextFiles: context_files,
     });
+
+    if (require_plan_approval) {
+      return proposePlan({ session, sessionManager, context });
+    }
+
+    const workspaceError = await prepareWorkspace(session, sessionManager);
+    if (workspaceError) {
+      sessionManager.deleteSession(session.id);
+      return error(workspaceError);
+    }
   }
 
   // Build CLI arguments
@@ -622,40 +1030,231 @@ async function handleGeminiAgentTask(args, context) {
     cliArgs.push('--model', model);
   }
 
-  // Build prompt with context files if provided
-  let prompt = task_description;
+  const prompt = task_description + await readReferenceFiles(context_files, session.workingDirectory, context);
+
+  return startAgentRun({ cliArgs, prompt, session, sessionManager, context, policy, background });
+}
 
-  if (context_files.length > 0 && context.readFilesFromPatterns) {
+/**
+ * Set up where a new session's agent will write
+ * Isolated sessions get a worktree; others get a checkpoint of the working
+ * tree so the whole session can be rolled back (resumed runs keep it).
+ * @param {Object} session - Session object
+ * @param {Object} sessionManager - AgentSessionManager instance
+ * @returns {Promise<string|null>} Error message when the session cannot run
+ */
+async function prepareWorkspace(session, sessionManager) {
+  if (session.isolation === 'worktree') {
+    // The caller's tree is never touched, so discarding the worktree replaces rollback
     try {
-      const files = await context.readFilesFromPatterns(
-        context_files,
-        session.workingDirectory
-      );
-      if (files.length > 0) {
-        prompt += '\n\n## Reference Files:\n';
-        for (const file of files) {
-          prompt += `\n### ${file.path}\n\`\`\`\n${file.content}\n\`\`\`\n`;
-        }
-      }
+      sessionManager.setWorktree(session.id, await createWorktree(session.id, session.workingDirectory));
     } catch (err) {
-      console.error('[Agent] Failed to read context files:', err.message);
-      // Continue without context files
+      return `Cannot create worktree: ${err.message}`;
     }
+    sessionManager.setCheckpoint(session.id, null, 'Runs in an isolated worktree - discard it with gemini_agent_merge');
+    return null;
+  }
+
+  try {
+    const checkpoint = await createCheckpoint(session.id, session.workingDirectory);
+    sessionManager.setCheckpoint(session.id, checkpoint);
+  } catch (err) {
+    console.error('[Agent] Failed to create checkpoint:', err.message);
+    sessionManager.setCheckpoint(session.id, null, `Checkpoint failed: ${err.message}`);
   }
+  return null;
+}
 
-  // Execute agent
-  sessionManager.setStatus(session.id, SessionStatus.RUNNING);
+/**
+ * Render reference files for a prompt
+ * @param {string[]} patterns - Glob patterns
+ * @param {string} workingDirectory - Directory the patterns are relative to
+ * @param {Object} context - Handler context
+ * @returns {Promise<string>} "## Reference Files" section, or '' without files
+ */
+async function readReferenceFiles(patterns, workingDirectory, context) {
+  if (patterns.length === 0 || !context.readFilesFromPatterns) return '';
 
   try {
-    const result = await runAgentProcess({
-      args: cliArgs,
-      prompt,
+    const files = await context.readFilesFromPatterns(patterns, workingDirectory);
+    if (files.length === 0) return '';
+
+    let section = '\n\n## Reference Files:\n';
+    for (const file of files) {
+      section += `\n### ${file.path}\n\`\`\`\n${file.content}\n\`\`\`\n`;
+    }
+    return section;
+  } catch (err) {
+    console.error('[Agent] Failed to read context files:', err.message);
+    // Continue without context files
+    return '';
+  }
+}
+
+/**
+ * Start the agent for a session, blocking or in the background
+ * @param {Object} options - Run options (see executeAgentSession)
+ * @param {boolean} options.background - Return right away and run detached
+ * @returns {Promise<Object>} MCP tool response
+ */
+async function startAgentRun({ cliArgs, prompt, session, sessionManager, context, policy, background }) {
+  // Waits behind the parallelism limit and any run in the same directory
+  const ticket = sessionManager.queueRun(session.id);
+
+  const run = executeAgentSession({
+    cliArgs,
+    prompt,
+    session,
+    sessionManager,
+    context,
+    // Progress notifications only make sense while the MCP call is open
+    onProgress: background ? undefined : context.sendProgress,
+    policy,
+    ticket,
+  });
+
+  if (!background) {
+    return run;
+  }
+
+  run.catch((err) => console.error(`[Agent] Background session ${session.id} crashed:`, err.message));
+
+  return success(
+    [
+      ticket.started ? '## Agent Task Started (background)' : '## Agent Task Queued (background)',
+      '',
+      `**Session ID:** \`${session.id}\``,
+      ...(ticket.started ? [] : [`**Queue position:** ${formatQueuePosition(sessionManager.getQueueInfo(session.id))}`]),
+      `**Limits:** ${session.maxIterations} iterations, ${Math.round(session.timeoutMs / 60000)} minutes`
+        + (session.maxTokens ? `, ${session.maxTokens.toLocaleString()} tokens` : '')
+        + (session.maxCostUsd ? `, $${session.maxCostUsd} budget` : ''),
+      ...(session.worktree ? [`**Worktree:** \`${session.worktree.path}\` (branch \`${session.worktree.branch}\`)`] : []),
+      '',
+      `Poll progress: \`gemini_agent_status({ session_id: "${session.id}" })\``,
+      `Cancel: \`gemini_agent_cancel({ session_id: "${session.id}" })\``,
+    ].join('\n')
+  );
+}
+
+/**
+ * Have Gemini write a step plan (no tools) and park the session until it is approved
+ * @param {Object} options
+ * @param {Object} options.session - New session
+ * @param {Object} options.sessionManager - AgentSessionManager instance
+ * @param {Object} options.context - Handler context (needs runGeminiCli)
+ * @returns {Promise<Object>} MCP tool response with the plan
+ */
+async function proposePlan({ session, sessionManager, context }) {
+  if (!context.runGeminiCli) {
+    sessionManager.deleteSession(session.id);
+    return error('Plan approval is not available in this context');
+  }
+
+  const referenceFiles = await readReferenceFiles(session.contextFiles, session.workingDirectory, context);
+  let plan;
+  try {
+    const result = await context.runGeminiCli(
+      buildPlanPrompt(session.taskDescription, { workingDirectory: session.workingDirectory, referenceFiles }),
+      {
+        model: session.model,
+        toolName: 'gemini_eval_plan', // Planning is a complex task - uses the best model
+        workDir: session.workingDirectory,
+        enableExtensions: false, // Plan only - no tools
+        useCache: false,
+      }
+    );
+    plan = parsePlan(typeof result === 'string' ? result : result?.response || '');
+  } catch (err) {
+    sessionManager.setError(session.id, `Planning failed: ${err.message}`);
+    return error(`Planning failed: ${err.message}\n\nSession: \`${session.id}\``);
+  }
+
+  sessionManager.setPlan(session.id, plan);
+
+  return success(
+    [
+      '## Agent Plan (awaiting approval)',
+      '',
+      `**Session ID:** \`${session.id}\``,
+      ...(plan.summary ? ['', plan.summary] : []),
+      '',
+      ...formatPlanSteps(plan),
+      ...(plan.risks.length > 0 ? ['', '### Risks:', ...plan.risks.map((risk) => `- ${risk}`)] : []),
+      '',
+      `Approve: \`gemini_agent_approve({ session_id: "${session.id}" })\``,
+      `Approve an edited plan: \`gemini_agent_approve({ session_id: "${session.id}", plan: { steps: [...] } })\``,
+      `Second opinion: \`gemini_eval_plan({ plan: "..." })\``,
+      `Discard: \`gemini_agent_clear({ session_id: "${session.id}" })\``,
+    ].join('\n')
+  );
+}
+
+/**
+ * Format plan steps as a numbered list with their files and commands
+ * @param {Object} plan - Plan from parsePlan()
+ * @returns {string[]} Markdown lines
+ */
+function formatPlanSteps(plan) {
+  const lines = ['### Steps:'];
+  plan.steps.forEach((step, i) => {
+    lines.push(`${i + 1}. ${step.description}`);
+    if (step.files.length > 0) {
+      lines.push(`   - Files: ${step.files.map((file) => `\`${file}\``).join(', ')}`);
+    }
+    if (step.commands.length > 0) {
+      lines.push(`   - Commands: ${step.commands.map((command) => `\`${command}\``).join(', ')}`);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Describe a queued session's place in the queue
+ * @param {Object|null} queue - Queue info from AgentSessionManager.getQueueInfo()
+ * @returns {string} e.g. "2 of 3 (2/2 agents running)"
+ */
+function formatQueuePosition(queue) {
+  if (!queue) return 'starting';
+  const reason = queue.waitingForDirectory
+    ? 'waiting for another agent in the same directory'
+    : `${queue.running}/${queue.maxParallel} agents running`;
+  return `${queue.position} of ${queue.waiting} (${reason})`;
+}
+
+/**
+ * Run the agent process for a session and record the outcome
+ * Used directly for blocking calls and detached for background tasks.
+ * Waits for the session's queue ticket first and frees the slot when done.
+ * @param {Object} options Execution options
+ * @param {Object} options.ticket - Queue ticket from AgentSessionManager.queueRun()
+ * @returns {Promise<Object>} MCP tool response (never rejects)
+ */
+async function executeAgentSession({ cliArgs, prompt, session, sessionManager, context, onProgress, policy, ticket }) {
+  try {
+    if (!ticket.started) {
+      onProgress?.(`Queued at position ${formatQueuePosition(sessionManager.getQueueInfo(session.id))}`);
+      await ticket.ready;
+      onProgress?.('Dequeued - starting agent');
+    }
+
+    const runOptions = {
       session,
       sessionManager,
       context,
       workingDirectory: session.workingDirectory,
       timeoutMs: session.timeoutMs,
-    });
+      onProgress,
+      policy,
+    };
+    let result = await runAgentProcess({ args: cliArgs, prompt, ...runOptions });
+
+    if (session.verification) {
+      result = await runVerifyLoop(result, cliArgs, runOptions);
+    }
+
+    await recordWorktreeChanges(session, sessionManager);
+    await sealSessionCheckpoint(session, sessionManager);
+    const diffText = await recordSessionDiff(session, sessionManager, result.fullOutputPath);
 
     // Mark session as completed
     sessionManager.setResult(session.id, result.textOutput);
@@ -665,25 +1264,468 @@ async function handleGeminiAgentTask(args, context) {
       fullOutputPath: result.fullOutputPath,
       fullOutputSize: result.fullOutputSize,
       truncated: result.truncated,
+      diffText,
     });
 
     // Log if output was truncated
     if (result.truncated) {
-      console.log(
+      console.error(
         `[Agent] Output truncated for MCP response. Full output: ${result.fullOutputPath} (${(result.fullOutputSize / 1024).toFixed(1)}KB)`
       );
     }
 
     return success(formattedResult.text);
   } catch (err) {
-    // Mark session as failed
+    // Mark session as failed (no-op if it was cancelled)
     sessionManager.setError(session.id, err.message);
+    await recordWorktreeChanges(session, sessionManager);
+    await sealSessionCheckpoint(session, sessionManager);
+    await recordSessionDiff(session, sessionManager, err.fullOutputPath);
 
     const summary = sessionManager.getSummary(session.id);
     return error(formatAgentError(summary, err));
+  } finally {
+    sessionManager.finishRun(session.id);
+  }
+}
+
+/**
+ * Run the session's verify command and resume the agent with the failing
+ * output until the command passes or the verification rounds run out
+ * Each resumed agent run gets its own max_iterations / timeout_minutes budget,
+ * so the rounds do not eat into the budget of the run they verify.
+ * @param {Object} result - Result of the agent run that just finished
+ * @param {string[]} cliArgs - CLI arguments of that run
+ * @param {Object} runOptions - Options shared by every runAgentProcess call
+ * @returns {Promise<Object>} Result of the last agent run, with the text of every run
+ * @throws {Error} When the command still fails after the last round
+ */
+async function runVerifyLoop(result, cliArgs, runOptions) {
+  const { session, sessionManager, onProgress = () => {} } = runOptions;
+  const { command, maxRounds } = session.verification;
+  const firstRound = session.verification.rounds.length + 1;
+  const outputs = [result.textOutput];
+  let last;
+
+  for (let round = firstRound; round < firstRound + maxRounds; round++) {
+    onProgress(`Verify round ${round}: running \`${command}\``);
+    last = await runVerifyCommand(command, session.workingDirectory);
+    sessionManager.recordVerifyRound(session.id, {
+      round,
+      passed: last.passed,
+      exitCode: last.exitCode,
+      durationMs: last.durationMs,
+      output: last.output.slice(-VERIFY_STORED_MAX),
+    });
+    onProgress(`Verify round ${round}: ${last.passed ? 'passed' : 'failed'}`);
+
+    if (sessionManager.getSession(session.id)?.status === SessionStatus.CANCELLED) {
+      const cancelError = new Error('Agent task cancelled');
+      cancelError.cancelled = true;
+      cancelError.fullOutputPath = result.fullOutputPath;
+      throw cancelError;
+    }
+    // Another agent run cannot help when the command itself cannot start
+    if (last.passed || last.notFound || round === firstRound + maxRounds - 1 || !session.geminiSessionId) {
+      break;
+    }
+
+    sessionManager.resetLimits(session.id);
+    result = await runAgentProcess({
+      ...runOptions,
+      args: [...withoutResume(cliArgs), '--resume', session.geminiSessionId],
+      prompt: [
+        `The verification command \`${command}\` failed (${last.exitCode === null ? 'it did not finish' : `exit code ${last.exitCode}`}) after your changes.`,
+        'Fix the problems so that it passes. Do not change the command or weaken the checks.',
+        '',
+        `Output (last ${VERIFY_FEEDBACK_MAX} characters):`,
+        '```',
+        last.output.slice(-VERIFY_FEEDBACK_MAX).trim(),
+        '```',
+      ].join('\n'),
+    });
+    outputs.push(`### After verify round ${round}\n\n${result.textOutput}`);
+  }
+
+  if (!last.passed) {
+    const rounds = session.verification.rounds.length - firstRound + 1;
+    const verifyError = new Error(`Verification failed after ${rounds} round(s): \`${command}\``);
+    verifyError.fullOutputPath = result.fullOutputPath;
+    verifyError.fullOutputSize = result.fullOutputSize;
+    throw verifyError;
+  }
+
+  return { ...result, textOutput: outputs.filter(Boolean).join('\n\n') };
+}
+
+/**
+ * Run a verify command without a shell
+ * @param {string} command - Command line (see parseCommandLine)
+ * @param {string} cwd - Working directory
+ * @returns {Promise<{passed: boolean, exitCode: number|null, output: string, durationMs: number, notFound?: boolean}>}
+ */
+async function runVerifyCommand(command, cwd) {
+  const [cmd, ...cmdArgs] = parseCommandLine(command);
+  const startedAt = Date.now();
+
+  try {
+    const { stdout, stderr, code } = await safeSpawnWithTimeout(spawn, cmd, cmdArgs, { cwd }, TIMEOUTS.EXTENDED);
+    return {
+      passed: code === 0,
+      exitCode: code,
+      output: [stdout, stderr].filter(Boolean).join('\n'),
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (err) {
+    // Timed out, or the command could not be started
+    return {
+      passed: false,
+      exitCode: null,
+      output: err.code === 'ENOENT' ? `Command not found: ${cmd}` : err.message,
+      durationMs: Date.now() - startedAt,
+      notFound: err.code === 'ENOENT',
+    };
   }
 }
 
+/**
+ * Drop an existing `--resume <id>` pair from CLI arguments
+ * @param {string[]} cliArgs - CLI arguments
+ * @returns {string[]} Arguments without --resume
+ */
+function withoutResume(cliArgs) {
+  const index = cliArgs.indexOf('--resume');
+  return index === -1 ? cliArgs : [...cliArgs.slice(0, index), ...cliArgs.slice(index + 2)];
+}
+
+/**
+ * Commit an isolated session's changes to its worktree branch and record the diff summary
+ * Partial work from failed or cancelled runs is committed too so it can still be applied.
+ * @param {Object} session - Session object
+ * @param {Object} sessionManager - AgentSessionManager instance
+ */
+async function recordWorktreeChanges(session, sessionManager) {
+  if (!session.worktree) return;
+
+  try {
+    const firstLine = session.taskDescription.split('\n')[0].slice(0, 72);
+    const diffSummary = await commitWorktree(session.worktree, `hybrid agent: ${firstLine}`);
+    sessionManager.updateWorktree(session.id, { diffSummary });
+  } catch (err) {
+    console.error(`[Agent] Failed to commit worktree for ${session.id}:`, err.message);
+  }
+}
+
+/**
+ * Record the end-of-run tree on the session's checkpoint, so a later rollback
+ * only reverts what this run changed
+ * @param {Object} session - Session object
+ * @param {Object} sessionManager - AgentSessionManager instance
+ */
+async function sealSessionCheckpoint(session, sessionManager) {
+  if (!session.checkpoint || session.rolledBackAt) return;
+
+  try {
+    sessionManager.setCheckpoint(session.id, await sealCheckpoint(session.checkpoint));
+  } catch (err) {
+    console.error(`[Agent] Failed to seal checkpoint for ${session.id}:`, err.message);
+  }
+}
+
+/**
+ * Diff everything the session changed and save the patch next to its full output
+ * Uses the worktree branch for isolated sessions and the pre-task checkpoint
+ * otherwise, so changes made through shell commands are included.
+ * @param {Object} session - Session object
+ * @param {Object} sessionManager - AgentSessionManager instance
+ * @param {string} [fullOutputPath] - Full output file of this run
+ * @returns {Promise<string|null>} Combined patch, or null when no baseline exists
+ */
+async function recordSessionDiff(session, sessionManager, fullOutputPath) {
+  let patch;
+  try {
+    if (session.worktree?.status === WorktreeStatus.ACTIVE) {
+      patch = await diffWorktree(session.worktree);
+    } else if (session.checkpoint && !session.rolledBackAt) {
+      patch = await diffCheckpoint(session.checkpoint);
+    } else {
+      return null;
+    }
+
+    const patchPath = fullOutputPath
+      ? fullOutputPath.replace(/-full\.txt$/, '.patch')
+      : join(getOutputDir(), `agent-task-${session.id}-${Date.now()}.patch`);
+    await writeFile(patchPath, patch, 'utf-8');
+
+    sessionManager.setDiff(session.id, {
+      patchPath,
+      files: parseUnifiedPatch(patch).map(({ patch: _filePatch, ...file }) => file),
+    });
+    return patch;
+  } catch (err) {
+    console.error(`[Agent] Failed to diff session ${session.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Find the latest saved patch of a session
+ * Falls back to scanning the outputs directory for sessions no longer in memory.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string|null>} Patch path
+ */
+async function findSessionPatch(sessionId) {
+  const session = getAgentSessionManager().getSession(sessionId);
+  if (session?.diff) return session.diff.patchPath;
+
+  const prefix = `agent-task-${sessionId}-`;
+  const files = await readdir(getOutputDir()).catch(() => []);
+  const patches = files.filter((f) => f.startsWith(prefix) && f.endsWith('.patch')).sort();
+  return patches.length > 0 ? join(getOutputDir(), patches[patches.length - 1]) : null;
+}
+
+/**
+ * Handle gemini_agent_diff tool - unified diff of a past session's changes
+ * @param {Object} args Tool arguments
+ * @param {string} args.session_id Session ID
+ * @param {string} [args.file] Only return the diff of this file
+ */
+async function handleGeminiAgentDiff(args) {
+  const { session_id, file } = args;
+  const validationError = validateRequired(args, ['session_id']);
+  if (validationError) {
+    return error(validationError);
+  }
+
+  const patchPath = await findSessionPatch(session_id);
+  if (!patchPath) {
+    return error(`No diff recorded for session ${session_id}`);
+  }
+
+  let patch;
+  try {
+    patch = await readFile(patchPath, 'utf-8');
+  } catch (err) {
+    return error(`Cannot read patch ${patchPath}: ${err.message}`);
+  }
+
+  let files = parseUnifiedPatch(patch);
+  if (file) {
+    files = files.filter((f) => f.path === file || f.path.endsWith(`/${file}`));
+    if (files.length === 0) {
+      return error(`Session ${session_id} did not change ${file}`);
+    }
+  }
+
+  if (files.length === 0) {
+    return success(`Session ${session_id} made no file changes.\n\n**Patch:** \`${patchPath}\``);
+  }
+
+  const lines = [`## Agent Session Diff: \`${session_id}\``, ''];
+  for (const f of files) {
+    const counts = f.binary ? 'binary' : `+${f.added} -${f.removed}`;
+    lines.push(`- \`${f.path}\` (${f.status}, ${counts})`);
+  }
+  lines.push(`**Patch:** \`${patchPath}\``, '');
+
+  // The patch is already on disk - truncate instead of saving another copy
+  let diffText = files.map((f) => f.patch).join('');
+  const limit = OUTPUT_LIMITS.MCP_SOFT_LIMIT - 2000;
+  if (diffText.length > limit) {
+    diffText = diffText.slice(0, limit) + `\n[... diff truncated - full patch: ${patchPath} ...]\n`;
+  }
+  lines.push('```diff', diffText.trimEnd(), '```');
+
+  return success(lines.join('\n'));
+}
+
+/**
+ * Handle gemini_agent_status tool - poll a (background) agent session
+ * Returns output produced since `cursor` plus the cursor for the next poll.
+ */
+async function handleGeminiAgentStatus(args) {
+  const { session_id, cursor = 0 } = args;
+  const validationError = validateRequired(args, ['session_id']);
+  if (validationError) {
+    return error(validationError);
+  }
+
+  const sessionManager = getAgentSessionManager();
+  const summary = sessionManager.getSummary(session_id);
+  if (!summary) {
+    return error(`Session not found: ${session_id}`);
+  }
+
+  const output = sessionManager.getOutputSince(session_id, cursor);
+  const filesTouched = [...summary.files.created, ...summary.files.modified, ...summary.files.deleted];
+
+  const lines = [
+    `## Agent Session: \`${summary.id}\``,
+    '',
+    `- **Status:** ${summary.status}`,
+    ...(summary.queue ? [`- **Queue position:** ${formatQueuePosition(summary.queue)}`] : []),
+    `- **Duration:** ${summary.durationFormatted}`,
+    `- **Iteration:** ${summary.iterations}/${summary.maxIterations}`,
+    `- **Files touched:** ${filesTouched.length}`,
+  ];
+  for (const file of filesTouched) {
+    lines.push(`  - \`${file}\``);
+  }
+  if (summary.worktree) {
+    lines.push(`- **Worktree:** \`${summary.worktree.branch}\` (${summary.worktree.status})`);
+  }
+  if (summary.tokens.total > 0) {
+    lines.push(`- **Tokens:** ${summary.tokens.total.toLocaleString()}`);
+  }
+  if (summary.budget.maxCostUsd) {
+    lines.push(`- **Cost:** $${summary.budget.costUsd.toFixed(4)} of $${summary.budget.maxCostUsd.toFixed(4)}`);
+  }
+  for (const warning of summary.budget.warnings) {
+    lines.push(`- **Budget warning:** ${warning}`);
+  }
+  if (summary.verification) {
+    const { command, rounds, passed } = summary.verification;
+    lines.push(`- **Verification:** \`${command}\` - ${rounds.length === 0 ? 'not run yet' : `round ${rounds.length} ${passed ? 'passed' : 'failed'}`}`);
+  }
+  if (summary.planDeviations.length > 0) {
+    lines.push(`- **Off-plan actions:** ${summary.planDeviations.length}`);
+  }
+  if (summary.error) {
+    lines.push(`- **Error:** ${summary.error}`);
+  }
+  lines.push('');
+
+  lines.push(`### Output since cursor ${cursor}:`);
+  if (output.skipped > 0) {
+    lines.push(`[... ${output.skipped} characters no longer buffered ...]`);
+  }
+  lines.push(output.text.trim() ? output.text.trimEnd() : '_(no new output)_');
+  lines.push('');
+  lines.push(`**Next cursor:** ${output.cursor}`);
+
+  if (summary.status === SessionStatus.AWAITING_APPROVAL) {
+    lines.push(`Waiting for plan approval: \`gemini_agent_approve({ session_id: "${summary.id}" })\``);
+  } else if (!sessionManager.isFinished(session_id)) {
+    lines.push(`Poll again with \`gemini_agent_status({ session_id: "${summary.id}", cursor: ${output.cursor} })\``);
+  } else if (summary.status === SessionStatus.INTERRUPTED && summary.resumeCommand) {
+    lines.push(`Resume with \`gemini_agent_task({ session_id: "${summary.id}", task_description: "..." })\``);
+  } else if (summary.status === SessionStatus.COMPLETED && summary.resumeCommand) {
+    lines.push(`Continue with \`gemini_agent_task({ session_id: "${summary.id}", task_description: "..." })\``);
+  }
+
+  return success(lines.join('\n'));
+}
+
+/**
+ * Handle gemini_agent_approve tool - run a session whose plan is awaiting approval
+ * An edited plan replaces the proposed one; the agent is told to follow it
+ * and tool calls outside it are flagged as deviations.
+ * @param {Object} args Tool arguments
+ * @param {string} args.session_id Session created with require_plan_approval
+ * @param {Object|string} [args.plan] Edited plan (object or JSON string)
+ * @param {Object} context Handler context
+ */
+async function handleGeminiAgentApprove(args, context) {
+  const { session_id, plan: editedPlan } = args;
+  const validationError = validateRequired(args, ['session_id']);
+  if (validationError) {
+    return error(validationError);
+  }
+
+  if (process.env.GEMINI_AGENT_MODE !== 'true') {
+    return error('Agent mode is disabled for security. To enable, set GEMINI_AGENT_MODE=true in your .env file.');
+  }
+
+  const sessionManager = getAgentSessionManager();
+  const session = sessionManager.getSession(session_id);
+  if (!session) {
+    return error(`Session not found: ${session_id}`);
+  }
+  if (session.status !== SessionStatus.AWAITING_APPROVAL) {
+    return error(`Session ${session_id} is not waiting for plan approval (status: ${session.status})`);
+  }
+
+  let plan = null;
+  if (editedPlan !== undefined) {
+    try {
+      plan = parsePlan(editedPlan);
+    } catch (err) {
+      return error(`Invalid plan: ${err.message}`);
+    }
+  }
+
+  let policy;
+  try {
+    policy = loadAgentPolicy(session.workingDirectory);
+  } catch (err) {
+    return error(err.message);
+  }
+
+  // Stays awaiting approval when the workspace cannot be set up, so it can be retried
+  const workspaceError = await prepareWorkspace(session, sessionManager);
+  if (workspaceError) {
+    return error(workspaceError);
+  }
+  sessionManager.approvePlan(session_id, plan);
+
+  const cliArgs = ['--yolo', '--output-format', 'stream-json'];
+  if (session.model) {
+    cliArgs.push('--model', session.model);
+  }
+
+  const prompt = [
+    session.taskDescription,
+    '',
+    '## Approved Plan',
+    'Follow this plan. Only write the files and run the commands it lists.',
+    '',
+    ...formatPlanSteps(session.plan),
+  ].join('\n') + await readReferenceFiles(session.contextFiles, session.workingDirectory, context);
+
+  return startAgentRun({
+    cliArgs,
+    prompt,
+    session,
+    sessionManager,
+    context,
+    policy,
+    background: session.background,
+  });
+}
+
+/**
+ * Handle gemini_agent_cancel tool - stop a running agent session
+ * Sends SIGTERM (SIGKILL after a grace period); partial output and changes are kept.
+ */
+async function handleGeminiAgentCancel(args) {
+  const { session_id } = args;
+  const validationError = validateRequired(args, ['session_id']);
+  if (validationError) {
+    return error(validationError);
+  }
+
+  const sessionManager = getAgentSessionManager();
+  const result = sessionManager.cancel(session_id);
+
+  if (!result.cancelled) {
+    return error(`Cannot cancel ${session_id}: ${result.reason}`);
+  }
+
+  const summary = sessionManager.getSummary(session_id);
+  const lines = [
+    `Session ${session_id} cancelled after ${summary.iterations} iterations.`,
+  ];
+  const touched = [...summary.files.created, ...summary.files.modified];
+  if (touched.length > 0) {
+    lines.push('', 'Partial changes (review carefully):');
+    for (const file of touched) {
+      lines.push(`- \`${file}\``);
+    }
+  }
+
+  return success(lines.join('\n'));
+}
+
 /**
  * Handle gemini_agent_list tool - list active agent sessions
  */
@@ -702,7 +1744,10 @@ async function handleGeminiAgentList(args) {
 
   for (const session of sessions) {
     lines.push(`### Session: \`${session.id}\``);
-    lines.push(`- **Status:** ${session.status}`);
+    lines.push(`- **Status:** ${session.status}${session.background ? ' (background)' : ''}`);
+    if (session.queue) {
+      lines.push(`- **Queue position:** ${formatQueuePosition(session.queue)}`);
+    }
     lines.push(`- **Duration:** ${session.durationFormatted}`);
     lines.push(`- **Iterations:** ${session.iterations}/${session.maxIterations}`);
     if (session.files.created.length + session.files.modified.length > 0) {
@@ -710,6 +1755,28 @@ async function handleGeminiAgentList(args) {
         `- **Files touched:** ${session.files.created.length + session.files.modified.length}`
       );
     }
+    if (session.policyViolation) {
+      lines.push(`- **Policy violation:** ${session.policyViolation.reason}`);
+    }
+    if (session.status === SessionStatus.AWAITING_APPROVAL) {
+      lines.push(`- **Approve:** \`gemini_agent_approve({ session_id: "${session.id}" })\``);
+    }
+    if (session.planDeviations.length > 0) {
+      lines.push(`- **Off-plan actions:** ${session.planDeviations.length}`);
+    }
+    if (session.status === SessionStatus.INTERRUPTED) {
+      lines.push(session.resumeCommand
+        ? `- **Resume:** \`gemini_agent_task({ session_id: "${session.id}", task_description: "..." })\``
+        : '- **Resume:** unavailable - no Gemini session ID was recorded');
+    }
+    if (session.worktree) {
+      lines.push(`- **Worktree:** \`${session.worktree.branch}\` (${session.worktree.status})`);
+    }
+    if (session.rollback.available) {
+      lines.push(`- **Rollback:** available (${session.checkpoint.type} checkpoint)`);
+    } else {
+      lines.push(`- **Rollback:** unavailable - ${session.rollback.reason}`);
+    }
     lines.push('');
   }
 
@@ -727,7 +1794,19 @@ async function handleGeminiAgentClear(args) {
   }
 
   const sessionManager = getAgentSessionManager();
+  if (sessionManager.getProcess(session_id) || sessionManager.getSession(session_id)?.status === SessionStatus.QUEUED) {
+    return error(`Session ${session_id} is still ${sessionManager.getSession(session_id).status} - cancel it with gemini_agent_cancel first`);
+  }
+  const { checkpoint, worktree } = sessionManager.getSession(session_id) || {};
   const deleted = sessionManager.deleteSession(session_id);
+  if (checkpoint) {
+    await discardCheckpoint(checkpoint);
+  }
+  if (worktree?.status === WorktreeStatus.ACTIVE) {
+    await discardWorktree(worktree).catch((err) => {
+      console.error(`[Agent] Failed to remove worktree ${worktree.path}:`, err.message);
+    });
+  }
 
   if (deleted) {
     return success(`Session ${session_id} deleted.`);
@@ -736,10 +1815,142 @@ async function handleGeminiAgentClear(args) {
   }
 }
 
+/**
+ * Handle gemini_agent_rollback tool - restore the pre-task checkpoint
+ * Reverts every file the session changed, including through shell commands,
+ * and removes files it created. Files edited again after the run are kept
+ * and listed as conflicts.
+ */
+async function handleGeminiAgentRollback(args) {
+  const { session_id } = args;
+  const validationError = validateRequired(args, ['session_id']);
+  if (validationError) {
+    return error(validationError);
+  }
+
+  const sessionManager = getAgentSessionManager();
+  const session = sessionManager.getSession(session_id);
+  if (!session) {
+    return error(`Session not found: ${session_id}`);
+  }
+
+  const rollback = sessionManager.getRollbackStatus(session_id);
+  if (!rollback.available) {
+    return error(`Cannot roll back ${session_id}: ${rollback.reason}`);
+  }
+
+  let result;
+  try {
+    result = await rollbackCheckpoint(session.checkpoint);
+  } catch (err) {
+    return error(`Rollback failed for ${session_id}: ${err.message}`);
+  }
+  sessionManager.markRolledBack(session_id);
+
+  const lines = [
+    `Session ${session_id} rolled back to its ${session.checkpoint.type} checkpoint.`,
+  ];
+  if (result.restored.length > 0) {
+    lines.push('', '### Files Restored:');
+    for (const file of result.restored) {
+      lines.push(`- \`${file}\``);
+    }
+  }
+  if (result.deleted.length > 0) {
+    lines.push('', '### Files Removed:');
+    for (const file of result.deleted) {
+      lines.push(`- \`${file}\``);
+    }
+  }
+  if (result.conflicts.length > 0) {
+    lines.push('', '### Conflicts (changed after the run, left as they are):');
+    for (const file of result.conflicts) {
+      lines.push(`- \`${file}\``);
+    }
+  }
+  if (result.restored.length + result.deleted.length + result.conflicts.length === 0) {
+    lines.push('', 'No files had changed since the checkpoint.');
+  }
+
+  return success(lines.join('\n'));
+}
+
+/**
+ * Handle gemini_agent_merge tool - apply or discard an isolated session's worktree
+ * "apply" brings the branch's changes into the original working tree as uncommitted
+ * edits; both actions remove the worktree and its branch.
+ */
+async function handleGeminiAgentMerge(args) {
+  const { session_id, action } = args;
+  const validationError = validateRequired(args, ['session_id', 'action']);
+  if (validationError) {
+    return error(validationError);
+  }
+  if (!['apply', 'discard'].includes(action)) {
+    return error(`Invalid action: ${action} (expected "apply" or "discard")`);
+  }
+
+  const sessionManager = getAgentSessionManager();
+  const session = sessionManager.getSession(session_id);
+  if (!session) {
+    return error(`Session not found: ${session_id}`);
+  }
+  if (!session.worktree) {
+    return error(`Session ${session_id} did not run in a worktree (use isolation: "worktree")`);
+  }
+  if (session.worktree.status !== WorktreeStatus.ACTIVE) {
+    return error(`Session ${session_id} worktree was already ${session.worktree.status}`);
+  }
+  if (sessionManager.getProcess(session_id)) {
+    return error(`Session ${session_id} is still running - wait for it or cancel it first`);
+  }
+
+  const { branch, repoRoot } = session.worktree;
+
+  if (action === 'discard') {
+    try {
+      await discardWorktree(session.worktree);
+    } catch (err) {
+      return error(`Failed to discard worktree for ${session_id}: ${err.message}`);
+    }
+    sessionManager.updateWorktree(session_id, { status: WorktreeStatus.DISCARDED });
+    return success(`Discarded worktree and branch \`${branch}\` for session ${session_id}.`);
+  }
+
+  let applied;
+  try {
+    applied = await applyWorktree(session.worktree);
+  } catch (err) {
+    return error(`Failed to apply worktree for ${session_id}: ${err.message}`);
+  }
+  sessionManager.updateWorktree(session_id, { status: WorktreeStatus.APPLIED });
+
+  const lines = [
+    `Applied branch \`${branch}\` to \`${repoRoot}\` as uncommitted changes; worktree removed.`,
+  ];
+  if (applied.files.length > 0) {
+    lines.push('', '### Files Changed:');
+    for (const file of applied.files) {
+      lines.push(`- \`${file}\``);
+    }
+  } else {
+    lines.push('', 'The session made no changes.');
+  }
+  lines.push('', '**Review changes with:** `git diff` or `git status`');
+
+  return success(lines.join('\n'));
+}
+
 export const handlers = {
   gemini_agent_task: handleGeminiAgentTask,
   gemini_agent_list: handleGeminiAgentList,
   gemini_agent_clear: handleGeminiAgentClear,
+  gemini_agent_status: handleGeminiAgentStatus,
+  gemini_agent_cancel: handleGeminiAgentCancel,
+  gemini_agent_rollback: handleGeminiAgentRollback,
+  gemini_agent_merge: handleGeminiAgentMerge,
+  gemini_agent_diff: handleGeminiAgentDiff,
+  gemini_agent_approve: handleGeminiAgentApprove,
 };
 
 export default handlers;
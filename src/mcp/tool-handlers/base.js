@@ -232,14 +232,17 @@ export function withHandler(handlerFn, toolName) {
  * @property {Function} sanitizeGlobPatterns - Glob pattern sanitization
  * @property {Function} isWriteAllowed - File write validation
  * @property {Function} safeSpawn - Safe process spawn
+ * @property {Function} [spawn] - Process spawn implementation (child_process.spawn)
+ * @property {Function} [sendProgress] - MCP progress reporter (see createProgressReporter)
  */
 
 /**
  * Get the output directory for saving large tool results
+ * Override with HYBRID_OUTPUTS_DIR
  * @returns {string} Path to output directory
  */
-function getOutputDir() {
-  const baseDir = join(homedir(), '.claude', 'gemini-worker-outputs');
+export function getOutputDir() {
+  const baseDir = process.env.HYBRID_OUTPUTS_DIR || join(homedir(), '.claude', 'gemini-worker-outputs');
   if (!existsSync(baseDir)) {
     mkdirSync(baseDir, { recursive: true });
   }
@@ -517,6 +520,33 @@ export function processLargeOutput(output, options = {}) {
   };
 }
 
+/**
+ * Create a reporter for MCP progress notifications
+ * Returns a no-op when the client did not request progress (no progressToken).
+ * The progress counter increases with every notification, as MCP requires.
+ * @param {string|number|undefined} progressToken - Token from request params._meta
+ * @param {Function|undefined} sendNotification - Notification sender from the request handler
+ * @returns {Function} report(message, { total }?) - Fire-and-forget progress update
+ */
+export function createProgressReporter(progressToken, sendNotification) {
+  if (progressToken === undefined || progressToken === null || typeof sendNotification !== 'function') {
+    return () => {};
+  }
+
+  let progress = 0;
+  return (message, options = {}) => {
+    progress++;
+    const params = { progressToken, progress, message };
+    if (options.total !== undefined) {
+      params.total = options.total;
+    }
+
+    Promise.resolve()
+      .then(() => sendNotification({ method: 'notifications/progress', params }))
+      .catch((err) => console.error('[Progress] Failed to send notification:', err.message));
+  };
+}
+
 export default {
   success,
   error,
@@ -533,4 +563,6 @@ export default {
   estimateTokens,
   tokensToChars,
   exceedsTokenLimit,
+  getOutputDir,
+  createProgressReporter,
 };
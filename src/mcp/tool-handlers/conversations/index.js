@@ -2,11 +2,40 @@
  * Conversation Tool Handlers
  *
  * Handlers: gemini_start_conversation, gemini_continue_conversation,
- *           gemini_list_conversations, gemini_clear_conversation, gemini_conversation_stats
+ *           gemini_fork_conversation, gemini_list_conversations,
+ *           gemini_clear_conversation, gemini_conversation_stats,
+ *           gemini_export_conversation, gemini_import_conversation
  */
 
 import { success, error } from '../base.js';
 
+/** Model that writes compaction summaries - summarizing does not need Pro-level reasoning */
+const COMPACTION_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Fold older turns into a rolling summary once the conversation crosses
+ * the compaction threshold. Failures are logged and the turn continues
+ * with the full history.
+ * @param {Object} conversationManager ConversationManager instance
+ * @param {string} conversationId Conversation to compact
+ * @param {function(string, Object): Promise<string>} runGeminiCli Returns Gemini's response text
+ * @returns {Promise<Object|null>} Compaction record, null when nothing was compacted
+ */
+export async function compactIfNeeded(conversationManager, conversationId, runGeminiCli) {
+  try {
+    const record = await conversationManager.maybeCompact(conversationId, (prompt) =>
+      runGeminiCli(prompt, { model: COMPACTION_MODEL })
+    );
+    if (record) {
+      console.error(`[Conversations] Compacted ${record.messagesCompacted} messages in ${conversationId} (saved ~${record.tokensSaved} tokens)`);
+    }
+    return record;
+  } catch (err) {
+    console.error(`[Conversations] Compaction failed for ${conversationId}:`, err.message);
+    return null;
+  }
+}
+
 /**
  * Start a new conversation
  */
@@ -61,6 +90,9 @@ async function handleGeminiContinueConversation(args, context) {
   }
 
   try {
+    // Summarize older turns before the history grows past the threshold
+    const compaction = await compactIfNeeded(conversationManager, conversation_id, runGeminiCli);
+
     // Add user message
     conversationManager.addMessage(conversation_id, MessageRole.USER, message);
 
@@ -71,11 +103,11 @@ async function handleGeminiContinueConversation(args, context) {
     const geminiResponse = await runGeminiCli(contextPrompt, { model: conversation.model });
 
     // Add assistant response
-    conversationManager.addMessage(conversation_id, MessageRole.ASSISTANT, geminiResponse);
+    const reply = conversationManager.addMessage(conversation_id, MessageRole.ASSISTANT, geminiResponse);
 
     const stats = conversationManager.getConversationStats(conversation_id);
 
-    return success(`[${conversation.title} - Turn ${stats.stats.userMessages}]\n\n${geminiResponse}\n\n---\n_Tokens: ~${stats.stats.estimatedTokens} | Messages: ${stats.stats.messageCount}_`);
+    return success(`[${conversation.title} - Turn ${stats.stats.userMessages}]\n\n${geminiResponse}\n\n---\n_Tokens: ~${stats.stats.estimatedTokens} | Messages: ${stats.stats.messageCount} | Message ID: ${reply.id}${compaction ? ` | Compacted ${compaction.messagesCompacted} earlier messages (saved ~${compaction.tokensSaved} tokens)` : ''}_`);
   } catch (err) {
     return error(`Failed to continue conversation: ${err.message}`);
   }
@@ -96,17 +128,59 @@ async function handleGeminiListConversations(args, context) {
   }
 
   let output = `# Conversations (${result.total} total)\n\n`;
-  for (const conv of result.conversations) {
-    const stateEmoji = conv.state === 'active' ? '🟢' : conv.state === 'completed' ? '✅' : '⏸️';
-    output += `${stateEmoji} **${conv.title}**\n`;
-    output += `   ID: \`${conv.id}\`\n`;
-    output += `   Model: ${conv.model} | Messages: ${conv.messageCount}\n`;
-    output += `   Updated: ${conv.updatedAt}\n\n`;
+  for (const root of conversationManager.buildForkTree(result.conversations)) {
+    output += renderForkTreeNode(root, 0);
   }
 
   return success(output);
 }
 
+/**
+ * Render a conversation and its forks, nested by depth
+ */
+function renderForkTreeNode(conv, depth) {
+  const indent = '   '.repeat(depth);
+  const branch = depth > 0 ? '↳ ' : '';
+  const stateEmoji = conv.state === 'active' ? '🟢' : conv.state === 'completed' ? '✅' : '⏸️';
+  let output = `${indent}${branch}${stateEmoji} **${conv.title}**\n`;
+  output += `${indent}   ID: \`${conv.id}\`\n`;
+  output += `${indent}   Model: ${conv.model} | Messages: ${conv.messageCount}\n`;
+  if (conv.parentId) {
+    output += `${indent}   Forked from: \`${conv.parentId}\` at message \`${conv.forkedFromMessageId}\`\n`;
+  }
+  output += `${indent}   Updated: ${conv.updatedAt}\n\n`;
+  return output + conv.children.map(child => renderForkTreeNode(child, depth + 1)).join('');
+}
+
+/**
+ * Fork a conversation into a new branch
+ */
+async function handleGeminiForkConversation(args, context) {
+  const { conversation_id, message_id, title } = args;
+  const { getConversationManager } = context;
+
+  const conversationManager = getConversationManager();
+
+  if (!conversationManager.getConversation(conversation_id)) {
+    return error(`Conversation ${conversation_id} not found`);
+  }
+
+  try {
+    const fork = conversationManager.forkConversation(conversation_id, { messageId: message_id, title });
+
+    return success(`Conversation forked!
+- ID: ${fork.id}
+- Title: ${fork.title}
+- Parent: ${fork.parentId}
+- Forked at message: ${fork.forkedFromMessageId || '(empty history)'}
+- Messages copied: ${fork.messageCount}
+
+Use gemini_continue_conversation with the new ID to explore this branch.`);
+  } catch (err) {
+    return error(`Failed to fork conversation: ${err.message}`);
+  }
+}
+
 /**
  * Clear a conversation
  */
@@ -143,16 +217,22 @@ async function handleGeminiConversationStats(args, context) {
 
 **ID:** ${stats.id}
 **State:** ${stats.state}
-**Model:** ${stats.model}
+**Model:** ${stats.model}${stats.parentId ? `
+**Forked from:** ${stats.lineage.map(p => `${p.title} (\`${p.id}\`)`).join(' ← ') || stats.parentId} at message \`${stats.forkedFromMessageId}\`` : ''}
 
 ## Usage
 - Messages: ${stats.stats.messageCount}
 - User messages: ${stats.stats.userMessages}
 - Assistant messages: ${stats.stats.assistantMessages}
+- Messages held (not compacted): ${stats.stats.heldMessages}
 - Estimated tokens: ${stats.stats.estimatedTokens}
 - Token usage: ${stats.tokenUsagePercent.toFixed(1)}%
 - Message usage: ${stats.messageUsagePercent.toFixed(1)}%
 
+## Compaction
+- Compactions: ${stats.compaction.count}
+- Tokens saved: ~${stats.compaction.tokensSaved}${stats.compaction.history.map(c => `\n- ${c.timestamp}: ${c.messagesCompacted} messages, ${c.tokensBefore} → ${c.tokensAfter} tokens`).join('')}
+
 ## Timestamps
 - Created: ${stats.metadata.createdAt}
 - Updated: ${stats.metadata.updatedAt}`);
@@ -166,23 +246,100 @@ async function handleGeminiConversationStats(args, context) {
 - Active conversations: ${globalStats.activeConversations}
 - Total messages: ${globalStats.totalMessages}
 - Estimated total tokens: ${globalStats.totalTokensEstimated}
+- Compactions: ${globalStats.totalCompactions} (saved ~${globalStats.totalTokensSaved} tokens)
 
 ## Limits
 - Max messages per conversation: ${globalStats.config.maxMessages}
 - Max tokens per conversation: ${globalStats.config.maxTotalTokens}
+- Compaction threshold: ${globalStats.config.compaction ? `${globalStats.config.compactionThreshold} tokens (keeps last ${globalStats.config.compactionKeepRecentTurns} turns)` : 'disabled'}
 - Conversation expiration: ${globalStats.config.expirationMs / 1000 / 60 / 60}h`);
   }
 }
 
+/**
+ * Export a conversation (json, markdown or html), inline or to a file
+ */
+async function handleGeminiExportConversation(args, context) {
+  const { conversation_id, format = 'json', output_path } = args;
+  const { getConversationManager, sanitizePath, isWriteAllowed, writeFile } = context;
+
+  const conversationManager = getConversationManager();
+
+  let exported;
+  try {
+    exported = conversationManager.exportConversation(conversation_id, format);
+  } catch (err) {
+    return error(err.message);
+  }
+
+  if (exported === null) {
+    return error(`Conversation ${conversation_id} not found.`);
+  }
+
+  if (!output_path) {
+    return success(exported);
+  }
+
+  const safeOutputPath = sanitizePath(output_path);
+  const writeCheck = isWriteAllowed(output_path);
+  if (!safeOutputPath || !writeCheck.allowed) {
+    return error(`Cannot write export to ${output_path}: ${writeCheck.reason || 'Invalid path'}`);
+  }
+
+  await writeFile(safeOutputPath, exported, 'utf-8');
+  return success(`Exported conversation ${conversation_id} (${format}) to ${safeOutputPath}`);
+}
+
+/**
+ * Import a conversation from exported JSON (inline or from a file)
+ */
+async function handleGeminiImportConversation(args, context) {
+  const { data, file_path } = args;
+  const { getConversationManager, sanitizePath, readFile } = context;
+
+  if (!data && !file_path) {
+    return error('Provide either data or file_path.');
+  }
+
+  const conversationManager = getConversationManager();
+
+  try {
+    let content = data;
+    if (!content) {
+      const safeFilePath = sanitizePath(file_path);
+      if (!safeFilePath) {
+        return error(`Invalid file path: ${file_path}`);
+      }
+      content = await readFile(safeFilePath, 'utf-8');
+    }
+
+    const newId = conversationManager.importConversation(content);
+    const conversation = conversationManager.getConversation(newId);
+
+    return success(`Conversation imported!
+- ID: ${newId}
+- Title: ${conversation.title}
+- Messages: ${conversation.messages.length}
+- State: ${conversation.state}
+
+Use gemini_continue_conversation with this ID to pick up where it left off.`);
+  } catch (err) {
+    return error(`Import failed: ${err.message}`);
+  }
+}
+
 /**
  * Export handlers map
  */
 export const handlers = {
   gemini_start_conversation: handleGeminiStartConversation,
   gemini_continue_conversation: handleGeminiContinueConversation,
+  gemini_fork_conversation: handleGeminiForkConversation,
   gemini_list_conversations: handleGeminiListConversations,
   gemini_clear_conversation: handleGeminiClearConversation,
   gemini_conversation_stats: handleGeminiConversationStats,
+  gemini_export_conversation: handleGeminiExportConversation,
+  gemini_import_conversation: handleGeminiImportConversation,
 };
 
 export default handlers;
@@ -10,10 +10,10 @@
  * - code: draft_code_implementation, review_code_changes, gemini_code_review, gemini_git_diff_review
  * - collaboration: ai_collaboration, cross_model_comparison
  * - openrouter: openrouter_chat, openrouter_models, openrouter_usage_stats
- * - conversations: gemini_start_conversation, gemini_continue_conversation, gemini_list_conversations, gemini_clear_conversation, gemini_conversation_stats
+ * - conversations: gemini_start_conversation, gemini_continue_conversation, gemini_fork_conversation, gemini_list_conversations, gemini_clear_conversation, gemini_conversation_stats, gemini_export_conversation, gemini_import_conversation
  * - content: gemini_content_comparison, gemini_extract_structured, gemini_summarize_files
  * - system: hybrid_metrics, gemini_config_show, gemini_cache_manage
- * - agent: gemini_agent_task, gemini_agent_list, gemini_agent_clear
+ * - agent: gemini_agent_task, gemini_agent_list, gemini_agent_clear, gemini_agent_status, gemini_agent_cancel, gemini_agent_rollback, gemini_agent_merge, gemini_agent_diff, gemini_agent_approve
  *
  * Each handler is an async function with signature:
  *   async function handler(args, context) => { content: [...], isError?: boolean }
@@ -39,7 +39,7 @@ import { handlers as systemHandlers } from './system/index.js';
 import { handlers as agentHandlers } from './agent/index.js';
 
 /**
- * Combined handler map for all tools (30 total)
+ * Combined handler map for all tools (39 total)
  */
 export const toolHandlers = {
   ...coreHandlers,           // 3 tools
@@ -47,10 +47,10 @@ export const toolHandlers = {
   ...codeHandlers,           // 4 tools
   ...collaborationHandlers,  // 2 tools
   ...openrouterHandlers,     // 3 tools
-  ...conversationHandlers,   // 5 tools
+  ...conversationHandlers,   // 8 tools
   ...contentHandlers,        // 3 tools
   ...systemHandlers,         // 3 tools
-  ...agentHandlers,          // 3 tools
+  ...agentHandlers,          // 9 tools
 };
 
 /**
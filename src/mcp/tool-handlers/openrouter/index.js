@@ -4,7 +4,9 @@
  * Handlers: openrouter_chat, openrouter_models, openrouter_usage_stats
  */
 
-import { success, error, fetchWithTimeout } from '../base.js';
+import { success, error } from '../base.js';
+import { OpenRouterClient } from '../../../services/openrouter-client.js';
+import { wrapOpenRouterClient } from '../../../services/replay.js';
 
 /**
  * Chat with OpenRouter models
@@ -13,39 +15,15 @@ async function handleOpenrouterChat(args, context) {
   const { prompt, model = 'openai/gpt-4.1-nano', temperature = 0.7, max_tokens = 4096 } = args;
   const { openrouterStats } = context;
 
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  if (!apiKey) {
+  // Wrapped so HYBRID_REPLAY records/replays the call like the other model calls
+  const client = wrapOpenRouterClient(new OpenRouterClient());
+  if (!client.isConfigured()) {
     return error('OpenRouter API key not configured. Set OPENROUTER_API_KEY environment variable.\nGet your key at: https://openrouter.ai/keys');
   }
 
   try {
-    const response = await fetchWithTimeout(
-      'https://openrouter.ai/api/v1/chat/completions',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/hybrid-cli-agent',
-          'X-Title': 'Hybrid CLI Agent',
-        },
-        body: JSON.stringify({
-          model,
-          messages: [{ role: 'user', content: prompt }],
-          temperature,
-          max_tokens,
-        }),
-      },
-      60000
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      return error(`OpenRouter error: ${errorText}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content || 'No response';
+    const data = await client.chat({ model, prompt, temperature, maxTokens: max_tokens, timeoutMs: 60000 });
+    const content = data.content || 'No response';
 
     // Track usage stats
     if (data.usage && openrouterStats) {
@@ -68,7 +46,7 @@ async function handleOpenrouterChat(args, context) {
 
     return success(`[${model}]\n\n${content}`);
   } catch (err) {
-    if (err.name === 'AbortError') {
+    if (/timed out/.test(err.message)) {
       return error('OpenRouter request timed out after 60 seconds');
     }
     return error(`OpenRouter error: ${err.message}`);
@@ -4,7 +4,7 @@
  * Manages the Claude (Supervisor) ↔ Gemini (Worker) relationship.
  * 
  * Key patterns:
- * 1. Task Classification - Route to cheapest capable model
+ * 1. Task Classification - Route to cheapest capable model (see routing-policy.js)
  * 2. Context Arbitrage - Gemini reads, Claude thinks
  * 3. Supervisor Loop - Claude reviews Gemini's output
  * 4. Cost Optimization - Track and minimize spend
@@ -16,14 +16,28 @@ import { join } from 'path';
 import { EventEmitter } from 'events';
 import { ClaudeCodeAdapter } from '../adapters/claude-code.js';
 import { GeminiCliAdapter } from '../adapters/gemini-cli.js';
-
-// Task complexity classification
-const TaskComplexity = {
-  TRIVIAL: 'trivial',      // Simple questions → Gemini Flash
-  STANDARD: 'standard',    // Normal tasks → Gemini Pro  
-  COMPLEX: 'complex',      // Reasoning-heavy → Claude Sonnet
-  CRITICAL: 'critical',    // Production code → Claude + Review
-};
+import { OpenRouterAdapter } from '../adapters/openrouter.js';
+import { LocalModelAdapter } from '../adapters/local-model.js';
+import { wrapAdapter } from '../services/replay.js';
+import {
+  loadRoutingPolicy,
+  classifyTaskType,
+  classifyComplexity,
+  estimateInputTokens,
+  selectRoute,
+  escalateRoute,
+  getAdapterForModel,
+} from '../services/routing-policy.js';
+import { RouteStats, getRouteStatsPath } from '../services/route-stats.js';
+import { applyCorrectedFiles, buildReviewPrompt, parseReviewVerdict, formatIssue } from '../services/review-verdict.js';
+import { ConfigError, SessionError } from '../utils/errors.js';
+import {
+  DEFAULT_MAX_NODES,
+  buildDecompositionPrompt,
+  parseTaskGraph,
+  getSinkNodes,
+  buildNodePrompt,
+} from '../services/task-graph.js';
 
 // Task type classification
 const TaskType = {
@@ -36,121 +50,153 @@ const TaskType = {
   ARCHITECTURE: 'architecture',     // Design decisions
 };
 
+// Machine-readable session state at the end of the context file
+const CONTEXT_STATE_VERSION = 1;
+const CONTEXT_STATE_PATTERN = /<!-- hybrid-state[^\n]*\n([\s\S]*?)\n-->/;
+
 export class Orchestrator extends EventEmitter {
   constructor(options = {}) {
     super();
     this.workDir = options.workDir || process.cwd();
     this.contextFile = options.contextFile || 'HYBRID_CONTEXT.md';
 
-    // Initialize adapters (allow injection for testing)
-    this.claude = options.claudeAdapter || new ClaudeCodeAdapter(options.claude || {});
-    this.gemini = options.geminiAdapter || new GeminiCliAdapter(options.gemini || {});
+    // Initialize adapters (allow injection for testing; HYBRID_REPLAY wraps the defaults)
+    this.claude = options.claudeAdapter || wrapAdapter(new ClaudeCodeAdapter(options.claude || {}));
+    this.gemini = options.geminiAdapter || wrapAdapter(new GeminiCliAdapter(options.gemini || {}));
+    this.openrouter = options.openrouterAdapter || wrapAdapter(new OpenRouterAdapter(options.openrouter || {}));
+    this.local = options.localAdapter || wrapAdapter(new LocalModelAdapter(options.local || {}));
     
     // Session tracking
     this.sessions = new Map();
+    this.restoredSessionId = null;
+    this.contextWrite = Promise.resolve();
     this.costTracker = {
       claude: { inputTokens: 0, outputTokens: 0, cost: 0 },
       gemini: { inputTokens: 0, outputTokens: 0, cost: 0 },
+      openrouter: { inputTokens: 0, outputTokens: 0, cost: 0 },
+      local: { inputTokens: 0, outputTokens: 0, cost: 0 },
     };
     
+    // Routing rules (.hybrid/routing-policy.json or the built-in defaults)
+    this.routingPolicy = options.routingPolicy || loadRoutingPolicy(this.workDir);
+
+    // Per-route outcomes for adaptive routing (pass routeStats: null to disable)
+    this.routeStats = options.routeStats !== undefined
+      ? options.routeStats
+      : new RouteStats({ path: getRouteStatsPath(this.workDir) });
+
     // Orchestration config
     this.config = {
-      // Thresholds for routing decisions
-      complexityThreshold: {
-        trivial: 100,    // < 100 tokens input → trivial
-        standard: 5000,  // < 5000 tokens → standard
-        complex: 50000,  // < 50000 tokens → complex (still Gemini)
-        // > 50000 → critical, needs review
-      },
-      // When to have Claude review Gemini's work
-      requiresReview: [TaskType.DRAFT_CODE, TaskType.FIX_BUG, TaskType.REFACTOR],
+      // Input size thresholds for complexity (shared with the routing policy)
+      complexityThreshold: this.routingPolicy.complexity.thresholds,
       // Maximum retries for correction loop
       maxCorrectionRetries: 3,
+      // Task graphs (execute with decompose): most subtasks and subtasks run at once
+      maxGraphNodes: DEFAULT_MAX_NODES,
+      maxGraphParallel: 3,
     };
   }
 
+  /**
+   * Get an adapter by name
+   * @throws {ConfigError} If no adapter has that name
+   */
+  getAdapter(name) {
+    const adapters = { claude: this.claude, gemini: this.gemini, openrouter: this.openrouter, local: this.local };
+    if (!adapters[name]) {
+      throw new ConfigError(`Unknown adapter "${name}" (expected ${Object.keys(adapters).join(', ')})`, 'adapter');
+    }
+    return adapters[name];
+  }
+
   /**
    * Classify task complexity based on input characteristics
    */
-  classifyComplexity(task, inputLength) {
-    // Explicit complexity hints in task
-    if (task.match(/\b(simple|quick|brief)\b/i)) return TaskComplexity.TRIVIAL;
-    if (task.match(/\b(complex|critical|production|careful)\b/i)) return TaskComplexity.CRITICAL;
-    
-    // Based on input size
-    const { complexityThreshold } = this.config;
-    if (inputLength < complexityThreshold.trivial) return TaskComplexity.TRIVIAL;
-    if (inputLength < complexityThreshold.standard) return TaskComplexity.STANDARD;
-    if (inputLength < complexityThreshold.complex) return TaskComplexity.COMPLEX;
-    return TaskComplexity.CRITICAL;
+  classifyComplexity(task, inputTokens) {
+    return classifyComplexity(this.routingPolicy, task, inputTokens).complexity;
   }
 
   /**
    * Classify task type based on keywords
    */
   classifyTaskType(task) {
-    const lower = task.toLowerCase();
-    
-    if (lower.match(/\b(read|analyze|understand|explain|summarize|find)\b/)) {
-      return TaskType.READ_ANALYZE;
-    }
-    if (lower.match(/\b(write|create|implement|build|generate)\b/)) {
-      return TaskType.DRAFT_CODE;
-    }
-    if (lower.match(/\b(review|check|audit|inspect)\b/)) {
-      return TaskType.REVIEW_CODE;
-    }
-    if (lower.match(/\b(fix|debug|resolve|repair)\b/)) {
-      return TaskType.FIX_BUG;
-    }
-    if (lower.match(/\b(refactor|restructure|clean|improve)\b/)) {
-      return TaskType.REFACTOR;
-    }
-    if (lower.match(/\b(design|architect|plan|structure)\b/)) {
-      return TaskType.ARCHITECTURE;
-    }
-    
-    return TaskType.QUESTION;
+    return classifyTaskType(this.routingPolicy, task).taskType;
   }
 
   /**
    * Select the best model for a task
+   * The policy's route is escalated when its recorded first-pass approval
+   * rate for this task class is too low (see escalateRoute).
+   * @returns {{adapter: string, model: string, requiresReview: boolean, fallback: string[], rule: string,
+   *   escalated?: {from: string, reason: string}}}
    */
-  selectModel(taskType, complexity) {
-    // Read/analyze tasks → Always Gemini (context arbitrage)
-    if (taskType === TaskType.READ_ANALYZE) {
-      return complexity === TaskComplexity.TRIVIAL 
-        ? { adapter: 'gemini', model: 'gemini-2.5-flash' }
-        : { adapter: 'gemini', model: 'gemini-2.5-pro' };
-    }
+  selectModel(taskType, complexity, inputTokens = 0) {
+    const route = selectRoute(this.routingPolicy, { taskType, complexity, inputTokens });
+    if (!this.routeStats) return route;
+    return escalateRoute(this.routingPolicy, route, (model) => this.routeStats.get(taskType, complexity, model));
+  }
 
-    // Questions → Gemini unless critical
-    if (taskType === TaskType.QUESTION) {
-      return complexity === TaskComplexity.CRITICAL
-        ? { adapter: 'claude', model: 'claude-sonnet-4-5-20250514' }
-        : { adapter: 'gemini', model: 'gemini-2.5-pro' };
-    }
+  /**
+   * Apply a caller's forced adapter and/or model to a route
+   * A forced route has no fallbacks, and output of the reviewer's own adapter
+   * is not reviewed.
+   * @param {Object} route Route from selectModel
+   * @param {Object} options
+   * @param {string} [options.forceAdapter] Adapter name (default: derived from forceModel)
+   * @param {string} [options.forceModel] Model ID (default: the route's model when the
+   *   adapter is unchanged, else the adapter's default model)
+   * @returns {Object} Route
+   * @private
+   */
+  forceRoute(route, { forceAdapter, forceModel } = {}) {
+    if (!forceAdapter && !forceModel) return route;
 
-    // Code tasks → Depends on complexity
-    if ([TaskType.DRAFT_CODE, TaskType.FIX_BUG, TaskType.REFACTOR].includes(taskType)) {
-      switch (complexity) {
-        case TaskComplexity.TRIVIAL:
-        case TaskComplexity.STANDARD:
-          return { adapter: 'gemini', model: 'gemini-2.5-pro', requiresReview: true };
-        case TaskComplexity.COMPLEX:
-          return { adapter: 'gemini', model: 'gemini-3-pro-preview', requiresReview: true };
-        case TaskComplexity.CRITICAL:
-          return { adapter: 'claude', model: 'claude-sonnet-4-5-20250514' };
-      }
-    }
+    const adapter = forceAdapter || getAdapterForModel(forceModel);
+    const forced = this.getAdapter(adapter); // fails fast on unknown names
+    const model = forceModel || (adapter === route.adapter ? route.model : forced.getDefaultModel());
+    return {
+      adapter,
+      model,
+      requiresReview: route.requiresReview && adapter !== this.routingPolicy.review.adapter,
+      fallback: [],
+      rule: `${route.rule} (forced)`,
+    };
+  }
 
-    // Architecture → Claude (needs reasoning)
-    if (taskType === TaskType.ARCHITECTURE) {
-      return { adapter: 'claude', model: 'claude-sonnet-4-5-20250514' };
-    }
+  /**
+   * Recorded outcomes per route
+   * @returns {Object[]} Route stats, most used first, with `escalation: {model, reason}` on
+   *   routes that adaptive routing currently escalates (empty when stats are disabled)
+   */
+  getRouteStats() {
+    if (!this.routeStats) return [];
+    return this.routeStats.list().map((stats) => {
+      const { taskType, complexity, adapter, model } = stats;
+      const route = escalateRoute(
+        this.routingPolicy,
+        { adapter, model, requiresReview: true, fallback: [] },
+        (candidate) => this.routeStats.get(taskType, complexity, candidate)
+      );
+      return route.escalated ? { ...stats, escalation: { model: route.model, reason: route.escalated.reason } } : stats;
+    });
+  }
 
-    // Default → Gemini Pro
-    return { adapter: 'gemini', model: 'gemini-2.5-pro' };
+  /**
+   * Record how a run (a session or a graph node) went for adaptive routing
+   * @private
+   */
+  recordOutcome(run, outcome) {
+    if (!this.routeStats) return;
+    const { review } = run;
+    this.routeStats.record({
+      taskType: run.taskType,
+      complexity: run.complexity,
+      reviewed: Boolean(review),
+      approvedFirstPass: review?.approved === true && review.attempts === 1,
+      corrections: review ? review.attempts - (review.approved ? 1 : 0) : 0,
+      latencyMs: Date.now() - Date.parse(run.startedAt),
+      ...outcome,
+    });
   }
 
   /**
@@ -158,17 +204,30 @@ export class Orchestrator extends EventEmitter {
    */
   async execute(task, options = {}) {
     const sessionId = options.sessionId || randomUUID();
-    const inputLength = task.length + (options.contextLength || 0);
+    if (options.decompose) {
+      return this.executeGraph(sessionId, task, options);
+    }
+
+    const inputTokens = estimateInputTokens(task, options.contextLength || 0);
     
     // Classify the task
     const taskType = this.classifyTaskType(task);
-    const complexity = this.classifyComplexity(task, inputLength);
-    const routing = this.selectModel(taskType, complexity);
+    const complexity = this.classifyComplexity(task, inputTokens);
+    const routing = this.forceRoute(this.selectModel(taskType, complexity, inputTokens), options);
     
     this.emit('progress', {
       stage: 'routing',
-      message: `Routing to ${routing.adapter}`,
-      details: { taskType, complexity, adapter: routing.adapter, model: routing.model }
+      message: routing.escalated
+        ? `Routing to ${routing.adapter} (escalated from ${routing.escalated.from})`
+        : `Routing to ${routing.adapter}`,
+      details: {
+        taskType,
+        complexity,
+        adapter: routing.adapter,
+        model: routing.model,
+        rule: routing.rule,
+        escalated: routing.escalated,
+      }
     });
     
     // Store session info
@@ -184,72 +243,268 @@ export class Orchestrator extends EventEmitter {
     });
 
     try {
-      let result;
+      let result = await this.runWorker(sessionId, options);
+
+      // Review loop if needed
+      if (routing.requiresReview && taskType !== TaskType.READ_ANALYZE) {
+        result = await this.reviewAndCorrect(sessionId, task, result, options);
+      }
+
+      return await this.finishSession(sessionId, result);
       
-      // Execute on selected adapter
-      const adapter = routing.adapter === 'claude' ? this.claude : this.gemini;
-      await adapter.spawn(sessionId, { model: routing.model, workDir: this.workDir });
+    } catch (error) {
+      const session = this.sessions.get(sessionId);
+      session.status = 'error';
+      session.error = error.message;
+      this.recordOutcome(session, { adapter: routing.adapter, model: routing.model, failed: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a session's task on its routed model (first step of a single-task session)
+   * The output is checkpointed so an interrupted run can resume with review.
+   * @private
+   * @returns {Promise<string>} Worker output
+   */
+  async runWorker(sessionId, options = {}) {
+    const session = this.sessions.get(sessionId);
+
+    // Execute on the selected adapter, then on the policy's fallbacks
+    const response = await this.executeWithFallback(sessionId, session.task, session.routing, options);
+    const result = response.text;
+
+    // Track costs
+    this.trackCost(response.adapter, response.metadata, response.model);
+
+    session.steps.push({
+      agent: response.adapter,
+      model: response.model,
+      input: session.task.slice(0, 200) + '...',
+      output: result.slice(0, 500) + '...',
+      tokens: response.metadata,
+    });
+    session.worker = { adapter: response.adapter, model: response.model };
+    session.output = result;
+    await this.checkpoint(sessionId);
 
+    return result;
+  }
+
+  /**
+   * Complete a single-task session and build its result for the CLI
+   * @private
+   */
+  async finishSession(sessionId, result) {
+    const session = this.sessions.get(sessionId);
+    session.status = 'complete';
+    session.result = result;
+    session.output = result;
+    session.completedAt = new Date().toISOString();
+    this.recordOutcome(session, {
+      adapter: session.worker.adapter,
+      model: session.worker.model,
+      cost: this.getSessionCost(sessionId),
+    });
+
+    this.emit('progress', {
+      stage: 'complete',
+      message: 'Task completed',
+      details: { stepsCount: session.steps.length }
+    });
+
+    // Persist context
+    await this.persistContext(sessionId);
+
+    // Return result with session summary for CLI display
+    return {
+      sessionId,
+      result,
+      routing: session.routing,
+      cost: this.getSessionCost(sessionId),
+      steps: session.steps,
+      summary: {
+        taskType: session.taskType,
+        complexity: session.complexity,
+        stepsCount: session.steps.length,
+        reviewIterations: session.steps.filter(s => s.type === 'review').length,
+        correctionIterations: session.steps.filter(s => s.type === 'correction').length,
+        modelsUsed: [...new Set(session.steps.map(s => s.model))],
+        approved: session.review?.approved === true,
+        issues: session.review?.issues || [],
+      }
+    };
+  }
+
+  /**
+   * Continue an interrupted session from the context file
+   * Single-task sessions pick up at their last checkpoint (the worker output
+   * or the last review round); graph sessions re-run the subtasks that had
+   * not finished, or re-plan when the graph was never written.
+   * @param {string} [sessionId] Session to resume (default: the context file's current session)
+   * @returns {Promise<Object>} Same result as execute()
+   * @throws {SessionError} If the session is unknown or not in progress
+   */
+  async resume(sessionId) {
+    await this.loadContext();
+    const id = sessionId || this.restoredSessionId;
+    const session = id ? this.sessions.get(id) : null;
+    if (!session) {
+      throw new SessionError(
+        id ? `Session ${id} not found in ${this.contextFile}` : `No session to resume in ${this.contextFile}`,
+        id
+      );
+    }
+    if (session.status !== 'running') {
+      throw new SessionError(`Session ${id} is ${session.status}, nothing to resume`, id, session.status);
+    }
+
+    session.resumedAt = new Date().toISOString();
+    this.emit('progress', {
+      stage: 'resume',
+      message: `Resuming session ${id}`,
+      details: { sessionId: id, taskType: session.taskType, steps: session.steps.length }
+    });
+
+    if (session.graph === null) {
+      return this.executeGraph(id, session.task);
+    }
+    if (session.graph) {
+      for (const node of session.graph.nodes.filter((n) => n.status === 'running')) {
+        node.status = 'pending';
+        delete node.review;
+      }
+      try {
+        await this.runGraphNodes(id, session.task, this.config.maxGraphParallel);
+        return await this.finishGraph(id);
+      } catch (error) {
+        session.status = 'error';
+        session.error = error.message;
+        throw error;
+      }
+    }
+
+    try {
+      let result = session.output ?? await this.runWorker(id);
+      if (session.routing.requiresReview && session.taskType !== TaskType.READ_ANALYZE && !session.review?.approved) {
+        result = await this.reviewAndCorrect(id, session.task, result);
+      }
+      return await this.finishSession(id, result);
+    } catch (error) {
+      session.status = 'error';
+      session.error = error.message;
+      this.recordOutcome(session, { adapter: session.routing.adapter, model: session.routing.model, failed: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a task to the routed model, trying the fallback models in order
+   * when a model fails
+   * @returns {Promise<Object>} Adapter response with the adapter and model that answered
+   */
+  async executeWithFallback(sessionId, task, routing, options = {}) {
+    const candidates = [
+      { adapter: routing.adapter, model: routing.model },
+      ...routing.fallback.map((model) => ({ adapter: getAdapterForModel(model), model })),
+    ];
+
+    let lastError;
+    for (const [i, { adapter: adapterName, model }] of candidates.entries()) {
+      if (i > 0) {
+        this.emit('progress', {
+          stage: 'fallback',
+          message: `${candidates[i - 1].model} failed, falling back to ${model}`,
+          details: { adapter: adapterName, model, error: lastError.message }
+        });
+      }
+
+      const adapter = this.getAdapter(adapterName);
+      try {
+        await adapter.spawn(sessionId, { model, workDir: this.workDir });
+
+        this.emit('progress', {
+          stage: 'executing',
+          message: `${adapterName} is working...`,
+          details: { adapter: adapterName, model }
+        });
+
+        const response = await adapter.sendAndWait(sessionId, task, options);
+        return { ...response, adapter: adapterName, model };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Execute a task as a graph of subtasks
+   * The planner model (routing policy "planner") splits the task; every node
+   * is routed through selectModel, nodes whose dependencies are complete run
+   * in parallel and receive their dependencies' results. A failed node skips
+   * everything that depends on it.
+   */
+  async executeGraph(sessionId, task, options = {}) {
+    const inputTokens = estimateInputTokens(task, options.contextLength || 0);
+    const taskType = this.classifyTaskType(task);
+    const complexity = this.classifyComplexity(task, inputTokens);
+    const planner = this.routingPolicy.planner;
+    const maxNodes = options.maxNodes || this.config.maxGraphNodes;
+
+    this.sessions.set(sessionId, {
+      id: sessionId,
+      task,
+      taskType,
+      complexity,
+      routing: planner,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      steps: [],
+      graph: null,
+    });
+    const session = this.sessions.get(sessionId);
+
+    try {
       this.emit('progress', {
-        stage: 'executing',
-        message: `${routing.adapter} is working...`,
-        details: { adapter: routing.adapter, model: routing.model }
+        stage: 'decompose',
+        message: `${planner.adapter} is splitting the task into subtasks...`,
+        details: { adapter: planner.adapter, model: planner.model }
       });
 
-      const response = await adapter.sendAndWait(sessionId, task, options);
-      result = response.text;
-      
-      // Track costs
-      this.trackCost(routing.adapter, response.metadata);
-      
-      // Update session
-      const session = this.sessions.get(sessionId);
+      const response = await this.executeWithFallback(
+        `${sessionId}-plan`,
+        buildDecompositionPrompt(task, { maxNodes }),
+        planner
+      );
+      this.trackCost(response.adapter, response.metadata, response.model);
       session.steps.push({
-        agent: routing.adapter,
-        model: routing.model,
+        agent: response.adapter,
+        model: response.model,
+        type: 'decompose',
         input: task.slice(0, 200) + '...',
-        output: result.slice(0, 500) + '...',
+        output: response.text.slice(0, 500) + '...',
         tokens: response.metadata,
       });
 
-      // Review loop if needed
-      if (routing.requiresReview && taskType !== TaskType.READ_ANALYZE) {
-        result = await this.reviewAndCorrect(sessionId, task, result, options);
-      }
-
-      session.status = 'complete';
-      session.result = result;
-      session.completedAt = new Date().toISOString();
+      const graph = parseTaskGraph(response.text, { maxNodes });
+      session.graph = {
+        summary: graph.summary,
+        nodes: graph.nodes.map((node) => ({ ...node, status: 'pending' })),
+      };
 
       this.emit('progress', {
-        stage: 'complete',
-        message: 'Task completed',
-        details: { stepsCount: session.steps.length }
+        stage: 'graph',
+        message: `Split into ${graph.nodes.length} subtasks`,
+        details: { summary: graph.summary, nodes: graph.nodes.map(({ id, dependsOn }) => ({ id, dependsOn })) }
       });
 
-      // Persist context
-      await this.persistContext(sessionId);
+      await this.checkpoint(sessionId);
+      await this.runGraphNodes(sessionId, task, options.maxParallel || this.config.maxGraphParallel);
+
+      return await this.finishGraph(sessionId);
 
-      // Return result with session summary for CLI display
-      return {
-        sessionId,
-        result,
-        routing,
-        cost: this.getSessionCost(sessionId),
-        steps: session.steps,
-        summary: {
-          taskType,
-          complexity,
-          stepsCount: session.steps.length,
-          reviewIterations: session.steps.filter(s => s.type === 'review').length,
-          correctionIterations: session.steps.filter(s => s.type === 'correction').length,
-          modelsUsed: [...new Set(session.steps.map(s => s.model))],
-          approved: session.steps.some(s => s.type === 'review' && s.output?.includes('APPROVED'))
-        }
-      };
-      
     } catch (error) {
-      const session = this.sessions.get(sessionId);
       session.status = 'error';
       session.error = error.message;
       throw error;
@@ -257,39 +512,188 @@ export class Orchestrator extends EventEmitter {
   }
 
   /**
-   * Have Claude review and potentially correct Gemini's output
+   * Complete a graph session and build its result for the CLI
+   * @private
    */
-  async reviewAndCorrect(sessionId, originalTask, geminiOutput, options = {}) {
+  async finishGraph(sessionId) {
     const session = this.sessions.get(sessionId);
-    let currentOutput = geminiOutput;
-    let attempts = 0;
-    
-    while (attempts < this.config.maxCorrectionRetries) {
-      attempts++;
-      
-      // Create review prompt for Claude
-      const reviewPrompt = `You are reviewing work done by a junior developer (Gemini).
 
-ORIGINAL TASK:
-${originalTask}
+    // Results of the nodes nothing depends on form the answer
+    const { nodes } = session.graph;
+    const sinks = getSinkNodes(nodes);
+    const done = sinks.filter((node) => node.status === 'complete');
+    const unfinished = nodes.filter((node) => node.status !== 'complete');
+    let result = sinks.length === 1 && done.length === 1
+      ? done[0].result
+      : done.map((node) => `## ${node.id}: ${node.task}\n\n${node.result}`).join('\n\n');
+    if (unfinished.length > 0) {
+      result += `\n\n## Not completed\n${unfinished.map((node) => `- ${node.id} (${node.status}): ${node.error}`).join('\n')}`;
+    }
+
+    session.status = unfinished.length === 0 ? 'complete' : 'partial';
+    session.result = result;
+    session.completedAt = new Date().toISOString();
+
+    this.emit('progress', {
+      stage: 'complete',
+      message: unfinished.length === 0 ? 'Task completed' : `Task completed with ${unfinished.length} unfinished subtasks`,
+      details: { stepsCount: session.steps.length, nodes: nodes.length, unfinished: unfinished.length }
+    });
+
+    await this.persistContext(sessionId);
+
+    const reviewed = nodes.filter((node) => node.review);
+    const count = (status) => nodes.filter((node) => node.status === status).length;
+    return {
+      sessionId,
+      result,
+      routing: session.routing,
+      graph: session.graph,
+      cost: this.getSessionCost(sessionId),
+      steps: session.steps,
+      summary: {
+        taskType: session.taskType,
+        complexity: session.complexity,
+        stepsCount: session.steps.length,
+        reviewIterations: session.steps.filter(s => s.type === 'review').length,
+        correctionIterations: session.steps.filter(s => s.type === 'correction').length,
+        modelsUsed: [...new Set(session.steps.map(s => s.model))],
+        approved: reviewed.length > 0 && reviewed.every((node) => node.review.approved),
+        issues: reviewed.flatMap((node) => node.review.issues.map((issue) => ({ ...issue, node: node.id }))),
+        nodes: { total: nodes.length, complete: count('complete'), failed: count('failed'), skipped: count('skipped') },
+      }
+    };
+  }
+
+  /**
+   * Run the nodes of a session's graph in dependency order
+   * @private
+   */
+  async runGraphNodes(sessionId, task, maxParallel) {
+    const { nodes } = this.sessions.get(sessionId).graph;
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const running = new Map();
+
+    while (true) {
+      // Nodes are in dependency order, so skips propagate in one pass
+      for (const node of nodes) {
+        if (node.status !== 'pending') continue;
+        const dependencies = node.dependsOn.map((id) => byId.get(id));
+
+        const blocked = dependencies.find((dep) => dep.status === 'failed' || dep.status === 'skipped');
+        if (blocked) {
+          node.status = 'skipped';
+          node.error = `${blocked.id} ${blocked.status}`;
+          this.emit('progress', {
+            stage: 'node-skipped',
+            message: `Skipping ${node.id} (${node.error})`,
+            details: { node: node.id, blockedBy: blocked.id }
+          });
+          continue;
+        }
+
+        if (running.size < maxParallel && dependencies.every((dep) => dep.status === 'complete')) {
+          running.set(node.id, this.runGraphNode(sessionId, task, node, dependencies).then(() => node.id));
+        }
+      }
+
+      if (running.size === 0) return;
+      running.delete(await Promise.race(running.values()));
+    }
+  }
+
+  /**
+   * Route, run and (if required) review one graph node
+   * Never throws; failures are stored on the node.
+   * @private
+   */
+  async runGraphNode(sessionId, task, node, dependencies) {
+    const session = this.sessions.get(sessionId);
+    const prompt = buildNodePrompt(task, node, dependencies);
+
+    node.status = 'running';
+    node.startedAt = new Date().toISOString();
+    node.taskType = this.classifyTaskType(node.task);
+    const inputTokens = estimateInputTokens(prompt);
+    node.complexity = this.classifyComplexity(node.task, inputTokens);
+    node.routing = this.selectModel(node.taskType, node.complexity, inputTokens);
+
+    this.emit('progress', {
+      stage: 'node-start',
+      message: `Subtask ${node.id} → ${node.routing.adapter}`,
+      details: {
+        node: node.id,
+        taskType: node.taskType,
+        complexity: node.complexity,
+        adapter: node.routing.adapter,
+        model: node.routing.model,
+        rule: node.routing.rule,
+      }
+    });
+
+    try {
+      const response = await this.executeWithFallback(`${sessionId}-${node.id}`, prompt, node.routing);
+      this.trackCost(response.adapter, response.metadata, response.model);
+      session.steps.push({
+        node: node.id,
+        agent: response.adapter,
+        model: response.model,
+        input: node.task.slice(0, 200) + '...',
+        output: response.text.slice(0, 500) + '...',
+        tokens: response.metadata,
+      });
 
-PROPOSED SOLUTION:
-${currentOutput}
+      let result = response.text;
+      if (node.routing.requiresReview && node.taskType !== TaskType.READ_ANALYZE) {
+        result = await this.reviewAndCorrect(sessionId, prompt, result, {}, node);
+      }
 
-Your job:
-1. Check for bugs, security issues, or logic errors
-2. Verify it meets the requirements
-3. Check code style and best practices
+      node.status = 'complete';
+      node.result = result;
+      node.completedAt = new Date().toISOString();
+      this.recordOutcome(node, {
+        adapter: response.adapter,
+        model: response.model,
+        cost: this.getStepsCost(session.steps.filter((step) => step.node === node.id)),
+      });
 
-If the solution is GOOD:
-- Respond with: APPROVED
-- Optionally add minor polish
+      this.emit('progress', {
+        stage: 'node-complete',
+        message: `Subtask ${node.id} completed`,
+        details: { node: node.id, model: response.model }
+      });
+    } catch (error) {
+      node.status = 'failed';
+      node.error = error.message;
+      this.recordOutcome(node, { adapter: node.routing.adapter, model: node.routing.model, failed: true });
 
-If the solution has ISSUES:
-- List the specific problems
-- Provide the CORRECTED version
+      this.emit('progress', {
+        stage: 'node-failed',
+        message: `Subtask ${node.id} failed: ${error.message}`,
+        details: { node: node.id, error: error.message }
+      });
+    }
+    await this.checkpoint(sessionId);
+  }
 
-Be concise. Focus on what matters.`;
+  /**
+   * Have Claude review and potentially correct Gemini's output
+   * @param {Object} [node] Graph node being reviewed; its steps are tagged and
+   *   the review outcome is stored on the node instead of the session
+   */
+  async reviewAndCorrect(sessionId, originalTask, geminiOutput, options = {}, node = null) {
+    const session = this.sessions.get(sessionId);
+    const runId = node ? `${sessionId}-${node.id}` : sessionId;
+    const outcomeTarget = node || session;
+    const { review: reviewer, correction: corrector } = this.routingPolicy;
+    let currentOutput = geminiOutput;
+    // A resumed session continues after its last recorded review
+    let attempts = outcomeTarget.review?.attempts || 0;
+    
+    while (attempts < this.config.maxCorrectionRetries) {
+      attempts++;
+      
+      const reviewPrompt = buildReviewPrompt(originalTask, currentOutput);
 
       // Get Claude's review
       this.emit('progress', {
@@ -298,76 +702,95 @@ Be concise. Focus on what matters.`;
         details: { attempt: attempts }
       });
 
-      await this.claude.spawn(`${sessionId}-review-${attempts}`, {
-        model: 'claude-sonnet-4-5-20250514',
+      const reviewAdapter = this.getAdapter(reviewer.adapter);
+      await reviewAdapter.spawn(`${runId}-review-${attempts}`, {
+        model: reviewer.model,
         workDir: this.workDir,
       });
 
-      const review = await this.claude.sendAndWait(`${sessionId}-review-${attempts}`, reviewPrompt);
-      this.trackCost('claude', review.metadata);
-      
+      const review = await reviewAdapter.sendAndWait(`${runId}-review-${attempts}`, reviewPrompt);
+      this.trackCost(reviewer.adapter, review.metadata, reviewer.model);
+      const verdict = parseReviewVerdict(review.text);
+
       session.steps.push({
-        agent: 'claude',
-        model: 'claude-sonnet-4-5-20250514',
+        ...(node && { node: node.id }),
+        agent: reviewer.adapter,
+        model: reviewer.model,
         type: 'review',
         attempt: attempts,
         input: `Review attempt ${attempts}`,
         output: review.text.slice(0, 500) + '...',
+        verdict: { status: verdict.status, source: verdict.source, issues: verdict.issues },
         tokens: review.metadata,
       });
+      outcomeTarget.review = {
+        attempts,
+        approved: verdict.approved,
+        status: verdict.status,
+        summary: verdict.summary,
+        issues: verdict.issues,
+      };
 
-      // Check if approved
-      if (review.text.includes('APPROVED')) {
+      if (verdict.approved) {
         this.emit('progress', {
           stage: 'review',
           message: 'Review approved',
-          details: { attempt: attempts, approved: true }
+          details: { attempt: attempts, approved: true, issues: verdict.issues.length }
         });
-        // Extract any polished version if provided
-        const polishedMatch = review.text.match(/APPROVED[\s\S]*?```[\w]*\n?([\s\S]*?)```/);
-        if (polishedMatch) {
-          return polishedMatch[1].trim();
+        // Use the polished files if the reviewer provided any; a block quoting
+        // code the output already has is an example, not a polished version
+        const quoted = verdict.correctedFiles.output !== undefined
+          && currentOutput.includes(verdict.correctedFiles.output.trim());
+        const approvedOutput = quoted
+          ? currentOutput
+          : applyCorrectedFiles(currentOutput, verdict.correctedFiles) ?? currentOutput;
+        if (!node) {
+          session.output = approvedOutput;
+          await this.checkpoint(sessionId);
         }
-        return currentOutput;
+        return approvedOutput;
       }
 
-      // Extract corrected version
       this.emit('progress', {
         stage: 'review',
         message: 'Corrections needed',
-        details: { attempt: attempts, approved: false }
+        details: { attempt: attempts, approved: false, issues: verdict.issues.length }
       });
-      const correctedMatch = review.text.match(/```[\w]*\n?([\s\S]*?)```/);
-      if (correctedMatch) {
-        currentOutput = correctedMatch[1].trim();
+      const correctedOutput = applyCorrectedFiles(currentOutput, verdict.correctedFiles);
+      if (correctedOutput !== null) {
+        currentOutput = correctedOutput;
       } else {
-        // No code block, Claude might have given text feedback
-        // Send back to Gemini for correction
+        // No corrected files, send the issues back to Gemini for correction
         this.emit('progress', {
           stage: 'correction',
           message: `Gemini correcting (attempt ${attempts})...`,
           details: { attempt: attempts }
         });
 
+        const feedback = verdict.source === 'json' && verdict.issues.length > 0
+          ? [verdict.summary, ...verdict.issues.map((issue) => `- ${formatIssue(issue)}`)].filter(Boolean).join('\n')
+          : review.text;
         const correctionPrompt = `The senior engineer reviewed your work and found issues:
 
-${review.text}
+${feedback}
 
 Original task: ${originalTask}
 
 Please provide a corrected version addressing ALL the feedback.`;
 
-        await this.gemini.spawn(`${sessionId}-correct-${attempts}`, {
-          model: 'gemini-2.5-pro',
+        const correctionAdapter = this.getAdapter(corrector.adapter);
+        await correctionAdapter.spawn(`${runId}-correct-${attempts}`, {
+          model: corrector.model,
           workDir: this.workDir,
         });
         
-        const correction = await this.gemini.sendAndWait(`${sessionId}-correct-${attempts}`, correctionPrompt);
-        this.trackCost('gemini', correction.metadata);
+        const correction = await correctionAdapter.sendAndWait(`${runId}-correct-${attempts}`, correctionPrompt);
+        this.trackCost(corrector.adapter, correction.metadata, corrector.model);
         
         session.steps.push({
-          agent: 'gemini',
-          model: 'gemini-2.5-pro',
+          ...(node && { node: node.id }),
+          agent: corrector.adapter,
+          model: corrector.model,
           type: 'correction',
           attempt: attempts,
           output: correction.text.slice(0, 500) + '...',
@@ -376,6 +799,11 @@ Please provide a corrected version addressing ALL the feedback.`;
         
         currentOutput = correction.text;
       }
+
+      if (!node) {
+        session.output = currentOutput;
+        await this.checkpoint(sessionId);
+      }
     }
 
     this.emit('progress', {
@@ -388,8 +816,11 @@ Please provide a corrected version addressing ALL the feedback.`;
 
   /**
    * Track costs for an adapter
+   * @param {string} adapterName Adapter that used the tokens
+   * @param {Object} [metadata] Token counts
+   * @param {string} [model] Model that used them (adapters price per model)
    */
-  trackCost(adapterName, metadata = {}) {
+  trackCost(adapterName, metadata = {}, model) {
     const tracker = this.costTracker[adapterName];
     if (!tracker) return;
     
@@ -397,10 +828,11 @@ Please provide a corrected version addressing ALL the feedback.`;
     tracker.outputTokens += metadata.outputTokens || 0;
     
     // Calculate cost
-    const adapter = adapterName === 'claude' ? this.claude : this.gemini;
+    const adapter = this.getAdapter(adapterName);
     tracker.cost += adapter.estimateCost(
       metadata.inputTokens || 0,
-      metadata.outputTokens || 0
+      metadata.outputTokens || 0,
+      model
     );
   }
 
@@ -410,10 +842,17 @@ Please provide a corrected version addressing ALL the feedback.`;
   getSessionCost(sessionId) {
     const session = this.sessions.get(sessionId);
     if (!session) return null;
-    
+    return this.getStepsCost(session.steps);
+  }
+
+  /**
+   * Get the estimated cost of session steps
+   * @private
+   */
+  getStepsCost(steps) {
     let cost = 0;
-    for (const step of session.steps) {
-      const adapter = step.agent === 'claude' ? this.claude : this.gemini;
+    for (const step of steps) {
+      const adapter = this.getAdapter(step.agent);
       cost += adapter.estimateCost(
         step.tokens?.inputTokens || 0,
         step.tokens?.outputTokens || 0,
@@ -430,7 +869,9 @@ Please provide a corrected version addressing ALL the feedback.`;
     return {
       claude: { ...this.costTracker.claude },
       gemini: { ...this.costTracker.gemini },
-      total: this.costTracker.claude.cost + this.costTracker.gemini.cost,
+      openrouter: { ...this.costTracker.openrouter },
+      local: { ...this.costTracker.local },
+      total: Object.values(this.costTracker).reduce((sum, tracker) => sum + tracker.cost, 0),
     };
   }
 
@@ -442,6 +883,22 @@ Please provide a corrected version addressing ALL the feedback.`;
     if (!session) return;
     
     const contextPath = join(this.workDir, this.contextFile);
+
+    const graphSection = session.graph ? `
+### Task Graph
+${session.graph.summary ? `${session.graph.summary}\n` : ''}${session.graph.nodes.map((node, i) => `
+${i + 1}. **${node.id}** - ${node.status}${node.routing ? ` (${node.routing.adapter}/${node.routing.model})` : ''}
+   - Task: ${node.task}
+   - Depends on: ${node.dependsOn.length > 0 ? node.dependsOn.join(', ') : 'none'}${node.error ? `\n   - Error: ${node.error}` : ''}
+`).join('')}` : '';
+
+    const issues = session.graph
+      ? session.graph.nodes.flatMap((node) => (node.review?.issues || []).map((issue) => `- [${node.id}] ${formatIssue(issue)}`))
+      : (session.review?.issues || []).map((issue) => `- ${formatIssue(issue)}`);
+    const issuesSection = issues.length > 0 ? `
+### Review Issues
+${issues.join('\n')}
+` : '';
     
     const content = `# Hybrid Agent Context
 <!-- Recovery header: If you're Claude and see this after context compaction, 
@@ -459,37 +916,103 @@ ${session.completedAt ? `**Completed:** ${session.completedAt}` : ''}
 \`\`\`
 ${session.task}
 \`\`\`
-
+${graphSection}
 ### Execution Steps
 ${session.steps.map((step, i) => `
-${i + 1}. **${step.agent}** (${step.model})${step.type ? ` - ${step.type}` : ''}
+${i + 1}. **${step.agent}** (${step.model})${step.node ? ` [${step.node}]` : ''}${step.type ? ` - ${step.type}` : ''}
    - Tokens: ${step.tokens?.inputTokens || 0} in / ${step.tokens?.outputTokens || 0} out
 `).join('')}
-
+${issuesSection}
 ### Result
 ${session.result ? `\`\`\`\n${session.result.slice(0, 2000)}${session.result.length > 2000 ? '\n...(truncated)' : ''}\n\`\`\`` : 'In progress...'}
 
 ### Cost Summary
 - Claude: $${this.costTracker.claude.cost.toFixed(4)}
 - Gemini: $${this.costTracker.gemini.cost.toFixed(4)} (likely FREE with CLI)
-- Total: $${(this.costTracker.claude.cost + this.costTracker.gemini.cost).toFixed(4)}
+- OpenRouter: $${this.costTracker.openrouter.cost.toFixed(4)}
+- Local: $${this.costTracker.local.cost.toFixed(4)} (FREE)
+- Total: $${this.getTotalCosts().total.toFixed(4)}
+
+<!-- hybrid-state (machine-readable, restored by loadContext and hybrid resume)
+${this.serializeState(sessionId)}
+-->
 `;
 
-    await writeFile(contextPath, content, 'utf-8');
+    // Parallel graph nodes checkpoint concurrently; keep writes in order
+    const write = this.contextWrite.then(() => writeFile(contextPath, content, 'utf-8'));
+    this.contextWrite = write.catch(() => {});
+    await write;
+  }
+
+  /**
+   * Persist context mid-run so an interrupted session can be resumed
+   * Failures only log; a checkpoint must never break a run.
+   * @private
+   */
+  async checkpoint(sessionId) {
+    try {
+      await this.persistContext(sessionId);
+    } catch (error) {
+      console.error(`[Orchestrator] Failed to checkpoint ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * JSON of all sessions (with steps) and the cost tracker for the context file
+   * @private
+   */
+  serializeState(sessionId) {
+    const state = {
+      version: CONTEXT_STATE_VERSION,
+      currentSession: sessionId,
+      sessions: [...this.sessions.values()],
+      costTracker: this.costTracker,
+    };
+    // "-->" would end the HTML comment; it can only occur inside strings
+    return JSON.stringify(state, null, 2).replace(/-->/g, '--\\u003e');
   }
 
   /**
    * Load context from HYBRID_CONTEXT.md if it exists
+   * Sessions (with their steps) are restored from the file's hybrid-state
+   * block, keeping sessions already in memory. The cost tracker is restored
+   * only by an orchestrator that has not run anything yet.
+   * @returns {Promise<string|null>} File content, null without a context file
    */
   async loadContext() {
+    let content;
     try {
-      const contextPath = join(this.workDir, this.contextFile);
-      const content = await readFile(contextPath, 'utf-8');
-      // Parse and restore session state if needed
-      return content;
+      content = await readFile(join(this.workDir, this.contextFile), 'utf-8');
     } catch {
       return null;
     }
+
+    const match = content.match(CONTEXT_STATE_PATTERN);
+    if (!match) return content;
+
+    let state;
+    try {
+      state = JSON.parse(match[1]);
+    } catch (error) {
+      console.error(`[Orchestrator] Ignoring unreadable session state in ${this.contextFile}:`, error.message);
+      return content;
+    }
+    if (state.version !== CONTEXT_STATE_VERSION) {
+      console.error(`[Orchestrator] Ignoring session state version ${state.version} in ${this.contextFile}`);
+      return content;
+    }
+
+    if (this.sessions.size === 0) {
+      for (const [adapter, totals] of Object.entries(state.costTracker || {})) {
+        this.costTracker[adapter] = { ...totals };
+      }
+    }
+    for (const session of state.sessions || []) {
+      if (!this.sessions.has(session.id)) this.sessions.set(session.id, session);
+    }
+    this.restoredSessionId = state.currentSession || null;
+
+    return content;
   }
 }
 
@@ -0,0 +1,492 @@
+/**
+ * Agent Checkpoints
+ *
+ * Snapshots a working directory before an agent session starts so every
+ * change the session makes can be rolled back in one step.
+ *
+ * Features:
+ * - Git repos: the full working tree (tracked + untracked, respecting
+ *   .gitignore) is committed to a hidden ref under refs/hybrid/checkpoints/
+ *   using a temporary index - the caller's index, stash and branches are untouched
+ * - Other directories: a file-copy snapshot under ~/.claude/gemini-worker-checkpoints
+ * - sealCheckpoint() records the tree when the run ends; rollback then only
+ *   reverts paths the run changed (including through shell commands) and
+ *   leaves paths edited again after the run alone, reporting them as conflicts
+ * - diffCheckpoint() renders everything changed since the checkpoint as a patch
+ */
+
+import { spawn } from 'child_process';
+import { createHash, randomUUID } from 'crypto';
+import { chmod, copyFile, mkdir, readdir, readFile, rm, stat, unlink, writeFile } from 'fs/promises';
+import { homedir, tmpdir } from 'os';
+import { dirname, join, relative, sep } from 'path';
+import { safeSpawn } from '../utils/security.js';
+import { createUnifiedDiff } from '../utils/diff.js';
+
+/**
+ * Checkpoint kinds
+ */
+export const CheckpointType = {
+  GIT: 'git',
+  SNAPSHOT: 'snapshot',
+};
+
+/** Hidden ref namespace for git checkpoints */
+const CHECKPOINT_REF_PREFIX = 'refs/hybrid/checkpoints/';
+
+/** Directories never copied into (or restored from) file snapshots */
+const SNAPSHOT_SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+/** Refuse file snapshots past these limits - copying huge trees would stall the agent */
+const MAX_SNAPSHOT_FILES = 5000;
+const MAX_SNAPSHOT_BYTES = 100 * 1024 * 1024; // 100MB
+
+/** Identity for commits made by agent tooling (checkpoints, worktree branches) */
+export const AGENT_GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'Hybrid Agent',
+  GIT_AUTHOR_EMAIL: 'hybrid-agent@localhost',
+  GIT_COMMITTER_NAME: 'Hybrid Agent',
+  GIT_COMMITTER_EMAIL: 'hybrid-agent@localhost',
+};
+
+/**
+ * Get the directory holding file-copy snapshots
+ * Override with HYBRID_CHECKPOINTS_DIR
+ * @returns {string} Snapshot root directory
+ */
+export function getSnapshotRoot() {
+  return process.env.HYBRID_CHECKPOINTS_DIR || join(homedir(), '.claude', 'gemini-worker-checkpoints');
+}
+
+/**
+ * Run a git command and collect binary-safe output
+ * @param {string[]} args Git arguments
+ * @param {Object} options Options
+ * @param {string} options.cwd Working directory
+ * @param {Object} [options.env] Extra environment variables
+ * @param {string|Buffer} [options.input] Data written to stdin
+ * @returns {Promise<{code: number, stdout: Buffer, stderr: string}>}
+ */
+export function runGit(args, { cwd, env = {}, input }) {
+  return new Promise((resolve, reject) => {
+    const proc = safeSpawn(spawn, 'git', args, {
+      cwd,
+      env: { ...process.env, ...env },
+    });
+
+    const stdout = [];
+    let stderr = '';
+    proc.stdout.on('data', (chunk) => stdout.push(chunk));
+    proc.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout: Buffer.concat(stdout), stderr }));
+    proc.on('error', reject);
+    proc.stdin.end(input);
+  });
+}
+
+/**
+ * Run a git command that must succeed and return trimmed stdout
+ * @param {string[]} args Git arguments
+ * @param {Object} options Options passed to runGit()
+ * @returns {Promise<string>} Trimmed stdout
+ * @throws {Error} If git exits non-zero
+ */
+export async function git(args, options) {
+  const result = await runGit(args, options);
+  if (result.code !== 0) {
+    throw new Error(`git ${args[0]} failed: ${result.stderr.trim() || `exit code ${result.code}`}`);
+  }
+  return result.stdout.toString('utf8').trim();
+}
+
+/**
+ * Find the git repository containing a directory
+ * @param {string} directory Directory to check
+ * @returns {Promise<{root: string, prefix: string}|null>} Repo root and the directory's path inside it
+ */
+export async function findGitRepo(directory) {
+  try {
+    const result = await runGit(['rev-parse', '--show-toplevel', '--show-prefix'], { cwd: directory });
+    if (result.code !== 0) return null;
+    const [root, prefix = ''] = result.stdout.toString('utf8').split('\n');
+    return { root: root.trim(), prefix: prefix.trim() };
+  } catch {
+    // git not installed
+    return null;
+  }
+}
+
+/**
+ * Write the current working tree (tracked + untracked, not ignored) as a tree object
+ * Uses a throwaway index so the user's staging area is untouched.
+ * @returns {Promise<string>} Tree hash
+ */
+async function writeWorkingTree(repoRoot) {
+  const indexFile = join(tmpdir(), `hybrid-index-${randomUUID()}`);
+  const env = { GIT_INDEX_FILE: indexFile };
+
+  try {
+    await git(['add', '-A', '.'], { cwd: repoRoot, env });
+    return await git(['write-tree'], { cwd: repoRoot, env });
+  } finally {
+    await rm(indexFile, { force: true });
+  }
+}
+
+/**
+ * Create a git checkpoint on a hidden ref
+ */
+async function createGitCheckpoint(sessionId, repo) {
+  const tree = await writeWorkingTree(repo.root);
+  const head = await runGit(['rev-parse', '--verify', '-q', 'HEAD'], { cwd: repo.root });
+  const parentArgs = head.code === 0 ? ['-p', head.stdout.toString('utf8').trim()] : [];
+
+  const commit = await git(
+    ['commit-tree', tree, ...parentArgs, '-m', `hybrid agent checkpoint for session ${sessionId}`],
+    { cwd: repo.root, env: AGENT_GIT_IDENTITY }
+  );
+
+  const ref = `${CHECKPOINT_REF_PREFIX}${sessionId}`;
+  await git(['update-ref', ref, commit], { cwd: repo.root });
+
+  return {
+    type: CheckpointType.GIT,
+    repoRoot: repo.root,
+    prefix: repo.prefix,
+    ref,
+    commit,
+    tree,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * List files under a directory for snapshotting (relative paths, '/' separated)
+ */
+async function listSnapshotFiles(root) {
+  const files = [];
+  let totalBytes = 0;
+
+  const walk = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SNAPSHOT_SKIP_DIRS.has(entry.name)) {
+          await walk(fullPath);
+        }
+      } else if (entry.isFile()) {
+        const { size } = await stat(fullPath);
+        totalBytes += size;
+        files.push(relative(root, fullPath).split(sep).join('/'));
+
+        if (files.length > MAX_SNAPSHOT_FILES || totalBytes > MAX_SNAPSHOT_BYTES) {
+          throw new Error(
+            `Directory too large for a file snapshot (limit ${MAX_SNAPSHOT_FILES} files / ${MAX_SNAPSHOT_BYTES / 1024 / 1024}MB) - use a git repository for checkpoints`
+          );
+        }
+      }
+    }
+  };
+
+  await walk(root);
+  return files;
+}
+
+/**
+ * Create a file-copy snapshot for a non-git directory
+ */
+async function createSnapshotCheckpoint(sessionId, directory) {
+  const files = await listSnapshotFiles(directory);
+  const snapshotDir = join(getSnapshotRoot(), sessionId);
+
+  await rm(snapshotDir, { recursive: true, force: true });
+  for (const file of files) {
+    const target = join(snapshotDir, 'files', file);
+    await mkdir(dirname(target), { recursive: true });
+    await copyFile(join(directory, file), target);
+  }
+  await writeFile(join(snapshotDir, 'manifest.json'), JSON.stringify({ root: directory, files }), 'utf-8');
+
+  return {
+    type: CheckpointType.SNAPSHOT,
+    root: directory,
+    dir: snapshotDir,
+    fileCount: files.length,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Snapshot a working directory before an agent session
+ * @param {string} sessionId Agent session ID (names the ref / snapshot)
+ * @param {string} directory Working directory the agent will run in
+ * @returns {Promise<Object>} Checkpoint descriptor (JSON-serializable)
+ * @throws {Error} If the snapshot could not be taken
+ */
+export async function createCheckpoint(sessionId, directory) {
+  const repo = await findGitRepo(directory);
+  if (repo) {
+    return createGitCheckpoint(sessionId, repo);
+  }
+  return createSnapshotCheckpoint(sessionId, directory);
+}
+
+/**
+ * Record the end-of-run state of a git checkpoint
+ * The end tree is committed on top of the checkpoint and kept on the same
+ * hidden ref, so both stay reachable.
+ */
+async function sealGitCheckpoint(checkpoint) {
+  const { repoRoot, ref, commit } = checkpoint;
+  const endTree = await writeWorkingTree(repoRoot);
+  const endCommit = await git(
+    ['commit-tree', endTree, '-p', commit, '-m', 'hybrid agent checkpoint: end of run'],
+    { cwd: repoRoot, env: AGENT_GIT_IDENTITY }
+  );
+  await git(['update-ref', ref, endCommit], { cwd: repoRoot });
+
+  return { ...checkpoint, endTree, endCommit, endedAt: Date.now() };
+}
+
+/**
+ * Content digests of the files under a snapshot root
+ * @returns {Promise<Map<string, string>>} Relative path -> sha256
+ */
+async function digestFiles(root, files) {
+  const digests = new Map();
+  for (const file of files) {
+    digests.set(file, createHash('sha256').update(await readFile(join(root, file))).digest('hex'));
+  }
+  return digests;
+}
+
+/**
+ * Record the end-of-run state of a file-copy snapshot (digests in end.json)
+ */
+async function sealSnapshotCheckpoint(checkpoint) {
+  const files = await listSnapshotFiles(checkpoint.root);
+  const digests = await digestFiles(checkpoint.root, files);
+  await writeFile(join(checkpoint.dir, 'end.json'), JSON.stringify(Object.fromEntries(digests)), 'utf-8');
+
+  return { ...checkpoint, endedAt: Date.now() };
+}
+
+/**
+ * Record the working tree as the agent run left it
+ * Call when a run ends; rollback then reverts only what changed between the
+ * checkpoint and this state. Sealing again (a later run of the same session)
+ * replaces the recorded state.
+ * @param {Object} checkpoint Descriptor from createCheckpoint()
+ * @returns {Promise<Object>} Updated descriptor (JSON-serializable)
+ */
+export async function sealCheckpoint(checkpoint) {
+  if (checkpoint.type === CheckpointType.GIT) {
+    return sealGitCheckpoint(checkpoint);
+  }
+  return sealSnapshotCheckpoint(checkpoint);
+}
+
+/**
+ * Parse `git diff-tree --name-status -z` output
+ * @returns {Array<{status: string, path: string}>}
+ */
+function parseNameStatus(output) {
+  const parts = output.toString('utf8').split('\0').filter(Boolean);
+  const changes = [];
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    changes.push({ status: parts[i], path: parts[i + 1] });
+  }
+  return changes;
+}
+
+/**
+ * Paths changed between two trees within the checkpointed directory
+ */
+async function diffTrees(checkpoint, from, to) {
+  const pathspec = checkpoint.prefix ? ['--', checkpoint.prefix] : [];
+  const diff = await runGit(
+    ['diff-tree', '-r', '--no-renames', '--name-status', '-z', from, to, ...pathspec],
+    { cwd: checkpoint.repoRoot }
+  );
+  if (diff.code !== 0) {
+    throw new Error(`git diff-tree failed: ${diff.stderr.trim()}`);
+  }
+  return parseNameStatus(diff.stdout);
+}
+
+/**
+ * Roll back a git checkpoint within the checkpointed directory
+ * Unsealed checkpoints (run still going, or interrupted) treat the current
+ * tree as the end of the run.
+ */
+async function rollbackGitCheckpoint(checkpoint) {
+  const { repoRoot, commit, tree } = checkpoint;
+  const currentTree = await writeWorkingTree(repoRoot);
+  const endTree = checkpoint.endTree || currentTree;
+
+  const changes = await diffTrees(checkpoint, tree, endTree);
+  const changedSinceEnd = new Set(
+    endTree === currentTree ? [] : (await diffTrees(checkpoint, endTree, currentTree)).map(({ path }) => path)
+  );
+
+  const restored = [];
+  const deleted = [];
+  const conflicts = [];
+
+  for (const { status, path } of changes) {
+    const fullPath = join(repoRoot, path);
+
+    if (changedSinceEnd.has(path)) {
+      // Edited again after the run - keep the newer version
+      conflicts.push(path);
+      continue;
+    }
+
+    if (status === 'A') {
+      // Created after the checkpoint
+      await unlink(fullPath).catch(() => {});
+      deleted.push(path);
+      continue;
+    }
+
+    const entry = await git(['ls-tree', commit, '--', path], { cwd: repoRoot });
+    const mode = entry.split(/\s+/)[0];
+    if (mode === '160000') continue; // Submodule - leave alone
+
+    const blob = await runGit(['cat-file', 'blob', `${commit}:${path}`], { cwd: repoRoot });
+    if (blob.code !== 0) {
+      throw new Error(`Cannot read ${path} from checkpoint: ${blob.stderr.trim()}`);
+    }
+
+    await mkdir(dirname(fullPath), { recursive: true });
+    await rm(fullPath, { force: true });
+    await writeFile(fullPath, blob.stdout);
+    if (mode === '100755') {
+      await chmod(fullPath, 0o755);
+    }
+    restored.push(path);
+  }
+
+  return { restored, deleted, conflicts };
+}
+
+/**
+ * Roll back a file-copy snapshot
+ */
+async function rollbackSnapshotCheckpoint(checkpoint) {
+  const manifest = JSON.parse(await readFile(join(checkpoint.dir, 'manifest.json'), 'utf-8'));
+  const currentFiles = await listSnapshotFiles(checkpoint.root).catch(() => []);
+  const original = await digestFiles(join(checkpoint.dir, 'files'), manifest.files);
+  const current = await digestFiles(checkpoint.root, currentFiles);
+  const end = checkpoint.endedAt
+    ? new Map(Object.entries(JSON.parse(await readFile(join(checkpoint.dir, 'end.json'), 'utf-8'))))
+    : current;
+
+  const restored = [];
+  const deleted = [];
+  const conflicts = [];
+
+  for (const file of new Set([...original.keys(), ...end.keys()])) {
+    if (original.get(file) === end.get(file)) continue;
+    if (current.get(file) !== end.get(file)) {
+      // Edited again after the run - keep the newer version
+      conflicts.push(file);
+      continue;
+    }
+
+    const target = join(checkpoint.root, file);
+    if (!original.has(file)) {
+      await unlink(target).catch(() => {});
+      deleted.push(file);
+    } else {
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, await readFile(join(checkpoint.dir, 'files', file)));
+      restored.push(file);
+    }
+  }
+
+  return { restored, deleted, conflicts };
+}
+
+/**
+ * Revert the changes an agent run made since its checkpoint
+ * Only paths that differ between the checkpoint and the sealed end-of-run
+ * state are touched. A path changed again after the run is left as it is
+ * and reported in `conflicts`.
+ * @param {Object} checkpoint Descriptor from createCheckpoint() / sealCheckpoint()
+ * @returns {Promise<{restored: string[], deleted: string[], conflicts: string[]}>}
+ *   Files restored, removed, and skipped because they changed after the run
+ */
+export async function rollbackCheckpoint(checkpoint) {
+  if (checkpoint.type === CheckpointType.GIT) {
+    return rollbackGitCheckpoint(checkpoint);
+  }
+  return rollbackSnapshotCheckpoint(checkpoint);
+}
+
+/**
+ * Render all changes since a checkpoint as a unified patch
+ * Git checkpoints use `git diff` (paths relative to the repo root); snapshots
+ * are diffed in-process (paths relative to the snapshot root).
+ * @param {Object} checkpoint Descriptor from createCheckpoint()
+ * @returns {Promise<string>} Combined patch ('' when nothing changed)
+ */
+export async function diffCheckpoint(checkpoint) {
+  if (checkpoint.type === CheckpointType.GIT) {
+    const { repoRoot, prefix, tree } = checkpoint;
+    const currentTree = await writeWorkingTree(repoRoot);
+    const pathspec = prefix ? ['--', prefix] : [];
+    const diff = await runGit(
+      ['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff', '--no-renames', tree, currentTree, ...pathspec],
+      { cwd: repoRoot }
+    );
+    if (diff.code !== 0) {
+      throw new Error(`git diff failed: ${diff.stderr.trim()}`);
+    }
+    return diff.stdout.toString('utf8');
+  }
+
+  const manifest = JSON.parse(await readFile(join(checkpoint.dir, 'manifest.json'), 'utf-8'));
+  const currentFiles = await listSnapshotFiles(checkpoint.root).catch(() => []);
+  const paths = [...new Set([...manifest.files, ...currentFiles])].sort();
+  const snapshotFiles = new Set(manifest.files);
+
+  const patches = [];
+  for (const file of paths) {
+    const before = snapshotFiles.has(file) ? await readFile(join(checkpoint.dir, 'files', file)) : null;
+    const after = await readFile(join(checkpoint.root, file)).catch(() => null);
+    patches.push(createUnifiedDiff(file, before, after));
+  }
+  return patches.join('');
+}
+
+/**
+ * Delete a checkpoint's ref or snapshot files
+ * Failures are ignored - a leftover checkpoint only costs disk space.
+ * @param {Object} checkpoint Descriptor from createCheckpoint()
+ */
+export async function discardCheckpoint(checkpoint) {
+  try {
+    if (checkpoint.type === CheckpointType.GIT) {
+      await runGit(['update-ref', '-d', checkpoint.ref], { cwd: checkpoint.repoRoot });
+    } else {
+      await rm(checkpoint.dir, { recursive: true, force: true });
+    }
+  } catch (err) {
+    console.error('[Checkpoint] Failed to discard checkpoint:', err.message);
+  }
+}
+
+export default {
+  createCheckpoint,
+  sealCheckpoint,
+  rollbackCheckpoint,
+  diffCheckpoint,
+  discardCheckpoint,
+  findGitRepo,
+  runGit,
+  git,
+  getSnapshotRoot,
+  CheckpointType,
+};
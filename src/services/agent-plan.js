@@ -0,0 +1,178 @@
+/**
+ * Agent Plans
+ *
+ * Plan-then-approve mode for agent tasks. Gemini first writes a structured
+ * step plan without running tools; once the caller approves it (optionally
+ * edited) the agent executes, and every write or shell command that is not
+ * covered by the approved plan is flagged as a deviation.
+ *
+ * Plan format:
+ * {
+ *   "summary": "Add rate limiting to the login route",
+ *   "steps": [
+ *     { "description": "Add limiter middleware", "files": ["src/middleware/"], "commands": [] },
+ *     { "description": "Run the tests", "files": [], "commands": ["npm test"] }
+ *   ],
+ *   "risks": ["Shared store needed across instances"]
+ * }
+ *
+ * - files: paths relative to the working directory; entries ending in "/"
+ *   cover everything below that directory
+ * - commands: a run command matches when it equals a planned command or
+ *   starts with it followed by more arguments
+ */
+
+import { isAbsolute, relative, resolve } from 'path';
+import { SHELL_TOOLS, WRITE_TOOLS } from './agent-policy.js';
+import { ValidationError } from '../utils/errors.js';
+import { extractJson } from '../utils/json.js';
+
+/**
+ * Build the planning prompt
+ * Asks for the same risk review as gemini_eval_plan, but as JSON the
+ * agent handler can store, show and check tool calls against.
+ * @param {string} taskDescription Task to plan
+ * @param {Object} [options]
+ * @param {string} [options.workingDirectory] Directory the agent will run in
+ * @param {string} [options.referenceFiles] Rendered reference files section
+ * @returns {string} Prompt
+ */
+export function buildPlanPrompt(taskDescription, { workingDirectory, referenceFiles = '' } = {}) {
+  return `You are a Senior Solutions Architect planning an autonomous coding task.
+Do NOT use any tools, edit files or run commands - only write the plan.
+
+TASK:
+${taskDescription}
+${workingDirectory ? `\nWORKING DIRECTORY: ${workingDirectory}\n` : ''}${referenceFiles}
+Respond with ONLY a JSON object in this exact shape:
+{
+  "summary": "one or two sentences describing the approach",
+  "steps": [
+    {
+      "description": "what this step does",
+      "files": ["paths relative to the working directory that will be created, changed or deleted (a trailing / covers a whole directory)"],
+      "commands": ["shell commands that will be run, exactly as they will be typed"]
+    }
+  ],
+  "risks": ["risks, concerns or open questions"]
+}
+
+List every file that will be written and every command that will be run.
+Anything missing from the plan will be flagged during execution.`;
+}
+
+/**
+ * Validate and normalize a plan
+ * @param {string|Object} raw Model response, JSON string or plan object (e.g. an edited plan)
+ * @returns {{summary: string, steps: Array<{description: string, files: string[], commands: string[]}>, risks: string[], files: string[], commands: string[]}}
+ *   Plan with the union of all step files and commands
+ * @throws {ValidationError} If the plan is malformed
+ */
+export function parsePlan(raw) {
+  const plan = typeof raw === 'string' ? extractJson(raw, 'Plan', 'plan') : raw;
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    throw new ValidationError('Plan must be a JSON object', 'plan');
+  }
+  if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+    throw new ValidationError('Plan must have at least one step', 'plan.steps');
+  }
+
+  const strings = (value, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+      throw new ValidationError(`Plan "${field}" must be an array of strings`, field);
+    }
+    return value.map((v) => v.trim()).filter(Boolean);
+  };
+
+  const steps = plan.steps.map((step, i) => {
+    if (!step || typeof step !== 'object' || typeof step.description !== 'string' || !step.description.trim()) {
+      throw new ValidationError(`Plan step ${i + 1} needs a description`, `plan.steps[${i}]`);
+    }
+    return {
+      description: step.description.trim(),
+      files: strings(step.files, `steps[${i}].files`),
+      commands: strings(step.commands, `steps[${i}].commands`),
+    };
+  });
+
+  return {
+    summary: typeof plan.summary === 'string' ? plan.summary.trim() : '',
+    steps,
+    risks: strings(plan.risks, 'risks'),
+    files: [...new Set(steps.flatMap((step) => step.files))],
+    commands: [...new Set(steps.flatMap((step) => step.commands))],
+  };
+}
+
+/**
+ * Normalize a path relative to the working directory ('/' separated)
+ */
+function toRelative(path, workingDirectory) {
+  return relative(resolve(workingDirectory), resolve(workingDirectory, path)).replace(/\\/g, '/');
+}
+
+/**
+ * Check whether a path is covered by the planned files
+ */
+function isPlannedFile(plan, path, workingDirectory) {
+  const target = toRelative(path, workingDirectory);
+  if (target.startsWith('..') || isAbsolute(target)) return false;
+
+  return plan.files.some((file) => {
+    const planned = toRelative(file, workingDirectory);
+    return file.endsWith('/')
+      ? target === planned || target.startsWith(`${planned}/`)
+      : target === planned;
+  });
+}
+
+/**
+ * Check whether every command in a shell line is covered by the planned commands
+ */
+function isPlannedCommand(plan, command) {
+  const normalize = (text) => text.trim().replace(/\s+/g, ' ');
+  return command
+    .split(/&&|\|\||[;|\n]/)
+    .map(normalize)
+    .filter(Boolean)
+    .every((part) => plan.commands.some((planned) => {
+      const p = normalize(planned);
+      return part === p || part.startsWith(`${p} `);
+    }));
+}
+
+/**
+ * Check an agent tool call against the approved plan
+ * Reads are never flagged; writes must touch a planned file and shell
+ * commands must match a planned command.
+ * @param {Object} plan Plan from parsePlan()
+ * @param {string} tool Tool name from the tool_use event
+ * @param {Object} input Tool input
+ * @param {string} workingDirectory Directory the agent runs in
+ * @returns {{tool: string, detail: string, reason: string}|null} Deviation or null
+ */
+export function checkPlanDeviation(plan, tool, input, workingDirectory) {
+  if (!plan || !input) return null;
+
+  if (SHELL_TOOLS.has(tool) && typeof input.command === 'string') {
+    return isPlannedCommand(plan, input.command)
+      ? null
+      : { tool, detail: input.command, reason: `Command not in plan: ${input.command}` };
+  }
+
+  if (WRITE_TOOLS.has(tool)) {
+    const path = input.path || input.file_path || input.filename || input.absolute_path;
+    if (typeof path === 'string' && !isPlannedFile(plan, path, workingDirectory)) {
+      return { tool, detail: path, reason: `File not in plan: ${path}` };
+    }
+  }
+
+  return null;
+}
+
+export default {
+  buildPlanPrompt,
+  parsePlan,
+  checkPlanDeviation,
+};
@@ -0,0 +1,390 @@
+/**
+ * Agent Policy
+ *
+ * Enforceable allow/deny rules for what a Gemini agent session may do.
+ * The agent handler checks every tool_use event against the policy and kills
+ * the agent on the first violation.
+ *
+ * Policy file: .hybrid/agent-policy.json (nearest one from the working
+ * directory upwards, or HYBRID_AGENT_POLICY=/path/to/policy.json)
+ *
+ * {
+ *   "allowedCommandPrefixes": ["npm test", "npm run lint", "git status"],
+ *   "allowedShellSyntax": ["redirection"],
+ *   "deniedPatterns": ["rm\\s+-rf", "git\\s+push"],
+ *   "writeRules": "protected",
+ *   "allowWritePaths": ["src/**", "tests/**"],
+ *   "denyWritePaths": ["src/legacy/**"]
+ * }
+ *
+ * - allowedCommandPrefixes: when non-empty, every segment of a shell command
+ *   (split on &&, ||, ;, |, & and newlines) must be one of these or start
+ *   with one followed by a space
+ * - allowedShellSyntax: with allowedCommandPrefixes, commands using command
+ *   substitution (`...`, $(...), <(...)) or redirection (>, <) are denied
+ *   unless "substitution" / "redirection" is listed here
+ * - deniedPatterns: case-insensitive regexes matched against the whole command
+ *   (defaults to DEFAULT_DENIED_PATTERNS when omitted)
+ * - writeRules: "none", "protected" (PROTECTED_FILES) or "strict" (isWriteAllowed)
+ * - allowWritePaths / denyWritePaths: globs relative to the working directory
+ *
+ * Without a policy file only DEFAULT_DENIED_PATTERNS apply. Write tools,
+ * redirections and shell commands naming the policy in force, any
+ * .hybrid/agent-policy.json or a .hybrid directory (cp, mv, tee, sed -i, rm,
+ * even cat) are always denied, so a session cannot loosen its own policy.
+ * Paths the shell builds at run time (variables, globs) are not resolved.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { basename, dirname, isAbsolute, join, relative, resolve } from 'path';
+import { isWriteAllowed, PROTECTED_FILES } from '../utils/security.js';
+import { ConfigError } from '../utils/errors.js';
+
+/** Policy file location relative to a project directory */
+export const POLICY_FILE = join('.hybrid', 'agent-policy.json');
+
+/**
+ * Commands denied unless a policy file overrides deniedPatterns
+ */
+export const DEFAULT_DENIED_PATTERNS = [
+  // rm with a recursive and a force flag, in any order, split or combined (rm -rf, rm -r -f, rm --recursive -f)
+  '\\brm(?=[^;&|\\n]*\\s(?:-[a-z]*r[a-z]*|--recursive)(?=[\\s;&|]|$))(?=[^;&|\\n]*\\s(?:-[a-z]*f[a-z]*|--force)(?=[\\s;&|]|$))',
+  '\\b(curl|wget)\\b[^|]*\\|\\s*(sudo\\s+)?(ba|z)?sh\\b', // curl ... | sh
+  // git push, also after global options (git -C dir push, git --no-pager push)
+  '\\bgit(?:\\s+-{1,2}[\\w-]+(?:=\\S+)?(?:\\s+(?!-)(?!push\\b)\\S+)?)*\\s+push\\b',
+];
+
+/** Shell syntax that allowedShellSyntax can permit */
+export const ShellSyntax = {
+  REDIRECTION: 'redirection',
+  SUBSTITUTION: 'substitution',
+};
+
+/** Write-path rule levels */
+export const WriteRules = {
+  NONE: 'none',
+  PROTECTED: 'protected',
+  STRICT: 'strict',
+};
+
+/** Tools that run shell commands */
+export const SHELL_TOOLS = new Set(['run_shell_command', 'shell', 'execute', 'bash']);
+
+/** Tools that create, change or delete files */
+export const WRITE_TOOLS = new Set([
+  'write_file', 'save_file', 'create_file', 'replace', 'edit_file', 'delete_file', 'remove_file',
+]);
+
+/**
+ * Convert a glob (*, **, ?) to an anchored regex
+ * @param {string} glob Glob relative to the working directory
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate a parsed policy file and compile its patterns
+ * @param {Object} raw Parsed JSON
+ * @param {string|null} source File the policy came from
+ * @returns {Object} Compiled policy
+ * @throws {ConfigError} On invalid fields
+ */
+export function parseAgentPolicy(raw, source = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError('Agent policy must be a JSON object', source);
+  }
+
+  const stringArray = (field, fallback) => {
+    const value = raw[field] ?? fallback;
+    if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+      throw new ConfigError(`Agent policy "${field}" must be an array of strings`, source);
+    }
+    return value;
+  };
+
+  const writeRules = raw.writeRules ?? WriteRules.NONE;
+  if (!Object.values(WriteRules).includes(writeRules)) {
+    throw new ConfigError(
+      `Agent policy "writeRules" must be one of: ${Object.values(WriteRules).join(', ')}`,
+      source
+    );
+  }
+
+  const compile = (pattern) => {
+    try {
+      return { pattern, regex: new RegExp(pattern, 'i') };
+    } catch (err) {
+      throw new ConfigError(`Agent policy has an invalid denied pattern "${pattern}": ${err.message}`, source);
+    }
+  };
+
+  const allowedShellSyntax = stringArray('allowedShellSyntax', []);
+  const unknownSyntax = allowedShellSyntax.find((syntax) => !Object.values(ShellSyntax).includes(syntax));
+  if (unknownSyntax) {
+    throw new ConfigError(
+      `Agent policy "allowedShellSyntax" entries must be one of: ${Object.values(ShellSyntax).join(', ')}`,
+      source
+    );
+  }
+
+  return {
+    source,
+    allowedCommandPrefixes: stringArray('allowedCommandPrefixes', []),
+    allowedShellSyntax,
+    deniedPatterns: stringArray('deniedPatterns', DEFAULT_DENIED_PATTERNS).map(compile),
+    writeRules,
+    allowWritePaths: stringArray('allowWritePaths', []).map((glob) => ({ glob, regex: globToRegExp(glob) })),
+    denyWritePaths: stringArray('denyWritePaths', []).map((glob) => ({ glob, regex: globToRegExp(glob) })),
+  };
+}
+
+/**
+ * Find the policy file for a directory
+ * @param {string} directory Directory the agent runs in
+ * @returns {string|null} Path to the policy file
+ */
+export function findAgentPolicyFile(directory) {
+  if (process.env.HYBRID_AGENT_POLICY) {
+    return resolve(process.env.HYBRID_AGENT_POLICY);
+  }
+
+  let current = resolve(directory);
+  while (true) {
+    const candidate = join(current, POLICY_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Load the agent policy that applies to a directory
+ * Fails closed: an unreadable or invalid policy file throws instead of
+ * silently falling back to the defaults.
+ * @param {string} directory Directory the agent runs in
+ * @returns {Object} Compiled policy (defaults when no policy file exists)
+ * @throws {ConfigError} If the policy file cannot be read or is invalid
+ */
+export function loadAgentPolicy(directory) {
+  const file = findAgentPolicyFile(directory);
+  if (!file) {
+    return parseAgentPolicy({});
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new ConfigError(`Cannot read agent policy ${file}: ${err.message}`, file);
+  }
+  return parseAgentPolicy(raw, file);
+}
+
+/**
+ * Blank out quoted text (keeping its length) so operators inside quotes are
+ * not taken for shell syntax
+ * @param {string} command Shell command
+ * @param {boolean} [keepDoubleQuoted=false] Keep "..." contents, where
+ *   substitutions still run
+ */
+function maskQuotes(command, keepDoubleQuoted = false) {
+  return command.replace(/'[^']*'|"(?:[^"\\]|\\.)*"/g, (quoted) => (
+    keepDoubleQuoted && quoted.startsWith('"') ? quoted : quoted[0] + ' '.repeat(quoted.length - 2) + quoted[0]
+  ));
+}
+
+/**
+ * Split a shell command into the commands it runs
+ * Splits on &&, ||, ;, |, a lone & and newlines outside quotes; the & of a
+ * redirection (2>&1, &>) is not a split point.
+ */
+function splitShellCommand(command) {
+  const masked = maskQuotes(command);
+  const parts = [];
+  let start = 0;
+  for (const match of masked.matchAll(/&&|\|\||(?<![<>])&(?!>)|[;|\n]/g)) {
+    parts.push(command.slice(start, match.index));
+    start = match.index + match[0].length;
+  }
+  parts.push(command.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Files a command redirects output to (> file, >> file, &> file)
+ */
+function redirectionTargets(command) {
+  const masked = maskQuotes(command);
+  const targets = [];
+  for (const match of masked.matchAll(/>>?\|?\s*(?!&)/g)) {
+    const rest = command.slice(match.index + match[0].length);
+    const target = rest.match(/^(?:'([^']*)'|"([^"]*)"|([^\s;&|<>]+))/);
+    if (target) targets.push(target[1] ?? target[2] ?? target[3]);
+  }
+  return targets;
+}
+
+/**
+ * Check whether a path is the policy in force or any agent policy file
+ */
+function isPolicyFile(policy, path, workingDirectory) {
+  const absolute = resolve(workingDirectory, path);
+  return absolute === policy.source
+    || absolute.replace(/\\/g, '/').endsWith(`/${POLICY_FILE.replace(/\\/g, '/')}`);
+}
+
+/**
+ * Check whether a path is a .hybrid directory
+ * Moving or deleting it takes its policy file with it.
+ */
+function isPolicyDirectory(path, workingDirectory) {
+  return resolve(workingDirectory, path).replace(/\\/g, '/').endsWith(`/${dirname(POLICY_FILE)}`);
+}
+
+/**
+ * Arguments of one shell command with quotes removed
+ * Option values (--file=path) count as arguments too.
+ */
+function commandArguments(segment) {
+  const words = [...segment.matchAll(/'([^']*)'|"([^"]*)"|(\S+)/g)].map((match) => match[1] ?? match[2] ?? match[3]);
+  return words.slice(1).flatMap((word) => (word.startsWith('-') && word.includes('=') ? word.split('=').slice(1) : [word]));
+}
+
+/**
+ * Check a shell command against the policy
+ * @returns {Object|null} Violation or null
+ */
+function checkShellCommand(policy, command, workingDirectory) {
+  const violation = (rule, reason) => ({ rule, detail: command, reason });
+
+  for (const { pattern, regex } of policy.deniedPatterns) {
+    if (regex.test(command)) {
+      return violation('deniedPattern', `Command matches denied pattern /${pattern}/`);
+    }
+  }
+
+  const policyTarget = redirectionTargets(command).find((target) => isPolicyFile(policy, target, workingDirectory));
+  if (policyTarget) {
+    return violation('policyFile', `Command redirects to the agent policy file: ${policyTarget}`);
+  }
+
+  for (const part of splitShellCommand(command)) {
+    const policyArgument = commandArguments(part).find((arg) =>
+      isPolicyFile(policy, arg, workingDirectory) || isPolicyDirectory(arg, workingDirectory));
+    if (policyArgument) {
+      return violation('policyFile', `Command operates on the agent policy file: ${policyArgument}`);
+    }
+  }
+
+  if (policy.allowedCommandPrefixes.length > 0) {
+    const allows = (syntax) => policy.allowedShellSyntax.includes(syntax);
+    if (!allows(ShellSyntax.SUBSTITUTION) && /`|\$\(|[<>]\(/.test(maskQuotes(command, true))) {
+      return violation('allowedShellSyntax', 'Command substitution is not allowed');
+    }
+    if (!allows(ShellSyntax.REDIRECTION) && /[<>]/.test(maskQuotes(command))) {
+      return violation('allowedShellSyntax', 'Redirection is not allowed');
+    }
+
+    for (const part of splitShellCommand(command)) {
+      if (!policy.allowedCommandPrefixes.some((prefix) => part === prefix || part.startsWith(`${prefix} `))) {
+        return violation('allowedCommandPrefixes', `Command not in allowed prefixes: ${part}`);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a file write against the policy
+ * @returns {Object|null} Violation or null
+ */
+function checkWritePath(policy, path, workingDirectory) {
+  const violation = (rule, reason) => ({ rule, detail: path, reason });
+
+  // Whatever writeRules says, a session must not rewrite its own policy
+  if (isPolicyFile(policy, path, workingDirectory)) {
+    return violation('policyFile', 'Agent policy files cannot be written by the agent');
+  }
+
+  if (policy.writeRules === WriteRules.STRICT) {
+    const check = isWriteAllowed(path, workingDirectory);
+    if (!check.allowed) return violation('writeRules', check.reason);
+  } else if (policy.writeRules === WriteRules.PROTECTED && PROTECTED_FILES.has(basename(path))) {
+    return violation('writeRules', `Protected file: ${basename(path)}`);
+  }
+
+  if (policy.allowWritePaths.length === 0 && policy.denyWritePaths.length === 0) {
+    return null;
+  }
+
+  const relativePath = relative(resolve(workingDirectory), resolve(workingDirectory, path)).replace(/\\/g, '/');
+  if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+    return violation('allowWritePaths', 'Write outside the working directory');
+  }
+
+  const denied = policy.denyWritePaths.find(({ regex }) => regex.test(relativePath));
+  if (denied) {
+    return violation('denyWritePaths', `Path matches denied glob ${denied.glob}`);
+  }
+  if (policy.allowWritePaths.length > 0 && !policy.allowWritePaths.some(({ regex }) => regex.test(relativePath))) {
+    return violation('allowWritePaths', 'Path not in allowed write paths');
+  }
+
+  return null;
+}
+
+/**
+ * Check an agent tool call against the policy
+ * @param {Object} policy Compiled policy from loadAgentPolicy()
+ * @param {string} tool Tool name from the tool_use event
+ * @param {Object} input Tool input
+ * @param {string} workingDirectory Directory the agent runs in
+ * @returns {{rule: string, tool: string, detail: string, reason: string}|null} Violation or null
+ */
+export function checkToolCall(policy, tool, input, workingDirectory) {
+  if (!policy || !input) return null;
+
+  let violation = null;
+  if (SHELL_TOOLS.has(tool) && typeof input.command === 'string') {
+    violation = checkShellCommand(policy, input.command, workingDirectory);
+  } else if (WRITE_TOOLS.has(tool)) {
+    const path = input.path || input.file_path || input.filename || input.absolute_path;
+    if (typeof path === 'string') {
+      violation = checkWritePath(policy, path, workingDirectory);
+    }
+  }
+
+  return violation ? { tool, ...violation } : null;
+}
+
+export default {
+  loadAgentPolicy,
+  parseAgentPolicy,
+  findAgentPolicyFile,
+  checkToolCall,
+  POLICY_FILE,
+  DEFAULT_DENIED_PATTERNS,
+  ShellSyntax,
+  WriteRules,
+  SHELL_TOOLS,
+  WRITE_TOOLS,
+};
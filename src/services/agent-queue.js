@@ -0,0 +1,178 @@
+/**
+ * Agent Task Queue
+ *
+ * Admission control in front of agent runs. Every MCP client can start
+ * gemini_agent_task at the same time, but each run is a `gemini` process
+ * against the same rate-limited quota, and two agents editing one directory
+ * corrupt each other's files. The queue therefore enforces:
+ *
+ * - A maximum number of agent runs at once (HYBRID_AGENT_MAX_PARALLEL, default 2)
+ * - Mutual exclusion per working directory: a run waits while another run
+ *   works in the same directory, a parent of it or a subdirectory of it
+ *   (worktree-isolated runs have their own directory and never wait on the caller's tree)
+ *
+ * Waiting runs start in FIFO order; a run whose directory is free may start
+ * ahead of an earlier run that still waits for its directory.
+ */
+
+import { resolve, sep } from 'path';
+
+/** Default maximum of concurrent agent runs */
+const DEFAULT_MAX_PARALLEL = 2;
+
+/**
+ * Maximum concurrent agent runs from HYBRID_AGENT_MAX_PARALLEL
+ * Falls back to the default for missing or invalid values
+ * @returns {number}
+ */
+export function getDefaultAgentMaxParallel() {
+  const value = parseInt(process.env.HYBRID_AGENT_MAX_PARALLEL, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_PARALLEL;
+}
+
+/**
+ * Check whether two directories are the same or nested in each other
+ */
+function directoriesOverlap(a, b) {
+  const withSep = (dir) => (dir.endsWith(sep) ? dir : dir + sep);
+  return withSep(a).startsWith(withSep(b)) || withSep(b).startsWith(withSep(a));
+}
+
+/**
+ * FIFO queue with a parallelism limit and per-directory locks
+ */
+export class AgentTaskQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxParallel] Maximum concurrent runs (defaults to HYBRID_AGENT_MAX_PARALLEL or 2)
+   */
+  constructor(options = {}) {
+    this.maxParallel = options.maxParallel || getDefaultAgentMaxParallel();
+    this.running = new Map(); // id -> directory
+    this.waiting = []; // [{ id, directory, resolve, reject }]
+  }
+
+  /**
+   * Ask to start a run
+   * @param {string} id Session ID
+   * @param {string} directory Working directory of the run
+   * @returns {{started: boolean, position: number, ready: Promise<void>}} `started` when it runs
+   *   right away; otherwise `ready` resolves once it may start (position is 1-based)
+   */
+  enqueue(id, directory) {
+    // A session holds at most one slot
+    this.release(id);
+
+    let entry;
+    const ready = new Promise((resolvePromise, rejectPromise) => {
+      entry = { id, directory: resolve(directory), resolve: resolvePromise, reject: rejectPromise };
+    });
+    // Callers that never await (e.g. a run removed before it started) must not crash the process
+    ready.catch(() => {});
+
+    this.waiting.push(entry);
+    this.pump();
+
+    const position = this.getPosition(id);
+    return { started: position === null, position: position || 0, ready };
+  }
+
+  /**
+   * Free a run's slot (or drop it from the queue) and start waiting runs
+   * Safe to call more than once
+   * @param {string} id Session ID
+   */
+  release(id) {
+    const wasRunning = this.running.delete(id);
+    const index = this.waiting.findIndex((entry) => entry.id === id);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    }
+    if (wasRunning || index !== -1) {
+      this.pump();
+    }
+  }
+
+  /**
+   * Remove a waiting run; its `ready` promise rejects
+   * @param {string} id Session ID
+   * @param {string} [reason='Removed from the agent queue'] Rejection message
+   * @returns {boolean} True if the run was waiting
+   */
+  remove(id, reason = 'Removed from the agent queue') {
+    const index = this.waiting.findIndex((entry) => entry.id === id);
+    if (index === -1) return false;
+
+    const [entry] = this.waiting.splice(index, 1);
+    const err = new Error(reason);
+    err.cancelled = true;
+    entry.reject(err);
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Get a waiting run's 1-based position
+   * @param {string} id Session ID
+   * @returns {number|null} Position, or null when the run is not waiting
+   */
+  getPosition(id) {
+    const index = this.waiting.findIndex((entry) => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Check whether a run is blocked by another run in an overlapping directory
+   * @param {string} id Session ID
+   * @returns {boolean}
+   */
+  isWaitingForDirectory(id) {
+    const entry = this.waiting.find((candidate) => candidate.id === id);
+    return Boolean(entry) && [...this.running.values()].some((dir) => directoriesOverlap(dir, entry.directory));
+  }
+
+  /**
+   * Snapshot of the queue
+   * @returns {{maxParallel: number, running: number, waiting: number}}
+   */
+  getStats() {
+    return { maxParallel: this.maxParallel, running: this.running.size, waiting: this.waiting.length };
+  }
+
+  /**
+   * Reject every waiting run and forget running ones
+   * @param {string} [reason='Agent queue cleared'] Rejection message
+   */
+  clear(reason = 'Agent queue cleared') {
+    const waiting = this.waiting;
+    this.waiting = [];
+    this.running.clear();
+    for (const entry of waiting) {
+      const err = new Error(reason);
+      err.cancelled = true;
+      entry.reject(err);
+    }
+  }
+
+  /**
+   * Start waiting runs in order while slots and directories are free
+   * @private
+   */
+  pump() {
+    const busy = [...this.running.values()];
+    for (let i = 0; i < this.waiting.length && this.running.size < this.maxParallel; i++) {
+      const entry = this.waiting[i];
+      if (busy.some((dir) => directoriesOverlap(dir, entry.directory))) {
+        // Later runs in this directory stay behind this one
+        busy.push(entry.directory);
+        continue;
+      }
+      this.waiting.splice(i--, 1);
+      this.running.set(entry.id, entry.directory);
+      busy.push(entry.directory);
+      entry.resolve();
+    }
+  }
+}
+
+export default AgentTaskQueue;
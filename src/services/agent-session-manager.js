@@ -1,15 +1,46 @@
 import crypto from 'crypto';
+import { FileAgentSessionStore } from './agent-session-store.js';
+import { AgentTaskQueue } from './agent-queue.js';
+import { calculateCost } from '../config/pricing.js';
+import { discardCheckpoint } from './agent-checkpoint.js';
+import { discardWorktree, WorktreeStatus } from './agent-worktree.js';
 
 /**
  * Session status constants
  */
 export const SessionStatus = {
   PENDING: 'pending',
+  QUEUED: 'queued', // Waiting for a free agent slot or for its working directory
+  AWAITING_APPROVAL: 'awaiting_approval', // Plan written, waiting for gemini_agent_approve
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted', // Was running when the server stopped; resume explicitly
 };
 
+/**
+ * Statuses after which a session will not change on its own
+ */
+const FINISHED_STATUSES = new Set([
+  SessionStatus.COMPLETED,
+  SessionStatus.FAILED,
+  SessionStatus.CANCELLED,
+  SessionStatus.INTERRUPTED,
+]);
+
+/** Max characters of agent output kept in memory per session for status polling */
+const MAX_BUFFERED_OUTPUT = 200000;
+
+/** Grace period between SIGTERM and SIGKILL when cancelling */
+const CANCEL_KILL_GRACE_MS = 5000;
+
+/** Fraction of a token or cost budget at which a warning is recorded */
+const BUDGET_WARNING_RATIO = 0.8;
+
+/** Gemini CLI's default model - prices runs that did not pass `model` */
+const DEFAULT_PRICING_MODEL = 'gemini-2.5-pro';
+
 /**
  * AgentSessionManager - Manages Gemini agent mode sessions
  *
@@ -18,6 +49,9 @@ export const SessionStatus = {
  * - Tracks shell commands executed
  * - Stores Gemini's native session_id for --resume
  * - Supports iteration counting for safety limits
+ * - Holds a handle to the live Gemini process for background runs and cancellation
+ * - Admits runs through a queue (parallelism limit, one run per directory)
+ * - Optionally writes sessions through to a store and reloads them on startup
  */
 class AgentSessionManager {
   /**
@@ -26,12 +60,26 @@ class AgentSessionManager {
    * @param {number} [options.expirationMs=86400000] Session expiration (24h default)
    * @param {number} [options.cleanupIntervalMs=3600000] Cleanup interval (1h default)
    * @param {boolean} [options.autoCleanup=true] Enable auto-cleanup
+   * @param {string} [options.persistPath] Directory for the JSON file store (disabled by default)
+   * @param {Object} [options.storage] Custom storage backend (overrides persistPath)
+   * @param {number} [options.maxParallel] Maximum concurrent agent runs (see services/agent-queue.js)
+   * @param {number} [options.saveDelayMs=1000] Delay for batching progress writes to the store (0 writes through)
    */
   constructor(options = {}) {
     this.sessions = new Map();
+    this.processes = new Map(); // sessionId -> live child process (never serialized)
+    this.queue = new AgentTaskQueue({ maxParallel: options.maxParallel });
     this.maxSessions = options.maxSessions || 50;
     this.expirationMs = options.expirationMs || 24 * 60 * 60 * 1000; // 24 hours
     this.cleanupIntervalMs = options.cleanupIntervalMs || 60 * 60 * 1000; // 1 hour
+    this.saveDelayMs = options.saveDelayMs ?? 1000;
+    this.pendingSaves = new Map(); // sessionId -> timer of a batched store write
+
+    this.store = options.storage
+      || (options.persistPath ? new FileAgentSessionStore({ dir: options.persistPath }) : null);
+    if (this.store) {
+      this.loadFromStore();
+    }
 
     if (options.autoCleanup !== false) {
       this.cleanupInterval = setInterval(() => this.cleanup(), this.cleanupIntervalMs);
@@ -46,6 +94,14 @@ class AgentSessionManager {
    * @param {string} [options.model] Gemini model to use
    * @param {number} [options.maxIterations=20] Maximum tool calls
    * @param {number} [options.timeoutMinutes=10] Timeout in minutes
+   * @param {boolean} [options.background=false] Whether the task runs detached from the MCP call
+   * @param {string} [options.isolation] 'worktree' to run in a temporary git worktree
+   * @param {number} [options.maxTokens] Token budget (total tokens reported by the agent)
+   * @param {number} [options.maxCostUsd] Cost budget in USD
+   * @param {string} [options.authMethod='api_key'] Auth method used for pricing (OAuth is free)
+   * @param {string} [options.verifyCommand] Command run after the agent finishes (e.g. `npm test`)
+   * @param {number} [options.maxVerifyRounds=3] Maximum verification runs
+   * @param {string[]} [options.contextFiles] Reference file patterns (kept for runs started after plan approval)
    * @returns {Object} The created session
    */
   createSession(options = {}) {
@@ -67,11 +123,16 @@ class AgentSessionManager {
       taskDescription: options.taskDescription || '',
       workingDirectory: options.workingDirectory || process.cwd(),
       model: options.model || null,
+      contextFiles: options.contextFiles || [],
 
       // Safety limits
       maxIterations: options.maxIterations || 20,
       timeoutMs: (options.timeoutMinutes || 10) * 60 * 1000,
       iterations: 0,
+      queuedMs: 0, // Time spent waiting in the queue (not counted against the timeout)
+      approvalWaitMs: 0, // Time spent waiting for plan approval (not counted either)
+      limitsResetAt: null, // Start of the timeout window after a resume or verify round (null: createdAt)
+      iterationsAtReset: 0, // Iterations already used when the limits were last reset
 
       // Execution tracking
       toolCalls: [],
@@ -85,8 +146,46 @@ class AgentSessionManager {
       // Shell commands
       shellCommands: [],
 
-      // Token tracking
+      // Token tracking - cumulative across runs (resumes, verify rounds)
       tokens: { input: 0, output: 0, total: 0 },
+      // Usage before the current run started; the CLI reports per-run totals
+      runBaseline: { tokens: { input: 0, output: 0, total: 0 }, costUsd: 0 },
+
+      // Budgets (null = unlimited); cost is priced via config/pricing.js
+      maxTokens: options.maxTokens || null,
+      maxCostUsd: options.maxCostUsd || null,
+      authMethod: options.authMethod || 'api_key',
+      costUsd: 0,
+      budgetWarnings: [],
+
+      // Buffered agent output for status polling (cursor = outputDropped + output.length)
+      background: Boolean(options.background),
+      output: '',
+      outputDropped: 0,
+
+      // Pre-task checkpoint for rollback (see services/agent-checkpoint.js)
+      checkpoint: null,
+      checkpointError: null,
+      rolledBackAt: null,
+
+      // First agent policy violation (the agent is killed on it)
+      policyViolation: null,
+
+      // Latest diff of the session's changes { patchPath, files }
+      diff: null,
+
+      // Worktree isolation (see services/agent-worktree.js)
+      isolation: options.isolation || null,
+      worktree: null,
+
+      // Plan-then-approve mode (see services/agent-plan.js)
+      plan: null,
+      planDeviations: [],
+
+      // Verify-and-iterate loop: { command, maxRounds, rounds: [{ round, passed, exitCode, durationMs, output }] }
+      verification: options.verifyCommand
+        ? { command: options.verifyCommand, maxRounds: options.maxVerifyRounds || 3, rounds: [] }
+        : null,
 
       // Final result
       result: null,
@@ -94,6 +193,7 @@ class AgentSessionManager {
     };
 
     this.sessions.set(sessionId, session);
+    this.saveNow(session);
     return session;
   }
 
@@ -116,11 +216,13 @@ class AgentSessionManager {
     if (session) {
       session.geminiSessionId = geminiSessionId;
       session.updatedAt = Date.now();
+      this.saveNow(session);
     }
   }
 
   /**
    * Updates session status
+   * A session that starts running again (resume) drops the previous run's error.
    * @param {string} sessionId Session ID
    * @param {string} status New status
    */
@@ -128,52 +230,478 @@ class AgentSessionManager {
     const session = this.sessions.get(sessionId);
     if (session) {
       session.status = status;
+      if (status === SessionStatus.RUNNING) {
+        session.error = null;
+      }
       session.updatedAt = Date.now();
+      this.saveNow(session);
     }
   }
 
+  /**
+   * Starts a fresh timeout and iteration budget, measured from now
+   * Used for explicit resumes and for each verify round's agent run.
+   * @param {string} sessionId Session ID
+   */
+  resetLimits(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.limitsResetAt = Date.now();
+      session.iterationsAtReset = session.iterations;
+      session.queuedMs = 0;
+      session.approvalWaitMs = 0;
+      session.updatedAt = session.limitsResetAt;
+      this.save(session);
+    }
+  }
+
+  /**
+   * Marks a session as running again for an explicit resume
+   * The resumed run gets the full timeout and iteration budget (resetLimits).
+   * @param {string} sessionId Session ID
+   */
+  resumeSession(sessionId) {
+    this.resetLimits(sessionId);
+    this.setStatus(sessionId, SessionStatus.RUNNING);
+  }
+
   /**
    * Sets the final result of a session
+   * Ignored once the session was cancelled
    * @param {string} sessionId Session ID
    * @param {string} result Result text
    */
   setResult(sessionId, result) {
     const session = this.sessions.get(sessionId);
-    if (session) {
+    if (session && session.status !== SessionStatus.CANCELLED) {
       session.result = result;
       session.status = SessionStatus.COMPLETED;
       session.updatedAt = Date.now();
+      this.saveNow(session);
     }
   }
 
   /**
    * Sets the error for a failed session
+   * Ignored once the session was cancelled
    * @param {string} sessionId Session ID
    * @param {string} error Error message
    */
   setError(sessionId, error) {
     const session = this.sessions.get(sessionId);
-    if (session) {
+    if (session && session.status !== SessionStatus.CANCELLED) {
       session.error = error;
       session.status = SessionStatus.FAILED;
       session.updatedAt = Date.now();
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Appends agent output to the session buffer
+   * Oldest output is dropped past MAX_BUFFERED_OUTPUT; cursors stay valid
+   * because they count dropped characters too.
+   * @param {string} sessionId Session ID
+   * @param {string} text Output text
+   */
+  appendOutput(sessionId, text) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !text) return;
+
+    session.output += text;
+    if (session.output.length > MAX_BUFFERED_OUTPUT) {
+      const overflow = session.output.length - MAX_BUFFERED_OUTPUT;
+      session.output = session.output.slice(overflow);
+      session.outputDropped += overflow;
+    }
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * Gets output produced since a cursor
+   * @param {string} sessionId Session ID
+   * @param {number} [cursor=0] Cursor returned by a previous call
+   * @returns {{text: string, cursor: number, skipped: number}|null} New output,
+   *   the cursor to pass next time, and characters lost to buffer trimming
+   */
+  getOutputSince(sessionId, cursor = 0) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const end = session.outputDropped + session.output.length;
+    const start = Math.min(Math.max(cursor, session.outputDropped), end);
+
+    return {
+      text: session.output.slice(start - session.outputDropped),
+      cursor: end,
+      skipped: Math.max(session.outputDropped - cursor, 0),
+    };
+  }
+
+  /**
+   * Attaches the live Gemini process to a session
+   * @param {string} sessionId Session ID
+   * @param {import('child_process').ChildProcess} proc Child process
+   */
+  setProcess(sessionId, proc) {
+    if (this.sessions.has(sessionId)) {
+      this.processes.set(sessionId, proc);
+    }
+  }
+
+  /**
+   * Gets the live process for a session
+   * @param {string} sessionId Session ID
+   * @returns {import('child_process').ChildProcess|undefined} Child process
+   */
+  getProcess(sessionId) {
+    return this.processes.get(sessionId);
+  }
+
+  /**
+   * Detaches the process once it has exited
+   * @param {string} sessionId Session ID
+   */
+  clearProcess(sessionId) {
+    this.processes.delete(sessionId);
+    const session = this.sessions.get(sessionId);
+    if (session && this.pendingSaves.has(sessionId)) {
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Checks whether a session has finished (completed, failed or cancelled)
+   * @param {string} sessionId Session ID
+   * @returns {boolean} True if finished
+   */
+  isFinished(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return Boolean(session && FINISHED_STATUSES.has(session.status));
+  }
+
+  /**
+   * Cancels a session, stopping its process with SIGTERM
+   * Escalates to SIGKILL if the process ignores SIGTERM for CANCEL_KILL_GRACE_MS.
+   * @param {string} sessionId Session ID
+   * @returns {{cancelled: boolean, reason?: string}} Cancellation result
+   */
+  cancel(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { cancelled: false, reason: 'Session not found' };
+    }
+    if (FINISHED_STATUSES.has(session.status)) {
+      return { cancelled: false, reason: `Session already ${session.status}` };
+    }
+
+    session.status = SessionStatus.CANCELLED;
+    session.error = 'Cancelled by user';
+    session.updatedAt = Date.now();
+    this.saveNow(session);
+    this.queue.remove(sessionId, 'Agent task cancelled');
+
+    const proc = this.processes.get(sessionId);
+    if (proc && proc.exitCode === null && !proc.killed) {
+      proc.kill('SIGTERM');
+      const killTimer = setTimeout(() => {
+        if (proc.exitCode === null) proc.kill('SIGKILL');
+      }, CANCEL_KILL_GRACE_MS);
+      killTimer.unref?.();
+      proc.once?.('close', () => clearTimeout(killTimer));
+    }
+
+    return { cancelled: true };
+  }
+
+  /**
+   * Queues a run of the session behind the parallelism limit and directory lock
+   * The session becomes running when it can start right away and queued
+   * otherwise; `ready` resolves once it is running and rejects (with
+   * `cancelled` set) if it is cancelled while queued. Call finishRun() when
+   * the run is over.
+   * @param {string} sessionId Session ID
+   * @returns {{started: boolean, position: number, ready: Promise<void>}} Queue ticket
+   */
+  queueRun(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const ticket = this.queue.enqueue(sessionId, session.workingDirectory);
+    if (ticket.started) {
+      this.setStatus(sessionId, SessionStatus.RUNNING);
+      return ticket;
+    }
+
+    this.setStatus(sessionId, SessionStatus.QUEUED);
+    const queuedAt = Date.now();
+    ticket.ready.then(() => {
+      session.queuedMs = (session.queuedMs || 0) + (Date.now() - queuedAt);
+      if (session.status === SessionStatus.QUEUED) {
+        this.setStatus(sessionId, SessionStatus.RUNNING);
+      }
+    }, () => {});
+    return ticket;
+  }
+
+  /**
+   * Frees the session's queue slot so the next queued run can start
+   * @param {string} sessionId Session ID
+   */
+  finishRun(sessionId) {
+    this.queue.release(sessionId);
+  }
+
+  /**
+   * Gets a queued session's place in the queue
+   * @param {string} sessionId Session ID
+   * @returns {{position: number, waiting: number, running: number, maxParallel: number, waitingForDirectory: boolean}|null}
+   *   Queue info, or null if the session is not queued
+   */
+  getQueueInfo(sessionId) {
+    const position = this.queue.getPosition(sessionId);
+    if (position === null) return null;
+
+    const stats = this.queue.getStats();
+    return {
+      position,
+      waiting: stats.waiting,
+      running: stats.running,
+      maxParallel: stats.maxParallel,
+      waitingForDirectory: this.queue.isWaitingForDirectory(sessionId),
+    };
+  }
+
+  /**
+   * Records the pre-task checkpoint (or why none could be taken)
+   * @param {string} sessionId Session ID
+   * @param {Object|null} checkpoint Checkpoint descriptor
+   * @param {string} [error] Reason the checkpoint failed
+   */
+  setCheckpoint(sessionId, checkpoint, error = null) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.checkpoint = checkpoint;
+      session.checkpointError = error;
+      session.updatedAt = Date.now();
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Records the agent policy violation that stopped a session
+   * @param {string} sessionId Session ID
+   * @param {Object} violation Violation details { tool, rule, detail, reason, source }
+   */
+  recordPolicyViolation(sessionId, violation) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.policyViolation = { ...violation, timestamp: Date.now() };
+      session.updatedAt = Date.now();
+      this.save(session);
+    }
+  }
+
+  /**
+   * Records the diff of a session's changes
+   * @param {string} sessionId Session ID
+   * @param {Object} diff Diff info { patchPath, files: [{ path, status, added, removed, binary }] }
+   */
+  setDiff(sessionId, diff) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.diff = { ...diff, generatedAt: Date.now() };
+      session.updatedAt = Date.now();
+      this.save(session);
+    }
+  }
+
+  /**
+   * Records the worktree a session runs in and points the session at it
+   * @param {string} sessionId Session ID
+   * @param {Object} worktree Worktree descriptor
+   */
+  setWorktree(sessionId, worktree) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.worktree = worktree;
+      session.workingDirectory = worktree.workingDirectory;
+      session.updatedAt = Date.now();
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Updates worktree fields (diff summary, status)
+   * @param {string} sessionId Session ID
+   * @param {Object} updates Fields to merge into the worktree descriptor
+   */
+  updateWorktree(sessionId, updates) {
+    const session = this.sessions.get(sessionId);
+    if (session?.worktree) {
+      Object.assign(session.worktree, updates);
+      session.updatedAt = Date.now();
+      this.saveNow(session);
     }
   }
 
   /**
-   * Updates token counts
+   * Stores the proposed plan and waits for approval
    * @param {string} sessionId Session ID
-   * @param {Object} tokens Token counts { input, output, total }
+   * @param {Object} plan Plan from parsePlan()
+   */
+  setPlan(sessionId, plan) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.plan = { ...plan, createdAt: Date.now(), approvedAt: null, edited: false };
+      session.status = SessionStatus.AWAITING_APPROVAL;
+      session.updatedAt = Date.now();
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Approves the session's plan, optionally replacing it with an edited one
+   * The wait since the plan was proposed is not counted against the timeout.
+   * @param {string} sessionId Session ID
+   * @param {Object} [editedPlan] Edited plan from parsePlan()
+   */
+  approvePlan(sessionId, editedPlan = null) {
+    const session = this.sessions.get(sessionId);
+    if (session?.plan) {
+      if (editedPlan) {
+        session.plan = { ...editedPlan, createdAt: session.plan.createdAt, edited: true };
+      }
+      session.plan.approvedAt = Date.now();
+      session.approvalWaitMs = (session.approvalWaitMs || 0) + (session.plan.approvedAt - session.plan.createdAt);
+      session.updatedAt = session.plan.approvedAt;
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Records a tool call that strayed from the approved plan
+   * @param {string} sessionId Session ID
+   * @param {Object} deviation Deviation details { tool, detail, reason }
+   */
+  recordPlanDeviation(sessionId, deviation) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.planDeviations.push({ ...deviation, timestamp: Date.now() });
+      session.updatedAt = Date.now();
+      this.save(session);
+    }
+  }
+
+  /**
+   * Sets the verify command for later runs of a session (keeps earlier rounds)
+   * @param {string} sessionId Session ID
+   * @param {string} command Verify command
+   * @param {number} [maxRounds=3] Maximum verification runs per agent run
+   */
+  setVerification(sessionId, command, maxRounds = 3) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.verification = { command, maxRounds, rounds: session.verification?.rounds || [] };
+      session.updatedAt = Date.now();
+      this.save(session);
+    }
+  }
+
+  /**
+   * Records the outcome of one verification run
+   * @param {string} sessionId Session ID
+   * @param {Object} round Round details { round, passed, exitCode, durationMs, output }
+   */
+  recordVerifyRound(sessionId, round) {
+    const session = this.sessions.get(sessionId);
+    if (session?.verification) {
+      session.verification.rounds.push({ ...round, timestamp: Date.now() });
+      session.updatedAt = Date.now();
+      this.save(session);
+    }
+  }
+
+  /**
+   * Marks a session as rolled back to its checkpoint
+   * @param {string} sessionId Session ID
+   */
+  markRolledBack(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.rolledBackAt = Date.now();
+      session.updatedAt = session.rolledBackAt;
+      this.saveNow(session);
+    }
+  }
+
+  /**
+   * Checks whether a session can be rolled back right now
+   * @param {string} sessionId Session ID
+   * @returns {{available: boolean, reason?: string}} Rollback availability
+   */
+  getRollbackStatus(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { available: false, reason: 'Session not found' };
+    }
+    if (!session.checkpoint) {
+      return { available: false, reason: session.checkpointError || 'No checkpoint recorded' };
+    }
+    if (session.rolledBackAt) {
+      return { available: false, reason: 'Already rolled back' };
+    }
+    if (this.processes.has(sessionId)) {
+      return { available: false, reason: 'Agent still running' };
+    }
+    return { available: true };
+  }
+
+  /**
+   * Starts a new agent run for token accounting
+   * The CLI's usage stats restart at zero for every run, so the usage so far
+   * becomes the baseline that the run's totals are added to.
+   * @param {string} sessionId Session ID
+   */
+  startRun(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.runBaseline = { tokens: { ...session.tokens }, costUsd: session.costUsd };
+      this.save(session);
+    }
+  }
+
+  /**
+   * Updates token counts from the current run's totals
+   * Session totals are the run baseline (see startRun) plus the run's usage.
+   * @param {string} sessionId Session ID
+   * @param {Object} tokens Token counts for the current run { input, output, total }
    */
   updateTokens(sessionId, tokens) {
     const session = this.sessions.get(sessionId);
     if (session && tokens) {
-      session.tokens = {
+      const run = {
         input: tokens.input || tokens.inputTokens || 0,
         output: tokens.output || tokens.outputTokens || 0,
         total: tokens.total || tokens.totalTokens || 0,
       };
+      const { tokens: base, costUsd: baseCost } = session.runBaseline;
+      session.tokens = {
+        input: base.input + run.input,
+        output: base.output + run.output,
+        total: base.total + run.total,
+      };
+      session.costUsd = baseCost + calculateCost(
+        session.model || DEFAULT_PRICING_MODEL,
+        run.input,
+        run.output,
+        'gemini',
+        session.authMethod
+      );
       session.updatedAt = Date.now();
+      this.save(session);
     }
   }
 
@@ -190,6 +718,16 @@ class AgentSessionManager {
     const session = this.sessions.get(sessionId);
     if (!session) return;
 
+    this.trackToolCall(session, toolCall);
+    this.save(session);
+  }
+
+  /**
+   * Appends a tool call to the session and updates the file/shell tracking arrays
+   * @param {Object} session Session object
+   * @param {Object} toolCall Tool call details (see recordToolCall)
+   */
+  trackToolCall(session, toolCall) {
     session.iterations++;
 
     // Truncate large input/output to prevent memory bloat
@@ -277,8 +815,8 @@ class AgentSessionManager {
       return { exceeded: true, reason: 'Session not found' };
     }
 
-    // Check iteration limit
-    if (session.iterations >= session.maxIterations) {
+    // Check iteration limit (since the last resume)
+    if (session.iterations - (session.iterationsAtReset || 0) >= session.maxIterations) {
       return {
         exceeded: true,
         reason: `Maximum iterations (${session.maxIterations}) reached`,
@@ -286,7 +824,8 @@ class AgentSessionManager {
     }
 
     // Check timeout
-    const elapsed = Date.now() - session.createdAt;
+    const startedAt = session.limitsResetAt || session.createdAt;
+    const elapsed = Date.now() - startedAt - (session.queuedMs || 0) - (session.approvalWaitMs || 0);
     if (elapsed >= session.timeoutMs) {
       return {
         exceeded: true,
@@ -297,6 +836,63 @@ class AgentSessionManager {
     return { exceeded: false };
   }
 
+  /**
+   * Checks the session's token and cost budgets
+   * Records a warning the first time usage reaches 80% of a budget.
+   * @param {string} sessionId Session ID
+   * @returns {{exceeded: boolean, reason?: string, kind?: 'tokens'|'cost', spent?: number, limit?: number, warnings: string[]}}
+   *   Budget check result; `warnings` holds only warnings recorded by this call
+   */
+  checkBudget(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return { exceeded: false, warnings: [] };
+    }
+
+    const budgets = [
+      {
+        kind: 'tokens',
+        spent: session.tokens.total || session.tokens.input + session.tokens.output,
+        limit: session.maxTokens,
+        format: (n) => `${n.toLocaleString()} tokens`,
+      },
+      {
+        kind: 'cost',
+        spent: session.costUsd,
+        limit: session.maxCostUsd,
+        format: (n) => `$${n.toFixed(4)}`,
+      },
+    ];
+
+    const warnings = [];
+    for (const { kind, spent, limit, format } of budgets) {
+      if (!limit) continue;
+
+      if (spent >= limit) {
+        return {
+          exceeded: true,
+          reason: `${kind === 'tokens' ? 'Token' : 'Cost'} budget exceeded: ${format(spent)} of ${format(limit)}`,
+          kind,
+          spent,
+          limit,
+          warnings,
+        };
+      }
+
+      if (spent >= limit * BUDGET_WARNING_RATIO && !session.budgetWarnings.some((w) => w.kind === kind)) {
+        const message = `${Math.floor((spent / limit) * 100)}% of ${kind} budget used (${format(spent)} of ${format(limit)})`;
+        session.budgetWarnings.push({ kind, message, timestamp: Date.now() });
+        warnings.push(message);
+      }
+    }
+
+    if (warnings.length > 0) {
+      session.updatedAt = Date.now();
+      this.save(session);
+    }
+    return { exceeded: false, warnings };
+  }
+
   /**
    * Generates a structured summary of the session
    * @param {string} sessionId Session ID
@@ -312,6 +908,9 @@ class AgentSessionManager {
       id: session.id,
       geminiSessionId: session.geminiSessionId,
       status: session.status,
+      background: session.background,
+      hasProcess: this.processes.has(session.id),
+      queue: this.getQueueInfo(session.id),
       duration,
       durationFormatted: `${Math.round(duration / 1000)}s`,
       iterations: session.iterations,
@@ -328,9 +927,56 @@ class AgentSessionManager {
       shellCommandList: session.shellCommands.map((c) => c.command),
 
       tokens: { ...session.tokens },
+      budget: {
+        maxTokens: session.maxTokens,
+        maxCostUsd: session.maxCostUsd,
+        costUsd: session.costUsd,
+        warnings: session.budgetWarnings.map((w) => w.message),
+      },
 
       result: session.result,
       error: session.error,
+      policyViolation: session.policyViolation ? { ...session.policyViolation } : null,
+      diff: session.diff
+        ? { patchPath: session.diff.patchPath, files: session.diff.files.map((f) => ({ ...f })) }
+        : null,
+
+      checkpoint: session.checkpoint
+        ? { type: session.checkpoint.type, ref: session.checkpoint.ref || null, createdAt: session.checkpoint.createdAt }
+        : null,
+      rollback: this.getRollbackStatus(session.id),
+      rolledBackAt: session.rolledBackAt,
+
+      worktree: session.worktree
+        ? {
+            branch: session.worktree.branch,
+            path: session.worktree.path,
+            repoRoot: session.worktree.repoRoot,
+            baseCommit: session.worktree.baseCommit,
+            status: session.worktree.status,
+            diffSummary: session.worktree.diffSummary,
+          }
+        : null,
+
+      plan: session.plan
+        ? {
+            summary: session.plan.summary,
+            steps: session.plan.steps.map((step) => ({ ...step })),
+            risks: [...session.plan.risks],
+            approvedAt: session.plan.approvedAt,
+            edited: session.plan.edited,
+          }
+        : null,
+      planDeviations: session.planDeviations.map((d) => ({ ...d })),
+
+      verification: session.verification
+        ? {
+            command: session.verification.command,
+            maxRounds: session.verification.maxRounds,
+            passed: Boolean(session.verification.rounds.at(-1)?.passed),
+            rounds: session.verification.rounds.map((r) => ({ ...r })),
+          }
+        : null,
 
       resumeCommand: session.geminiSessionId
         ? `gemini --resume ${session.geminiSessionId}`
@@ -363,30 +1009,189 @@ class AgentSessionManager {
    * @returns {boolean} True if deleted
    */
   deleteSession(id) {
-    return this.sessions.delete(id);
+    this.processes.delete(id);
+    this.queue.remove(id, 'Agent session deleted');
+    const deleted = this.sessions.delete(id);
+    this.cancelSave(id);
+    if (deleted) {
+      this.persist(store => store.deleteSession(id));
+    }
+    return deleted;
   }
 
   /**
    * Removes expired sessions
+   * Sessions leave memory and the store right away; their checkpoints and
+   * unmerged worktrees are released afterwards, since no tool can reach them
+   * anymore. An expired worktree is discarded, not applied - its branch
+   * changes are lost unless gemini_agent_merge ran before expiry.
+   * @returns {Promise<void>} Resolves once the expired sessions' resources are released
    */
-  cleanup() {
+  async cleanup() {
     const now = Date.now();
+    const expired = [];
     for (const [id, session] of this.sessions.entries()) {
-      if (now - session.updatedAt > this.expirationMs) {
+      // Never expire a session whose process is still running or waiting to run
+      if (now - session.updatedAt > this.expirationMs && !this.processes.has(id)
+        && session.status !== SessionStatus.QUEUED) {
         this.sessions.delete(id);
+        this.cancelSave(id);
+        this.persist(store => store.deleteSession(id));
+        expired.push(session);
+      }
+    }
+    await Promise.all(expired.map((session) => this.releaseResources(session)));
+  }
+
+  /**
+   * Releases the on-disk resources of a session that is going away
+   * Never rejects - a leftover only costs disk space.
+   * @param {Object} session Session object
+   */
+  async releaseResources(session) {
+    if (session.checkpoint) {
+      await discardCheckpoint(session.checkpoint);
+    }
+    if (session.worktree?.status === WorktreeStatus.ACTIVE) {
+      await discardWorktree(session.worktree).catch((err) => {
+        console.error(`[AgentSessions] Failed to remove worktree ${session.worktree.path}:`, err.message);
+      });
+    }
+  }
+
+  /**
+   * Schedules a session snapshot write to the storage backend
+   * Progress updates (tool calls, token usage, ...) arrive for every streamed
+   * agent event, so they are batched into at most one write per saveDelayMs
+   * instead of rewriting the session file each time.
+   * @param {Object} session Session object
+   */
+  save(session) {
+    if (!this.store) return;
+    if (this.saveDelayMs <= 0) {
+      this.saveNow(session);
+      return;
+    }
+    if (this.pendingSaves.has(session.id)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingSaves.delete(session.id);
+      if (this.sessions.get(session.id) === session) {
+        this.persist(store => store.saveSession(session));
+      }
+    }, this.saveDelayMs);
+    timer.unref?.();
+    this.pendingSaves.set(session.id, timer);
+  }
+
+  /**
+   * Writes a session snapshot to the storage backend right away
+   * Used for status changes and for state that points at on-disk resources
+   * (checkpoints, worktrees), which must survive a server stop.
+   * @param {Object} session Session object
+   */
+  saveNow(session) {
+    this.cancelSave(session.id);
+    this.persist(store => store.saveSession(session));
+  }
+
+  /**
+   * Drops the batched write of a session, if any
+   * @param {string} sessionId Session ID
+   */
+  cancelSave(sessionId) {
+    const timer = this.pendingSaves.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.pendingSaves.delete(sessionId);
+    }
+  }
+
+  /**
+   * Writes every batched session snapshot now
+   */
+  flushSaves() {
+    for (const sessionId of [...this.pendingSaves.keys()]) {
+      const session = this.sessions.get(sessionId);
+      if (session) {
+        this.saveNow(session);
+      } else {
+        this.cancelSave(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Run a write against the storage backend (no-op without one)
+   * Storage failures are logged but never break the in-memory session
+   */
+  persist(operation) {
+    if (!this.store) return;
+
+    try {
+      operation(this.store);
+    } catch (error) {
+      console.error('[AgentSessions] Failed to persist:', error.message);
+    }
+  }
+
+  /**
+   * Rehydrate sessions from the storage backend
+   * Expired sessions are dropped from the store and their resources released. Sessions that were pending,
+   * queued or running when the previous server stopped have no process anymore, so they
+   * are marked interrupted and left for the caller to resume explicitly.
+   * @returns {number} Number of sessions loaded
+   */
+  loadFromStore() {
+    let stored;
+    try {
+      stored = this.store.loadAll();
+    } catch (error) {
+      console.error('[AgentSessions] Failed to load:', error.message);
+      return 0;
+    }
+
+    const now = Date.now();
+    let loaded = 0;
+    let interrupted = 0;
+
+    for (const session of stored) {
+      if (!(now - session.updatedAt <= this.expirationMs)) {
+        this.persist(store => store.deleteSession(session.id));
+        this.releaseResources(session);
+        continue;
       }
+
+      if ([SessionStatus.RUNNING, SessionStatus.PENDING, SessionStatus.QUEUED].includes(session.status)) {
+        session.status = SessionStatus.INTERRUPTED;
+        session.error = 'Interrupted: the MCP server stopped while the agent was running';
+        session.updatedAt = now;
+        this.saveNow(session);
+        interrupted++;
+      }
+
+      this.sessions.set(session.id, session);
+      loaded++;
+    }
+
+    if (loaded > 0) {
+      console.error(`[AgentSessions] Loaded ${loaded} sessions from storage (${interrupted} interrupted)`);
     }
+    return loaded;
   }
 
   /**
-   * Destroys the manager (clears interval and sessions)
+   * Destroys the manager (flushes batched writes, clears interval and sessions)
    */
   destroy() {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+    this.flushSaves();
+    this.queue.clear();
     this.sessions.clear();
+    this.processes.clear();
   }
 
   /**
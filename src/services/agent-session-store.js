@@ -0,0 +1,128 @@
+/**
+ * Agent Session Store
+ *
+ * Storage backend for AgentSessionManager.
+ * The manager writes through to the store so agent sessions (tool calls,
+ * file mutations, shell commands, tokens, status) survive MCP server
+ * restarts and crashes.
+ *
+ * Features:
+ * - One JSON snapshot file per session
+ * - Atomic rewrites (temp file + rename) so a crash never leaves a torn file
+ * - Rehydration on startup
+ *
+ * The buffered agent output is not stored; only its length is kept so
+ * status cursors handed out before a restart stay valid.
+ */
+
+import {
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+/**
+ * Current on-disk format version
+ */
+export const AGENT_STORE_VERSION = 1;
+
+const FILE_EXTENSION = '.json';
+
+/**
+ * Default per-user directory for agent session state
+ * Override with HYBRID_AGENT_SESSIONS_DIR
+ */
+export function getDefaultAgentSessionsDir() {
+  return process.env.HYBRID_AGENT_SESSIONS_DIR
+    || join(homedir(), '.claude', 'gemini-worker-agent-sessions');
+}
+
+/**
+ * Storage backend interface used by AgentSessionManager
+ * @typedef {Object} AgentSessionStore
+ * @property {function(): Object[]} loadAll - Load all stored sessions
+ * @property {function(Object): void} saveSession - Write a full session snapshot
+ * @property {function(string): void} deleteSession - Remove a session
+ */
+
+/**
+ * JSON file store
+ * One `<id>.json` file per session under a configurable directory
+ */
+export class FileAgentSessionStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.dir Directory holding session files
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('FileAgentSessionStore requires a directory');
+    }
+    this.dir = options.dir;
+    mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Get the file path for a session
+   * IDs are URI-encoded so they cannot escape the store directory
+   */
+  getFilePath(sessionId) {
+    return join(this.dir, `${encodeURIComponent(sessionId)}${FILE_EXTENSION}`);
+  }
+
+  /**
+   * Write a full session snapshot, replacing any existing file
+   */
+  saveSession(session) {
+    const { output = '', outputDropped = 0, ...rest } = session;
+    const record = {
+      version: AGENT_STORE_VERSION,
+      session: { ...rest, output: '', outputDropped: outputDropped + output.length },
+    };
+
+    const filePath = this.getFilePath(session.id);
+    const tempPath = `${filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(record), 'utf-8');
+    renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Delete a session file
+   */
+  deleteSession(sessionId) {
+    rmSync(this.getFilePath(sessionId), { force: true });
+  }
+
+  /**
+   * Load all sessions
+   * Unreadable or unknown-version files are skipped
+   */
+  loadAll() {
+    let files;
+    try {
+      files = readdirSync(this.dir).filter(f => f.endsWith(FILE_EXTENSION));
+    } catch {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of files) {
+      try {
+        const record = JSON.parse(readFileSync(join(this.dir, file), 'utf-8'));
+        if (record.version === AGENT_STORE_VERSION && record.session?.id) {
+          sessions.push(record.session);
+        }
+      } catch (error) {
+        console.error(`[AgentSessions] Failed to load ${file}:`, error.message);
+      }
+    }
+    return sessions;
+  }
+}
+
+export default FileAgentSessionStore;
@@ -0,0 +1,244 @@
+/**
+ * Agent Traces
+ *
+ * Structured record of an agent run for debugging without rerunning it.
+ * Next to the human-readable `agent-task-<session>-<ts>-full.txt`, every
+ * parsed stream-json event is written with a timestamp to
+ * `agent-task-<session>-<ts>.trace.jsonl`. `hybrid agent replay <session>`
+ * re-renders all runs of a session (resumes and verify rounds included)
+ * step by step.
+ *
+ * One JSON object per line:
+ *   {"kind":"start","ts":"...","sessionId":"...","task":"...","args":[...]}
+ *   {"kind":"event","ts":"...","elapsedMs":120,"event":{"type":"tool_use",...}}
+ *   {"kind":"stop","ts":"...","elapsedMs":900,"reason":"Policy violation: ..."}
+ *   {"kind":"end","ts":"...","elapsedMs":950,"exitCode":0}
+ *
+ * A trace of a crashed server has no "end" line (and may end in a torn
+ * line, which is skipped when reading).
+ */
+
+import { createWriteStream } from 'fs';
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+export const TRACE_SUFFIX = '.trace.jsonl';
+
+/** Tool output shown per step when replaying, unless overridden */
+const DEFAULT_REPLAY_OUTPUT_MAX = 2000;
+
+/**
+ * Get the trace file that belongs to a run's full output file
+ * @param {string} fullOutputPath - `agent-task-<session>-<ts>-full.txt` path
+ * @returns {string} `agent-task-<session>-<ts>.trace.jsonl` path
+ */
+export function getTracePath(fullOutputPath) {
+  return fullOutputPath.replace(/-full\.txt$/, TRACE_SUFFIX);
+}
+
+/**
+ * Open a trace file for one agent run
+ * Writing never throws into the run; a failing stream only logs.
+ * @param {string} path - Trace file path
+ * @param {Object} meta - Written to the start line
+ * @param {string} meta.sessionId - Agent session ID
+ * @param {string} [meta.task] - Task description
+ * @param {string[]} [meta.args] - Gemini CLI arguments
+ * @returns {{path: string, event: function(Object): void, stop: function(string): void, end: function(Object=): void}}
+ */
+export function createTraceWriter(path, { sessionId, task, args }) {
+  const stream = createWriteStream(path, { encoding: 'utf8' });
+  stream.on('error', (err) => console.error(`[AgentTrace] Failed to write ${path}:`, err.message));
+
+  const startedAt = Date.now();
+  let ended = false;
+
+  const writeLine = (record) => {
+    if (ended) return;
+    const now = Date.now();
+    stream.write(JSON.stringify({ ...record, ts: new Date(now).toISOString(), elapsedMs: now - startedAt }) + '\n');
+  };
+
+  writeLine({ kind: 'start', sessionId, task, args });
+
+  return {
+    path,
+    /** Record a parsed stream-json event */
+    event: (event) => writeLine({ kind: 'event', event }),
+    /** Record why the run was stopped (policy, budget, limits, timeout) */
+    stop: (reason) => writeLine({ kind: 'stop', reason }),
+    /** Write the end line and close the file (later calls are ignored) */
+    end: (details = {}) => {
+      writeLine({ kind: 'end', ...details });
+      ended = true;
+      stream.end();
+    },
+  };
+}
+
+/**
+ * Find the trace files of a session, oldest run first
+ * @param {string} sessionId - Agent session ID
+ * @param {string} dir - Outputs directory
+ * @returns {Promise<string[]>} Trace file paths
+ */
+export async function findTraceFiles(sessionId, dir) {
+  const prefix = `agent-task-${sessionId}-`;
+  const files = await readdir(dir).catch(() => []);
+  return files
+    .filter((f) => f.startsWith(prefix) && f.endsWith(TRACE_SUFFIX))
+    // Run timestamps have the same width, so name order is run order
+    .sort()
+    .map((f) => join(dir, f));
+}
+
+/**
+ * Read a trace file
+ * Unparseable lines (e.g. torn by a crash) are skipped
+ * @param {string} path - Trace file path
+ * @returns {Promise<Object[]>} Trace records
+ */
+export async function readTrace(path) {
+  const records = [];
+  for (const line of (await readFile(path, 'utf-8')).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Skip torn lines
+    }
+  }
+  return records;
+}
+
+/**
+ * Shorten text to a maximum length, keeping the start
+ */
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max)}\n[... ${text.length - max} more characters]` : text;
+}
+
+/**
+ * Stringify tool input or output for display
+ */
+function display(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Turn trace records into replay steps
+ * Token counts from usage events are cumulative (see
+ * AgentSessionManager.updateTokens), so each step carries the delta to the
+ * previous usage event of the same run.
+ * @param {Object[]} records - Records from readTrace()
+ * @param {Object} [options]
+ * @param {number} [options.maxOutput=2000] Characters of tool output/text kept per step
+ * @returns {Array<{kind: string, elapsedMs: number, ts: string, title: string, body?: string, tokens?: Object}>}
+ */
+export function buildReplaySteps(records, { maxOutput = DEFAULT_REPLAY_OUTPUT_MAX } = {}) {
+  const steps = [];
+  let lastTokens = { input: 0, output: 0, total: 0 };
+  let toolCount = 0;
+
+  const push = (record, step) => steps.push({ elapsedMs: record.elapsedMs || 0, ts: record.ts, ...step });
+
+  for (const record of records) {
+    switch (record.kind) {
+      case 'start':
+        lastTokens = { input: 0, output: 0, total: 0 };
+        toolCount = 0;
+        push(record, {
+          kind: 'start',
+          title: `Run started ${record.ts}`,
+          body: [record.task, record.args?.length ? `gemini ${record.args.join(' ')}` : ''].filter(Boolean).join('\n'),
+        });
+        break;
+
+      case 'stop':
+        push(record, { kind: 'stop', title: `Stopped: ${record.reason}` });
+        break;
+
+      case 'end':
+        push(record, {
+          kind: 'end',
+          title: record.error ? `Run ended: ${record.error}` : `Run ended (exit code ${record.exitCode ?? 'none - killed by a signal'})`,
+        });
+        break;
+
+      case 'event': {
+        const event = record.event || {};
+        switch (event.type) {
+          case 'session':
+            push(record, { kind: 'session', title: `Gemini session ${event.session_id}` });
+            break;
+
+          case 'tool_code':
+          case 'tool_use': {
+            toolCount++;
+            const input = event.tool_input || event.input;
+            push(record, {
+              kind: 'tool',
+              title: `Tool call ${toolCount}: ${event.tool_name || event.name || 'tool'}`,
+              body: clip(display(input ?? event.tool_code), maxOutput),
+            });
+            break;
+          }
+
+          case 'tool_result': {
+            const output = display(event.output ?? event.result ?? event.content ?? event.text);
+            push(record, {
+              kind: 'tool_result',
+              title: `Tool result${event.tool_name ? `: ${event.tool_name}` : ''}${event.status ? ` (${event.status})` : ''}`,
+              body: clip(output || display(event.error), maxOutput),
+            });
+            break;
+          }
+
+          case 'usage':
+          case 'stats': {
+            const tokens = {
+              input: event.input_tokens || event.metrics?.input_tokens || 0,
+              output: event.output_tokens || event.metrics?.output_tokens || 0,
+              total: event.total_tokens || event.metrics?.total_tokens || 0,
+            };
+            const delta = tokens.total - lastTokens.total;
+            lastTokens = tokens;
+            push(record, {
+              kind: 'tokens',
+              title: `Tokens ${delta >= 0 ? '+' : ''}${delta.toLocaleString()} (total ${tokens.total.toLocaleString()}, in: ${tokens.input.toLocaleString()}, out: ${tokens.output.toLocaleString()})`,
+              tokens: { ...tokens, delta },
+            });
+            break;
+          }
+
+          case 'error':
+            push(record, { kind: 'error', title: `Error: ${display(event.error || event.message)}` });
+            break;
+
+          case 'result':
+          case 'done':
+            push(record, { kind: 'result', title: 'Agent finished' });
+            break;
+
+          default:
+            if (event.text || event.content) {
+              push(record, { kind: 'text', title: 'Output', body: clip(display(event.text || event.content), maxOutput) });
+            }
+        }
+        break;
+      }
+    }
+  }
+
+  return steps;
+}
+
+export default {
+  TRACE_SUFFIX,
+  getTracePath,
+  createTraceWriter,
+  findTraceFiles,
+  readTrace,
+  buildReplaySteps,
+};
@@ -0,0 +1,215 @@
+/**
+ * Agent Worktrees
+ *
+ * Runs agent tasks in a temporary `git worktree` on a fresh branch so several
+ * tasks can work on the same repository in parallel without touching the
+ * caller's working tree or uncommitted changes.
+ *
+ * Lifecycle:
+ * 1. createWorktree() - branch hybrid/agent-<id> from HEAD, checked out under
+ *    ~/.claude/gemini-worker-worktrees/<sessionId>
+ * 2. commitWorktree() - after each run, commit everything the agent changed
+ *    to the branch and summarize the diff against the base commit
+ *    (diffWorktree() renders the branch as a patch)
+ * 3. applyWorktree() / discardWorktree() - apply the branch diff to the
+ *    caller's working tree, or throw it away; both remove the worktree
+ */
+
+import { rm } from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+import { AGENT_GIT_IDENTITY, findGitRepo, git, runGit } from './agent-checkpoint.js';
+
+/**
+ * Worktree states
+ */
+export const WorktreeStatus = {
+  ACTIVE: 'active',
+  APPLIED: 'applied',
+  DISCARDED: 'discarded',
+};
+
+/** Branch namespace for agent worktrees */
+const BRANCH_PREFIX = 'hybrid/agent-';
+
+/**
+ * Get the directory holding agent worktrees
+ * Override with HYBRID_WORKTREES_DIR
+ * @returns {string} Worktree root directory
+ */
+export function getWorktreeRoot() {
+  return process.env.HYBRID_WORKTREES_DIR || join(homedir(), '.claude', 'gemini-worker-worktrees');
+}
+
+/**
+ * Create a worktree on a fresh branch for an agent session
+ * @param {string} sessionId Agent session ID
+ * @param {string} directory Directory the caller asked the agent to work in
+ * @returns {Promise<Object>} Worktree descriptor (JSON-serializable); workingDirectory
+ *   is the same subdirectory inside the worktree
+ * @throws {Error} If the directory is not in a git repository with at least one commit
+ */
+export async function createWorktree(sessionId, directory) {
+  const repo = await findGitRepo(directory);
+  if (!repo) {
+    throw new Error(`Worktree isolation requires a git repository: ${directory} is not inside one`);
+  }
+
+  const head = await runGit(['rev-parse', '--verify', '-q', 'HEAD'], { cwd: repo.root });
+  if (head.code !== 0) {
+    throw new Error('Worktree isolation requires at least one commit in the repository');
+  }
+  const baseCommit = head.stdout.toString('utf8').trim();
+
+  const branch = `${BRANCH_PREFIX}${sessionId.slice(0, 8)}`;
+  const path = join(getWorktreeRoot(), sessionId);
+
+  await git(['worktree', 'add', '-q', '-b', branch, path, baseCommit], { cwd: repo.root });
+
+  return {
+    repoRoot: repo.root,
+    prefix: repo.prefix,
+    path,
+    workingDirectory: repo.prefix ? join(path, repo.prefix) : path,
+    branch,
+    baseCommit,
+    status: WorktreeStatus.ACTIVE,
+    diffSummary: null,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Parse `git diff --numstat` output into per-file stats
+ * @returns {Array<{path: string, added: number|null, removed: number|null}>}
+ *   (null counts for binary files)
+ */
+function parseNumstat(output) {
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [added, removed, ...pathParts] = line.split('\t');
+      return {
+        path: pathParts.join('\t'),
+        added: added === '-' ? null : parseInt(added, 10),
+        removed: removed === '-' ? null : parseInt(removed, 10),
+      };
+    });
+}
+
+/**
+ * Commit the agent's changes to the worktree branch and summarize the diff
+ * Safe to call repeatedly (e.g. after resumed runs) - commits only when there are changes.
+ * @param {Object} worktree Descriptor from createWorktree()
+ * @param {string} message Commit message
+ * @returns {Promise<{commit: string, files: Array, insertions: number, deletions: number}>} Diff summary
+ */
+export async function commitWorktree(worktree, message) {
+  await git(['add', '-A'], { cwd: worktree.path });
+
+  const staged = await runGit(['diff', '--cached', '--quiet'], { cwd: worktree.path });
+  if (staged.code === 1) {
+    // Never prompt for (or fail on) the user's commit signing setup
+    await git(['-c', 'commit.gpgsign=false', 'commit', '-q', '--no-verify', '-m', message], {
+      cwd: worktree.path,
+      env: AGENT_GIT_IDENTITY,
+    });
+  }
+
+  const commit = await git(['rev-parse', 'HEAD'], { cwd: worktree.path });
+  const files = parseNumstat(
+    await git(['diff', '--numstat', '--no-renames', worktree.baseCommit, commit], { cwd: worktree.path })
+  );
+
+  return {
+    commit,
+    files,
+    insertions: files.reduce((sum, f) => sum + (f.added || 0), 0),
+    deletions: files.reduce((sum, f) => sum + (f.removed || 0), 0),
+  };
+}
+
+/**
+ * Render the worktree branch's committed changes as a unified patch
+ * Call commitWorktree() first so the agent's latest edits are included.
+ * @param {Object} worktree Descriptor from createWorktree()
+ * @returns {Promise<string>} Patch relative to the repo root ('' when nothing changed)
+ */
+export async function diffWorktree(worktree) {
+  return (await runGit(
+    ['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff', '--no-renames', worktree.baseCommit, 'HEAD'],
+    { cwd: worktree.path }
+  )).stdout.toString('utf8');
+}
+
+/**
+ * Remove the worktree directory and its branch
+ */
+async function removeWorktree(worktree) {
+  const removed = await runGit(['worktree', 'remove', '--force', worktree.path], { cwd: worktree.repoRoot });
+  if (removed.code !== 0) {
+    // Directory already gone or repo moved - clean up what we can
+    await rm(worktree.path, { recursive: true, force: true });
+    await runGit(['worktree', 'prune'], { cwd: worktree.repoRoot });
+  }
+  await runGit(['branch', '-D', worktree.branch], { cwd: worktree.repoRoot });
+}
+
+/**
+ * Apply the worktree branch's changes to the caller's working tree
+ * Changes land as uncommitted edits; the caller's index and HEAD are untouched.
+ * The patch is applied atomically - on conflict nothing changes and the
+ * worktree is kept so the branch can be merged by hand.
+ * @param {Object} worktree Descriptor from createWorktree()
+ * @returns {Promise<{files: string[]}>} Paths changed in the caller's tree
+ * @throws {Error} If the patch does not apply cleanly
+ */
+export async function applyWorktree(worktree) {
+  const summary = await commitWorktree(worktree, 'hybrid agent: final changes');
+
+  if (summary.files.length > 0) {
+    // Fixed patch format whatever the user's diff.external, color.ui or diff.noprefix
+    const patch = await runGit([
+      'diff', '--binary', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/',
+      worktree.baseCommit, summary.commit,
+    ], {
+      cwd: worktree.repoRoot,
+    });
+    if (patch.code !== 0) {
+      throw new Error(`git diff failed: ${patch.stderr.trim()}`);
+    }
+
+    const applied = await runGit(['apply', '--whitespace=nowarn', '-'], {
+      cwd: worktree.repoRoot,
+      input: patch.stdout,
+    });
+    if (applied.code !== 0) {
+      throw new Error(
+        `Changes do not apply cleanly to ${worktree.repoRoot}: ${applied.stderr.trim()}\n` +
+          `The branch ${worktree.branch} was kept - merge it manually.`
+      );
+    }
+  }
+
+  await removeWorktree(worktree);
+  return { files: summary.files.map((f) => f.path) };
+}
+
+/**
+ * Throw away the worktree and its branch
+ * @param {Object} worktree Descriptor from createWorktree()
+ */
+export async function discardWorktree(worktree) {
+  await removeWorktree(worktree);
+}
+
+export default {
+  createWorktree,
+  commitWorktree,
+  diffWorktree,
+  applyWorktree,
+  discardWorktree,
+  getWorktreeRoot,
+  WorktreeStatus,
+};
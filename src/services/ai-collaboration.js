@@ -10,7 +10,9 @@
  */
 
 import { GeminiCliAdapter } from '../adapters/gemini-cli.js';
+import { LocalModelAdapter, LOCAL_MODEL_PREFIX } from '../adapters/local-model.js';
 import { OpenRouterClient } from './openrouter-client.js';
+import { wrapAdapter, wrapOpenRouterClient } from './replay.js';
 
 /**
  * Collaboration modes
@@ -48,8 +50,9 @@ export const ConsensusMethod = {
  */
 export class AICollaborationEngine {
   constructor(config = {}) {
-    this.gemini = new GeminiCliAdapter(config.gemini || {});
-    this.openrouter = new OpenRouterClient(config.openrouter || {});
+    this.gemini = wrapAdapter(new GeminiCliAdapter(config.gemini || {}));
+    this.openrouter = wrapOpenRouterClient(new OpenRouterClient(config.openrouter || {}));
+    this.local = wrapAdapter(new LocalModelAdapter(config.local || {}));
     
     // Default model pools for different modes
     this.defaultModels = {
@@ -100,10 +103,20 @@ export class AICollaborationEngine {
     return model.startsWith('gemini-') || model.startsWith('google/gemini');
   }
 
+  /**
+   * Check if a model runs on a local OpenAI-compatible server (local/<name>)
+   */
+  isLocalModel(model) {
+    return model.startsWith(LOCAL_MODEL_PREFIX);
+  }
+
   /**
    * Send prompt to appropriate model
    */
   async sendToModel(model, prompt) {
+    if (this.isLocalModel(model)) {
+      return this.local.runSync(prompt, { model });
+    }
     if (this.isGeminiModel(model)) {
       return this.gemini.runSync(prompt, { model: model.replace('google/', '') });
     } else {
@@ -8,10 +8,13 @@
  * - Multi-turn conversation tracking
  * - Automatic context management
  * - Token counting and limits
- * - Conversation history export
+ * - Conversation history export (JSON, Markdown, HTML) and versioned import
+ * - Pluggable storage backend (write-through, rehydrated on startup)
+ * - Optional compaction of older turns into a rolling summary
  */
 
 import { randomUUID } from 'crypto';
+import { FileConversationStore } from './conversation-store.js';
 
 /**
  * Message roles
@@ -20,6 +23,22 @@ export const MessageRole = {
   USER: 'user',
   ASSISTANT: 'assistant',
   SYSTEM: 'system',
+  SUMMARY: 'summary', // Rolling summary of compacted turns
+};
+
+/**
+ * Version of the exported conversation format
+ * Bump when the shape of exported JSON changes incompatibly
+ */
+export const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Supported export formats
+ */
+export const ExportFormat = {
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  HTML: 'html',
 };
 
 /**
@@ -41,6 +60,11 @@ const DEFAULT_CONFIG = {
   maxTotalTokens: 1000000,    // Max tokens per conversation (Gemini has 1M+ context)
   expirationMs: 24 * 60 * 60 * 1000, // 24 hours default expiration
   autoCleanupInterval: 60 * 60 * 1000, // Cleanup expired every hour
+  persistPath: null,          // Directory for the JSON-lines file store (disabled by default)
+  storage: null,              // Custom storage backend (overrides persistPath)
+  compaction: false,          // Fold older turns into a rolling summary when over threshold
+  compactionThreshold: 100000, // Estimated tokens that trigger compaction
+  compactionKeepRecentTurns: 4, // User/assistant turns kept verbatim after compaction
 };
 
 /**
@@ -55,8 +79,18 @@ export class ConversationManager {
       activeConversations: 0,
       totalMessages: 0,
       totalTokensEstimated: 0,
+      totalCompactions: 0,
+      totalTokensSaved: 0,
     };
 
+    // Storage backend: explicit store, or file store when persistPath is set
+    this.store = this.config.storage
+      || (this.config.persistPath ? new FileConversationStore({ dir: this.config.persistPath }) : null);
+
+    if (this.store) {
+      this.loadFromStore();
+    }
+
     // Auto-cleanup timer (optional)
     if (this.config.autoCleanup !== false) {
       this.cleanupTimer = setInterval(() => {
@@ -94,7 +128,9 @@ export class ConversationManager {
         estimatedTokens: 0,
         userMessages: 0,
         assistantMessages: 0,
+        heldMessages: 0, // Turns still in messages (messageCount minus compacted turns)
       },
+      compactions: [],
     };
 
     // Add system prompt as first message if provided
@@ -113,6 +149,8 @@ export class ConversationManager {
     this.stats.totalConversations++;
     this.stats.activeConversations++;
 
+    this.persist(store => store.saveConversation(conversation));
+
     return {
       id: conversation.id,
       title: conversation.title,
@@ -122,6 +160,125 @@ export class ConversationManager {
     };
   }
 
+  /**
+   * Fork a conversation into a new branch
+   * Copies history up to and including `messageId` (default: latest message)
+   * so alternative approaches can be explored without touching the original.
+   * @param {string} conversationId - Conversation to fork
+   * @param {Object} options - Fork options
+   * @param {string} [options.messageId] - Last message to keep in the fork
+   * @param {string} [options.title] - Title for the fork
+   * @returns {Object} New conversation summary with lineage
+   */
+  forkConversation(conversationId, options = {}) {
+    const source = this.conversations.get(conversationId);
+    if (!source) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const { messageId = null, title = `${source.title} (fork)` } = options;
+
+    let cutoff = source.messages.length;
+    if (messageId) {
+      const index = source.messages.findIndex(m => m.id === messageId);
+      if (index === -1) {
+        throw new Error(`Message ${messageId} not found in conversation ${conversationId}`);
+      }
+      cutoff = index + 1;
+    }
+
+    // Message IDs are kept so shared history is recognizable across branches
+    const messages = source.messages.slice(0, cutoff).map(m => ({ ...m }));
+    const forkPoint = messages[messages.length - 1] || null;
+    const now = new Date().toISOString();
+
+    const conversation = {
+      id: randomUUID(),
+      title,
+      model: source.model,
+      systemPrompt: source.systemPrompt,
+      state: ConversationState.ACTIVE,
+      parentId: source.id,
+      forkedFromMessageId: forkPoint ? forkPoint.id : null,
+      messages,
+      metadata: {
+        ...source.metadata,
+        createdAt: now,
+        updatedAt: now,
+        forkedAt: now,
+      },
+      stats: {
+        messageCount: this.countHeldMessages(messages),
+        estimatedTokens: messages.reduce((sum, m) => sum + (m.tokens || 0), 0),
+        userMessages: messages.filter(m => m.role === MessageRole.USER).length,
+        assistantMessages: messages.filter(m => m.role === MessageRole.ASSISTANT).length,
+        heldMessages: this.countHeldMessages(messages),
+      },
+      compactions: [],
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    this.stats.totalConversations++;
+    this.stats.activeConversations++;
+    this.stats.totalMessages += conversation.stats.messageCount;
+    this.stats.totalTokensEstimated += conversation.stats.estimatedTokens;
+
+    this.persist(store => store.saveConversation(conversation));
+
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      model: conversation.model,
+      state: conversation.state,
+      parentId: conversation.parentId,
+      forkedFromMessageId: conversation.forkedFromMessageId,
+      messageCount: conversation.stats.messageCount,
+      createdAt: conversation.metadata.createdAt,
+    };
+  }
+
+  /**
+   * Get the ancestry of a conversation (nearest parent first)
+   * Stops at the first ancestor that no longer exists
+   */
+  getLineage(conversationId) {
+    const lineage = [];
+    const seen = new Set([conversationId]);
+    let current = this.conversations.get(conversationId);
+
+    while (current && current.parentId && !seen.has(current.parentId)) {
+      seen.add(current.parentId);
+      const parent = this.conversations.get(current.parentId);
+      if (!parent) break;
+      lineage.push({ id: parent.id, title: parent.title, forkedFromMessageId: current.forkedFromMessageId });
+      current = parent;
+    }
+
+    return lineage;
+  }
+
+  /**
+   * Arrange listed conversations into fork trees
+   * Forks whose parent is not in the list (deleted or filtered out) become roots.
+   * @param {Object[]} conversations - Entries from listConversations()
+   * @returns {Object[]} Root entries, each with a `children` array
+   */
+  buildForkTree(conversations) {
+    const nodes = new Map(conversations.map(c => [c.id, { ...c, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    return roots;
+  }
+
   /**
    * Add a message to a conversation
    */
@@ -156,6 +313,7 @@ export class ConversationManager {
     conversation.messages.push(message);
     conversation.metadata.updatedAt = new Date().toISOString();
     conversation.stats.messageCount++;
+    conversation.stats.heldMessages++;
     conversation.stats.estimatedTokens += tokens;
 
     if (role === MessageRole.USER) {
@@ -167,6 +325,8 @@ export class ConversationManager {
     this.stats.totalMessages++;
     this.stats.totalTokensEstimated += tokens;
 
+    this.persist(store => store.appendMessage(conversation, message));
+
     return message;
   }
 
@@ -207,7 +367,9 @@ export class ConversationManager {
 
     const history = conversation.messages
       .filter(m => m.role !== MessageRole.SYSTEM)
-      .map(m => `[${m.role.toUpperCase()}]: ${m.content}`)
+      .map(m => m.role === MessageRole.SUMMARY
+        ? `[SUMMARY OF EARLIER CONVERSATION]: ${m.content}`
+        : `[${m.role.toUpperCase()}]: ${m.content}`)
       .join('\n\n');
 
     const systemContext = conversation.systemPrompt
@@ -222,6 +384,151 @@ ${history}
 Continue the conversation naturally. Respond as the assistant:`;
   }
 
+  /**
+   * Check whether a conversation should be compacted
+   * True when compaction is enabled, estimated tokens exceed the threshold,
+   * and there are turns older than the ones kept verbatim
+   */
+  needsCompaction(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation || !this.config.compaction) {
+      return false;
+    }
+
+    if (conversation.stats.estimatedTokens <= this.config.compactionThreshold) {
+      return false;
+    }
+
+    return this.getCompactableMessages(conversation).length > 0;
+  }
+
+  /**
+   * Count the turns held in a message list (system prompts and summaries excluded)
+   * @returns {number} Number of user and assistant messages
+   */
+  countHeldMessages(messages) {
+    return messages.filter(m => m.role !== MessageRole.SYSTEM && m.role !== MessageRole.SUMMARY).length;
+  }
+
+  /**
+   * Get messages that would be folded into the summary
+   * Includes any previous summary (rolling) and all turns except the most recent ones
+   */
+  getCompactableMessages(conversation) {
+    const keepRecent = this.config.compactionKeepRecentTurns * 2;
+    const history = conversation.messages.filter(m => m.role !== MessageRole.SYSTEM);
+    const turns = history.filter(m => m.role !== MessageRole.SUMMARY);
+
+    if (turns.length <= keepRecent) {
+      return [];
+    }
+
+    const older = new Set(turns.slice(0, turns.length - keepRecent));
+    return history.filter(m => m.role === MessageRole.SUMMARY || older.has(m));
+  }
+
+  /**
+   * Build the prompt asking Gemini to summarize older turns
+   */
+  buildCompactionPrompt(messages) {
+    const transcript = messages
+      .map(m => m.role === MessageRole.SUMMARY
+        ? `[PREVIOUS SUMMARY]: ${m.content}`
+        : `[${m.role.toUpperCase()}]: ${m.content}`)
+      .join('\n\n');
+
+    return `You are compacting the history of a long technical conversation.
+
+Summarize the transcript below so the conversation can continue without it.
+
+RULES:
+1. Preserve decisions, constraints, requirements and open questions
+2. Preserve exact identifiers: file paths, function names, error messages, commands
+3. Fold any PREVIOUS SUMMARY into the new summary - do not drop its facts
+4. Omit pleasantries and repeated content
+5. Output only the summary
+
+TRANSCRIPT:
+${transcript}`;
+  }
+
+  /**
+   * Compact a conversation: fold older turns into a rolling summary message
+   * @param {string} conversationId - Conversation to compact
+   * @param {function(string): Promise<string>} summarize - Returns a summary for a prompt (e.g. via Gemini)
+   * @returns {Promise<Object|null>} Compaction record or null if nothing was compacted
+   */
+  async compactConversation(conversationId, summarize) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const compactable = this.getCompactableMessages(conversation);
+    if (compactable.length === 0) {
+      return null;
+    }
+
+    const summary = (await summarize(this.buildCompactionPrompt(compactable)) || '').trim();
+    if (!summary) {
+      throw new Error('Compaction produced an empty summary');
+    }
+
+    // Remove by ID - messages added while summarizing stay untouched
+    const compactedIds = new Set(compactable.map(m => m.id));
+    const tokensBefore = conversation.stats.estimatedTokens;
+    const removedTokens = compactable.reduce((sum, m) => sum + (m.tokens || 0), 0);
+    const summaryTokens = this.estimateTokens(summary);
+
+    const summaryMessage = {
+      id: randomUUID(),
+      role: MessageRole.SUMMARY,
+      content: summary,
+      timestamp: new Date().toISOString(),
+      tokens: summaryTokens,
+      compactedMessages: compactable.filter(m => m.role !== MessageRole.SUMMARY).length
+        + compactable.filter(m => m.role === MessageRole.SUMMARY)
+          .reduce((sum, m) => sum + (m.compactedMessages || 0), 0),
+    };
+
+    const remaining = conversation.messages.filter(m => !compactedIds.has(m.id));
+    const systemMessages = remaining.filter(m => m.role === MessageRole.SYSTEM);
+    const rest = remaining.filter(m => m.role !== MessageRole.SYSTEM);
+    conversation.messages = [...systemMessages, summaryMessage, ...rest];
+
+    // messageCount and the per-role counters keep counting turns; only heldMessages drops
+    conversation.stats.heldMessages = this.countHeldMessages(conversation.messages);
+    conversation.stats.estimatedTokens = tokensBefore - removedTokens + summaryTokens;
+    conversation.metadata.updatedAt = new Date().toISOString();
+
+    const record = {
+      timestamp: summaryMessage.timestamp,
+      messagesCompacted: compactable.length,
+      tokensBefore,
+      tokensAfter: conversation.stats.estimatedTokens,
+      tokensSaved: tokensBefore - conversation.stats.estimatedTokens,
+    };
+
+    conversation.compactions = [...(conversation.compactions || []), record];
+    this.stats.totalCompactions++;
+    this.stats.totalTokensSaved += record.tokensSaved;
+
+    this.persist(store => store.saveConversation(conversation));
+
+    return record;
+  }
+
+  /**
+   * Compact a conversation only if it has crossed the threshold
+   * @returns {Promise<Object|null>} Compaction record or null if not needed
+   */
+  async maybeCompact(conversationId, summarize) {
+    if (!this.needsCompaction(conversationId)) {
+      return null;
+    }
+    return this.compactConversation(conversationId, summarize);
+  }
+
   /**
    * List all conversations
    */
@@ -250,6 +557,9 @@ Continue the conversation naturally. Respond as the assistant:`;
         model: c.model,
         state: c.state,
         messageCount: c.stats.messageCount,
+        heldMessages: c.stats.heldMessages,
+        parentId: c.parentId || null,
+        forkedFromMessageId: c.forkedFromMessageId || null,
         createdAt: c.metadata.createdAt,
         updatedAt: c.metadata.updatedAt,
       })),
@@ -273,6 +583,7 @@ Continue the conversation naturally. Respond as the assistant:`;
     }
 
     this.conversations.delete(conversationId);
+    this.persist(store => store.deleteConversation(conversationId));
     return true;
   }
 
@@ -291,6 +602,7 @@ Continue the conversation naturally. Respond as the assistant:`;
 
     conversation.state = ConversationState.COMPLETED;
     conversation.metadata.completedAt = new Date().toISOString();
+    this.persist(store => store.updateConversation(conversation));
     return true;
   }
 
@@ -308,10 +620,18 @@ Continue the conversation naturally. Respond as the assistant:`;
       title: conversation.title,
       state: conversation.state,
       model: conversation.model,
+      parentId: conversation.parentId || null,
+      forkedFromMessageId: conversation.forkedFromMessageId || null,
+      lineage: this.getLineage(conversationId),
       stats: { ...conversation.stats },
       metadata: { ...conversation.metadata },
       tokenUsagePercent: (conversation.stats.estimatedTokens / this.config.maxTotalTokens) * 100,
-      messageUsagePercent: (conversation.stats.messageCount / this.config.maxMessages) * 100,
+      messageUsagePercent: (conversation.stats.heldMessages / this.config.maxMessages) * 100,
+      compaction: {
+        count: (conversation.compactions || []).length,
+        tokensSaved: (conversation.compactions || []).reduce((sum, c) => sum + c.tokensSaved, 0),
+        history: (conversation.compactions || []).map(c => ({ ...c })),
+      },
     };
   }
 
@@ -325,6 +645,9 @@ Continue the conversation naturally. Respond as the assistant:`;
         maxMessages: this.config.maxMessages,
         maxTotalTokens: this.config.maxTotalTokens,
         expirationMs: this.config.expirationMs,
+        compaction: this.config.compaction,
+        compactionThreshold: this.config.compactionThreshold,
+        compactionKeepRecentTurns: this.config.compactionKeepRecentTurns,
       },
     };
   }
@@ -352,6 +675,7 @@ Continue the conversation naturally. Respond as the assistant:`;
           this.stats.activeConversations--;
         }
         this.conversations.delete(id);
+        this.persist(store => store.deleteConversation(id));
         cleaned++;
       }
     }
@@ -360,15 +684,18 @@ Continue the conversation naturally. Respond as the assistant:`;
   }
 
   /**
-   * Export conversation history
+   * Export conversation for sharing
+   * @param {string} conversationId - Conversation to export
+   * @param {string} format - One of ExportFormat (json, markdown, html)
+   * @returns {string|null} Exported content or null if not found
    */
-  exportConversation(conversationId, format = 'json') {
+  exportConversation(conversationId, format = ExportFormat.JSON) {
     const conversation = this.conversations.get(conversationId);
     if (!conversation) {
       return null;
     }
 
-    if (format === 'markdown') {
+    if (format === ExportFormat.MARKDOWN) {
       let md = `# ${conversation.title}\n\n`;
       md += `**Model:** ${conversation.model}\n`;
       md += `**Created:** ${conversation.metadata.createdAt}\n`;
@@ -376,27 +703,117 @@ Continue the conversation naturally. Respond as the assistant:`;
       md += `---\n\n`;
 
       for (const msg of conversation.messages) {
-        const roleLabel = msg.role === MessageRole.USER ? '👤 User' :
-                         msg.role === MessageRole.ASSISTANT ? '🤖 Assistant' : '⚙️ System';
-        md += `### ${roleLabel}\n\n${msg.content}\n\n`;
+        md += `### ${this.getRoleLabel(msg.role)}\n\n${msg.content}\n\n`;
       }
 
       return md;
     }
 
-    // Default: JSON
-    return JSON.stringify(conversation, null, 2);
+    if (format === ExportFormat.HTML) {
+      return this.exportHtml(conversation);
+    }
+
+    if (format !== ExportFormat.JSON) {
+      throw new Error(`Unknown export format: ${format} (expected ${Object.values(ExportFormat).join(', ')})`);
+    }
+
+    return JSON.stringify({ schemaVersion: EXPORT_SCHEMA_VERSION, ...conversation }, null, 2);
+  }
+
+  /**
+   * Display label for a message role
+   */
+  getRoleLabel(role) {
+    switch (role) {
+      case MessageRole.USER: return '👤 User';
+      case MessageRole.ASSISTANT: return '🤖 Assistant';
+      case MessageRole.SUMMARY: return '📝 Summary';
+      default: return '⚙️ System';
+    }
+  }
+
+  /**
+   * Render a conversation as a self-contained HTML transcript
+   */
+  exportHtml(conversation) {
+    const escape = (text) => String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+
+    const messages = conversation.messages.map(msg => `  <section class="message ${escape(msg.role)}">
+    <header>${escape(this.getRoleLabel(msg.role))}<time>${escape(msg.timestamp)}</time></header>
+    <pre>${escape(msg.content)}</pre>
+  </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(conversation.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  .meta { color: #666; font-size: 0.9rem; }
+  .message { border-left: 4px solid #ccc; margin: 1rem 0; padding: 0.5rem 1rem; }
+  .message.user { border-color: #3b82f6; }
+  .message.assistant { border-color: #10b981; }
+  .message.summary { border-color: #f59e0b; background: #fffbeb; }
+  .message header { font-weight: 600; display: flex; justify-content: space-between; }
+  .message time { font-weight: normal; color: #888; font-size: 0.8rem; }
+  pre { white-space: pre-wrap; word-wrap: break-word; font-family: inherit; }
+</style>
+</head>
+<body>
+<h1>${escape(conversation.title)}</h1>
+<p class="meta">Model: ${escape(conversation.model)} · Created: ${escape(conversation.metadata.createdAt)} · Messages: ${escape(conversation.stats.messageCount)}</p>
+${messages}
+</body>
+</html>
+`;
   }
 
   /**
    * Import conversation from exported data
+   * Exports without a schemaVersion predate versioning and are accepted as-is.
+   * @param {string|Object} data - Exported JSON string or parsed object
+   * @returns {string} New conversation ID
+   * @throws {Error} If the data is malformed or from an unsupported schema version
    */
   importConversation(data) {
-    const conversation = typeof data === 'string' ? JSON.parse(data) : data;
+    let conversation;
+    try {
+      conversation = typeof data === 'string' ? JSON.parse(data) : { ...data };
+    } catch (error) {
+      throw new Error(`Invalid conversation export: ${error.message}`);
+    }
+
+    if (!conversation || typeof conversation !== 'object' || !Array.isArray(conversation.messages)) {
+      throw new Error('Invalid conversation export: missing messages array');
+    }
+
+    const { schemaVersion } = conversation;
+    if (schemaVersion !== undefined && schemaVersion !== EXPORT_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported conversation export schema version ${schemaVersion} (expected ${EXPORT_SCHEMA_VERSION})`
+      );
+    }
+    delete conversation.schemaVersion;
 
     // Generate new ID to avoid conflicts
     conversation.id = randomUUID();
-    conversation.metadata.importedAt = new Date().toISOString();
+    // Expiry runs off updatedAt, so an import counts as fresh activity; createdAt keeps the original date
+    const importedAt = new Date().toISOString();
+    conversation.metadata = { ...conversation.metadata, importedAt, updatedAt: importedAt };
+    conversation.stats = {
+      messageCount: 0,
+      estimatedTokens: 0,
+      userMessages: 0,
+      assistantMessages: 0,
+      heldMessages: this.countHeldMessages(conversation.messages),
+      ...conversation.stats,
+    };
 
     this.conversations.set(conversation.id, conversation);
     this.stats.totalConversations++;
@@ -405,11 +822,72 @@ Continue the conversation naturally. Respond as the assistant:`;
       this.stats.activeConversations++;
     }
 
+    this.persist(store => store.saveConversation(conversation));
+
     return conversation.id;
   }
 
+  /**
+   * Run a write against the storage backend (no-op without one)
+   * Storage failures are logged but never break the in-memory conversation
+   */
+  persist(operation) {
+    if (!this.store) return;
+
+    try {
+      operation(this.store);
+    } catch (error) {
+      console.error('[Conversations] Failed to persist:', error.message);
+    }
+  }
+
+  /**
+   * Rehydrate conversations from the storage backend
+   * Conversations older than expirationMs are dropped from the store
+   */
+  loadFromStore() {
+    let stored;
+    try {
+      stored = this.store.loadAll();
+    } catch (error) {
+      console.error('[Conversations] Failed to load:', error.message);
+      return 0;
+    }
+
+    const now = Date.now();
+    let loaded = 0;
+
+    for (const conversation of stored) {
+      const updatedAt = new Date(conversation.metadata?.updatedAt).getTime();
+      if (!(now - updatedAt <= this.config.expirationMs)) {
+        this.persist(store => store.deleteConversation(conversation.id));
+        continue;
+      }
+
+      this.conversations.set(conversation.id, conversation);
+      this.stats.totalConversations++;
+      if (conversation.state === ConversationState.ACTIVE) {
+        this.stats.activeConversations++;
+      }
+      this.stats.totalMessages += conversation.stats?.messageCount || 0;
+      this.stats.totalTokensEstimated += conversation.stats?.estimatedTokens || 0;
+      for (const compaction of conversation.compactions || []) {
+        this.stats.totalCompactions++;
+        this.stats.totalTokensSaved += compaction.tokensSaved;
+      }
+      loaded++;
+    }
+
+    if (loaded > 0) {
+      console.error(`[Conversations] Loaded ${loaded} conversations from storage`);
+    }
+
+    return loaded;
+  }
+
   /**
    * Cleanup on shutdown
+   * Stored conversations are kept so they can be rehydrated on next start
    */
   destroy() {
     if (this.cleanupTimer) {
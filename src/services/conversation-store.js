@@ -0,0 +1,194 @@
+/**
+ * Conversation Store
+ *
+ * Storage backends for ConversationManager.
+ * The manager writes through to a store so conversations survive
+ * MCP server restarts.
+ *
+ * Features:
+ * - JSON-lines file per conversation (append-only message log)
+ * - Full snapshot rewrite for imports and bulk changes
+ * - Rehydration on startup by replaying records
+ *
+ * Record types (one JSON object per line):
+ * - conversation: header with everything except messages
+ * - message: a message plus the conversation stats after it was added
+ * - update: state/metadata/stats patch (e.g. conversation ended)
+ */
+
+import {
+  appendFileSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+/**
+ * Current on-disk format version
+ */
+export const STORE_VERSION = 1;
+
+const FILE_EXTENSION = '.jsonl';
+
+/**
+ * Default directory shared by the MCP server and the `hybrid conversations` CLI
+ * Override with HYBRID_CONVERSATIONS_DIR
+ */
+export function getDefaultConversationsDir() {
+  return process.env.HYBRID_CONVERSATIONS_DIR
+    || join(homedir(), '.claude', 'gemini-worker-conversations');
+}
+
+/**
+ * Storage backend interface used by ConversationManager
+ * @typedef {Object} ConversationStore
+ * @property {function(): Object[]} loadAll - Load all stored conversations
+ * @property {function(Object): void} saveConversation - Write a full conversation snapshot
+ * @property {function(Object, Object): void} appendMessage - Append a message to a conversation
+ * @property {function(Object): void} updateConversation - Record state/metadata/stats changes
+ * @property {function(string): void} deleteConversation - Remove a conversation
+ */
+
+/**
+ * JSON-lines file store
+ * One `<id>.jsonl` file per conversation under a configurable directory
+ */
+export class FileConversationStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string} options.dir Directory holding conversation files
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('FileConversationStore requires a directory');
+    }
+    this.dir = options.dir;
+    mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Get the file path for a conversation
+   * IDs are URI-encoded so custom IDs cannot escape the store directory
+   */
+  getFilePath(conversationId) {
+    return join(this.dir, `${encodeURIComponent(conversationId)}${FILE_EXTENSION}`);
+  }
+
+  /**
+   * Write a full conversation snapshot, replacing any existing log
+   */
+  saveConversation(conversation) {
+    const { messages = [], ...header } = conversation;
+    const lines = [
+      JSON.stringify({ type: 'conversation', version: STORE_VERSION, conversation: header }),
+      ...messages.map(message => JSON.stringify({ type: 'message', message })),
+    ];
+    writeFileSync(this.getFilePath(conversation.id), lines.join('\n') + '\n', 'utf-8');
+  }
+
+  /**
+   * Append a message record (write-through from addMessage)
+   */
+  appendMessage(conversation, message) {
+    const record = {
+      type: 'message',
+      message,
+      stats: conversation.stats,
+      updatedAt: conversation.metadata.updatedAt,
+    };
+    appendFileSync(this.getFilePath(conversation.id), JSON.stringify(record) + '\n', 'utf-8');
+  }
+
+  /**
+   * Append an update record with the current state, metadata and stats
+   */
+  updateConversation(conversation) {
+    const record = {
+      type: 'update',
+      state: conversation.state,
+      metadata: conversation.metadata,
+      stats: conversation.stats,
+    };
+    appendFileSync(this.getFilePath(conversation.id), JSON.stringify(record) + '\n', 'utf-8');
+  }
+
+  /**
+   * Delete a conversation file
+   */
+  deleteConversation(conversationId) {
+    rmSync(this.getFilePath(conversationId), { force: true });
+  }
+
+  /**
+   * Load all conversations by replaying each file
+   * Unreadable or unknown-version files are skipped
+   */
+  loadAll() {
+    let files;
+    try {
+      files = readdirSync(this.dir).filter(f => f.endsWith(FILE_EXTENSION));
+    } catch {
+      return [];
+    }
+
+    const conversations = [];
+    for (const file of files) {
+      try {
+        const conversation = this.replay(readFileSync(join(this.dir, file), 'utf-8'));
+        if (conversation) {
+          conversations.push(conversation);
+        }
+      } catch (error) {
+        console.error(`[Conversations] Failed to load ${file}:`, error.message);
+      }
+    }
+    return conversations;
+  }
+
+  /**
+   * Rebuild a conversation from its JSON-lines log
+   * @param {string} content File content
+   * @returns {Object|null} Conversation or null if the log has no valid header
+   */
+  replay(content) {
+    let conversation = null;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A torn final line from a crash mid-write - ignore it
+        continue;
+      }
+
+      if (record.type === 'conversation') {
+        if (record.version !== STORE_VERSION) return null;
+        conversation = { ...record.conversation, messages: [] };
+        continue;
+      }
+
+      if (!conversation) continue;
+
+      if (record.type === 'message') {
+        conversation.messages.push(record.message);
+        if (record.stats) conversation.stats = record.stats;
+        if (record.updatedAt) conversation.metadata.updatedAt = record.updatedAt;
+      } else if (record.type === 'update') {
+        if (record.state) conversation.state = record.state;
+        if (record.metadata) conversation.metadata = record.metadata;
+        if (record.stats) conversation.stats = record.stats;
+      }
+    }
+
+    return conversation;
+  }
+}
+
+export default FileConversationStore;
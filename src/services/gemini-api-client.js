@@ -0,0 +1,298 @@
+/**
+ * Gemini API Client
+ *
+ * Calls the Gemini `generateContent` / `streamGenerateContent` REST endpoints
+ * directly instead of spawning the `gemini` CLI: no process startup per
+ * request, and API-key / Vertex auth no longer depend on the CLI's config.
+ * OAuth (Pro/Ultra subscription) stays on the CLI, which owns that login.
+ *
+ * Setup:
+ *   GEMINI_API_KEY=...                 (Gemini API)
+ *   VERTEX_API_KEY=...                 (Vertex AI; VERTEX_PROJECT/VERTEX_LOCATION optional)
+ *   GEMINI_BACKEND=api                 (use this client for every key-based method)
+ *   GEMINI_BACKEND_VERTEX=api          (or per auth method: GEMINI_BACKEND_API_KEY, ...)
+ */
+
+import {
+  AuthenticationError,
+  ModelError,
+  RateLimitError,
+  TimeoutError,
+} from '../utils/errors.js';
+import { readServerSentEvents } from '../utils/sse.js';
+
+/** Gemini backends: spawn the CLI, or call the REST API */
+export const GeminiBackend = {
+  CLI: 'cli',
+  API: 'api',
+};
+
+/**
+ * Backend to use for an auth method
+ * OAuth always uses the CLI; other methods read GEMINI_BACKEND_<METHOD>,
+ * then GEMINI_BACKEND, and default to the CLI.
+ * @param {string} method Auth method (oauth, api-key, vertex)
+ * @param {Object} [env=process.env] Environment to read
+ * @returns {'cli'|'api'} Backend
+ */
+export function resolveGeminiBackend(method, env = process.env) {
+  if (method === 'oauth') return GeminiBackend.CLI;
+  const setting = env[`GEMINI_BACKEND_${method.toUpperCase().replace(/-/g, '_')}`] || env.GEMINI_BACKEND;
+  return setting?.toLowerCase() === GeminiBackend.API ? GeminiBackend.API : GeminiBackend.CLI;
+}
+
+/**
+ * Token counts from a response's usageMetadata
+ * Thinking tokens are billed as output, so they count as output here.
+ * @returns {{input: number, output: number}}
+ */
+export function extractUsage(usageMetadata) {
+  if (!usageMetadata) return { input: 0, output: 0 };
+  return {
+    input: usageMetadata.promptTokenCount || 0,
+    output: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+  };
+}
+
+/**
+ * Text of the first candidate, without thought summaries
+ */
+function extractText(data) {
+  return (data.candidates?.[0]?.content?.parts || [])
+    .filter((part) => part.text && !part.thought)
+    .map((part) => part.text)
+    .join('');
+}
+
+/**
+ * Gemini REST API Client
+ */
+export class GeminiApiClient {
+  /**
+   * @param {Object} [config]
+   * @param {'api-key'|'vertex'} [config.authMethod] Default: vertex when a Vertex key is set
+   * @param {string} [config.apiKey] Gemini API key (default: GEMINI_API_KEY / GOOGLE_API_KEY)
+   * @param {string} [config.vertexKey] Vertex AI key (default: VERTEX_API_KEY)
+   * @param {string} [config.vertexProject] Vertex project; without one, the global express endpoint is used
+   * @param {string} [config.vertexLocation='us-central1'] Vertex region
+   * @param {string} [config.baseUrl] Endpoint root up to the `models/` path (stub servers, proxies)
+   * @param {string} [config.defaultModel='gemini-2.5-flash'] Model for requests without one
+   */
+  constructor(config = {}) {
+    this.vertexKey = config.vertexKey || process.env.VERTEX_API_KEY;
+    this.apiKey = config.apiKey || process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+    this.authMethod = config.authMethod || (this.vertexKey && !this.apiKey ? 'vertex' : 'api-key');
+    this.vertexProject = config.vertexProject || process.env.VERTEX_PROJECT;
+    this.vertexLocation = config.vertexLocation || process.env.VERTEX_LOCATION || 'us-central1';
+    this.baseUrl = (config.baseUrl || this.getDefaultBaseUrl()).replace(/\/+$/, '');
+    this.defaultModel = config.defaultModel || 'gemini-2.5-flash';
+  }
+
+  /**
+   * Endpoint root for the auth method
+   * @private
+   */
+  getDefaultBaseUrl() {
+    if (this.authMethod !== 'vertex') {
+      return 'https://generativelanguage.googleapis.com/v1beta';
+    }
+    if (!this.vertexProject) {
+      return 'https://aiplatform.googleapis.com/v1/publishers/google';
+    }
+    const host = this.vertexLocation === 'global'
+      ? 'aiplatform.googleapis.com'
+      : `${this.vertexLocation}-aiplatform.googleapis.com`;
+    return `https://${host}/v1/projects/${this.vertexProject}/locations/${this.vertexLocation}/publishers/google`;
+  }
+
+  /**
+   * Check if a key for the auth method is configured
+   */
+  isConfigured() {
+    return !!this.getKey();
+  }
+
+  /**
+   * @private
+   */
+  getKey() {
+    return this.authMethod === 'vertex' ? this.vertexKey : this.apiKey;
+  }
+
+  /**
+   * Send a generateContent request
+   * @param {Object} options
+   * @param {string} [options.prompt] Single user prompt (or pass contents)
+   * @param {Object[]} [options.contents] Gemini conversation turns
+   * @param {string} [options.model] Model ID
+   * @param {string} [options.systemPrompt] System instruction
+   * @param {number} [options.temperature]
+   * @param {number} [options.maxTokens]
+   * @param {number} [options.timeoutMs=120000]
+   * @param {AbortSignal} [options.signal] Aborts the request from outside
+   * @returns {Promise<{response: string, model: string, authMethod: string, tokens: {input: number, output: number}}>}
+   *   Same shape as runGeminiCli
+   */
+  async generate(options = {}) {
+    const { model = this.defaultModel, timeoutMs = 120000 } = options;
+
+    return this.withTimeout(timeoutMs, options.signal, async (signal) => {
+      const response = await this.request(model, 'generateContent', options, signal);
+      const data = await response.json();
+      this.checkFinish(data, model);
+
+      return {
+        response: extractText(data),
+        model: data.modelVersion || model,
+        authMethod: this.authMethod,
+        tokens: extractUsage(data.usageMetadata),
+      };
+    });
+  }
+
+  /**
+   * Stream a streamGenerateContent request (server-sent events)
+   * Takes the same options as generate(); timeoutMs (default 5 minutes)
+   * covers the whole stream.
+   * @yields {{type: 'delta', content: string}|{type: 'usage', tokens: {input: number, output: number}, model: string}}
+   *   Text deltas, then the token usage reported with the last chunk
+   */
+  async *generateStream(options = {}) {
+    const { model = this.defaultModel, timeoutMs = 300000 } = options;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    options.signal?.addEventListener('abort', onAbort);
+
+    try {
+      const response = await this.request(model, 'streamGenerateContent?alt=sse', options, controller.signal);
+      let usageMetadata = null;
+      let responseModel = model;
+
+      for await (const payload of readServerSentEvents(response.body)) {
+        const data = JSON.parse(payload);
+        if (data.error) {
+          throw new ModelError(`Gemini API error: ${data.error.message || JSON.stringify(data.error)}`, model, 'gemini');
+        }
+        this.checkFinish(data, model);
+        if (data.modelVersion) responseModel = data.modelVersion;
+        if (data.usageMetadata) usageMetadata = data.usageMetadata;
+
+        const content = extractText(data);
+        if (content) {
+          yield { type: 'delta', content };
+        }
+      }
+
+      if (usageMetadata) {
+        yield { type: 'usage', tokens: extractUsage(usageMetadata), model: responseModel };
+      }
+    } catch (error) {
+      throw this.toTimeoutError(error, options.signal, timeoutMs);
+    } finally {
+      clearTimeout(timeoutId);
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * POST a request and turn HTTP failures into typed errors
+   * @private
+   */
+  async request(model, method, options, signal) {
+    if (!this.isConfigured()) {
+      const setting = this.authMethod === 'vertex' ? 'VERTEX_API_KEY' : 'GEMINI_API_KEY';
+      throw new AuthenticationError(`Gemini API key not configured. Set ${setting} environment variable.`, this.authMethod);
+    }
+
+    const { prompt, contents, systemPrompt, temperature, maxTokens } = options;
+    const response = await fetch(`${this.baseUrl}/models/${encodeURIComponent(model)}:${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.getKey(),
+      },
+      body: JSON.stringify({
+        contents: contents || [{ role: 'user', parts: [{ text: prompt }] }],
+        ...(systemPrompt && { systemInstruction: { parts: [{ text: systemPrompt }] } }),
+        generationConfig: {
+          ...(temperature !== undefined && { temperature }),
+          ...(maxTokens !== undefined && { maxOutputTokens: maxTokens }),
+        },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw this.toHttpError(response.status, await response.text(), model, response.headers.get('retry-after'));
+    }
+    return response;
+  }
+
+  /**
+   * Map an HTTP error to the error classes the fallback logic understands
+   * @private
+   */
+  toHttpError(status, body, model, retryAfter) {
+    let message = body;
+    try {
+      message = JSON.parse(body).error?.message || body;
+    } catch {
+      // Plain-text error body
+    }
+    const text = `Gemini API error: ${status} - ${message}`;
+
+    let error;
+    if (status === 429) {
+      error = new RateLimitError(text, retryAfter ? parseInt(retryAfter, 10) : null, 'gemini');
+    } else if (status === 401 || status === 403 || (status === 400 && /API key|credential/i.test(message))) {
+      error = new AuthenticationError(text, this.authMethod);
+    } else {
+      error = new ModelError(text, model, 'gemini');
+    }
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Reject prompts the API blocked instead of returning an empty response
+   * @private
+   */
+  checkFinish(data, model) {
+    if (data.promptFeedback?.blockReason) {
+      throw new ModelError(`Gemini blocked the prompt: ${data.promptFeedback.blockReason}`, model, 'gemini');
+    }
+  }
+
+  /**
+   * Run a request with a timeout and an optional outside abort signal
+   * @private
+   */
+  async withTimeout(timeoutMs, signal, fn) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      return await fn(controller.signal);
+    } catch (error) {
+      throw this.toTimeoutError(error, signal, timeoutMs);
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * @private
+   */
+  toTimeoutError(error, signal, timeoutMs) {
+    if (error.name !== 'AbortError') return error;
+    return signal?.aborted
+      ? new Error('Gemini API request was cancelled')
+      : new TimeoutError(`Gemini API request timed out after ${timeoutMs}ms`, 'generateContent', timeoutMs);
+  }
+}
+
+export default GeminiApiClient;
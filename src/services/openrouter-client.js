@@ -10,6 +10,7 @@
  */
 
 import { OPENROUTER_MODELS as CONFIG_OPENROUTER_MODELS } from '../config/index.js';
+import { readServerSentEvents } from '../utils/sse.js';
 
 /**
  * Popular models available via OpenRouter
@@ -84,12 +85,7 @@ export class OpenRouterClient {
     try {
       const response = await fetch(`${this.baseUrl}/chat/completions`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/hybrid-cli-agent',
-          'X-Title': 'Hybrid CLI Agent',
-        },
+        headers: this.getHeaders(),
         body: JSON.stringify({
           model,
           messages: chatMessages,
@@ -128,6 +124,99 @@ export class OpenRouterClient {
     }
   }
 
+  /**
+   * Stream a chat completion (server-sent events)
+   * Takes the same options as chat(); timeoutMs covers the whole stream and
+   * signal aborts it from outside.
+   * @yields {{type: 'delta', content: string}|{type: 'usage', usage: Object, model: string}}
+   *   Text deltas, then the token usage reported with the last chunk
+   */
+  async *chatStream(options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('OpenRouter API key not configured. Set OPENROUTER_API_KEY environment variable.');
+    }
+
+    const {
+      model = this.defaultModel,
+      messages,
+      prompt,
+      temperature = 0.7,
+      maxTokens = 4096,
+      timeoutMs = 300000, // 5 minutes, long generations stream for a while
+      signal,
+    } = options;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify({
+          model,
+          messages: messages || [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxTokens,
+          stream: true,
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
+      }
+
+      let usage = null;
+      let responseModel = model;
+
+      for await (const data of readServerSentEvents(response.body)) {
+        const event = JSON.parse(data);
+        if (event.error) {
+          throw new Error(`OpenRouter API error: ${event.error.message || JSON.stringify(event.error)}`);
+        }
+        if (event.model) responseModel = event.model;
+        if (event.usage) usage = event.usage;
+
+        const content = event.choices?.[0]?.delta?.content;
+        if (content) {
+          yield { type: 'delta', content };
+        }
+      }
+
+      if (usage) {
+        this.trackUsage(model, usage);
+        yield { type: 'usage', usage, model: responseModel };
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(signal?.aborted
+          ? 'OpenRouter request was cancelled'
+          : `OpenRouter request timed out after ${timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Request headers for the OpenRouter API
+   * @private
+   */
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      'HTTP-Referer': 'https://github.com/hybrid-cli-agent',
+      'X-Title': 'Hybrid CLI Agent',
+    };
+  }
+
   /**
    * Track usage for cost management
    */
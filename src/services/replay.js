@@ -0,0 +1,335 @@
+/**
+ * Record/Replay
+ *
+ * Records model calls to a cassette file and serves them back by
+ * normalized-prompt key, so tool handlers and orchestrator flows run
+ * deterministically without network or installed CLIs (regression tests in CI).
+ *
+ * Covers the adapters (runSync, send) created by the Orchestrator and the
+ * collaboration engine, OpenRouterClient (chat, chatStream) and the MCP
+ * server's runGeminiCli.
+ *
+ * Usage:
+ *   HYBRID_REPLAY=tests/fixtures/cassettes/review.json HYBRID_REPLAY_MODE=record hybrid ask "..."
+ *   HYBRID_REPLAY=tests/fixtures/cassettes/review.json npm test      (replay, the default mode)
+ *
+ * In replay mode a call without a recording fails with a ConfigError instead
+ * of reaching a live model. A key recorded several times (retries, multi-turn
+ * sessions) replays its recordings in order and then repeats the last one.
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { ConfigError } from '../utils/errors.js';
+
+/**
+ * Current cassette format version
+ */
+export const CASSETTE_VERSION = 1;
+
+/** Cassette modes */
+export const ReplayMode = {
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+/**
+ * Normalize a prompt for matching
+ * Line endings, runs of whitespace, timestamps and UUIDs vary between runs
+ * without changing what is asked.
+ * @param {string} prompt Prompt text
+ * @returns {string} Normalized prompt
+ */
+export function normalizePrompt(prompt) {
+  return String(prompt ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Key of a recorded call
+ * @param {string} source Wrapped call, e.g. "gemini-cli.runSync"
+ * @param {{prompt: string, model?: string}} request Call input
+ * @returns {string} "<source>:<model>:<hash of the normalized prompt>"
+ */
+export function cassetteKey(source, request) {
+  const hash = createHash('sha256').update(normalizePrompt(request.prompt)).digest('hex').slice(0, 16);
+  return `${source}:${request.model || 'default'}:${hash}`;
+}
+
+/**
+ * Rebuild a recorded error
+ */
+function toError(recorded) {
+  const error = new Error(recorded.message);
+  error.name = recorded.name || 'Error';
+  return error;
+}
+
+/**
+ * Cassette file of recorded calls
+ */
+export class Cassette {
+  /**
+   * @param {string} path Cassette file (JSON)
+   * @param {Object} [options]
+   * @param {'record'|'replay'} [options.mode='replay']
+   */
+  constructor(path, options = {}) {
+    const { mode = ReplayMode.REPLAY } = options;
+    if (!Object.values(ReplayMode).includes(mode)) {
+      throw new ConfigError(`Unknown replay mode "${mode}" (use record or replay)`, 'HYBRID_REPLAY_MODE');
+    }
+
+    this.path = resolve(path);
+    this.mode = mode;
+    this.interactions = new Map(); // key -> [{ source, request, response|events|error }]
+    this.playCounts = new Map();
+    this.rerecorded = new Set();
+    this.load();
+  }
+
+  /**
+   * Read the cassette file (a missing file is an empty cassette)
+   * @private
+   */
+  load() {
+    if (!existsSync(this.path)) {
+      if (this.mode === ReplayMode.REPLAY) {
+        throw new ConfigError(`Cassette ${this.path} not found. Record it with HYBRID_REPLAY_MODE=record`, 'HYBRID_REPLAY');
+      }
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.path, 'utf-8'));
+    } catch (error) {
+      throw new ConfigError(`Cassette ${this.path} is not valid JSON: ${error.message}`, 'HYBRID_REPLAY');
+    }
+    if (data.version !== CASSETTE_VERSION) {
+      throw new ConfigError(`Cassette ${this.path} has unsupported version ${data.version}`, 'HYBRID_REPLAY');
+    }
+    for (const interaction of data.interactions || []) {
+      if (!this.interactions.has(interaction.key)) this.interactions.set(interaction.key, []);
+      this.interactions.get(interaction.key).push(interaction);
+    }
+  }
+
+  /**
+   * Write the cassette atomically (temp file + rename)
+   * @private
+   */
+  save() {
+    const interactions = [...this.interactions.values()].flat();
+    mkdirSync(dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.tmp`;
+    writeFileSync(tempPath, `${JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2)}\n`, 'utf-8');
+    renameSync(tempPath, this.path);
+  }
+
+  /**
+   * Add a recording; the first recording of a key in this run replaces
+   * what the cassette had for it
+   * @private
+   */
+  record(key, source, request, result) {
+    if (!this.rerecorded.has(key)) {
+      this.rerecorded.add(key);
+      this.interactions.set(key, []);
+    }
+    this.interactions.get(key).push({
+      key,
+      source,
+      request: { model: request.model || null, prompt: normalizePrompt(request.prompt) },
+      ...result,
+    });
+    this.save();
+  }
+
+  /**
+   * Next recording for a key
+   * @private
+   * @throws {ConfigError} If the key was never recorded
+   */
+  next(key, source, request) {
+    const recordings = this.interactions.get(key);
+    if (!recordings?.length) {
+      const preview = normalizePrompt(request.prompt).slice(0, 80);
+      throw new ConfigError(
+        `No recording for ${source} (model ${request.model || 'default'}) in ${this.path}: "${preview}". ` +
+        'Re-record with HYBRID_REPLAY_MODE=record',
+        'HYBRID_REPLAY'
+      );
+    }
+    const count = this.playCounts.get(key) || 0;
+    this.playCounts.set(key, count + 1);
+    return recordings[Math.min(count, recordings.length - 1)];
+  }
+
+  /**
+   * Record or replay a call that returns a value
+   * @param {string} source Wrapped call
+   * @param {{prompt: string, model?: string}} request Key input
+   * @param {function(): Promise<*>} call Live call (record mode only)
+   * @returns {Promise<*>} Live or recorded result
+   */
+  async run(source, request, call) {
+    const key = cassetteKey(source, request);
+
+    if (this.mode === ReplayMode.REPLAY) {
+      const recording = this.next(key, source, request);
+      if (recording.error) throw toError(recording.error);
+      return recording.response;
+    }
+
+    let response;
+    try {
+      response = await call();
+    } catch (error) {
+      this.record(key, source, request, { error: { name: error.name, message: error.message } });
+      throw error;
+    }
+    this.record(key, source, request, { response });
+    return response;
+  }
+
+  /**
+   * Record or replay a streaming call
+   * @param {string} source Wrapped call
+   * @param {{prompt: string, model?: string}} request Key input
+   * @param {function(): AsyncIterable<Object>} call Live stream (record mode only)
+   * @yields {Object} Live or recorded events
+   */
+  async *stream(source, request, call) {
+    const key = cassetteKey(source, request);
+
+    if (this.mode === ReplayMode.REPLAY) {
+      const recording = this.next(key, source, request);
+      yield* recording.events;
+      if (recording.error) throw toError(recording.error);
+      return;
+    }
+
+    const events = [];
+    try {
+      for await (const event of call()) {
+        events.push(event);
+        yield event;
+      }
+    } catch (error) {
+      this.record(key, source, request, { events, error: { name: error.name, message: error.message } });
+      throw error;
+    }
+    this.record(key, source, request, { events });
+  }
+}
+
+/**
+ * Cassettes by resolved path, so every wrapper in a process shares one
+ */
+const cassettes = new Map();
+
+/**
+ * Cassette configured by HYBRID_REPLAY / HYBRID_REPLAY_MODE
+ * @param {Object} [env=process.env] Environment to read
+ * @returns {Cassette|null} Shared cassette, or null when record/replay is off
+ */
+export function getReplayCassette(env = process.env) {
+  if (!env.HYBRID_REPLAY) return null;
+  const mode = env.HYBRID_REPLAY_MODE || ReplayMode.REPLAY;
+  const id = `${resolve(env.HYBRID_REPLAY)}#${mode}`;
+  if (!cassettes.has(id)) {
+    cassettes.set(id, new Cassette(env.HYBRID_REPLAY, { mode }));
+    console.error(`[Replay] ${mode === ReplayMode.RECORD ? 'Recording to' : 'Replaying from'} ${env.HYBRID_REPLAY}`);
+  }
+  return cassettes.get(id);
+}
+
+/**
+ * Route an adapter's runSync and send through a cassette
+ * In replay mode the adapter also reports itself available and authenticated,
+ * since no CLI is needed.
+ * @param {import('../adapters/base.js').BaseAdapter} adapter Adapter to wrap (modified in place)
+ * @param {Cassette|null} [cassette] Default: the HYBRID_REPLAY cassette
+ * @returns {import('../adapters/base.js').BaseAdapter} The adapter
+ */
+export function wrapAdapter(adapter, cassette = getReplayCassette()) {
+  if (!cassette) return adapter;
+
+  const send = adapter.send.bind(adapter);
+
+  // Not every adapter has a session-less runSync
+  if (adapter.runSync) {
+    const runSync = adapter.runSync.bind(adapter);
+    adapter.runSync = (prompt, options = {}) => cassette.run(
+      `${adapter.name}.runSync`,
+      { prompt, model: options.model },
+      () => runSync(prompt, options)
+    );
+  }
+
+  adapter.send = async function* (sessionId, message, options = {}) {
+    const session = adapter.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    yield* cassette.stream(
+      `${adapter.name}.send`,
+      { prompt: message, model: session.model },
+      () => send(sessionId, message, options)
+    );
+  };
+
+  if (cassette.mode === ReplayMode.REPLAY) {
+    adapter.isAvailable = async () => true;
+    if (adapter.checkAuth) {
+      adapter.checkAuth = async () => ({ authenticated: true, method: 'replay', isProSubscription: false });
+    }
+  }
+
+  return adapter;
+}
+
+/**
+ * Route an OpenRouterClient's chat and chatStream through a cassette
+ * @param {import('./openrouter-client.js').OpenRouterClient} client Client to wrap (modified in place)
+ * @param {Cassette|null} [cassette] Default: the HYBRID_REPLAY cassette
+ * @returns {import('./openrouter-client.js').OpenRouterClient} The client
+ */
+export function wrapOpenRouterClient(client, cassette = getReplayCassette()) {
+  if (!cassette) return client;
+
+  const chat = client.chat.bind(client);
+  const chatStream = client.chatStream.bind(client);
+  const keyOf = (options) => ({
+    prompt: options.prompt ?? JSON.stringify(options.messages),
+    model: options.model || client.defaultModel,
+  });
+
+  client.chat = (options = {}) => cassette.run('openrouter.chat', keyOf(options), () => chat(options));
+  client.chatStream = (options = {}) => cassette.stream('openrouter.chatStream', keyOf(options), () => chatStream(options));
+
+  if (cassette.mode === ReplayMode.REPLAY) {
+    client.isConfigured = () => true;
+  }
+
+  return client;
+}
+
+export default {
+  CASSETTE_VERSION,
+  ReplayMode,
+  normalizePrompt,
+  cassetteKey,
+  Cassette,
+  getReplayCassette,
+  wrapAdapter,
+  wrapOpenRouterClient,
+};
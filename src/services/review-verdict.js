@@ -0,0 +1,366 @@
+/**
+ * Review Verdicts
+ *
+ * Structured result of a supervisor review in the Orchestrator's
+ * review-and-correct loop. The reviewer is asked for JSON matching
+ * REVIEW_VERDICT_SCHEMA; replies that are not valid JSON verdicts go through
+ * a plain-text fallback parser so older or chattier reviewers still work.
+ *
+ * Verdict format:
+ * {
+ *   "status": "changes_requested",
+ *   "summary": "Limiter ignores the window size",
+ *   "issues": [
+ *     { "severity": "major", "message": "Window is hard-coded to 60s", "file": "src/limiter.js", "line": 12 }
+ *   ],
+ *   "correctedFiles": { "src/limiter.js": "...full corrected content..." }
+ * }
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { extractJson } from '../utils/json.js';
+
+/** Review outcomes */
+export const VerdictStatus = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested',
+};
+
+/** Issue severities, most severe first */
+export const ISSUE_SEVERITIES = ['critical', 'major', 'minor', 'info'];
+
+/**
+ * JSON Schema of a verdict (shown to the reviewer and enforced by validateReviewVerdict)
+ */
+export const REVIEW_VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['status', 'issues'],
+  additionalProperties: false,
+  properties: {
+    status: { type: 'string', enum: Object.values(VerdictStatus) },
+    summary: { type: 'string' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['severity', 'message'],
+        additionalProperties: false,
+        properties: {
+          severity: { type: 'string', enum: ISSUE_SEVERITIES },
+          message: { type: 'string' },
+          file: { type: 'string' },
+          line: { type: 'integer', minimum: 1 },
+        },
+      },
+    },
+    correctedFiles: {
+      type: 'object',
+      description: 'Full corrected content keyed by file path; omit when nothing needs to change',
+      additionalProperties: { type: 'string' },
+    },
+  },
+};
+
+/**
+ * Build the reviewer prompt
+ * @param {string} task Original task
+ * @param {string} solution Output under review
+ * @returns {string} Prompt
+ */
+export function buildReviewPrompt(task, solution) {
+  return `You are reviewing work done by a junior developer (Gemini).
+
+ORIGINAL TASK:
+${task}
+
+PROPOSED SOLUTION:
+${solution}
+
+Your job:
+1. Check for bugs, security issues, or logic errors
+2. Verify it meets the requirements
+3. Check code style and best practices
+
+Respond with ONLY a JSON object matching this schema:
+${JSON.stringify(REVIEW_VERDICT_SCHEMA, null, 2)}
+
+- "approved" when the solution is good; you may still list minor issues and
+  put polished versions in correctedFiles
+- "changes_requested" when it has issues; list every issue and, if you can,
+  put the complete corrected version of each changed file in correctedFiles
+  (use "output" as the key when the solution is not a file)
+
+Be concise. Focus on what matters.`;
+}
+
+/**
+ * Validate a parsed verdict against REVIEW_VERDICT_SCHEMA
+ * @param {Object} raw Parsed JSON
+ * @returns {{status: string, summary: string, issues: Array<{severity: string, message: string, file?: string, line?: number}>,
+ *   correctedFiles: Object.<string, string>}} Normalized verdict
+ * @throws {ValidationError} If the verdict does not match the schema
+ */
+export function validateReviewVerdict(raw) {
+  const fail = (message, field) => {
+    throw new ValidationError(`Review verdict ${message}`, field);
+  };
+  const { properties } = REVIEW_VERDICT_SCHEMA;
+  const issueProperties = properties.issues.items.properties;
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) fail('must be a JSON object', 'verdict');
+  for (const key of Object.keys(raw)) {
+    if (!properties[key]) fail(`has an unknown field "${key}"`, key);
+  }
+  if (!properties.status.enum.includes(raw.status)) {
+    fail(`status must be one of: ${properties.status.enum.join(', ')}`, 'status');
+  }
+  if (raw.summary !== undefined && typeof raw.summary !== 'string') fail('summary must be a string', 'summary');
+  if (!Array.isArray(raw.issues)) fail('issues must be an array', 'issues');
+
+  const issues = raw.issues.map((issue, i) => {
+    const field = `issues[${i}]`;
+    if (!issue || typeof issue !== 'object' || Array.isArray(issue)) fail(`${field} must be an object`, field);
+    for (const key of Object.keys(issue)) {
+      if (!issueProperties[key]) fail(`${field} has an unknown field "${key}"`, field);
+    }
+    if (!ISSUE_SEVERITIES.includes(issue.severity)) {
+      fail(`${field}.severity must be one of: ${ISSUE_SEVERITIES.join(', ')}`, field);
+    }
+    if (typeof issue.message !== 'string' || !issue.message.trim()) fail(`${field}.message must be a string`, field);
+    if (issue.file !== undefined && typeof issue.file !== 'string') fail(`${field}.file must be a string`, field);
+    if (issue.line !== undefined && !(Number.isInteger(issue.line) && issue.line >= 1)) {
+      fail(`${field}.line must be a positive integer`, field);
+    }
+    return {
+      severity: issue.severity,
+      message: issue.message.trim(),
+      ...(issue.file && { file: issue.file }),
+      ...(issue.line && { line: issue.line }),
+    };
+  });
+
+  const correctedFiles = raw.correctedFiles ?? {};
+  if (!correctedFiles || typeof correctedFiles !== 'object' || Array.isArray(correctedFiles)
+    || Object.values(correctedFiles).some((content) => typeof content !== 'string')) {
+    fail('correctedFiles must map file paths to file contents', 'correctedFiles');
+  }
+
+  return { status: raw.status, summary: raw.summary?.trim() || '', issues, correctedFiles };
+}
+
+/** "approved" anywhere in the review */
+const APPROVED_TOKEN = /\bapproved\b/gi;
+
+/** Negation or hedge earlier in the same sentence ("not yet approved", "would have approved") */
+const NEGATION_BEFORE = /\b(not|never|no|yet|isn't|aren't|wasn't|cannot|can't|won't|wouldn't|would|could|should|might)\b/i;
+
+/** Condition later in the same sentence ("approved once the check is added") */
+const CONDITION_AFTER = /\b(once|if|when|after|until|unless|pending|provided|but)\b/i;
+
+/** Phrases that reject even though they contain "approved" */
+const REJECTION_PATTERN = /\b(not|isn't|is not|cannot be|can't be|won't be|un)[\s-]*approved\b|\b(changes[\s_]requested|needs?[\s_]revision|rejected)\b/i;
+
+/** "path/to/file.ext:12" location in an issue line */
+const LOCATION_PATTERN = /([\w./-]+\.\w+):(\d+)/;
+
+/** Fenced code block, labelled on the fence (```js src/a.js) or by the line above it */
+const CODE_BLOCK_PATTERN = /(?:^|\n)([^\n]*)\n?```[\w+-]*[ \t]*([^\n`]*)\n([\s\S]*?)```/dg;
+
+/**
+ * Find the fenced code blocks of a reply or output
+ * @returns {Array<{path: string|null, content: string, start: number, end: number}>}
+ *   Blocks with the file path they are labelled with and the range of their content
+ */
+function findCodeBlocks(text) {
+  return [...text.matchAll(CODE_BLOCK_PATTERN)].map((match) => {
+    const [, before, info, body] = match;
+    const label = info.trim() || before.trim().replace(/^[#*\s]+|[*:\s`]+$/g, '').replace(/^`|`$/g, '');
+    return {
+      path: label && /^[\w./-]+\.\w+$/.test(label) ? label : null,
+      content: body.replace(/\n$/, ''),
+      start: match.indices[3][0],
+      end: match.indices[3][1],
+    };
+  });
+}
+
+/**
+ * Guess an issue's severity from its wording
+ */
+function inferSeverity(text) {
+  if (/\b(critical|security|vulnerab|injection|data loss)/i.test(text)) return 'critical';
+  if (/\b(bug|error|incorrect|wrong|fails?|broken|crash|missing)/i.test(text)) return 'major';
+  if (/\b(nit|style|naming|typo|consider)/i.test(text)) return 'minor';
+  return 'major';
+}
+
+/**
+ * Whether a review's prose approves
+ * True when some "approved" has no negation before it and no condition after
+ * it within its sentence.
+ */
+function isApproval(prose) {
+  return [...prose.matchAll(APPROVED_TOKEN)].some(({ index, 0: token }) => {
+    const before = prose.slice(0, index).split(/[.!?\n]/).pop();
+    const after = prose.slice(index + token.length).split(/[.!?\n]/)[0];
+    return !NEGATION_BEFORE.test(before) && !CONDITION_AFTER.test(after);
+  });
+}
+
+/**
+ * Parse a plain-text review
+ * Approval needs an "approved" that no negation or condition in its sentence
+ * qualifies (see isApproval) and no rejection phrase; anything less certain
+ * is treated as changes requested. List items
+ * outside code blocks become issues. Code blocks become corrected files when
+ * labelled with a path (```js src/a.js, or a path line right above the
+ * block); a single unlabelled block is the corrected (or, on approval,
+ * polished) output, several unlabelled blocks are ambiguous and ignored.
+ */
+function parseTextVerdict(text) {
+  const prose = text.replace(/```[\s\S]*?```/g, '');
+  const approved = isApproval(prose) && !REJECTION_PATTERN.test(prose);
+
+  const labelled = {};
+  const unlabelled = [];
+  for (const { path, content } of findCodeBlocks(text)) {
+    if (path) {
+      labelled[path] = content;
+    } else {
+      unlabelled.push(content.trim());
+    }
+  }
+
+  const issues = prose
+    .split('\n')
+    .map((line) => line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.+)$/)?.[1]?.trim())
+    .filter(Boolean)
+    .map((message) => {
+      const location = message.match(LOCATION_PATTERN);
+      return {
+        severity: inferSeverity(message),
+        message,
+        ...(location && { file: location[1], line: parseInt(location[2], 10) }),
+      };
+    });
+
+  let correctedFiles = labelled;
+  if (Object.keys(labelled).length === 0 && unlabelled.length === 1) {
+    correctedFiles = { output: unlabelled[0] };
+  }
+
+  return {
+    status: approved ? VerdictStatus.APPROVED : VerdictStatus.CHANGES_REQUESTED,
+    summary: prose.trim().split('\n')[0].slice(0, 200),
+    issues,
+    correctedFiles,
+  };
+}
+
+/**
+ * Render corrected files as the new output of the loop
+ * @param {Object.<string, string>} correctedFiles Corrected content by path
+ * @returns {string|null} The content for one file (or "output"), a section per
+ *   file for several, null when there are none
+ */
+export function renderCorrectedFiles(correctedFiles) {
+  const entries = Object.entries(correctedFiles);
+  if (entries.length === 0) return null;
+  if (entries.length === 1) return entries[0][1].trim();
+  return entries.map(([path, content]) => renderFileSection(path, content)).join('\n\n');
+}
+
+/**
+ * One corrected file as an output section
+ */
+function renderFileSection(path, content) {
+  return `### ${path}\n\`\`\`\n${content.trim()}\n\`\`\``;
+}
+
+/**
+ * Apply corrected files to the output under review
+ * The "output" key replaces the whole output, and so do corrected files when
+ * the output is a single file (at most one code block, none labelled with a
+ * path). Otherwise each corrected file replaces the code block labelled with
+ * its path, and files the output does not have yet are appended as sections.
+ * @param {string} output Output under review
+ * @param {Object.<string, string>} correctedFiles Corrected content by path
+ * @returns {string|null} New output, null when there are no corrected files
+ */
+export function applyCorrectedFiles(output, correctedFiles) {
+  if (Object.keys(correctedFiles).length === 0) return null;
+  if (correctedFiles.output !== undefined) return correctedFiles.output.trim();
+
+  const blocks = findCodeBlocks(output);
+  if (blocks.length <= 1 && !blocks.some((block) => block.path)) {
+    return renderCorrectedFiles(correctedFiles);
+  }
+
+  // Replace from the end so earlier block offsets stay valid
+  let merged = output;
+  const replaced = new Set();
+  for (const block of blocks.reverse()) {
+    if (block.path && Object.hasOwn(correctedFiles, block.path)) {
+      merged = `${merged.slice(0, block.start)}${correctedFiles[block.path].trim()}\n${merged.slice(block.end)}`;
+      replaced.add(block.path);
+    }
+  }
+
+  const added = Object.entries(correctedFiles).filter(([path]) => !replaced.has(path));
+  return [merged.trimEnd(), ...added.map(([path, content]) => renderFileSection(path, content))].join('\n\n');
+}
+
+/**
+ * Parse a reviewer reply
+ * @param {string} text Reviewer reply
+ * @returns {{status: string, approved: boolean, summary: string, issues: Object[],
+ *   correctedFiles: Object.<string, string>, corrected: string|null, source: 'json'|'text'}}
+ */
+export function parseReviewVerdict(text) {
+  let json = null;
+  try {
+    json = extractJson(text, 'Review verdict', 'verdict');
+  } catch {
+    // No JSON object in the reply - a plain-text review
+  }
+  let verdict;
+  let source = 'json';
+  try {
+    verdict = json ? validateReviewVerdict(json) : null;
+  } catch (error) {
+    console.error(`[ReviewVerdict] Invalid JSON verdict, parsing as text: ${error.message}`);
+  }
+  if (!verdict) {
+    verdict = parseTextVerdict(text);
+    source = 'text';
+  }
+
+  return {
+    ...verdict,
+    approved: verdict.status === VerdictStatus.APPROVED,
+    corrected: renderCorrectedFiles(verdict.correctedFiles),
+    source,
+  };
+}
+
+/**
+ * Format one issue for prompts and terminal output
+ * @param {{severity: string, message: string, file?: string, line?: number}} issue
+ * @returns {string} e.g. "[major] src/a.js:12 - Window is hard-coded"
+ */
+export function formatIssue(issue) {
+  const location = issue.file ? `${issue.file}${issue.line ? `:${issue.line}` : ''} - ` : '';
+  return `[${issue.severity}] ${location}${issue.message}`;
+}
+
+export default {
+  VerdictStatus,
+  ISSUE_SEVERITIES,
+  REVIEW_VERDICT_SCHEMA,
+  buildReviewPrompt,
+  validateReviewVerdict,
+  parseReviewVerdict,
+  renderCorrectedFiles,
+  applyCorrectedFiles,
+  formatIssue,
+};
@@ -0,0 +1,220 @@
+/**
+ * Route Statistics
+ *
+ * Outcomes of orchestrator runs per route, so routing can learn which task
+ * classes a model handles badly. A route is a task type and complexity
+ * served by one model (e.g. `fix_bug/standard -> gemini-2.5-pro`).
+ *
+ * Stats file: .hybrid/route-stats.json in the working directory, or
+ * HYBRID_ROUTE_STATS=/path/to/route-stats.json
+ *
+ * {
+ *   "version": 1,
+ *   "routes": {
+ *     "fix_bug/standard/gemini-2.5-pro": {
+ *       "taskType": "fix_bug", "complexity": "standard", "adapter": "gemini", "model": "gemini-2.5-pro",
+ *       "runs": 12, "failures": 1, "reviewed": 11, "firstPassApproved": 4, "corrections": 13,
+ *       "latencyMs": 480000, "cost": 0.42, "recent": [true, false, false], "recentAt": ["...", "...", "..."],
+ *       "lastRunAt": "..."
+ *     }
+ *   }
+ * }
+ *
+ * `recent` keeps the first-pass review outcomes of the last reviewed runs and
+ * `recentAt` when each was recorded. Escalation only counts outcomes younger
+ * than the policy's adaptive.maxSampleAgeDays (getFreshOutcomes), so old
+ * results age out: a route escalated away from a model stops collecting
+ * samples for it, and once they expire the model gets a fresh trial.
+ */
+
+import { mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+
+/** Current on-disk format version */
+export const ROUTE_STATS_VERSION = 1;
+
+/** Stats file location relative to the working directory */
+export const ROUTE_STATS_FILE = join('.hybrid', 'route-stats.json');
+
+/** Reviewed runs kept per route for escalation decisions */
+const RECENT_WINDOW = 20;
+
+/**
+ * Stats file for a working directory
+ * Override with HYBRID_ROUTE_STATS
+ * @param {string} directory Working directory
+ * @returns {string}
+ */
+export function getRouteStatsPath(directory) {
+  return process.env.HYBRID_ROUTE_STATS
+    ? resolve(process.env.HYBRID_ROUTE_STATS)
+    : join(resolve(directory), ROUTE_STATS_FILE);
+}
+
+/**
+ * Key of a route in the stats file
+ */
+export function getRouteKey(taskType, complexity, model) {
+  return `${taskType}/${complexity}/${model}`;
+}
+
+/**
+ * First-pass outcomes of a route recorded within a time window
+ * Samples stored before recentAt existed are dated by the route's last run.
+ * @param {Object|null} stats Stored route stats
+ * @param {number} maxAgeMs Oldest sample age to count
+ * @param {number} [now=Date.now()]
+ * @returns {boolean[]} Outcomes, oldest first
+ */
+export function getFreshOutcomes(stats, maxAgeMs, now = Date.now()) {
+  if (!stats) return [];
+  return stats.recent.filter((_, i) => {
+    const at = Date.parse(stats.recentAt?.[i] ?? stats.lastRunAt);
+    return Number.isNaN(at) || now - at < maxAgeMs;
+  });
+}
+
+/**
+ * Derived rates of a route
+ * @param {Object} stats Stored route stats
+ * @returns {{firstPassRate: number|null, recentFirstPassRate: number|null, avgCorrections: number|null,
+ *   avgLatencyMs: number|null, avgCost: number|null}} Rates (null without samples)
+ */
+export function summarizeRoute(stats) {
+  const completed = stats.runs - stats.failures;
+  const ratio = (value, count) => (count > 0 ? value / count : null);
+  return {
+    firstPassRate: ratio(stats.firstPassApproved, stats.reviewed),
+    recentFirstPassRate: ratio(stats.recent.filter(Boolean).length, stats.recent.length),
+    avgCorrections: ratio(stats.corrections, stats.reviewed),
+    avgLatencyMs: ratio(stats.latencyMs, completed),
+    avgCost: ratio(stats.cost, completed),
+  };
+}
+
+/**
+ * JSON file of per-route outcomes
+ * Every record re-reads the file, so runs from several processes add up.
+ */
+export class RouteStats {
+  /**
+   * @param {Object} options
+   * @param {string} options.path Stats file
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('RouteStats requires a path');
+    }
+    this.path = options.path;
+    this.routes = this.read();
+  }
+
+  /**
+   * Read the stats file
+   * A missing, unreadable or unknown-version file counts as empty
+   * @private
+   */
+  read() {
+    let record;
+    try {
+      record = JSON.parse(readFileSync(this.path, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[RouteStats] Ignoring unreadable ${this.path}:`, error.message);
+      }
+      return {};
+    }
+    return record.version === ROUTE_STATS_VERSION && record.routes ? record.routes : {};
+  }
+
+  /**
+   * Get the stats of one route
+   * @returns {Object|null}
+   */
+  get(taskType, complexity, model) {
+    return this.routes[getRouteKey(taskType, complexity, model)] || null;
+  }
+
+  /**
+   * All routes, most used first
+   * @returns {Object[]} Stored stats with summarizeRoute() fields
+   */
+  list() {
+    return Object.values(this.routes)
+      .map((stats) => ({ ...stats, ...summarizeRoute(stats) }))
+      .sort((a, b) => b.runs - a.runs);
+  }
+
+  /**
+   * Record the outcome of one run
+   * @param {Object} outcome
+   * @param {string} outcome.taskType Task type
+   * @param {string} outcome.complexity Complexity level
+   * @param {string} outcome.adapter Adapter that ran the task
+   * @param {string} outcome.model Model that ran the task
+   * @param {boolean} [outcome.failed=false] The run threw
+   * @param {boolean} [outcome.reviewed=false] The output went through review
+   * @param {boolean} [outcome.approvedFirstPass=false] The first review approved it
+   * @param {number} [outcome.corrections=0] Rejected reviews
+   * @param {number} [outcome.latencyMs=0] Wall time of the run
+   * @param {number} [outcome.cost=0] Estimated cost of the run
+   */
+  record(outcome) {
+    const { taskType, complexity, adapter, model } = outcome;
+    const key = getRouteKey(taskType, complexity, model);
+
+    this.routes = this.read();
+    const stats = this.routes[key] || {
+      taskType, complexity, adapter, model,
+      runs: 0, failures: 0, reviewed: 0, firstPassApproved: 0, corrections: 0,
+      latencyMs: 0, cost: 0, recent: [],
+    };
+
+    const previousRunAt = stats.lastRunAt;
+    stats.runs++;
+    stats.lastRunAt = new Date().toISOString();
+    if (outcome.failed) {
+      stats.failures++;
+    } else {
+      stats.latencyMs += outcome.latencyMs || 0;
+      stats.cost += outcome.cost || 0;
+    }
+    if (outcome.reviewed) {
+      stats.reviewed++;
+      stats.corrections += outcome.corrections || 0;
+      if (outcome.approvedFirstPass) stats.firstPassApproved++;
+      const recentAt = stats.recent.map((_, i) => stats.recentAt?.[i] ?? previousRunAt ?? stats.lastRunAt);
+      stats.recent = [...stats.recent, Boolean(outcome.approvedFirstPass)].slice(-RECENT_WINDOW);
+      stats.recentAt = [...recentAt, stats.lastRunAt].slice(-RECENT_WINDOW);
+    }
+
+    this.routes[key] = stats;
+    this.write();
+  }
+
+  /**
+   * Forget all routes
+   */
+  reset() {
+    this.routes = {};
+    rmSync(this.path, { force: true });
+  }
+
+  /**
+   * Write the stats file atomically (temp file + rename)
+   * Failures only log; stats must never break a run.
+   * @private
+   */
+  write() {
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      const tempPath = `${this.path}.tmp`;
+      writeFileSync(tempPath, JSON.stringify({ version: ROUTE_STATS_VERSION, routes: this.routes }, null, 2), 'utf-8');
+      renameSync(tempPath, this.path);
+    } catch (error) {
+      console.error(`[RouteStats] Failed to write ${this.path}:`, error.message);
+    }
+  }
+}
+
+export default RouteStats;
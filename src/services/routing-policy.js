@@ -0,0 +1,605 @@
+/**
+ * Routing Policy
+ *
+ * Shared, user-editable rules that decide which adapter and model handle a
+ * task. Used by the Orchestrator (hybrid CLI) and by the MCP server's smart
+ * model selection, so both route the same way.
+ *
+ * Policy file: .hybrid/routing-policy.json (nearest one from the working
+ * directory upwards, or HYBRID_ROUTING_POLICY=/path/to/policy.json). Only
+ * JSON is supported. Every top-level key in the file replaces the default of
+ * the same name; omitted keys keep DEFAULT_ROUTING_POLICY.
+ *
+ * {
+ *   "taskTypes": [{ "type": "fix_bug", "keywords": ["fix", "debug"] }],
+ *   "defaultTaskType": "question",
+ *   "complexity": {
+ *     "hints": [{ "complexity": "critical", "keywords": ["production"] }],
+ *     "thresholds": { "trivial": 100, "standard": 5000, "complex": 50000 }
+ *   },
+ *   "rules": [
+ *     {
+ *       "name": "critical-code",
+ *       "when": { "taskType": ["draft_code", "fix_bug"], "complexity": "critical" },
+ *       "adapter": "claude",
+ *       "model": "claude-sonnet-4-5-20250514",
+ *       "requiresReview": false,
+ *       "fallback": ["gemini-3-pro-preview"]
+ *     }
+ *   ],
+ *   "review": { "adapter": "claude", "model": "claude-sonnet-4-5-20250514" },
+ *   "correction": { "adapter": "gemini", "model": "gemini-2.5-pro" },
+ *   "planner": { "adapter": "claude", "model": "claude-sonnet-4-5-20250514", "fallback": ["gemini-2.5-pro"] },
+ *   "fast": { "adapter": "gemini", "model": "gemini-2.5-flash", "fallback": ["gemini-2.5-pro"] },
+ *   "adaptive": {
+ *     "enabled": true,
+ *     "minSamples": 5,
+ *     "minFirstPassRate": 0.5,
+ *     "maxSampleAgeDays": 14,
+ *     "ladder": ["gemini-2.5-flash", "gemini-2.5-pro", "gemini-3-pro-preview", "claude-sonnet-4-5-20250514"]
+ *   }
+ * }
+ *
+ * - taskTypes: checked in order, the first one with a matching keyword wins
+ *   (defaultTaskType otherwise)
+ * - complexity.hints: keywords that force a complexity; otherwise the input
+ *   size (in tokens) is compared with the thresholds (above "complex" is critical)
+ * - rules: checked in order, the first rule whose conditions all match wins.
+ *   Conditions (all optional): taskType, complexity and tool (a value or a
+ *   list of values), minTokens and maxTokens (inclusive / exclusive bounds)
+ * - fallback: models tried in order when the selected one fails or is rate
+ *   limited; the adapter is derived from the model name (claude-* is Claude,
+ *   local/name a local server, vendor/model OpenRouter, anything else Gemini)
+ * - review / correction: models the supervisor loop uses
+ * - planner: model that splits a task into a subtask graph (execute with decompose)
+ * - fast: route for callers that ask for the fastest model (MCP preferFast and
+ *   rate-limit fallbacks)
+ * - adaptive: escalate a reviewed route one step up the ladder while its
+ *   recent first-pass approval rate (see route-stats.js) is below
+ *   minFirstPassRate over at least minSamples reviews from the last
+ *   maxSampleAgeDays days. Models that are not on the ladder are never
+ *   escalated; an escalation ends once the poor reviews age out.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { ConfigError } from '../utils/errors.js';
+import { OUTPUT_LIMITS } from '../config/timeouts.js';
+import { estimateTokens } from '../mcp/tool-handlers/base.js';
+import { getFreshOutcomes } from './route-stats.js';
+
+/** Policy file location relative to a project directory */
+export const ROUTING_POLICY_FILE = join('.hybrid', 'routing-policy.json');
+
+/** Complexity levels, from cheapest to most demanding */
+export const COMPLEXITY_LEVELS = ['trivial', 'standard', 'complex', 'critical'];
+
+/** Rule conditions that accept a single value or a list */
+const LIST_CONDITIONS = ['taskType', 'complexity', 'tool'];
+
+/** Claude model used when nothing else is configured */
+const CLAUDE_MODEL = 'claude-sonnet-4-5-20250514';
+
+/**
+ * Built-in policy
+ * Tool rules only match MCP tool calls; orchestrator tasks carry no tool.
+ */
+export const DEFAULT_ROUTING_POLICY = {
+  taskTypes: [
+    { type: 'read_analyze', keywords: ['read', 'analyze', 'understand', 'explain', 'summarize', 'find'] },
+    { type: 'draft_code', keywords: ['write', 'create', 'implement', 'build', 'generate'] },
+    { type: 'review_code', keywords: ['review', 'check', 'audit', 'inspect'] },
+    { type: 'fix_bug', keywords: ['fix', 'debug', 'resolve', 'repair'] },
+    { type: 'refactor', keywords: ['refactor', 'restructure', 'clean', 'improve'] },
+    { type: 'architecture', keywords: ['design', 'architect', 'plan', 'structure'] },
+  ],
+  defaultTaskType: 'question',
+  complexity: {
+    hints: [
+      { complexity: 'trivial', keywords: ['simple', 'quick', 'brief'] },
+      { complexity: 'critical', keywords: ['complex', 'critical', 'production', 'careful'] },
+    ],
+    thresholds: { trivial: 100, standard: 5000, complex: 50000 },
+  },
+  rules: [
+    {
+      name: 'mcp-complex-tools',
+      when: {
+        tool: [
+          'draft_code_implementation',
+          'gemini_verify_solution',
+          'gemini_eval_plan',
+          'ai_collaboration',
+          'gemini_code_review',
+        ],
+      },
+      adapter: 'gemini',
+      model: 'gemini-3-pro-preview',
+      fallback: ['gemini-3-flash-preview', 'gemini-2.5-pro', 'gemini-2.5-flash'],
+    },
+    {
+      name: 'mcp-standard-tools',
+      when: {
+        tool: [
+          'research_heavy_context',
+          'gemini_prompt',
+          'gemini_git_diff_review',
+          'cross_model_comparison',
+          'gemini_content_comparison',
+          'gemini_extract_structured',
+        ],
+      },
+      adapter: 'gemini',
+      model: 'gemini-2.5-pro',
+      fallback: ['gemini-3-pro-preview', 'gemini-3-flash-preview', 'gemini-2.5-flash'],
+    },
+    {
+      name: 'mcp-simple-tools',
+      when: { tool: ['ask_gemini', 'summarize_directory', 'gemini_summarize_files', 'review_code_changes'] },
+      adapter: 'gemini',
+      model: 'gemini-2.5-flash',
+      fallback: ['gemini-2.5-pro', 'gemini-3-pro-preview', 'gemini-3-flash-preview'],
+    },
+    // Read/analyze -> always Gemini (context arbitrage)
+    {
+      name: 'read-trivial',
+      when: { taskType: 'read_analyze', complexity: 'trivial' },
+      adapter: 'gemini',
+      model: 'gemini-2.5-flash',
+      fallback: ['gemini-2.5-pro'],
+    },
+    {
+      name: 'read',
+      when: { taskType: 'read_analyze' },
+      adapter: 'gemini',
+      model: 'gemini-2.5-pro',
+      fallback: ['gemini-3-pro-preview', 'gemini-2.5-flash'],
+    },
+    // Questions -> Gemini unless critical
+    {
+      name: 'question-critical',
+      when: { taskType: 'question', complexity: 'critical' },
+      adapter: 'claude',
+      model: CLAUDE_MODEL,
+      fallback: ['gemini-3-pro-preview', 'gemini-2.5-pro'],
+    },
+    // Code -> Gemini with Claude review, Claude directly when critical
+    {
+      name: 'code-standard',
+      when: { taskType: ['draft_code', 'fix_bug', 'refactor'], complexity: ['trivial', 'standard'] },
+      adapter: 'gemini',
+      model: 'gemini-2.5-pro',
+      requiresReview: true,
+      fallback: ['gemini-3-pro-preview'],
+    },
+    {
+      name: 'code-complex',
+      when: { taskType: ['draft_code', 'fix_bug', 'refactor'], complexity: 'complex' },
+      adapter: 'gemini',
+      model: 'gemini-3-pro-preview',
+      requiresReview: true,
+      fallback: ['gemini-2.5-pro'],
+    },
+    {
+      name: 'code-critical',
+      when: { taskType: ['draft_code', 'fix_bug', 'refactor'], complexity: 'critical' },
+      adapter: 'claude',
+      model: CLAUDE_MODEL,
+      fallback: ['gemini-3-pro-preview', 'gemini-2.5-pro'],
+    },
+    // Architecture -> Claude (needs reasoning)
+    {
+      name: 'architecture',
+      when: { taskType: 'architecture' },
+      adapter: 'claude',
+      model: CLAUDE_MODEL,
+      fallback: ['gemini-3-pro-preview', 'gemini-2.5-pro'],
+    },
+    {
+      name: 'default',
+      when: {},
+      adapter: 'gemini',
+      model: 'gemini-2.5-pro',
+      fallback: ['gemini-3-pro-preview', 'gemini-3-flash-preview', 'gemini-2.5-flash'],
+    },
+  ],
+  review: { adapter: 'claude', model: CLAUDE_MODEL },
+  correction: { adapter: 'gemini', model: 'gemini-2.5-pro' },
+  planner: { adapter: 'claude', model: CLAUDE_MODEL, fallback: ['gemini-2.5-pro'] },
+  fast: {
+    adapter: 'gemini',
+    model: 'gemini-2.5-flash',
+    fallback: ['gemini-2.5-pro', 'gemini-3-pro-preview', 'gemini-3-flash-preview'],
+  },
+  adaptive: {
+    enabled: true,
+    minSamples: 5,
+    minFirstPassRate: 0.5,
+    maxSampleAgeDays: 14,
+    ladder: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-3-pro-preview', CLAUDE_MODEL],
+  },
+};
+
+/**
+ * Get the adapter that serves a model
+ * Local models are `local/<name>` IDs (e.g. local/qwen2.5-coder), OpenRouter
+ * models other `vendor/model` IDs (e.g. deepseek/deepseek-chat)
+ * @param {string} model Model ID
+ * @returns {string} Adapter name
+ */
+export function getAdapterForModel(model) {
+  if (model.startsWith('local/')) return 'local';
+  if (model.includes('/')) return 'openrouter';
+  return model.startsWith('claude') ? 'claude' : 'gemini';
+}
+
+/**
+ * Compile keywords to a case-insensitive whole-word regex
+ */
+function keywordRegExp(keywords) {
+  const escaped = keywords.map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(${escaped.join('|')})\\b`, 'i');
+}
+
+/**
+ * Validate a parsed policy file and compile its keywords
+ * @param {Object} raw Parsed JSON (keys override DEFAULT_ROUTING_POLICY)
+ * @param {string|null} source File the policy came from
+ * @returns {Object} Compiled policy
+ * @throws {ConfigError} On invalid fields
+ */
+export function parseRoutingPolicy(raw, source = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError('Routing policy must be a JSON object', source);
+  }
+  const policy = { ...DEFAULT_ROUTING_POLICY, ...raw };
+  const fail = (message) => {
+    throw new ConfigError(`Routing policy ${message}`, source);
+  };
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  const isStringArray = (value) => Array.isArray(value) && value.every((v) => typeof v === 'string' && v);
+
+  const keywordGroups = (groups, field, key) => {
+    if (!Array.isArray(groups)) fail(`"${field}" must be an array`);
+    return groups.map((group, i) => {
+      if (!isObject(group) || typeof group[key] !== 'string' || !group[key]) {
+        fail(`"${field}[${i}]" needs a "${key}"`);
+      }
+      if (!isStringArray(group.keywords) || group.keywords.length === 0) {
+        fail(`"${field}[${i}].keywords" must be a non-empty array of strings`);
+      }
+      return { [key]: group[key], keywords: group.keywords, regex: keywordRegExp(group.keywords) };
+    });
+  };
+
+  const route = (value, field) => {
+    if (!isObject(value) || typeof value.model !== 'string' || !value.model) {
+      fail(`"${field}" needs a "model"`);
+    }
+    if (value.adapter !== undefined && typeof value.adapter !== 'string') {
+      fail(`"${field}.adapter" must be a string`);
+    }
+    if (value.fallback !== undefined && !isStringArray(value.fallback)) {
+      fail(`"${field}.fallback" must be an array of model IDs`);
+    }
+    return {
+      adapter: value.adapter || getAdapterForModel(value.model),
+      model: value.model,
+      requiresReview: value.requiresReview === true,
+      fallback: value.fallback || [],
+    };
+  };
+
+  if (typeof policy.defaultTaskType !== 'string' || !policy.defaultTaskType) {
+    fail('"defaultTaskType" must be a string');
+  }
+
+  const complexity = policy.complexity;
+  if (!isObject(complexity)) fail('"complexity" must be an object');
+  const hints = keywordGroups(complexity.hints ?? [], 'complexity.hints', 'complexity');
+  for (const hint of hints) {
+    if (!COMPLEXITY_LEVELS.includes(hint.complexity)) {
+      fail(`complexity hint "${hint.complexity}" must be one of: ${COMPLEXITY_LEVELS.join(', ')}`);
+    }
+  }
+  const thresholds = { ...DEFAULT_ROUTING_POLICY.complexity.thresholds, ...complexity.thresholds };
+  for (const [level, value] of Object.entries(thresholds)) {
+    if (typeof value !== 'number' || value < 0) fail(`threshold "${level}" must be a non-negative number`);
+  }
+
+  if (!Array.isArray(policy.rules) || policy.rules.length === 0) {
+    fail('"rules" must be a non-empty array');
+  }
+  const rules = policy.rules.map((rule, i) => {
+    const field = `rules[${i}]`;
+    if (!isObject(rule)) fail(`"${field}" must be an object`);
+    const when = rule.when ?? {};
+    if (!isObject(when)) fail(`"${field}.when" must be an object`);
+
+    const conditions = {};
+    for (const [key, value] of Object.entries(when)) {
+      if (LIST_CONDITIONS.includes(key)) {
+        const values = Array.isArray(value) ? value : [value];
+        if (!isStringArray(values)) fail(`"${field}.when.${key}" must be a string or an array of strings`);
+        conditions[key] = values;
+      } else if (key === 'minTokens' || key === 'maxTokens') {
+        if (typeof value !== 'number' || value < 0) fail(`"${field}.when.${key}" must be a non-negative number`);
+        conditions[key] = value;
+      } else {
+        fail(`"${field}.when" has an unknown condition "${key}"`);
+      }
+    }
+
+    return { name: rule.name || `rule ${i + 1}`, index: i, when: conditions, ...route(rule, field) };
+  });
+
+  const adaptive = { ...DEFAULT_ROUTING_POLICY.adaptive, ...policy.adaptive };
+  if (typeof adaptive.enabled !== 'boolean') fail('"adaptive.enabled" must be a boolean');
+  if (!Number.isInteger(adaptive.minSamples) || adaptive.minSamples < 1) {
+    fail('"adaptive.minSamples" must be a positive integer');
+  }
+  if (typeof adaptive.minFirstPassRate !== 'number' || adaptive.minFirstPassRate < 0 || adaptive.minFirstPassRate > 1) {
+    fail('"adaptive.minFirstPassRate" must be a number between 0 and 1');
+  }
+  if (typeof adaptive.maxSampleAgeDays !== 'number' || !(adaptive.maxSampleAgeDays > 0)) {
+    fail('"adaptive.maxSampleAgeDays" must be a positive number');
+  }
+  if (!isStringArray(adaptive.ladder)) fail('"adaptive.ladder" must be an array of model IDs');
+
+  return {
+    source,
+    taskTypes: keywordGroups(policy.taskTypes, 'taskTypes', 'type'),
+    defaultTaskType: policy.defaultTaskType,
+    complexity: { hints, thresholds },
+    rules,
+    review: route(policy.review, 'review'),
+    correction: route(policy.correction, 'correction'),
+    planner: route(policy.planner, 'planner'),
+    fast: route(policy.fast, 'fast'),
+    adaptive,
+  };
+}
+
+/**
+ * Find the routing policy file for a directory
+ * @param {string} directory Project directory
+ * @returns {string|null} Path to the policy file
+ */
+export function findRoutingPolicyFile(directory) {
+  if (process.env.HYBRID_ROUTING_POLICY) {
+    return resolve(process.env.HYBRID_ROUTING_POLICY);
+  }
+
+  let current = resolve(directory);
+  while (true) {
+    const candidate = join(current, ROUTING_POLICY_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Load the routing policy that applies to a directory
+ * @param {string} directory Project directory
+ * @returns {Object} Compiled policy (defaults when no policy file exists)
+ * @throws {ConfigError} If the policy file cannot be read or is invalid
+ */
+export function loadRoutingPolicy(directory) {
+  const file = findRoutingPolicyFile(directory);
+  if (!file) {
+    return parseRoutingPolicy({});
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new ConfigError(`Cannot read routing policy ${file}: ${err.message}`, file);
+  }
+  return parseRoutingPolicy(raw, file);
+}
+
+/**
+ * Classify a task's type by keywords
+ * @param {Object} policy Compiled policy
+ * @param {string} task Task description
+ * @returns {{taskType: string, reason: string}}
+ */
+export function classifyTaskType(policy, task) {
+  for (const { type, regex } of policy.taskTypes) {
+    const match = task.match(regex);
+    if (match) return { taskType: type, reason: `keyword "${match[1]}"` };
+  }
+  return { taskType: policy.defaultTaskType, reason: 'no task type keyword matched (default)' };
+}
+
+/**
+ * Estimate the routing input size of a task
+ * Every caller (orchestrator, MCP server, `hybrid route explain`) routes by
+ * this estimate, so thresholds and minTokens/maxTokens mean the same everywhere.
+ * @param {string} task Task description or prompt
+ * @param {number} [contextLength=0] Characters of extra context sent with it
+ * @returns {number} Estimated input tokens
+ */
+export function estimateInputTokens(task, contextLength = 0) {
+  return estimateTokens(task) + Math.ceil(contextLength / OUTPUT_LIMITS.CHARS_PER_TOKEN);
+}
+
+/**
+ * Classify a task's complexity by hint keywords, then by input size
+ * @param {Object} policy Compiled policy
+ * @param {string} task Task description
+ * @param {number} inputTokens Input size in tokens
+ * @returns {{complexity: string, reason: string}}
+ */
+export function classifyComplexity(policy, task, inputTokens) {
+  for (const { complexity, regex } of policy.complexity.hints) {
+    const match = task.match(regex);
+    if (match) return { complexity, reason: `keyword "${match[1]}"` };
+  }
+
+  const { thresholds } = policy.complexity;
+  for (const level of ['trivial', 'standard', 'complex']) {
+    if (inputTokens < thresholds[level]) {
+      return { complexity: level, reason: `input ${inputTokens} < ${level} threshold ${thresholds[level]}` };
+    }
+  }
+  return { complexity: 'critical', reason: `input ${inputTokens} >= complex threshold ${thresholds.complex}` };
+}
+
+/**
+ * Check one rule against a request
+ * @returns {string|null} Why the rule does not match, or null when it matches
+ */
+function checkRule(rule, request) {
+  for (const key of LIST_CONDITIONS) {
+    const allowed = rule.when[key];
+    if (allowed && !allowed.includes(request[key])) {
+      return `${key} ${request[key] || '(none)'} not in [${allowed.join(', ')}]`;
+    }
+  }
+  if (rule.when.minTokens !== undefined && request.inputTokens < rule.when.minTokens) {
+    return `input ${request.inputTokens} < minTokens ${rule.when.minTokens}`;
+  }
+  if (rule.when.maxTokens !== undefined && request.inputTokens >= rule.when.maxTokens) {
+    return `input ${request.inputTokens} >= maxTokens ${rule.when.maxTokens}`;
+  }
+  return null;
+}
+
+/**
+ * Describe the conditions a matching rule satisfied
+ */
+function describeMatch(rule, request) {
+  const reasons = LIST_CONDITIONS
+    .filter((key) => rule.when[key])
+    .map((key) => `${key} is ${request[key]}`);
+  if (rule.when.minTokens !== undefined) reasons.push(`input ${request.inputTokens} >= minTokens ${rule.when.minTokens}`);
+  if (rule.when.maxTokens !== undefined) reasons.push(`input ${request.inputTokens} < maxTokens ${rule.when.maxTokens}`);
+  return reasons.length > 0 ? reasons : ['rule has no conditions'];
+}
+
+/**
+ * Pick the first rule that matches a classified request
+ * @param {Object} policy Compiled policy
+ * @param {Object} request
+ * @param {string} request.taskType Task type
+ * @param {string} request.complexity Complexity level
+ * @param {string} [request.tool] MCP tool name
+ * @param {number} [request.inputTokens=0] Input size in tokens
+ * @returns {{adapter: string, model: string, requiresReview: boolean, fallback: string[], rule: string}}
+ * @throws {ConfigError} If no rule matches
+ */
+export function selectRoute(policy, request) {
+  const normalized = { inputTokens: 0, ...request };
+  const rule = policy.rules.find((candidate) => checkRule(candidate, normalized) === null);
+  if (!rule) {
+    throw new ConfigError(
+      `No routing rule matches ${normalized.taskType}/${normalized.complexity}; add a rule without conditions`,
+      policy.source
+    );
+  }
+  const { adapter, model, requiresReview, fallback } = rule;
+  return { adapter, model, requiresReview, fallback: [...fallback], rule: rule.name };
+}
+
+/**
+ * Escalate a reviewed route whose recent first-pass approval rate is too low
+ * Climbs the adaptive ladder one model at a time until a model has no poor
+ * record for this task class (or the ladder ends). Only reviews from the last
+ * adaptive.maxSampleAgeDays count, so an escalated route drops back to its
+ * model once the poor reviews expire. A route escalated to the reviewer's
+ * adapter is not reviewed again.
+ * @param {Object} policy Compiled policy
+ * @param {Object} route Route from selectRoute()
+ * @param {function(string): Object|null} getStats Route stats of a model for the task class
+ * @returns {Object} The route, or an escalated copy with `escalated: {from, reason}`
+ */
+export function escalateRoute(policy, route, getStats) {
+  const { enabled, minSamples, minFirstPassRate, maxSampleAgeDays, ladder } = policy.adaptive;
+  if (!enabled || !route.requiresReview) return route;
+
+  let index = ladder.indexOf(route.model);
+  if (index === -1) return route;
+
+  let escalated = null;
+  while (index < ladder.length - 1) {
+    const recent = getFreshOutcomes(getStats(ladder[index]), maxSampleAgeDays * 24 * 60 * 60 * 1000);
+    const rate = recent.filter(Boolean).length / recent.length;
+    if (recent.length < minSamples || rate >= minFirstPassRate) break;
+
+    escalated ||= {
+      from: route.model,
+      reason: `first-pass approval ${Math.round(rate * 100)}% over the last ${recent.length} reviews of ${ladder[index]} `
+        + `< ${Math.round(minFirstPassRate * 100)}%`,
+    };
+    index++;
+  }
+  if (!escalated) return route;
+
+  const model = ladder[index];
+  const adapter = getAdapterForModel(model);
+  return {
+    ...route,
+    adapter,
+    model,
+    requiresReview: adapter !== policy.review.adapter,
+    fallback: [route.model, ...route.fallback].filter((m) => m !== model),
+    escalated,
+  };
+}
+
+/**
+ * Classify a task and explain which rule routes it and why
+ * @param {Object} policy Compiled policy
+ * @param {string} task Task description or prompt
+ * @param {Object} [options]
+ * @param {string} [options.tool] MCP tool name
+ * @param {number} [options.inputTokens] Input size in tokens (default: estimateInputTokens(task))
+ * @returns {{taskType: Object, complexity: Object, tool: string|null, inputTokens: number,
+ *   skipped: Array<{rule: string, reason: string}>, matched: {rule: string, index: number, reasons: string[]}, route: Object}}
+ */
+export function explainRoute(policy, task, { tool = null, inputTokens = estimateInputTokens(task) } = {}) {
+  const taskType = classifyTaskType(policy, task);
+  const complexity = classifyComplexity(policy, task, inputTokens);
+  const request = { taskType: taskType.taskType, complexity: complexity.complexity, tool, inputTokens };
+
+  const skipped = [];
+  for (const rule of policy.rules) {
+    const mismatch = checkRule(rule, request);
+    if (mismatch) {
+      skipped.push({ rule: rule.name, reason: mismatch });
+      continue;
+    }
+    return {
+      taskType,
+      complexity,
+      tool,
+      inputTokens,
+      skipped,
+      matched: { rule: rule.name, index: rule.index, reasons: describeMatch(rule, request) },
+      route: selectRoute(policy, request),
+    };
+  }
+
+  // No rule matched: selectRoute throws the ConfigError
+  return selectRoute(policy, request);
+}
+
+export default {
+  ROUTING_POLICY_FILE,
+  COMPLEXITY_LEVELS,
+  DEFAULT_ROUTING_POLICY,
+  getAdapterForModel,
+  parseRoutingPolicy,
+  findRoutingPolicyFile,
+  loadRoutingPolicy,
+  classifyTaskType,
+  estimateInputTokens,
+  classifyComplexity,
+  selectRoute,
+  escalateRoute,
+  explainRoute,
+};
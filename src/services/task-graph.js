@@ -0,0 +1,173 @@
+/**
+ * Task Graphs
+ *
+ * Decomposition of a large orchestrator task into a dependency graph of
+ * subtasks. A planner model writes the graph; the Orchestrator routes every
+ * node on its own, runs independent nodes in parallel and feeds each node's
+ * result into the prompts of the nodes that depend on it.
+ *
+ * Graph format:
+ * {
+ *   "summary": "Add rate limiting to the API",
+ *   "tasks": [
+ *     { "id": "read-routes", "task": "Summarize how routes are registered in src/routes/", "dependsOn": [] },
+ *     { "id": "limiter", "task": "Write a sliding window rate limiter middleware", "dependsOn": [] },
+ *     { "id": "wire-up", "task": "Write the code that applies the limiter to every route", "dependsOn": ["read-routes", "limiter"] }
+ *   ]
+ * }
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { extractJson } from '../utils/json.js';
+
+/** Most subtasks a graph may have, unless overridden */
+export const DEFAULT_MAX_NODES = 8;
+
+/** Characters of a prerequisite's result passed to a dependent node */
+const DEPENDENCY_RESULT_MAX = 8000;
+
+/**
+ * Build the decomposition prompt for the planner model
+ * @param {string} task Task to decompose
+ * @param {Object} [options]
+ * @param {number} [options.maxNodes=8] Most subtasks to ask for
+ * @returns {string} Prompt
+ */
+export function buildDecompositionPrompt(task, { maxNodes = DEFAULT_MAX_NODES } = {}) {
+  return `You are a Senior Solutions Architect splitting a large task into subtasks for other AI models.
+Do NOT solve the task - only plan it.
+
+TASK:
+${task}
+
+Respond with ONLY a JSON object in this exact shape:
+{
+  "summary": "one sentence describing the approach",
+  "tasks": [
+    {
+      "id": "short-kebab-case-id",
+      "task": "self-contained instruction for this subtask, starting with a verb (read, write, fix, review, ...)",
+      "dependsOn": ["ids of subtasks whose results this subtask needs"]
+    }
+  ]
+}
+
+Rules:
+- At most ${maxNodes} subtasks; use a single subtask if the task cannot be split
+- Subtasks without a dependency between them run in parallel, so only add
+  dependencies that are really needed
+- Each subtask receives the results of the subtasks it depends on
+- The results of subtasks nothing depends on form the final answer`;
+}
+
+/**
+ * Validate a task graph and put its nodes in dependency order
+ * @param {string|Object} raw Planner response, JSON string or graph object
+ * @param {Object} [options]
+ * @param {number} [options.maxNodes=8] Most subtasks allowed
+ * @returns {{summary: string, nodes: Array<{id: string, task: string, dependsOn: string[]}>}}
+ *   Nodes in topological order (every node after its dependencies)
+ * @throws {ValidationError} If the graph is malformed or has a cycle
+ */
+export function parseTaskGraph(raw, { maxNodes = DEFAULT_MAX_NODES } = {}) {
+  const graph = typeof raw === 'string' ? extractJson(raw, 'Task graph', 'graph') : raw;
+  if (!graph || typeof graph !== 'object' || Array.isArray(graph)) {
+    throw new ValidationError('Task graph must be a JSON object', 'graph');
+  }
+  if (!Array.isArray(graph.tasks) || graph.tasks.length === 0) {
+    throw new ValidationError('Task graph must have at least one task', 'graph.tasks');
+  }
+  if (graph.tasks.length > maxNodes) {
+    throw new ValidationError(`Task graph has ${graph.tasks.length} tasks (at most ${maxNodes})`, 'graph.tasks');
+  }
+
+  const nodes = graph.tasks.map((node, i) => {
+    const field = `graph.tasks[${i}]`;
+    if (!node || typeof node !== 'object' || typeof node.id !== 'string' || !node.id.trim()) {
+      throw new ValidationError(`Task ${i + 1} needs an id`, field);
+    }
+    if (typeof node.task !== 'string' || !node.task.trim()) {
+      throw new ValidationError(`Task "${node.id}" needs a task description`, field);
+    }
+    const dependsOn = node.dependsOn ?? [];
+    if (!Array.isArray(dependsOn) || dependsOn.some((d) => typeof d !== 'string')) {
+      throw new ValidationError(`Task "${node.id}" dependsOn must be an array of ids`, `${field}.dependsOn`);
+    }
+    return { id: node.id.trim(), task: node.task.trim(), dependsOn: [...new Set(dependsOn.map((d) => d.trim()))] };
+  });
+
+  const byId = new Map();
+  for (const node of nodes) {
+    if (byId.has(node.id)) {
+      throw new ValidationError(`Task id "${node.id}" is used twice`, 'graph.tasks');
+    }
+    byId.set(node.id, node);
+  }
+  for (const node of nodes) {
+    for (const dep of node.dependsOn) {
+      if (!byId.has(dep)) {
+        throw new ValidationError(`Task "${node.id}" depends on unknown task "${dep}"`, 'graph.tasks');
+      }
+    }
+  }
+
+  // Depth-first topological sort; a node met again while on the stack closes a cycle
+  const ordered = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const visit = (node, path) => {
+    if (state.get(node.id) === 'done') return;
+    if (state.get(node.id) === 'visiting') {
+      throw new ValidationError(`Task graph has a cycle: ${[...path, node.id].join(' -> ')}`, 'graph.tasks');
+    }
+    state.set(node.id, 'visiting');
+    for (const dep of node.dependsOn) visit(byId.get(dep), [...path, node.id]);
+    state.set(node.id, 'done');
+    ordered.push(node);
+  };
+  for (const node of nodes) visit(node, []);
+
+  return {
+    summary: typeof graph.summary === 'string' ? graph.summary.trim() : '',
+    nodes: ordered,
+  };
+}
+
+/**
+ * Get the nodes nothing depends on (their results form the final answer)
+ * @param {Array<{id: string, dependsOn: string[]}>} nodes Graph nodes
+ * @returns {Array<Object>} Sink nodes in graph order
+ */
+export function getSinkNodes(nodes) {
+  const required = new Set(nodes.flatMap((node) => node.dependsOn));
+  return nodes.filter((node) => !required.has(node.id));
+}
+
+/**
+ * Build the prompt for one node
+ * @param {string} task Original (whole) task
+ * @param {{task: string}} node Node to run
+ * @param {Array<{id: string, task: string, result: string}>} dependencies Completed prerequisite nodes
+ * @returns {string} Prompt
+ */
+export function buildNodePrompt(task, node, dependencies = []) {
+  const results = dependencies.map((dep) => {
+    const result = dep.result.length > DEPENDENCY_RESULT_MAX
+      ? `${dep.result.slice(0, DEPENDENCY_RESULT_MAX)}\n...(truncated)`
+      : dep.result;
+    return `### ${dep.id}: ${dep.task}\n${result}`;
+  });
+
+  return `${node.task}
+
+This is one step of a larger task:
+${task}
+${results.length > 0 ? `\n## Results of earlier steps\n\n${results.join('\n\n')}\n` : ''}`;
+}
+
+export default {
+  DEFAULT_MAX_NODES,
+  buildDecompositionPrompt,
+  parseTaskGraph,
+  getSinkNodes,
+  buildNodePrompt,
+};
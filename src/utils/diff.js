@@ -0,0 +1,292 @@
+/**
+ * Unified diff utilities
+ * Line diffs (Myers algorithm) rendered in git's unified format, so patches
+ * can be produced without git and applied with `git apply`.
+ */
+
+/** Lines of context around each hunk */
+const DEFAULT_CONTEXT = 3;
+
+/** Give up on a line-level diff past this many edits and replace the whole file */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines that keep their "\n" terminator
+ * The last line has no terminator when the text does not end with a newline.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n').map((line) => line + '\n');
+  const last = lines.pop();
+  if (last !== '\n') lines.push(last.slice(0, -1));
+  return lines;
+}
+
+/**
+ * Compute edit operations between two line arrays (Myers O(ND))
+ * @param {string[]} a Old lines
+ * @param {string[]} b New lines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Edit script in order
+ */
+export function diffLines(a, b) {
+  // Common prefix/suffix keep the search space small for typical edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((line) => ({ type: ' ', line }));
+  const tail = a.slice(endA).map((line) => ({ type: ' ', line }));
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Myers shortest edit script with per-round snapshots for backtracking
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const replaceAll = () => [
+    ...a.map((line) => ({ type: '-', line })),
+    ...b.map((line) => ({ type: '+', line })),
+  ];
+
+  if (n === 0 || m === 0) return replaceAll();
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Snapshot only the diagonals reachable so far: k in [-d, d]
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return replaceAll();
+}
+
+/**
+ * Walk the Myers trace back from (n, m) to build the edit script
+ */
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d];
+    const k = x - y;
+
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[y - 1] });
+      } else {
+        ops.push({ type: '-', line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Render one diff line, marking a missing trailing newline like git does
+ */
+function renderLine(type, line) {
+  return line.endsWith('\n')
+    ? `${type}${line}`
+    : `${type}${line}\n\\ No newline at end of file\n`;
+}
+
+/**
+ * Format a hunk range ("start,count", count omitted when 1)
+ */
+function formatRange(start, count) {
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Group an edit script into unified-diff hunks
+ * @returns {string[]} Rendered hunks
+ */
+function buildHunks(ops, context) {
+  const changeIndexes = ops.flatMap((op, i) => (op.type === ' ' ? [] : [i]));
+  if (changeIndexes.length === 0) return [];
+
+  // Merge changes whose context windows touch
+  const ranges = [];
+  for (const i of changeIndexes) {
+    const last = ranges[ranges.length - 1];
+    if (last && i - last.end <= 2 * context + 1) {
+      last.end = i;
+    } else {
+      ranges.push({ start: i, end: i });
+    }
+  }
+
+  // Line numbers at the start of each op
+  const oldLine = [];
+  const newLine = [];
+  let o = 1;
+  let n = 1;
+  for (const op of ops) {
+    oldLine.push(o);
+    newLine.push(n);
+    if (op.type !== '+') o++;
+    if (op.type !== '-') n++;
+  }
+
+  return ranges.map(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length - 1, end + context);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter((op) => op.type !== '+').length;
+    const newCount = slice.filter((op) => op.type !== '-').length;
+
+    const header = `@@ -${formatRange(oldLine[from], oldCount)} +${formatRange(newLine[from], newCount)} @@\n`;
+    return header + slice.map((op) => renderLine(op.type, op.line)).join('');
+  });
+}
+
+/**
+ * Check whether content looks binary (contains NUL bytes)
+ * @param {string|Buffer|null} content
+ * @returns {boolean}
+ */
+export function isBinaryContent(content) {
+  if (content == null) return false;
+  return Buffer.isBuffer(content) ? content.includes(0) : content.includes('\0');
+}
+
+/**
+ * Create a git-style unified diff for one file
+ * @param {string} path File path (relative, '/' separated)
+ * @param {string|Buffer|null} before Content before (null = file did not exist)
+ * @param {string|Buffer|null} after Content after (null = file was deleted)
+ * @param {Object} [options]
+ * @param {number} [options.context=3] Lines of context
+ * @returns {string} Patch text ('' when the contents are identical)
+ */
+export function createUnifiedDiff(path, before, after, { context = DEFAULT_CONTEXT } = {}) {
+  const header = [`diff --git a/${path} b/${path}\n`];
+  if (before == null) header.push('new file mode 100644\n');
+  if (after == null) header.push('deleted file mode 100644\n');
+
+  if (isBinaryContent(before) || isBinaryContent(after)) {
+    if (before != null && after != null && Buffer.from(before).equals(Buffer.from(after))) return '';
+    const from = before == null ? '/dev/null' : `a/${path}`;
+    const to = after == null ? '/dev/null' : `b/${path}`;
+    return header.join('') + `Binary files ${from} and ${to} differ\n`;
+  }
+
+  const oldText = before == null ? '' : before.toString();
+  const newText = after == null ? '' : after.toString();
+  if (oldText === newText && before != null && after != null) return '';
+
+  const hunks = buildHunks(diffLines(splitLines(oldText), splitLines(newText)), context);
+  if (hunks.length === 0) {
+    // Created or deleted empty file
+    return header.join('');
+  }
+
+  header.push(before == null ? '--- /dev/null\n' : `--- a/${path}\n`);
+  header.push(after == null ? '+++ /dev/null\n' : `+++ b/${path}\n`);
+  return header.join('') + hunks.join('');
+}
+
+/**
+ * Split a multi-file patch into per-file entries with line stats
+ * Works on git output and on patches from createUnifiedDiff().
+ * @param {string} patch Combined patch
+ * @returns {Array<{path: string, status: 'created'|'modified'|'deleted', added: number, removed: number, binary: boolean, patch: string}>}
+ */
+export function parseUnifiedPatch(patch) {
+  if (!patch) return [];
+
+  return patch
+    .split(/^(?=diff --git )/m)
+    .filter((chunk) => chunk.startsWith('diff --git '))
+    .map((chunk) => {
+      const lines = chunk.split('\n');
+      const minus = lines.find((line) => line.startsWith('--- '));
+      const plus = lines.find((line) => line.startsWith('+++ '));
+
+      let path;
+      if (plus && plus !== '+++ /dev/null') {
+        path = plus.slice('+++ b/'.length);
+      } else if (minus && minus !== '--- /dev/null') {
+        path = minus.slice('--- a/'.length);
+      } else {
+        // Binary or empty files have no ---/+++ lines: "diff --git a/x b/x"
+        const header = lines[0].slice('diff --git a/'.length);
+        path = header.slice(0, (header.length - 3) / 2);
+      }
+
+      let added = 0;
+      let removed = 0;
+      let inHunk = false;
+      for (const line of lines) {
+        if (line.startsWith('@@')) inHunk = true;
+        else if (inHunk && line.startsWith('+')) added++;
+        else if (inHunk && line.startsWith('-')) removed++;
+      }
+
+      let status = 'modified';
+      if (lines.some((line) => line.startsWith('new file mode'))) status = 'created';
+      if (lines.some((line) => line.startsWith('deleted file mode'))) status = 'deleted';
+
+      return {
+        path,
+        status,
+        added,
+        removed,
+        binary: lines.some((line) => line.startsWith('Binary files ')),
+        patch: chunk,
+      };
+    });
+}
+
+export default {
+  diffLines,
+  createUnifiedDiff,
+  parseUnifiedPatch,
+  isBinaryContent,
+};
@@ -0,0 +1,32 @@
+/**
+ * JSON in model responses
+ * Models wrap requested JSON in code fences or prose; these helpers dig it out.
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Extract the JSON object from a model response
+ * Accepts bare JSON, ```json fences and JSON surrounded by prose.
+ * @param {string} text Model response
+ * @param {string} label What the object is, for error messages (e.g. "Plan")
+ * @param {string} [field] Field reported on the ValidationError
+ * @returns {Object} Parsed object
+ * @throws {ValidationError} If the response holds no object or invalid JSON
+ */
+export function extractJson(text, label, field) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new ValidationError(`${label} is not a JSON object`, field);
+  }
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (err) {
+    throw new ValidationError(`${label} is not valid JSON: ${err.message}`, field);
+  }
+}
+
+export default { extractJson };
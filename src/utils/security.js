@@ -363,6 +363,65 @@ export function validateCommandArg(arg, allowedPattern = /^[a-zA-Z0-9_.\-]+$/) {
   return arg;
 }
 
+/**
+ * Split a command line into [command, ...args] for safeSpawn
+ * Supports single/double quotes and backslash escapes. Shell syntax (pipes,
+ * chaining, redirection, substitution) is rejected rather than silently
+ * passed to the program as literal arguments, since nothing runs in a shell.
+ * @param {string} commandLine - e.g. `npm test -- --grep "auth flow"`
+ * @returns {string[]} - Command followed by its arguments
+ * @throws {Error} On empty input, unbalanced quotes or shell syntax
+ */
+export function parseCommandLine(commandLine) {
+  if (typeof commandLine !== 'string' || !commandLine.trim()) {
+    throw new Error('Command must be a non-empty string');
+  }
+
+  const argv = [];
+  let current = '';
+  let inToken = false;
+  let quote = null;
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && /["\\$`]/.test(commandLine[i + 1] || '')) {
+        current += commandLine[++i];
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (inToken) argv.push(current);
+      current = '';
+      inToken = false;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inToken = true;
+    } else if (char === '\\' && i + 1 < commandLine.length) {
+      current += commandLine[++i];
+      inToken = true;
+    } else if (/[|&;<>`]/.test(char) || (char === '$' && commandLine[i + 1] === '(')) {
+      throw new Error(`Shell syntax is not supported in commands: "${char}" (commands run without a shell)`);
+    } else {
+      current += char;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unbalanced ${quote} quote in command`);
+  }
+  if (inToken) argv.push(current);
+
+  return argv;
+}
+
 /**
  * Validates git-safe file patterns (no shell injection)
  * @param {string[]} patterns - File patterns for git commands
@@ -591,6 +650,7 @@ export default {
   sanitizeCommandArg,
   validateCommandArg,
   sanitizeGitPatterns,
+  parseCommandLine,
   // Safe execution
   resolveCommand,
   safeSpawn,
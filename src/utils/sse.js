@@ -0,0 +1,35 @@
+/**
+ * Server-sent events
+ * Reader for the `data:` payloads of streamed chat completions
+ * (OpenRouter, OpenAI-compatible servers, the Gemini REST API).
+ */
+
+/**
+ * Read the data payloads of an event stream
+ * Comments (": keep-alive"), other fields and the final "[DONE]" marker are
+ * skipped; events split across network chunks are reassembled.
+ * @param {AsyncIterable<Uint8Array>} body Response body
+ * @yields {string} Data payload of each event
+ */
+export async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parse = function* (lines) {
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data && data !== '[DONE]') yield data;
+    }
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* parse(lines);
+  }
+  yield* parse([buffer + decoder.decode()]);
+}
+
+export default { readServerSentEvents };
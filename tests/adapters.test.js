@@ -3,11 +3,15 @@
  * Run with: npm test
  */
 
-import { test, describe, mock } from 'node:test';
+import { test, describe, mock, before, after } from 'node:test';
 import assert from 'node:assert';
+import { createServer } from 'node:http';
 import { BaseAdapter } from '../src/adapters/base.js';
 import { ClaudeCodeAdapter } from '../src/adapters/claude-code.js';
 import { GeminiCliAdapter } from '../src/adapters/gemini-cli.js';
+import { OpenRouterAdapter } from '../src/adapters/openrouter.js';
+import { LocalModelAdapter } from '../src/adapters/local-model.js';
+import { AICollaborationEngine } from '../src/services/ai-collaboration.js';
 
 describe('BaseAdapter', () => {
   test('should throw on unimplemented methods', async () => {
@@ -202,3 +206,196 @@ describe('GeminiCliAdapter', () => {
     assert.strictEqual(session.auth.isFree, true);
   });
 });
+
+describe('GeminiCliAdapter REST backend', () => {
+  let server;
+  let apiBaseUrl;
+  const requests = [];
+
+  // streamGenerateContent stub: two chunks, usage on the last one
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        const chunk = (text, extra = {}) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }], ...extra })}\r\n\r\n`;
+        if (req.url.endsWith('?alt=sse')) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(chunk('REST'));
+          res.end(chunk(' answer', { usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 2000 } }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Sync answer\n' }] } }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    apiBaseUrl = `http://127.0.0.1:${server.address().port}/v1beta`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('should stream through the REST API without spawning the CLI', async () => {
+    const adapter = new GeminiCliAdapter({ authMethod: 'api-key', apiKey: 'test-key', backend: 'api', apiBaseUrl });
+    adapter.checkAuth = async () => assert.fail('REST backend must not call the CLI');
+    await adapter.spawn('s1', { model: 'gemini-2.5-pro', systemPrompt: 'Be brief' });
+
+    const first = await adapter.sendAndWait('s1', 'Hi');
+    await adapter.sendAndWait('s1', 'Again');
+    const session = adapter.sessions.get('s1');
+
+    assert.deepStrictEqual(first, { text: 'REST answer', metadata: { inputTokens: 1000, outputTokens: 2000 } });
+    assert.strictEqual(requests.at(-1).url, '/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse');
+    assert.deepStrictEqual(requests.at(-1).body.contents.map((turn) => turn.role), ['user', 'model', 'user']);
+    assert.strictEqual(session.totalOutputTokens, 4000);
+    // gemini-2.5-pro: $1.25/1M input, $5.0/1M output, twice
+    assert.strictEqual(session.estimatedCost, 0.0225);
+    assert.strictEqual(adapter.getCheckCommand(), null);
+    assert.strictEqual(await adapter.isAvailable(), true);
+  });
+
+  test('should return the response text from runSync', async () => {
+    const adapter = new GeminiCliAdapter({ authMethod: 'vertex', vertexKey: 'vertex-key', backend: 'api', apiBaseUrl });
+    assert.strictEqual(await adapter.runSync('Hi', { model: 'gemini-2.5-flash' }), 'Sync answer');
+    assert.strictEqual(adapter.getAuthInfo().backend, 'api');
+  });
+
+  test('should keep OAuth on the CLI', () => {
+    const adapter = new GeminiCliAdapter({ authMethod: 'oauth', backend: 'api' });
+    assert.strictEqual(adapter.backend, 'cli');
+    assert.strictEqual(adapter.api, null);
+  });
+});
+
+describe('OpenRouterAdapter', () => {
+  // Client stub that streams a fixed reply and records the requests
+  const createClient = (reply = ['Hello', ' there']) => ({
+    defaultModel: 'openai/gpt-4.1-nano',
+    requests: [],
+    isConfigured: () => true,
+    async *chatStream(options) {
+      this.requests.push(options);
+      for (const content of reply) yield { type: 'delta', content };
+      yield { type: 'usage', usage: { prompt_tokens: 1000, completion_tokens: 500 }, model: options.model };
+    },
+  });
+
+  test('should have correct name and default model', async () => {
+    const adapter = new OpenRouterAdapter({ client: createClient() });
+    assert.strictEqual(adapter.name, 'openrouter');
+    assert.strictEqual(adapter.getDefaultModel(), 'openai/gpt-4.1-nano');
+    assert.strictEqual(await adapter.isAvailable(), true);
+    assert.ok(adapter.getSupportedModels().includes('deepseek/deepseek-chat'));
+  });
+
+  test('should stream text and token usage', async () => {
+    const adapter = new OpenRouterAdapter({ client: createClient() });
+    await adapter.spawn('s1', { model: 'deepseek/deepseek-chat' });
+
+    const result = await adapter.sendAndWait('s1', 'Hi');
+
+    assert.deepStrictEqual(result, { text: 'Hello there', metadata: { inputTokens: 1000, outputTokens: 500 } });
+    assert.strictEqual(adapter.getSession('s1').totalInputTokens, 1000);
+    assert.strictEqual(adapter.getSession('s1').status, 'ready');
+  });
+
+  test('should keep the conversation within a session', async () => {
+    const client = createClient();
+    const adapter = new OpenRouterAdapter({ client });
+    await adapter.spawn('s1', { systemPrompt: 'Be brief' });
+
+    await adapter.sendAndWait('s1', 'First');
+    await adapter.sendAndWait('s1', 'Second');
+
+    assert.deepStrictEqual(client.requests[1].messages.map((m) => `${m.role}:${m.content}`), [
+      'system:Be brief',
+      'user:First',
+      'assistant:Hello there',
+      'user:Second',
+    ]);
+  });
+
+  test('should price tokens per model', () => {
+    const adapter = new OpenRouterAdapter({ client: createClient() });
+    // deepseek/deepseek-chat: $0.14 in / $0.28 out per 1M tokens
+    assert.ok(Math.abs(adapter.estimateCost(1_000_000, 1_000_000, 'deepseek/deepseek-chat') - 0.42) < 1e-9);
+    assert.ok(adapter.estimateCost(1000, 1000, 'unknown/model') > 0);
+  });
+
+  test('should reject unknown sessions', async () => {
+    const adapter = new OpenRouterAdapter({ client: createClient() });
+    await assert.rejects(adapter.sendAndWait('missing', 'Hi'), /Session missing not found/);
+  });
+});
+
+describe('LocalModelAdapter', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  // OpenAI-compatible stub: streams the reply word by word, then the usage
+  before(async () => {
+    server = createServer((req, res) => {
+      if (req.url === '/v1/models') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: [{ id: 'qwen2.5-coder' }] }));
+        return;
+      }
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const word of ['Local', ' answer']) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: word } }] })}\n\n`);
+        }
+        res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 7, completion_tokens: 2 } })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('should stream from an OpenAI-compatible server', async () => {
+    const adapter = new LocalModelAdapter({ baseUrl });
+    await adapter.spawn('s1', { model: 'local/qwen2.5-coder' });
+
+    const result = await adapter.sendAndWait('s1', 'Hi');
+    const request = requests.at(-1);
+
+    assert.deepStrictEqual(result, { text: 'Local answer', metadata: { inputTokens: 7, outputTokens: 2 } });
+    assert.strictEqual(request.url, '/v1/chat/completions');
+    assert.strictEqual(request.body.model, 'qwen2.5-coder');
+    assert.strictEqual(request.body.stream, true);
+    assert.strictEqual(request.headers.authorization, undefined);
+    assert.strictEqual(await adapter.isAvailable(), true);
+  });
+
+  test('should cost nothing', () => {
+    const adapter = new LocalModelAdapter({ baseUrl });
+    assert.strictEqual(adapter.name, 'local');
+    assert.strictEqual(adapter.estimateCost(1_000_000, 1_000_000), 0);
+  });
+
+  test('should send an API key when configured', async () => {
+    const adapter = new LocalModelAdapter({ baseUrl, apiKey: 'vllm-key' });
+    assert.strictEqual(await adapter.runSync('Hi', { model: 'local/qwen2.5-coder' }), 'Local answer');
+    assert.strictEqual(requests.at(-1).headers.authorization, 'Bearer vllm-key');
+  });
+
+  test('should serve local/ models in the collaboration engine', async () => {
+    const engine = new AICollaborationEngine({ local: { baseUrl } });
+    assert.strictEqual(await engine.sendToModel('local/qwen2.5-coder', 'Hi'), 'Local answer');
+  });
+
+  test('should report an unreachable server', async () => {
+    const adapter = new LocalModelAdapter({ baseUrl: 'http://127.0.0.1:9/v1' });
+    await adapter.spawn('s1');
+    await assert.rejects(adapter.sendAndWait('s1', 'Hi'), /Local model server not reachable at http:\/\/127\.0\.0\.1:9\/v1/);
+    assert.strictEqual(await adapter.isAvailable(), false);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for agent checkpoints (git hidden refs and file-copy snapshots)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  createCheckpoint,
+  sealCheckpoint,
+  rollbackCheckpoint,
+  diffCheckpoint,
+  discardCheckpoint,
+  findGitRepo,
+  CheckpointType,
+} from '../src/services/agent-checkpoint.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+describe('agent checkpoints in a git repository', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), 'checkpoint-repo-'));
+    git(repo, 'init', '-q');
+    git(repo, 'config', 'user.email', 'test@example.com');
+    git(repo, 'config', 'user.name', 'Test');
+    mkdirSync(join(repo, 'src'));
+    writeFileSync(join(repo, 'src', 'a.js'), 'original a\n');
+    writeFileSync(join(repo, 'src', 'b.js'), 'original b\n');
+    writeFileSync(join(repo, '.gitignore'), 'ignored.log\n');
+    git(repo, 'add', '-A');
+    git(repo, 'commit', '-q', '-m', 'initial');
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('should detect the repository root', async () => {
+    const found = await findGitRepo(join(repo, 'src'));
+    assert.strictEqual(found.prefix, 'src/');
+  });
+
+  it('should store the checkpoint on a hidden ref without touching the index or branch', async () => {
+    writeFileSync(join(repo, 'src', 'a.js'), 'uncommitted edit\n');
+    const headBefore = git(repo, 'rev-parse', 'HEAD');
+
+    const checkpoint = await createCheckpoint('session-1', repo);
+
+    assert.strictEqual(checkpoint.type, CheckpointType.GIT);
+    assert.strictEqual(checkpoint.ref, 'refs/hybrid/checkpoints/session-1');
+    assert.strictEqual(git(repo, 'rev-parse', checkpoint.ref), checkpoint.commit);
+    assert.strictEqual(git(repo, 'rev-parse', 'HEAD'), headBefore);
+    assert.strictEqual(git(repo, 'diff', '--cached', '--name-only'), '');
+    assert.strictEqual(git(repo, 'stash', 'list'), '');
+  });
+
+  it('should restore modified and deleted files and remove created ones', async () => {
+    writeFileSync(join(repo, 'src', 'a.js'), 'uncommitted edit\n');
+    writeFileSync(join(repo, 'notes.txt'), 'untracked before task\n');
+    const checkpoint = await createCheckpoint('session-2', repo);
+
+    // What the agent does
+    writeFileSync(join(repo, 'src', 'a.js'), 'agent rewrite\n');
+    rmSync(join(repo, 'src', 'b.js'));
+    writeFileSync(join(repo, 'src', 'c.js'), 'agent created\n');
+    writeFileSync(join(repo, 'ignored.log'), 'build noise\n');
+
+    const result = await rollbackCheckpoint(checkpoint);
+
+    assert.deepStrictEqual(result.restored.sort(), ['src/a.js', 'src/b.js']);
+    assert.deepStrictEqual(result.deleted, ['src/c.js']);
+    assert.strictEqual(readFileSync(join(repo, 'src', 'a.js'), 'utf-8'), 'uncommitted edit\n');
+    assert.strictEqual(readFileSync(join(repo, 'src', 'b.js'), 'utf-8'), 'original b\n');
+    assert.strictEqual(readFileSync(join(repo, 'notes.txt'), 'utf-8'), 'untracked before task\n');
+    assert.strictEqual(existsSync(join(repo, 'src', 'c.js')), false);
+    // Ignored files are outside the checkpoint
+    assert.strictEqual(existsSync(join(repo, 'ignored.log')), true);
+  });
+
+  it('should only roll back the checkpointed subdirectory', async () => {
+    mkdirSync(join(repo, 'other'));
+    const checkpoint = await createCheckpoint('session-3', join(repo, 'src'));
+
+    writeFileSync(join(repo, 'src', 'a.js'), 'agent rewrite\n');
+    writeFileSync(join(repo, 'other', 'keep.txt'), 'unrelated\n');
+
+    const result = await rollbackCheckpoint(checkpoint);
+
+    assert.deepStrictEqual(result, { restored: ['src/a.js'], deleted: [], conflicts: [] });
+    assert.strictEqual(existsSync(join(repo, 'other', 'keep.txt')), true);
+  });
+
+  it('should only revert what the run changed and keep edits made after it', async () => {
+    const checkpoint = await createCheckpoint('session-sealed', repo);
+
+    // What the agent does
+    writeFileSync(join(repo, 'src', 'a.js'), 'agent rewrite\n');
+    writeFileSync(join(repo, 'src', 'b.js'), 'agent rewrite\n');
+    writeFileSync(join(repo, 'src', 'c.js'), 'agent created\n');
+    const sealed = await sealCheckpoint(checkpoint);
+
+    // What the user does after the run
+    writeFileSync(join(repo, 'src', 'a.js'), 'user fix on top\n');
+    writeFileSync(join(repo, 'user.txt'), 'user created\n');
+
+    const result = await rollbackCheckpoint(sealed);
+
+    assert.deepStrictEqual(result, { restored: ['src/b.js'], deleted: ['src/c.js'], conflicts: ['src/a.js'] });
+    assert.strictEqual(readFileSync(join(repo, 'src', 'a.js'), 'utf-8'), 'user fix on top\n');
+    assert.strictEqual(readFileSync(join(repo, 'src', 'b.js'), 'utf-8'), 'original b\n');
+    assert.strictEqual(readFileSync(join(repo, 'user.txt'), 'utf-8'), 'user created\n');
+    assert.strictEqual(git(repo, 'rev-parse', `${sealed.ref}^`), checkpoint.commit);
+  });
+
+  it('should work in a repository without commits', async () => {
+    const empty = mkdtempSync(join(tmpdir(), 'checkpoint-empty-'));
+    try {
+      git(empty, 'init', '-q');
+      writeFileSync(join(empty, 'draft.md'), 'draft\n');
+      const checkpoint = await createCheckpoint('session-4', empty);
+
+      writeFileSync(join(empty, 'draft.md'), 'changed\n');
+      await rollbackCheckpoint(checkpoint);
+
+      assert.strictEqual(readFileSync(join(empty, 'draft.md'), 'utf-8'), 'draft\n');
+    } finally {
+      rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  it('should diff everything changed since the checkpoint', async () => {
+    const checkpoint = await createCheckpoint('session-diff', join(repo, 'src'));
+
+    writeFileSync(join(repo, 'src', 'a.js'), 'changed a\n');
+    writeFileSync(join(repo, 'src', 'c.js'), 'new c\n');
+    writeFileSync(join(repo, 'README.md'), 'outside the checkpointed directory\n');
+
+    const patch = await diffCheckpoint(checkpoint);
+
+    assert.ok(patch.includes('diff --git a/src/a.js b/src/a.js'));
+    assert.ok(patch.includes('-original a\n+changed a\n'));
+    assert.ok(patch.includes('+++ b/src/c.js'));
+    assert.ok(!patch.includes('README.md'));
+  });
+
+  it('should delete the hidden ref when discarded', async () => {
+    const checkpoint = await createCheckpoint('session-5', repo);
+    await discardCheckpoint(checkpoint);
+
+    assert.strictEqual(git(repo, 'for-each-ref', 'refs/hybrid/'), '');
+  });
+});
+
+describe('agent checkpoints outside git', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let checkpointDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'checkpoint-plain-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'checkpoint-store-'));
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    mkdirSync(join(workDir, 'docs'));
+    writeFileSync(join(workDir, 'docs', 'guide.md'), 'guide\n');
+    writeFileSync(join(workDir, 'config.json'), '{}\n');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    rmSync(workDir, { recursive: true, force: true });
+    rmSync(checkpointDir, { recursive: true, force: true });
+  });
+
+  it('should take a file-copy snapshot', async () => {
+    const checkpoint = await createCheckpoint('plain-1', workDir);
+
+    assert.strictEqual(checkpoint.type, CheckpointType.SNAPSHOT);
+    assert.strictEqual(checkpoint.fileCount, 2);
+    assert.strictEqual(checkpoint.dir, join(checkpointDir, 'plain-1'));
+  });
+
+  it('should restore the snapshot', async () => {
+    const checkpoint = await createCheckpoint('plain-2', workDir);
+
+    writeFileSync(join(workDir, 'config.json'), '{"changed":true}\n');
+    rmSync(join(workDir, 'docs', 'guide.md'));
+    writeFileSync(join(workDir, 'new.txt'), 'new\n');
+
+    const result = await rollbackCheckpoint(checkpoint);
+
+    assert.deepStrictEqual(result.restored.sort(), ['config.json', 'docs/guide.md']);
+    assert.deepStrictEqual(result.deleted, ['new.txt']);
+    assert.strictEqual(readFileSync(join(workDir, 'config.json'), 'utf-8'), '{}\n');
+    assert.strictEqual(readFileSync(join(workDir, 'docs', 'guide.md'), 'utf-8'), 'guide\n');
+    assert.strictEqual(existsSync(join(workDir, 'new.txt')), false);
+  });
+
+  it('should keep snapshot files edited after the run', async () => {
+    const checkpoint = await createCheckpoint('plain-sealed', workDir);
+
+    writeFileSync(join(workDir, 'config.json'), '{"agent":true}\n');
+    writeFileSync(join(workDir, 'docs', 'guide.md'), 'agent guide\n');
+    const sealed = await sealCheckpoint(checkpoint);
+
+    writeFileSync(join(workDir, 'config.json'), '{"user":true}\n');
+    writeFileSync(join(workDir, 'user.txt'), 'user created\n');
+
+    const result = await rollbackCheckpoint(sealed);
+
+    assert.deepStrictEqual(result, { restored: ['docs/guide.md'], deleted: [], conflicts: ['config.json'] });
+    assert.strictEqual(readFileSync(join(workDir, 'config.json'), 'utf-8'), '{"user":true}\n');
+    assert.strictEqual(readFileSync(join(workDir, 'docs', 'guide.md'), 'utf-8'), 'guide\n');
+    assert.strictEqual(existsSync(join(workDir, 'user.txt')), true);
+  });
+
+  it('should diff the snapshot against the current files', async () => {
+    const checkpoint = await createCheckpoint('plain-diff', workDir);
+
+    writeFileSync(join(workDir, 'config.json'), '{"changed":true}\n');
+    writeFileSync(join(workDir, 'new.txt'), 'new\n');
+
+    const patch = await diffCheckpoint(checkpoint);
+
+    assert.strictEqual(
+      patch,
+      'diff --git a/config.json b/config.json\n--- a/config.json\n+++ b/config.json\n@@ -1 +1 @@\n-{}\n+{"changed":true}\n'
+        + 'diff --git a/new.txt b/new.txt\nnew file mode 100644\n--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1 @@\n+new\n'
+    );
+  });
+
+  it('should remove the snapshot when discarded', async () => {
+    const checkpoint = await createCheckpoint('plain-3', workDir);
+    await discardCheckpoint(checkpoint);
+
+    assert.strictEqual(existsSync(checkpoint.dir), false);
+  });
+});
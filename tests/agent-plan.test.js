@@ -0,0 +1,93 @@
+/**
+ * Tests for agent plans (parsing and deviation checks)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { buildPlanPrompt, parsePlan, checkPlanDeviation } from '../src/services/agent-plan.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+const PLAN = {
+  summary: '  Add rate limiting  ',
+  steps: [
+    { description: 'Add middleware', files: ['src/middleware/', 'src/app.js'] },
+    { description: 'Run the tests', files: [], commands: ['npm test', 'npx eslint src'] },
+  ],
+  risks: ['Needs a shared store'],
+};
+
+describe('parsePlan', () => {
+  it('should normalize a plan object and collect files and commands', () => {
+    const plan = parsePlan(PLAN);
+
+    assert.strictEqual(plan.summary, 'Add rate limiting');
+    assert.deepStrictEqual(plan.steps[0].commands, []);
+    assert.deepStrictEqual(plan.files, ['src/middleware/', 'src/app.js']);
+    assert.deepStrictEqual(plan.commands, ['npm test', 'npx eslint src']);
+    assert.deepStrictEqual(plan.risks, ['Needs a shared store']);
+  });
+
+  it('should extract JSON from fences and surrounding prose', () => {
+    const fenced = parsePlan(`Here is the plan:\n\`\`\`json\n${JSON.stringify(PLAN)}\n\`\`\`\nLet me know.`);
+    const bare = parsePlan(`Plan: ${JSON.stringify(PLAN)} - thanks`);
+
+    assert.deepStrictEqual(fenced, parsePlan(PLAN));
+    assert.deepStrictEqual(bare, parsePlan(PLAN));
+  });
+
+  it('should reject malformed plans', () => {
+    assert.throws(() => parsePlan('no json here'), ValidationError);
+    assert.throws(() => parsePlan('{"steps": [}'), /not valid JSON/);
+    assert.throws(() => parsePlan({ steps: [] }), /at least one step/);
+    assert.throws(() => parsePlan({ steps: [{ files: [] }] }), /step 1 needs a description/);
+    assert.throws(() => parsePlan({ steps: [{ description: 'x', files: 'a.js' }] }), /must be an array of strings/);
+  });
+});
+
+describe('checkPlanDeviation', () => {
+  const plan = parsePlan(PLAN);
+  const cwd = '/work/repo';
+
+  it('should allow planned files, including everything below a planned directory', () => {
+    assert.strictEqual(checkPlanDeviation(plan, 'write_file', { path: 'src/app.js' }, cwd), null);
+    assert.strictEqual(checkPlanDeviation(plan, 'replace', { file_path: '/work/repo/src/middleware/limit.js' }, cwd), null);
+    assert.strictEqual(checkPlanDeviation(plan, 'write_file', { path: './src/middleware' }, cwd), null);
+  });
+
+  it('should flag writes to files outside the plan', () => {
+    assert.deepStrictEqual(checkPlanDeviation(plan, 'write_file', { path: 'package.json' }, cwd), {
+      tool: 'write_file',
+      detail: 'package.json',
+      reason: 'File not in plan: package.json',
+    });
+    assert.ok(checkPlanDeviation(plan, 'write_file', { path: 'src/app.json' }, cwd));
+    assert.ok(checkPlanDeviation(plan, 'write_file', { path: '../other/src/app.js' }, cwd));
+  });
+
+  it('should match commands by prefix and check every part of a chain', () => {
+    assert.strictEqual(checkPlanDeviation(plan, 'run_shell_command', { command: 'npm  test -- --grep limit' }, cwd), null);
+    assert.strictEqual(checkPlanDeviation(plan, 'run_shell_command', { command: 'npm test && npx eslint src' }, cwd), null);
+
+    assert.strictEqual(
+      checkPlanDeviation(plan, 'run_shell_command', { command: 'npm test && npm publish' }, cwd).reason,
+      'Command not in plan: npm test && npm publish'
+    );
+    assert.ok(checkPlanDeviation(plan, 'run_shell_command', { command: 'npm tests' }, cwd));
+  });
+
+  it('should never flag reads', () => {
+    assert.strictEqual(checkPlanDeviation(plan, 'read_file', { path: 'secret.txt' }, cwd), null);
+  });
+});
+
+describe('buildPlanPrompt', () => {
+  it('should include the task, directory and reference files', () => {
+    const prompt = buildPlanPrompt('Add rate limiting', { workingDirectory: '/work/repo', referenceFiles: '\n\n## Reference Files:\n' });
+
+    assert.ok(prompt.includes('TASK:\nAdd rate limiting'));
+    assert.ok(prompt.includes('WORKING DIRECTORY: /work/repo'));
+    assert.ok(prompt.includes('## Reference Files:'));
+    assert.ok(prompt.includes('Do NOT use any tools'));
+  });
+});
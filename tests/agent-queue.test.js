@@ -0,0 +1,109 @@
+/**
+ * Tests for the agent task queue
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+import { AgentTaskQueue, getDefaultAgentMaxParallel } from '../src/services/agent-queue.js';
+
+describe('AgentTaskQueue', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should read the default parallelism from the environment', () => {
+    delete process.env.HYBRID_AGENT_MAX_PARALLEL;
+    assert.strictEqual(getDefaultAgentMaxParallel(), 2);
+    process.env.HYBRID_AGENT_MAX_PARALLEL = '4';
+    assert.strictEqual(getDefaultAgentMaxParallel(), 4);
+    process.env.HYBRID_AGENT_MAX_PARALLEL = 'zero';
+    assert.strictEqual(getDefaultAgentMaxParallel(), 2);
+    assert.strictEqual(new AgentTaskQueue().maxParallel, 2);
+  });
+
+  it('should queue runs beyond the parallelism limit in FIFO order', async () => {
+    const queue = new AgentTaskQueue({ maxParallel: 2 });
+    const started = [];
+
+    for (const id of ['a', 'b', 'c', 'd']) {
+      const ticket = queue.enqueue(id, `/work/${id}`);
+      if (ticket.started) started.push(id);
+      else ticket.ready.then(() => started.push(id));
+    }
+
+    assert.deepStrictEqual(started, ['a', 'b']);
+    assert.strictEqual(queue.getPosition('c'), 1);
+    assert.strictEqual(queue.getPosition('d'), 2);
+    assert.strictEqual(queue.getPosition('a'), null);
+
+    queue.release('b');
+    await Promise.resolve();
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+    assert.strictEqual(queue.getPosition('d'), 1);
+    assert.deepStrictEqual(queue.getStats(), { maxParallel: 2, running: 2, waiting: 1 });
+  });
+
+  it('should run one agent at a time per directory, including nested directories', async () => {
+    const queue = new AgentTaskQueue({ maxParallel: 5 });
+
+    assert.strictEqual(queue.enqueue('repo', '/work/repo').started, true);
+    const nested = queue.enqueue('nested', '/work/repo/src');
+    const same = queue.enqueue('same', '/work/repo/');
+    const sibling = queue.enqueue('sibling', '/work/repo-other');
+
+    assert.strictEqual(nested.started, false);
+    assert.strictEqual(same.started, false);
+    assert.strictEqual(sibling.started, true);
+    assert.strictEqual(queue.isWaitingForDirectory('nested'), true);
+
+    queue.release('repo');
+    await nested.ready;
+    // The later run in the same tree still waits for the earlier one
+    assert.strictEqual(queue.getPosition('same'), 1);
+
+    queue.release('nested');
+    await same.ready;
+    assert.deepStrictEqual(queue.getStats(), { maxParallel: 5, running: 2, waiting: 0 });
+  });
+
+  it('should let a run with a free directory start ahead of a blocked one', () => {
+    const queue = new AgentTaskQueue({ maxParallel: 2 });
+    queue.enqueue('first', '/work/a');
+    const blocked = queue.enqueue('blocked', '/work/a');
+    const free = queue.enqueue('free', '/work/b');
+
+    assert.strictEqual(blocked.started, false);
+    assert.strictEqual(free.started, true);
+  });
+
+  it('should reject removed runs and start the next one', async () => {
+    const queue = new AgentTaskQueue({ maxParallel: 1 });
+    queue.enqueue('running', '/work/a');
+    const removed = queue.enqueue('removed', '/work/b');
+    const next = queue.enqueue('next', '/work/c');
+
+    assert.strictEqual(queue.remove('removed', 'Agent task cancelled'), true);
+    await assert.rejects(removed.ready, (err) => err.cancelled && err.message === 'Agent task cancelled');
+    assert.strictEqual(queue.remove('removed'), false);
+    assert.strictEqual(queue.getPosition('next'), 1);
+
+    queue.release('running');
+    queue.release('running');
+    await next.ready;
+    assert.strictEqual(queue.getStats().running, 1);
+  });
+
+  it('should reject every waiting run when cleared', async () => {
+    const queue = new AgentTaskQueue({ maxParallel: 1 });
+    queue.enqueue('running', '/work/a');
+    const waiting = queue.enqueue('waiting', '/work/b');
+
+    queue.clear();
+
+    await assert.rejects(waiting.ready, /Agent queue cleared/);
+    assert.deepStrictEqual(queue.getStats(), { maxParallel: 1, running: 0, waiting: 0 });
+  });
+});
@@ -4,12 +4,21 @@
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 import AgentSessionManager, {
   getAgentSessionManager,
   resetAgentSessionManager,
   SessionStatus,
 } from '../src/services/agent-session-manager.js';
+import { createCheckpoint } from '../src/services/agent-checkpoint.js';
+import { createWorktree } from '../src/services/agent-worktree.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
 
 describe('AgentSessionManager', () => {
   let manager;
@@ -366,6 +375,301 @@ describe('AgentSessionManager', () => {
 
       shortExpiryManager.destroy();
     });
+
+    describe('with a git repository', () => {
+      const originalEnv = { ...process.env };
+      let repo;
+      let worktreeRoot;
+
+      beforeEach(() => {
+        repo = mkdtempSync(join(tmpdir(), 'session-cleanup-repo-'));
+        worktreeRoot = mkdtempSync(join(tmpdir(), 'session-cleanup-worktrees-'));
+        process.env.HYBRID_WORKTREES_DIR = worktreeRoot;
+        git(repo, 'init', '-q');
+        git(repo, 'config', 'user.email', 'test@example.com');
+        git(repo, 'config', 'user.name', 'Test');
+        writeFileSync(join(repo, 'a.js'), 'original\n');
+        git(repo, 'add', '-A');
+        git(repo, 'commit', '-q', '-m', 'initial');
+      });
+
+      afterEach(() => {
+        process.env = { ...originalEnv };
+        rmSync(repo, { recursive: true, force: true });
+        rmSync(worktreeRoot, { recursive: true, force: true });
+      });
+
+      it('should discard the checkpoint of an expired session', async () => {
+        const session = manager.createSession({ workingDirectory: repo });
+        const checkpoint = await createCheckpoint(session.id, repo);
+        manager.setCheckpoint(session.id, checkpoint);
+        session.updatedAt = Date.now() - manager.expirationMs - 1000;
+
+        await manager.cleanup();
+
+        assert.strictEqual(manager.getSession(session.id), undefined);
+        assert.strictEqual(git(repo, 'for-each-ref', 'refs/hybrid/checkpoints'), '');
+      });
+
+      it('should discard the unmerged worktree of an expired session', async () => {
+        const session = manager.createSession({ workingDirectory: repo, isolation: 'worktree' });
+        const worktree = await createWorktree(session.id, repo);
+        manager.setWorktree(session.id, worktree);
+        assert.ok(existsSync(worktree.path));
+        session.updatedAt = Date.now() - manager.expirationMs - 1000;
+
+        await manager.cleanup();
+
+        assert.strictEqual(existsSync(worktree.path), false);
+        assert.strictEqual(git(repo, 'branch', '--list', worktree.branch), '');
+        assert.strictEqual(git(repo, 'worktree', 'list').split('\n').length, 1);
+      });
+    });
+  });
+
+  describe('Output buffering', () => {
+    it('should return output since a cursor', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      manager.appendOutput(session.id, 'first\n');
+
+      const first = manager.getOutputSince(session.id, 0);
+      assert.strictEqual(first.text, 'first\n');
+
+      manager.appendOutput(session.id, 'second\n');
+      const second = manager.getOutputSince(session.id, first.cursor);
+      assert.strictEqual(second.text, 'second\n');
+      assert.strictEqual(second.cursor, 'first\nsecond\n'.length);
+      assert.strictEqual(second.skipped, 0);
+    });
+
+    it('should keep cursors valid after trimming old output', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      manager.appendOutput(session.id, 'a'.repeat(150000));
+      const { cursor } = manager.getOutputSince(session.id, 0);
+      manager.appendOutput(session.id, 'b'.repeat(100000));
+
+      const next = manager.getOutputSince(session.id, cursor);
+      assert.strictEqual(next.text, 'b'.repeat(100000));
+      assert.strictEqual(next.cursor, 250000);
+
+      const fromStart = manager.getOutputSince(session.id, 0);
+      assert.strictEqual(fromStart.skipped, 50000);
+    });
+
+    it('should return null for unknown sessions', () => {
+      assert.strictEqual(manager.getOutputSince('missing'), null);
+    });
+  });
+
+  describe('cancel', () => {
+    const createFakeProcess = () => {
+      const proc = new EventEmitter();
+      proc.exitCode = null;
+      proc.killed = false;
+      proc.signals = [];
+      proc.kill = (signal) => {
+        proc.signals.push(signal);
+        proc.killed = true;
+      };
+      return proc;
+    };
+
+    it('should send SIGTERM to the live process and mark the session cancelled', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      manager.setStatus(session.id, SessionStatus.RUNNING);
+      const proc = createFakeProcess();
+      manager.setProcess(session.id, proc);
+
+      assert.deepStrictEqual(manager.cancel(session.id), { cancelled: true });
+      proc.emit('close', null);
+
+      assert.deepStrictEqual(proc.signals, ['SIGTERM']);
+      assert.strictEqual(session.status, SessionStatus.CANCELLED);
+      assert.strictEqual(manager.isFinished(session.id), true);
+    });
+
+    it('should not let a late result or error override the cancellation', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      manager.cancel(session.id);
+
+      manager.setResult(session.id, 'late result');
+      manager.setError(session.id, 'late error');
+
+      assert.strictEqual(session.status, SessionStatus.CANCELLED);
+      assert.strictEqual(session.result, null);
+    });
+
+    it('should refuse to cancel finished or unknown sessions', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      manager.setResult(session.id, 'done');
+
+      assert.strictEqual(manager.cancel(session.id).cancelled, false);
+      assert.match(manager.cancel(session.id).reason, /already completed/);
+      assert.strictEqual(manager.cancel('missing').reason, 'Session not found');
+    });
+
+    it('should not expire sessions with a live process', () => {
+      const expiring = new AgentSessionManager({ autoCleanup: false, expirationMs: 1 });
+      const session = expiring.createSession({ taskDescription: 'Test' });
+      expiring.setProcess(session.id, createFakeProcess());
+      session.updatedAt = Date.now() - 1000;
+
+      expiring.cleanup();
+      assert.ok(expiring.getSession(session.id));
+
+      expiring.clearProcess(session.id);
+      expiring.cleanup();
+      assert.strictEqual(expiring.getSession(session.id), undefined);
+      expiring.destroy();
+    });
+  });
+
+  describe('rollback status', () => {
+    it('should explain why a session cannot be rolled back', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      assert.deepStrictEqual(manager.getRollbackStatus(session.id), {
+        available: false,
+        reason: 'No checkpoint recorded',
+      });
+
+      manager.setCheckpoint(session.id, null, 'Checkpoint failed: disk full');
+      assert.strictEqual(manager.getRollbackStatus(session.id).reason, 'Checkpoint failed: disk full');
+    });
+
+    it('should allow one rollback once the process has exited', () => {
+      const session = manager.createSession({ taskDescription: 'Test' });
+      manager.setCheckpoint(session.id, { type: 'git', ref: 'refs/hybrid/checkpoints/x', createdAt: 1 });
+
+      manager.setProcess(session.id, { exitCode: null });
+      assert.strictEqual(manager.getRollbackStatus(session.id).reason, 'Agent still running');
+
+      manager.clearProcess(session.id);
+      assert.strictEqual(manager.getSummary(session.id).rollback.available, true);
+      assert.strictEqual(manager.getSummary(session.id).checkpoint.ref, 'refs/hybrid/checkpoints/x');
+
+      manager.markRolledBack(session.id);
+      assert.strictEqual(manager.getRollbackStatus(session.id).reason, 'Already rolled back');
+    });
+  });
+
+  describe('budgets', () => {
+    it('should price tokens for the session model', () => {
+      const session = manager.createSession({ model: 'gemini-2.5-pro', maxCostUsd: 5 });
+      manager.updateTokens(session.id, { input: 1000000, output: 200000, total: 1200000 });
+
+      assert.strictEqual(manager.getSummary(session.id).budget.costUsd, 2.25);
+    });
+
+    it('should warn once at 80% and report when a budget is exceeded', () => {
+      const session = manager.createSession({ maxTokens: 1000 });
+
+      manager.updateTokens(session.id, { input: 500, output: 100, total: 600 });
+      assert.deepStrictEqual(manager.checkBudget(session.id), { exceeded: false, warnings: [] });
+
+      manager.updateTokens(session.id, { input: 700, output: 150, total: 850 });
+      assert.deepStrictEqual(manager.checkBudget(session.id).warnings, ['85% of tokens budget used (850 tokens of 1,000 tokens)']);
+      assert.deepStrictEqual(manager.checkBudget(session.id).warnings, []);
+      assert.strictEqual(manager.getSummary(session.id).budget.warnings.length, 1);
+
+      manager.updateTokens(session.id, { input: 900, output: 150, total: 1050 });
+      const result = manager.checkBudget(session.id);
+      assert.strictEqual(result.exceeded, true);
+      assert.strictEqual(result.kind, 'tokens');
+      assert.strictEqual(result.reason, 'Token budget exceeded: 1,050 tokens of 1,000 tokens');
+    });
+
+    it('should add up usage across runs and enforce the budget on the total', () => {
+      const session = manager.createSession({ model: 'gemini-2.5-pro', maxTokens: 1000, maxCostUsd: 5 });
+
+      manager.startRun(session.id);
+      manager.updateTokens(session.id, { input: 300, output: 100, total: 400 });
+      manager.updateTokens(session.id, { input: 500, output: 100, total: 600 });
+      assert.strictEqual(manager.checkBudget(session.id).exceeded, false);
+
+      // A resumed run or verify round reports usage from zero again
+      manager.startRun(session.id);
+      manager.updateTokens(session.id, { input: 400, output: 100, total: 500 });
+
+      assert.deepStrictEqual(session.tokens, { input: 900, output: 200, total: 1100 });
+      const result = manager.checkBudget(session.id);
+      assert.strictEqual(result.exceeded, true);
+      assert.strictEqual(result.reason, 'Token budget exceeded: 1,100 tokens of 1,000 tokens');
+      assert.strictEqual(session.costUsd, 0.002125);
+    });
+
+    it('should not charge OAuth sessions', () => {
+      const session = manager.createSession({ maxCostUsd: 0.01, authMethod: 'oauth' });
+      manager.updateTokens(session.id, { input: 5000000, output: 5000000, total: 10000000 });
+
+      assert.strictEqual(manager.checkBudget(session.id).exceeded, false);
+      assert.strictEqual(manager.getSummary(session.id).budget.costUsd, 0);
+    });
+  });
+
+  describe('run queue', () => {
+    it('should queue runs beyond maxParallel and start them as slots free up', async () => {
+      const queued = new AgentSessionManager({ autoCleanup: false, maxParallel: 1 });
+      try {
+        const first = queued.createSession({ workingDirectory: '/work/a' });
+        const second = queued.createSession({ workingDirectory: '/work/b' });
+
+        assert.strictEqual(queued.queueRun(first.id).started, true);
+        assert.strictEqual(first.status, SessionStatus.RUNNING);
+
+        const ticket = queued.queueRun(second.id);
+        assert.strictEqual(ticket.started, false);
+        assert.strictEqual(second.status, SessionStatus.QUEUED);
+        assert.deepStrictEqual(queued.getSummary(second.id).queue, {
+          position: 1, waiting: 1, running: 1, maxParallel: 1, waitingForDirectory: false,
+        });
+        assert.strictEqual(queued.isFinished(second.id), false);
+
+        queued.finishRun(first.id);
+        await ticket.ready;
+        assert.strictEqual(second.status, SessionStatus.RUNNING);
+        assert.strictEqual(queued.getSummary(second.id).queue, null);
+      } finally {
+        queued.destroy();
+      }
+    });
+
+    it('should drop a queued run when it is cancelled', async () => {
+      const queued = new AgentSessionManager({ autoCleanup: false, maxParallel: 1 });
+      try {
+        const first = queued.createSession({ workingDirectory: '/work/a' });
+        const second = queued.createSession({ workingDirectory: '/work/b' });
+        queued.queueRun(first.id);
+        const ticket = queued.queueRun(second.id);
+
+        assert.deepStrictEqual(queued.cancel(second.id), { cancelled: true });
+        await assert.rejects(ticket.ready, /Agent task cancelled/);
+        assert.strictEqual(second.status, SessionStatus.CANCELLED);
+      } finally {
+        queued.destroy();
+      }
+    });
+
+    it('should not count queue time against the timeout', () => {
+      const session = manager.createSession({ timeoutMinutes: 1 });
+      session.createdAt = Date.now() - 90 * 1000;
+      assert.strictEqual(manager.checkLimits(session.id).exceeded, true);
+
+      session.queuedMs = 60 * 1000;
+      assert.strictEqual(manager.checkLimits(session.id).exceeded, false);
+    });
+
+    it('should not count the plan approval wait against the timeout', () => {
+      const session = manager.createSession({ timeoutMinutes: 1 });
+      manager.setPlan(session.id, { summary: 'Fix it', steps: [] });
+
+      // Approved 90s later, past the 1 minute timeout
+      session.createdAt -= 90 * 1000;
+      session.plan.createdAt -= 85 * 1000;
+      manager.approvePlan(session.id);
+
+      assert.ok(session.approvalWaitMs >= 85 * 1000);
+      assert.strictEqual(manager.checkLimits(session.id).exceeded, false);
+    });
   });
 
   describe('Singleton', () => {
@@ -0,0 +1,225 @@
+/**
+ * Tests for FileAgentSessionStore and AgentSessionManager persistence
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { existsSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+
+import { FileAgentSessionStore, AGENT_STORE_VERSION } from '../src/services/agent-session-store.js';
+import AgentSessionManager, { SessionStatus } from '../src/services/agent-session-manager.js';
+
+describe('FileAgentSessionStore', () => {
+  let testDir;
+  let store;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `agent-session-store-test-${randomUUID()}`);
+    store = new FileAgentSessionStore({ dir: testDir });
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should require a directory', () => {
+    assert.throws(() => new FileAgentSessionStore(), /requires a directory/);
+  });
+
+  it('should write a versioned snapshot without the output buffer', () => {
+    store.saveSession({ id: 'abc', status: 'running', output: 'hello', outputDropped: 10 });
+
+    const record = JSON.parse(readFileSync(join(testDir, 'abc.json'), 'utf-8'));
+    assert.strictEqual(record.version, AGENT_STORE_VERSION);
+    assert.strictEqual(record.session.output, '');
+    assert.strictEqual(record.session.outputDropped, 15);
+    assert.deepStrictEqual(readdirSync(testDir), ['abc.json']);
+  });
+
+  it('should encode IDs so they cannot escape the directory', () => {
+    assert.strictEqual(dirname(store.getFilePath('../../etc/passwd')), testDir);
+  });
+
+  it('should skip unreadable files and unknown versions', () => {
+    store.saveSession({ id: 'good', status: 'completed' });
+    writeFileSync(join(testDir, 'torn.json'), '{"version":1,"sess');
+    writeFileSync(join(testDir, 'future.json'), JSON.stringify({ version: 999, session: { id: 'future' } }));
+
+    assert.deepStrictEqual(store.loadAll().map((s) => s.id), ['good']);
+  });
+
+  it('should remove files on delete', () => {
+    store.saveSession({ id: 'gone' });
+    store.deleteSession('gone');
+    assert.strictEqual(existsSync(join(testDir, 'gone.json')), false);
+  });
+});
+
+describe('AgentSessionManager persistence', () => {
+  let testDir;
+  const managers = [];
+
+  const createManager = (options = {}) => {
+    const manager = new AgentSessionManager({ autoCleanup: false, persistPath: testDir, ...options });
+    managers.push(manager);
+    return manager;
+  };
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `agent-session-persist-test-${randomUUID()}`);
+  });
+
+  afterEach(() => {
+    while (managers.length > 0) {
+      managers.pop().destroy();
+    }
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should reload tool calls, file mutations, shell commands and tokens', () => {
+    const first = createManager();
+    const { id } = first.createSession({ taskDescription: 'Refactor', maxIterations: 5 });
+    first.setGeminiSessionId(id, 'gemini-1');
+    first.recordToolCall(id, { tool: 'write_file', input: { path: 'src/a.js' } });
+    first.recordToolCall(id, { tool: 'run_shell_command', input: { command: 'npm test' } });
+    first.updateTokens(id, { input: 100, output: 50, total: 150 });
+    first.setResult(id, 'Done');
+    first.destroy();
+
+    const summary = createManager().getSummary(id);
+
+    assert.strictEqual(summary.status, SessionStatus.COMPLETED);
+    assert.strictEqual(summary.result, 'Done');
+    assert.strictEqual(summary.iterations, 2);
+    assert.strictEqual(summary.maxIterations, 5);
+    assert.deepStrictEqual(summary.files.created, ['src/a.js']);
+    assert.deepStrictEqual(summary.shellCommandList, ['npm test']);
+    assert.deepStrictEqual(summary.tokens, { input: 100, output: 50, total: 150 });
+    assert.strictEqual(summary.resumeCommand, 'gemini --resume gemini-1');
+  });
+
+  it('should mark sessions that were running as interrupted', () => {
+    const first = createManager();
+    const running = first.createSession({ taskDescription: 'Long task' });
+    first.setGeminiSessionId(running.id, 'gemini-2');
+    first.setStatus(running.id, SessionStatus.RUNNING);
+    const pending = first.createSession({ taskDescription: 'Never started' });
+    first.destroy();
+
+    const second = createManager();
+
+    assert.strictEqual(second.getSession(running.id).status, SessionStatus.INTERRUPTED);
+    assert.strictEqual(second.getSession(pending.id).status, SessionStatus.INTERRUPTED);
+    assert.ok(second.getSession(running.id).error.startsWith('Interrupted'));
+    assert.strictEqual(second.isFinished(running.id), true);
+    assert.strictEqual(second.cancel(running.id).cancelled, false);
+    assert.strictEqual(second.listSessions({ status: SessionStatus.INTERRUPTED }).length, 2);
+
+    // Resuming clears the interruption
+    second.setStatus(running.id, SessionStatus.RUNNING);
+    assert.strictEqual(second.getSession(running.id).error, null);
+    assert.strictEqual(createManager().getSession(running.id).status, SessionStatus.INTERRUPTED);
+  });
+
+  it('should give an interrupted session a fresh budget when it is resumed', () => {
+    const first = createManager();
+    const session = first.createSession({ timeoutMinutes: 1, maxIterations: 2 });
+    first.setStatus(session.id, SessionStatus.RUNNING);
+    first.recordToolCall(session.id, { tool: 'read_file', input: {} });
+    first.recordToolCall(session.id, { tool: 'read_file', input: {} });
+    first.getSession(session.id).createdAt -= 5 * 60 * 1000;
+    first.save(first.getSession(session.id));
+    first.destroy();
+
+    const second = createManager();
+    assert.strictEqual(second.checkLimits(session.id).exceeded, true);
+
+    second.resumeSession(session.id);
+    const resumed = second.getSession(session.id);
+    assert.strictEqual(resumed.status, SessionStatus.RUNNING);
+    assert.deepStrictEqual(second.checkLimits(session.id), { exceeded: false });
+
+    second.recordToolCall(session.id, { tool: 'read_file', input: {} });
+    assert.strictEqual(second.checkLimits(session.id).exceeded, false);
+    second.recordToolCall(session.id, { tool: 'read_file', input: {} });
+    assert.match(second.checkLimits(session.id).reason, /Maximum iterations \(2\)/);
+    assert.strictEqual(resumed.iterations, 4);
+  });
+
+  it('should keep status cursors valid across a restart', () => {
+    const first = createManager();
+    const { id } = first.createSession();
+    first.appendOutput(id, 'before restart');
+    first.setStatus(id, SessionStatus.RUNNING);
+    first.destroy();
+
+    const output = createManager().getOutputSince(id, 0);
+    assert.deepStrictEqual(output, { text: '', cursor: 14, skipped: 14 });
+  });
+
+  it('should drop expired sessions and deleted sessions from the store', () => {
+    const first = createManager();
+    const kept = first.createSession();
+    const deleted = first.createSession();
+    first.deleteSession(deleted.id);
+    first.destroy();
+
+    const store = new FileAgentSessionStore({ dir: testDir });
+    store.saveSession({ id: 'old', status: 'completed', updatedAt: Date.now() - 2 * 24 * 60 * 60 * 1000 });
+
+    const second = createManager();
+    assert.ok(second.getSession(kept.id));
+    assert.strictEqual(second.getSession(deleted.id), undefined);
+    assert.strictEqual(second.getSession('old'), undefined);
+    assert.strictEqual(existsSync(join(testDir, 'old.json')), false);
+  });
+
+  it('should batch progress writes and write status changes right away', async () => {
+    const writes = [];
+    const storage = {
+      loadAll: () => [],
+      saveSession: (session) => writes.push({ status: session.status, iterations: session.iterations }),
+      deleteSession: () => {},
+    };
+    const manager = createManager({ storage, saveDelayMs: 20 });
+    const { id } = manager.createSession();
+    manager.setStatus(id, SessionStatus.RUNNING);
+    assert.strictEqual(writes.length, 2);
+
+    for (let i = 0; i < 10; i++) {
+      manager.recordToolCall(id, { tool: 'read_file', input: { path: `src/${i}.js` } });
+    }
+    manager.updateTokens(id, { input: 10, output: 5, total: 15 });
+    assert.strictEqual(writes.length, 2);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(writes.length, 3);
+    assert.deepStrictEqual(writes[2], { status: SessionStatus.RUNNING, iterations: 10 });
+
+    // A status change supersedes the batched write instead of adding to it
+    manager.recordToolCall(id, { tool: 'read_file', input: { path: 'src/last.js' } });
+    manager.setResult(id, 'Done');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(writes.length, 4);
+    assert.deepStrictEqual(writes[3], { status: SessionStatus.COMPLETED, iterations: 11 });
+  });
+
+  it('should flush batched writes on destroy', () => {
+    const first = createManager({ saveDelayMs: 60 * 1000 });
+    const { id } = first.createSession();
+    first.recordToolCall(id, { tool: 'write_file', input: { path: 'src/a.js' } });
+    assert.strictEqual(createManager().getSummary(id).iterations, 0);
+    first.destroy();
+
+    assert.strictEqual(createManager().getSummary(id).iterations, 1);
+  });
+
+  it('should not touch the disk without a persistPath', () => {
+    const manager = createManager({ persistPath: undefined });
+    manager.createSession();
+    assert.strictEqual(existsSync(testDir), false);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for agent run traces
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { appendFileSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  getTracePath,
+  createTraceWriter,
+  findTraceFiles,
+  readTrace,
+  buildReplaySteps,
+} from '../src/services/agent-trace.js';
+
+describe('agent traces', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'agent-trace-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeTrace = async (name, build) => {
+    const trace = createTraceWriter(join(dir, name), { sessionId: 'abc', task: 'Fix tests', args: ['--yolo'] });
+    build(trace);
+    // The stream finishes asynchronously after end()
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return trace.path;
+  };
+
+  it('should derive the trace path from the full output path', () => {
+    assert.strictEqual(getTracePath('/out/agent-task-abc-1700000000000-full.txt'), '/out/agent-task-abc-1700000000000.trace.jsonl');
+  });
+
+  it('should write start, event, stop and end lines with timestamps', async () => {
+    const path = await writeTrace('agent-task-abc-1.trace.jsonl', (trace) => {
+      trace.event({ type: 'tool_use', tool_name: 'read_file', tool_input: { path: 'a.js' } });
+      trace.stop('Policy violation: nope');
+      trace.end({ exitCode: null });
+      trace.event({ type: 'text', content: 'after the end' });
+    });
+
+    const records = await readTrace(path);
+
+    assert.deepStrictEqual(records.map((r) => r.kind), ['start', 'event', 'stop', 'end']);
+    assert.strictEqual(records[0].sessionId, 'abc');
+    assert.deepStrictEqual(records[0].args, ['--yolo']);
+    assert.strictEqual(records[1].event.tool_name, 'read_file');
+    assert.ok(records.every((r) => typeof r.ts === 'string' && r.elapsedMs >= 0));
+  });
+
+  it('should skip torn lines', async () => {
+    const path = await writeTrace('agent-task-abc-2.trace.jsonl', (trace) => trace.event({ type: 'session', session_id: 'g1' }));
+    appendFileSync(path, '{"kind":"event","ev');
+
+    assert.deepStrictEqual((await readTrace(path)).map((r) => r.kind), ['start', 'event']);
+  });
+
+  it('should find the traces of a session in run order', async () => {
+    writeFileSync(join(dir, 'agent-task-abc-1700000000002.trace.jsonl'), '');
+    writeFileSync(join(dir, 'agent-task-abc-1700000000001.trace.jsonl'), '');
+    writeFileSync(join(dir, 'agent-task-abc-1700000000001-full.txt'), '');
+    writeFileSync(join(dir, 'agent-task-other-1700000000000.trace.jsonl'), '');
+
+    assert.deepStrictEqual(await findTraceFiles('abc', dir), [
+      join(dir, 'agent-task-abc-1700000000001.trace.jsonl'),
+      join(dir, 'agent-task-abc-1700000000002.trace.jsonl'),
+    ]);
+    assert.deepStrictEqual(await findTraceFiles('abc', join(dir, 'missing')), []);
+  });
+
+  it('should build replay steps with tool calls, outputs and token deltas', () => {
+    const event = (e, elapsedMs = 0) => ({ kind: 'event', elapsedMs, event: e });
+    const steps = buildReplaySteps([
+      { kind: 'start', ts: '2026-01-01T00:00:00.000Z', task: 'Fix tests', args: ['--yolo'], elapsedMs: 0 },
+      event({ type: 'session', session_id: 'g1' }),
+      event({ type: 'tool_use', tool_name: 'run_shell_command', tool_input: { command: 'npm test' } }, 100),
+      event({ type: 'tool_result', tool_name: 'run_shell_command', output: 'x'.repeat(30) }),
+      event({ type: 'usage', input_tokens: 100, output_tokens: 20, total_tokens: 120 }),
+      event({ type: 'usage', input_tokens: 150, output_tokens: 50, total_tokens: 200 }),
+      event({ type: 'text', content: 'Done' }),
+      event({ type: 'tool_result' }),
+      { kind: 'stop', reason: 'Token budget exceeded' },
+      { kind: 'end', exitCode: null },
+      // A resumed run starts counting again
+      { kind: 'start', ts: '2026-01-01T00:01:00.000Z', task: 'Fix tests', args: [] },
+      event({ type: 'stats', metrics: { input_tokens: 10, output_tokens: 5, total_tokens: 15 } }),
+    ], { maxOutput: 10 });
+
+    assert.deepStrictEqual(steps.map((s) => s.kind), [
+      'start', 'session', 'tool', 'tool_result', 'tokens', 'tokens', 'text', 'tool_result', 'stop', 'end', 'start', 'tokens',
+    ]);
+    assert.strictEqual(steps[0].body, 'Fix tests\ngemini --yolo');
+    assert.strictEqual(steps[2].title, 'Tool call 1: run_shell_command');
+    assert.strictEqual(steps[2].elapsedMs, 100);
+    assert.strictEqual(steps[3].body, 'xxxxxxxxxx\n[... 20 more characters]');
+    assert.strictEqual(steps[4].tokens.delta, 120);
+    assert.strictEqual(steps[5].tokens.delta, 80);
+    assert.strictEqual(steps[5].title, 'Tokens +80 (total 200, in: 150, out: 50)');
+    assert.strictEqual(steps[8].title, 'Stopped: Token budget exceeded');
+    assert.strictEqual(steps[9].title, 'Run ended (exit code none - killed by a signal)');
+    assert.strictEqual(steps[11].tokens.delta, 15);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for agent worktree isolation
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  createWorktree,
+  commitWorktree,
+  diffWorktree,
+  applyWorktree,
+  discardWorktree,
+  WorktreeStatus,
+} from '../src/services/agent-worktree.js';
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+describe('agent worktrees', () => {
+  const originalEnv = { ...process.env };
+  let repo;
+  let worktreeRoot;
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), 'worktree-repo-'));
+    worktreeRoot = mkdtempSync(join(tmpdir(), 'worktree-root-'));
+    process.env.HYBRID_WORKTREES_DIR = worktreeRoot;
+
+    git(repo, 'init', '-q');
+    git(repo, 'config', 'user.email', 'test@example.com');
+    git(repo, 'config', 'user.name', 'Test');
+    mkdirSync(join(repo, 'src'));
+    writeFileSync(join(repo, 'src', 'a.js'), 'line 1\nline 2\n');
+    writeFileSync(join(repo, 'README.md'), 'readme\n');
+    git(repo, 'add', '-A');
+    git(repo, 'commit', '-q', '-m', 'initial');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    rmSync(repo, { recursive: true, force: true });
+    rmSync(worktreeRoot, { recursive: true, force: true });
+  });
+
+  it('should check out a fresh branch outside the caller\'s tree', async () => {
+    writeFileSync(join(repo, 'README.md'), 'uncommitted\n');
+
+    const worktree = await createWorktree('abcdef12-3456', join(repo, 'src'));
+
+    assert.strictEqual(worktree.branch, 'hybrid/agent-abcdef12');
+    assert.strictEqual(worktree.path, join(worktreeRoot, 'abcdef12-3456'));
+    assert.strictEqual(worktree.workingDirectory, join(worktree.path, 'src/'));
+    assert.strictEqual(worktree.status, WorktreeStatus.ACTIVE);
+    assert.strictEqual(worktree.baseCommit, git(repo, 'rev-parse', 'HEAD'));
+    // Uncommitted caller changes are not carried over
+    assert.strictEqual(readFileSync(join(worktree.path, 'README.md'), 'utf-8'), 'readme\n');
+  });
+
+  it('should refuse directories outside git', async () => {
+    const plain = mkdtempSync(join(tmpdir(), 'worktree-plain-'));
+    try {
+      await assert.rejects(() => createWorktree('session', plain), /requires a git repository/);
+    } finally {
+      rmSync(plain, { recursive: true, force: true });
+    }
+  });
+
+  it('should commit the agent\'s changes and summarize the diff', async () => {
+    const worktree = await createWorktree('session-commit', repo);
+    writeFileSync(join(worktree.path, 'src', 'a.js'), 'line 1\nchanged\nline 3\n');
+    writeFileSync(join(worktree.path, 'src', 'b.js'), 'new\n');
+
+    const summary = await commitWorktree(worktree, 'hybrid agent: test');
+
+    assert.deepStrictEqual(summary.files, [
+      { path: 'src/a.js', added: 2, removed: 1 },
+      { path: 'src/b.js', added: 1, removed: 0 },
+    ]);
+    assert.strictEqual(summary.insertions, 3);
+    assert.strictEqual(summary.deletions, 1);
+    assert.strictEqual(git(repo, 'rev-parse', worktree.branch), summary.commit);
+
+    // Calling again without new changes keeps the same commit
+    const again = await commitWorktree(worktree, 'hybrid agent: test');
+    assert.strictEqual(again.commit, summary.commit);
+
+    const patch = await diffWorktree(worktree);
+    assert.ok(patch.includes('+++ b/src/b.js'));
+    assert.ok(patch.includes('-line 2\n+changed\n+line 3\n'));
+  });
+
+  it('should apply the branch as uncommitted changes and remove the worktree', async () => {
+    writeFileSync(join(repo, 'README.md'), 'caller edit\n');
+    const headBefore = git(repo, 'rev-parse', 'HEAD');
+
+    const worktree = await createWorktree('session-apply', repo);
+    writeFileSync(join(worktree.path, 'src', 'a.js'), 'agent edit\n');
+
+    const result = await applyWorktree(worktree);
+
+    assert.deepStrictEqual(result.files, ['src/a.js']);
+    assert.strictEqual(readFileSync(join(repo, 'src', 'a.js'), 'utf-8'), 'agent edit\n');
+    assert.strictEqual(readFileSync(join(repo, 'README.md'), 'utf-8'), 'caller edit\n');
+    assert.strictEqual(git(repo, 'rev-parse', 'HEAD'), headBefore);
+    assert.strictEqual(existsSync(worktree.path), false);
+    assert.strictEqual(git(repo, 'branch', '--list', worktree.branch), '');
+  });
+
+  it('should commit and apply regardless of the user\'s signing and diff settings', async () => {
+    git(repo, 'config', 'commit.gpgsign', 'true');
+    git(repo, 'config', 'gpg.program', 'false');
+    git(repo, 'config', 'color.ui', 'always');
+    git(repo, 'config', 'diff.noprefix', 'true');
+    git(repo, 'config', 'diff.external', 'false');
+
+    const worktree = await createWorktree('session-config', repo);
+    writeFileSync(join(worktree.path, 'src', 'a.js'), 'agent edit\n');
+
+    const result = await applyWorktree(worktree);
+
+    assert.deepStrictEqual(result.files, ['src/a.js']);
+    assert.strictEqual(readFileSync(join(repo, 'src', 'a.js'), 'utf-8'), 'agent edit\n');
+  });
+
+  it('should leave everything in place when the changes conflict', async () => {
+    const worktree = await createWorktree('session-conflict', repo);
+    writeFileSync(join(worktree.path, 'src', 'a.js'), 'agent edit\n');
+    writeFileSync(join(repo, 'src', 'a.js'), 'caller edit\n');
+
+    await assert.rejects(() => applyWorktree(worktree), /do not apply cleanly/);
+
+    assert.strictEqual(readFileSync(join(repo, 'src', 'a.js'), 'utf-8'), 'caller edit\n');
+    assert.strictEqual(existsSync(worktree.path), true);
+  });
+
+  it('should discard the worktree and branch', async () => {
+    const worktree = await createWorktree('session-discard', repo);
+    writeFileSync(join(worktree.path, 'src', 'a.js'), 'agent edit\n');
+
+    await discardWorktree(worktree);
+
+    assert.strictEqual(existsSync(worktree.path), false);
+    assert.strictEqual(git(repo, 'branch', '--list', worktree.branch), '');
+    assert.strictEqual(readFileSync(join(repo, 'src', 'a.js'), 'utf-8'), 'line 1\nline 2\n');
+  });
+});
@@ -156,6 +156,11 @@ describe('Helper Functions', () => {
       assert.strictEqual(cost, 1.5);
     });
 
+    it('should return 0 for local models', () => {
+      const cost = calculateCost('local/qwen2.5-coder', 1000000, 1000000, 'local');
+      assert.strictEqual(cost, 0);
+    });
+
     it('should handle missing inputs gracefully', () => {
       const cost = calculateCost('gemini-2.5-flash', undefined, undefined, 'gemini');
       assert.strictEqual(cost, 0);
@@ -9,7 +9,8 @@ import { randomUUID } from 'crypto';
 import ConversationManager, { 
   getConversationManager, 
   MessageRole, 
-  ConversationState 
+  ConversationState,
+  EXPORT_SCHEMA_VERSION,
 } from '../src/services/conversation-manager.js';
 
 describe('ConversationManager', () => {
@@ -221,6 +222,89 @@ describe('ConversationManager', () => {
     });
   });
 
+  describe('forkConversation', () => {
+    it('should copy history up to the fork point with a parent link', () => {
+      const { id } = manager.startConversation({ title: 'Design', systemPrompt: 'Be terse' });
+      manager.addMessage(id, MessageRole.USER, 'Option A or B?');
+      const forkPoint = manager.addMessage(id, MessageRole.ASSISTANT, 'Both viable');
+      manager.addMessage(id, MessageRole.USER, 'Go with A');
+
+      const fork = manager.forkConversation(id, { messageId: forkPoint.id, title: 'Try B' });
+      const forked = manager.getConversation(fork.id);
+
+      assert.notStrictEqual(fork.id, id);
+      assert.strictEqual(fork.title, 'Try B');
+      assert.strictEqual(fork.parentId, id);
+      assert.strictEqual(fork.forkedFromMessageId, forkPoint.id);
+      assert.deepStrictEqual(
+        forked.messages.map(m => m.content),
+        ['Be terse', 'Option A or B?', 'Both viable']
+      );
+      assert.strictEqual(forked.stats.messageCount, 2);
+      assert.strictEqual(forked.stats.userMessages, 1);
+      assert.strictEqual(forked.stats.assistantMessages, 1);
+      assert.strictEqual(manager.stats.activeConversations, 2);
+    });
+
+    it('should not affect the original when the fork continues', () => {
+      const { id } = manager.startConversation();
+      manager.addMessage(id, MessageRole.USER, 'Start');
+
+      const fork = manager.forkConversation(id);
+      manager.addMessage(fork.id, MessageRole.USER, 'Branch only');
+
+      assert.strictEqual(manager.getConversation(id).messages.length, 1);
+      assert.strictEqual(manager.getConversation(fork.id).messages.length, 2);
+    });
+
+    it('should fork at the latest message by default', () => {
+      const { id } = manager.startConversation({ title: 'Original' });
+      manager.addMessage(id, MessageRole.USER, 'One');
+      const last = manager.addMessage(id, MessageRole.ASSISTANT, 'Two');
+
+      const fork = manager.forkConversation(id);
+      assert.strictEqual(fork.forkedFromMessageId, last.id);
+      assert.strictEqual(fork.title, 'Original (fork)');
+    });
+
+    it('should reject unknown conversations and messages', () => {
+      const { id } = manager.startConversation();
+      assert.throws(() => manager.forkConversation('missing'), /not found/);
+      assert.throws(() => manager.forkConversation(id, { messageId: 'nope' }), /Message nope not found/);
+    });
+
+    it('should report lineage and build a fork tree', () => {
+      const { id: rootId } = manager.startConversation({ title: 'Root' });
+      manager.addMessage(rootId, MessageRole.USER, 'Hi');
+      const child = manager.forkConversation(rootId, { title: 'Child' });
+      const grandchild = manager.forkConversation(child.id, { title: 'Grandchild' });
+      const sibling = manager.forkConversation(rootId, { title: 'Sibling' });
+
+      assert.deepStrictEqual(
+        manager.getConversationStats(grandchild.id).lineage.map(p => p.id),
+        [child.id, rootId]
+      );
+
+      const { conversations } = manager.listConversations();
+      const tree = manager.buildForkTree(conversations);
+      assert.strictEqual(tree.length, 1);
+      assert.strictEqual(tree[0].id, rootId);
+      assert.deepStrictEqual(tree[0].children.map(c => c.id).sort(), [child.id, sibling.id].sort());
+      const childNode = tree[0].children.find(c => c.id === child.id);
+      assert.deepStrictEqual(childNode.children.map(c => c.id), [grandchild.id]);
+    });
+
+    it('should treat forks of deleted conversations as roots', () => {
+      const { id } = manager.startConversation();
+      const fork = manager.forkConversation(id);
+      manager.clearConversation(id);
+
+      const tree = manager.buildForkTree(manager.listConversations().conversations);
+      assert.deepStrictEqual(tree.map(c => c.id), [fork.id]);
+      assert.deepStrictEqual(manager.getConversationStats(fork.id).lineage, []);
+    });
+  });
+
   describe('listConversations', () => {
     beforeEach(() => {
       // Create 3 conversations
@@ -347,6 +431,66 @@ describe('ConversationManager', () => {
       assert.ok(md.includes('Hello MD'));
     });
 
+    it('exportConversation should stamp JSON with the schema version', () => {
+      const { id } = manager.startConversation();
+      const data = JSON.parse(manager.exportConversation(id, 'json'));
+      assert.strictEqual(data.schemaVersion, EXPORT_SCHEMA_VERSION);
+    });
+
+    it('exportConversation should produce an escaped HTML transcript', () => {
+      const { id } = manager.startConversation({ title: 'Design <review>' });
+      manager.addMessage(id, MessageRole.USER, '<script>alert(1)</script>');
+
+      const html = manager.exportConversation(id, 'html');
+
+      assert.ok(html.startsWith('<!DOCTYPE html>'));
+      assert.ok(html.includes('<title>Design &lt;review&gt;</title>'));
+      assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+      assert.ok(!html.includes('<script>'));
+    });
+
+    it('exportConversation should reject unknown formats', () => {
+      const { id } = manager.startConversation();
+      assert.throws(() => manager.exportConversation(id, 'pdf'), /Unknown export format/);
+    });
+
+    it('should round-trip a JSON export', () => {
+      const { id } = manager.startConversation({ title: 'Round trip', systemPrompt: 'Be terse' });
+      manager.addMessage(id, MessageRole.USER, 'Hello');
+      manager.addMessage(id, MessageRole.ASSISTANT, 'Hi');
+
+      const newId = manager.importConversation(manager.exportConversation(id, 'json'));
+      const original = manager.getConversation(id);
+      const imported = manager.getConversation(newId);
+
+      assert.notStrictEqual(newId, id);
+      assert.strictEqual(imported.title, 'Round trip');
+      assert.strictEqual(imported.schemaVersion, undefined);
+      assert.deepStrictEqual(imported.messages, original.messages);
+      assert.deepStrictEqual(imported.stats, original.stats);
+
+      // The imported copy can be continued
+      manager.addMessage(newId, MessageRole.USER, 'Picking this up again');
+      assert.strictEqual(manager.getConversation(id).messages.length, 3);
+    });
+
+    it('importConversation should reject unsupported schema versions', () => {
+      const { id } = manager.startConversation();
+      const data = JSON.parse(manager.exportConversation(id, 'json'));
+      data.schemaVersion = EXPORT_SCHEMA_VERSION + 1;
+
+      assert.throws(
+        () => manager.importConversation(JSON.stringify(data)),
+        /Unsupported conversation export schema version/
+      );
+      assert.strictEqual(manager.conversations.size, 1);
+    });
+
+    it('importConversation should reject malformed data', () => {
+      assert.throws(() => manager.importConversation('not json'), /Invalid conversation export/);
+      assert.throws(() => manager.importConversation({ title: 'No messages' }), /missing messages/);
+    });
+
     it('importConversation should create new conversation with new ID', () => {
       const original = {
         title: 'Imported',
@@ -367,6 +511,26 @@ describe('ConversationManager', () => {
       // Stats should reflect the imported state (completed)
       assert.strictEqual(manager.stats.activeConversations, 0); 
     });
+
+    it('importConversation should not expire an export older than the TTL', () => {
+      const expManager = new ConversationManager({ autoCleanup: false, expirationMs: 1000 });
+      const oldDate = new Date(Date.now() - 2000).toISOString();
+
+      const newId = expManager.importConversation({
+        title: 'Old export',
+        state: ConversationState.ACTIVE,
+        messages: [{ role: 'user', content: 'Hi' }],
+        metadata: { createdAt: oldDate, updatedAt: oldDate },
+      });
+
+      assert.strictEqual(expManager.cleanupExpired(), 0);
+      const conv = expManager.getConversation(newId);
+      assert.notStrictEqual(conv, null);
+      assert.strictEqual(conv.metadata.createdAt, oldDate);
+      assert.strictEqual(conv.metadata.updatedAt, conv.metadata.importedAt);
+
+      expManager.destroy();
+    });
   });
 
   describe('cleanupExpired', () => {
@@ -394,6 +558,145 @@ describe('ConversationManager', () => {
     });
   });
 
+  describe('Compaction', () => {
+    let compactManager;
+
+    const fillTurns = (id, turns) => {
+      for (let i = 1; i <= turns; i++) {
+        compactManager.addMessage(id, MessageRole.USER, `Question ${i} ${'x'.repeat(400)}`);
+        compactManager.addMessage(id, MessageRole.ASSISTANT, `Answer ${i} ${'y'.repeat(400)}`);
+      }
+    };
+
+    beforeEach(() => {
+      compactManager = new ConversationManager({
+        autoCleanup: false,
+        compaction: true,
+        compactionThreshold: 1000,
+        compactionKeepRecentTurns: 2,
+      });
+    });
+
+    afterEach(() => {
+      compactManager.destroy();
+    });
+
+    it('should not compact when disabled or below threshold', () => {
+      const { id } = compactManager.startConversation();
+      fillTurns(id, 1);
+      assert.strictEqual(compactManager.needsCompaction(id), false);
+
+      const { id: offId } = manager.startConversation();
+      for (let i = 0; i < 20; i++) {
+        manager.addMessage(offId, MessageRole.USER, 'z'.repeat(4000));
+      }
+      assert.strictEqual(manager.needsCompaction(offId), false);
+    });
+
+    it('should replace older turns with a summary and keep recent turns verbatim', async () => {
+      const { id } = compactManager.startConversation({ systemPrompt: 'Be terse' });
+      fillTurns(id, 5);
+      const tokensBefore = compactManager.getConversation(id).stats.estimatedTokens;
+
+      let seenPrompt;
+      const record = await compactManager.maybeCompact(id, async (prompt) => {
+        seenPrompt = prompt;
+        return 'Discussed questions 1-3';
+      });
+
+      const conv = compactManager.getConversation(id);
+      assert.ok(seenPrompt.includes('Question 1'));
+      assert.ok(!seenPrompt.includes('Question 4'));
+      assert.deepStrictEqual(conv.messages.map(m => m.role), [
+        MessageRole.SYSTEM,
+        MessageRole.SUMMARY,
+        MessageRole.USER, MessageRole.ASSISTANT,
+        MessageRole.USER, MessageRole.ASSISTANT,
+      ]);
+      assert.strictEqual(conv.messages[1].content, 'Discussed questions 1-3');
+      assert.strictEqual(conv.stats.messageCount, 10);
+      assert.strictEqual(conv.stats.userMessages, 5);
+      assert.strictEqual(conv.stats.assistantMessages, 5);
+      assert.strictEqual(conv.stats.heldMessages, 4);
+      assert.strictEqual(compactManager.listConversations().conversations[0].heldMessages, 4);
+      assert.strictEqual(record.messagesCompacted, 6);
+      assert.strictEqual(record.tokensBefore, tokensBefore);
+      assert.strictEqual(record.tokensAfter, conv.stats.estimatedTokens);
+      assert.ok(record.tokensSaved > 0);
+    });
+
+    it('should keep counting turns after compaction', async () => {
+      const { id } = compactManager.startConversation();
+      fillTurns(id, 5);
+      await compactManager.compactConversation(id, async () => 'Summary');
+      compactManager.addMessage(id, MessageRole.USER, 'Question 6');
+
+      // gemini_continue_conversation reports "Turn <userMessages>"
+      const { stats } = compactManager.getConversationStats(id);
+      assert.strictEqual(stats.userMessages, 6);
+      assert.strictEqual(stats.messageCount, 11);
+      assert.strictEqual(stats.heldMessages, 5);
+    });
+
+    it('should fold the previous summary into the next one', async () => {
+      const { id } = compactManager.startConversation();
+      fillTurns(id, 5);
+      await compactManager.compactConversation(id, async () => 'First summary');
+      fillTurns(id, 3);
+
+      let seenPrompt;
+      await compactManager.compactConversation(id, async (prompt) => {
+        seenPrompt = prompt;
+        return 'Second summary';
+      });
+
+      const conv = compactManager.getConversation(id);
+      const summaries = conv.messages.filter(m => m.role === MessageRole.SUMMARY);
+      assert.ok(seenPrompt.includes('[PREVIOUS SUMMARY]: First summary'));
+      assert.strictEqual(summaries.length, 1);
+      assert.strictEqual(summaries[0].content, 'Second summary');
+      assert.strictEqual(summaries[0].compactedMessages, 12);
+    });
+
+    it('should include the summary in the context prompt', async () => {
+      const { id } = compactManager.startConversation();
+      fillTurns(id, 5);
+      await compactManager.compactConversation(id, async () => 'Earlier context');
+
+      const prompt = compactManager.buildContextPrompt(id, 'Next');
+      assert.ok(prompt.includes('[SUMMARY OF EARLIER CONVERSATION]: Earlier context'));
+      assert.ok(!prompt.includes('Question 1 '));
+    });
+
+    it('should report compaction stats', async () => {
+      const { id } = compactManager.startConversation();
+      fillTurns(id, 5);
+      const record = await compactManager.compactConversation(id, async () => 'Summary');
+
+      const stats = compactManager.getConversationStats(id);
+      assert.strictEqual(stats.compaction.count, 1);
+      assert.strictEqual(stats.compaction.tokensSaved, record.tokensSaved);
+      assert.deepStrictEqual(stats.compaction.history, [record]);
+
+      const global = compactManager.getGlobalStats();
+      assert.strictEqual(global.totalCompactions, 1);
+      assert.strictEqual(global.totalTokensSaved, record.tokensSaved);
+      assert.strictEqual(global.config.compaction, true);
+    });
+
+    it('should leave the conversation untouched when summarization fails', async () => {
+      const { id } = compactManager.startConversation();
+      fillTurns(id, 5);
+
+      await assert.rejects(
+        () => compactManager.compactConversation(id, async () => '   '),
+        /empty summary/
+      );
+      assert.strictEqual(compactManager.getConversation(id).messages.length, 10);
+      assert.strictEqual(compactManager.getConversationStats(id).compaction.count, 0);
+    });
+  });
+
   describe('Singleton pattern', () => {
     it('getConversationManager should return same instance', () => {
       const instance1 = getConversationManager();
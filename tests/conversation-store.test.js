@@ -0,0 +1,267 @@
+/**
+ * Tests for FileConversationStore and ConversationManager persistence
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { appendFileSync, existsSync, readFileSync, rmSync } from 'fs';
+
+import { FileConversationStore, STORE_VERSION } from '../src/services/conversation-store.js';
+import ConversationManager, {
+  MessageRole,
+  ConversationState,
+} from '../src/services/conversation-manager.js';
+
+describe('FileConversationStore', () => {
+  let testDir;
+  let store;
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `conversation-store-test-${randomUUID()}`);
+    store = new FileConversationStore({ dir: testDir });
+  });
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should require a directory', () => {
+    assert.throws(() => new FileConversationStore(), /requires a directory/);
+  });
+
+  it('should write a header line followed by message lines', () => {
+    store.saveConversation({
+      id: 'abc',
+      title: 'Test',
+      state: 'active',
+      messages: [{ id: 'm1', role: 'user', content: 'Hi' }],
+      metadata: { updatedAt: new Date().toISOString() },
+      stats: { messageCount: 1 },
+    });
+
+    const lines = readFileSync(join(testDir, 'abc.jsonl'), 'utf-8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+
+    const header = JSON.parse(lines[0]);
+    assert.strictEqual(header.type, 'conversation');
+    assert.strictEqual(header.version, STORE_VERSION);
+    assert.strictEqual(header.conversation.messages, undefined);
+    assert.strictEqual(JSON.parse(lines[1]).message.content, 'Hi');
+  });
+
+  it('should encode IDs so they cannot escape the directory', () => {
+    const path = store.getFilePath('../../etc/passwd');
+    assert.strictEqual(dirname(path), testDir);
+  });
+
+  it('should skip torn lines when replaying', () => {
+    store.saveConversation({
+      id: 'torn',
+      state: 'active',
+      messages: [],
+      metadata: { updatedAt: new Date().toISOString() },
+      stats: { messageCount: 0 },
+    });
+    appendFileSync(join(testDir, 'torn.jsonl'), '{"type":"message","mess');
+
+    const [conversation] = store.loadAll();
+    assert.strictEqual(conversation.id, 'torn');
+    assert.strictEqual(conversation.messages.length, 0);
+  });
+
+  it('should ignore files with an unknown version', () => {
+    appendFileSync(
+      join(testDir, 'future.jsonl'),
+      JSON.stringify({ type: 'conversation', version: 999, conversation: { id: 'future' } }) + '\n'
+    );
+    assert.deepStrictEqual(store.loadAll(), []);
+  });
+
+  it('should remove files on delete', () => {
+    store.saveConversation({ id: 'gone', messages: [], metadata: {}, stats: {} });
+    store.deleteConversation('gone');
+    assert.strictEqual(existsSync(join(testDir, 'gone.jsonl')), false);
+  });
+});
+
+describe('ConversationManager persistence', () => {
+  let testDir;
+  const managers = [];
+
+  const createManager = (config = {}) => {
+    const manager = new ConversationManager({ autoCleanup: false, persistPath: testDir, ...config });
+    managers.push(manager);
+    return manager;
+  };
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `conversation-persist-test-${randomUUID()}`);
+  });
+
+  afterEach(() => {
+    while (managers.length > 0) {
+      managers.pop().destroy();
+    }
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should rehydrate conversations and messages after restart', () => {
+    const first = createManager();
+    const { id } = first.startConversation({ title: 'Design thread', systemPrompt: 'Be terse' });
+    first.addMessage(id, MessageRole.USER, 'Hello');
+    first.addMessage(id, MessageRole.ASSISTANT, 'Hi there');
+    first.destroy();
+
+    const second = createManager();
+    const conversation = second.getConversation(id);
+
+    assert.ok(conversation);
+    assert.strictEqual(conversation.title, 'Design thread');
+    assert.strictEqual(conversation.messages.length, 3); // system + 2
+    assert.strictEqual(conversation.stats.messageCount, 2);
+    assert.strictEqual(conversation.stats.userMessages, 1);
+    assert.strictEqual(second.stats.totalConversations, 1);
+    assert.strictEqual(second.stats.activeConversations, 1);
+    assert.strictEqual(second.stats.totalMessages, 2);
+  });
+
+  it('should keep accepting messages after rehydration', () => {
+    const first = createManager();
+    const { id } = first.startConversation();
+    first.addMessage(id, MessageRole.USER, 'One');
+    first.destroy();
+
+    const second = createManager();
+    second.addMessage(id, MessageRole.USER, 'Two');
+    second.destroy();
+
+    const third = createManager();
+    assert.deepStrictEqual(
+      third.getConversation(id).messages.map(m => m.content),
+      ['One', 'Two']
+    );
+  });
+
+  it('should persist state changes from endConversation', () => {
+    const first = createManager();
+    const { id } = first.startConversation();
+    first.endConversation(id);
+    first.destroy();
+
+    const second = createManager();
+    assert.strictEqual(second.getConversation(id).state, ConversationState.COMPLETED);
+    assert.strictEqual(second.stats.activeConversations, 0);
+  });
+
+  it('should delete cleared conversations from storage', () => {
+    const first = createManager();
+    const { id } = first.startConversation();
+    first.clearConversation(id);
+    first.destroy();
+
+    const second = createManager();
+    assert.strictEqual(second.getConversation(id), null);
+  });
+
+  it('should drop expired conversations on load', () => {
+    const first = createManager();
+    const { id } = first.startConversation();
+    first.destroy();
+
+    const second = createManager({ expirationMs: -1 });
+    assert.strictEqual(second.getConversation(id), null);
+    assert.strictEqual(existsSync(join(testDir, `${id}.jsonl`)), false);
+  });
+
+  it('should delete expired conversations from storage during cleanup', () => {
+    const manager = createManager({ expirationMs: 1000 });
+    const { id } = manager.startConversation();
+    manager.getConversation(id).metadata.updatedAt = new Date(Date.now() - 2000).toISOString();
+
+    assert.strictEqual(manager.cleanupExpired(), 1);
+    assert.strictEqual(existsSync(join(testDir, `${id}.jsonl`)), false);
+  });
+
+  it('should persist imported conversations', () => {
+    const first = createManager();
+    const newId = first.importConversation({
+      title: 'Imported',
+      model: 'gemini-2.5-pro',
+      state: ConversationState.ACTIVE,
+      messages: [{ id: 'm1', role: 'user', content: 'Hi' }],
+      stats: { messageCount: 1 },
+      metadata: { createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() },
+    });
+    first.destroy();
+
+    const second = createManager();
+    assert.strictEqual(second.getConversation(newId).title, 'Imported');
+  });
+
+  it('should persist compacted history and compaction stats', async () => {
+    const first = createManager({ compaction: true, compactionThreshold: 10, compactionKeepRecentTurns: 1 });
+    const { id } = first.startConversation();
+    for (const content of ['One', 'Two', 'Three', 'Four']) {
+      first.addMessage(id, MessageRole.USER, content.repeat(20));
+    }
+    await first.maybeCompact(id, async () => 'Summary of one and two');
+    first.destroy();
+
+    const second = createManager();
+    const conversation = second.getConversation(id);
+    assert.strictEqual(conversation.messages[0].role, MessageRole.SUMMARY);
+    assert.strictEqual(conversation.compactions.length, 1);
+    assert.strictEqual(second.stats.totalCompactions, 1);
+  });
+
+  it('should persist forks with their parent link', () => {
+    const first = createManager();
+    const { id } = first.startConversation();
+    const message = first.addMessage(id, MessageRole.USER, 'Shared context');
+    const fork = first.forkConversation(id, { messageId: message.id });
+    first.destroy();
+
+    const second = createManager();
+    const conversation = second.getConversation(fork.id);
+    assert.strictEqual(conversation.parentId, id);
+    assert.strictEqual(conversation.forkedFromMessageId, message.id);
+    assert.strictEqual(conversation.messages[0].content, 'Shared context');
+  });
+
+  it('should accept a custom storage backend', () => {
+    const calls = [];
+    const storage = {
+      loadAll: () => [],
+      saveConversation: (c) => calls.push(['save', c.id]),
+      appendMessage: (c) => calls.push(['append', c.id]),
+      updateConversation: (c) => calls.push(['update', c.id]),
+      deleteConversation: (id) => calls.push(['delete', id]),
+    };
+
+    const manager = createManager({ storage, persistPath: null });
+    const { id } = manager.startConversation();
+    manager.addMessage(id, MessageRole.USER, 'Hi');
+    manager.clearConversation(id);
+
+    assert.deepStrictEqual(calls.map(c => c[0]), ['save', 'append', 'delete']);
+  });
+
+  it('should not break when storage writes fail', () => {
+    const storage = {
+      loadAll: () => [],
+      saveConversation: () => { throw new Error('disk full'); },
+      appendMessage: () => { throw new Error('disk full'); },
+      updateConversation: () => {},
+      deleteConversation: () => {},
+    };
+
+    const manager = createManager({ storage, persistPath: null });
+    const { id } = manager.startConversation();
+    manager.addMessage(id, MessageRole.USER, 'Still works');
+
+    assert.strictEqual(manager.getConversation(id).messages.length, 1);
+  });
+});
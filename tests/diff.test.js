@@ -0,0 +1,143 @@
+/**
+ * Tests for unified diff utilities
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { diffLines, createUnifiedDiff, parseUnifiedPatch, isBinaryContent } from '../src/utils/diff.js';
+
+describe('diffLines', () => {
+  it('should produce a minimal edit script', () => {
+    const ops = diffLines(['a\n', 'b\n', 'c\n', 'd\n'], ['a\n', 'x\n', 'c\n', 'd\n', 'e\n']);
+
+    assert.deepStrictEqual(ops.map((op) => `${op.type}${op.line.trim()}`), [
+      ' a', '-b', '+x', ' c', ' d', '+e',
+    ]);
+  });
+
+  it('should handle empty inputs', () => {
+    assert.deepStrictEqual(diffLines([], []), []);
+    assert.deepStrictEqual(diffLines([], ['a\n']), [{ type: '+', line: 'a\n' }]);
+    assert.deepStrictEqual(diffLines(['a\n'], []), [{ type: '-', line: 'a\n' }]);
+  });
+
+  it('should keep every line of both sides in order', () => {
+    const a = 'the quick brown fox jumps over the lazy dog'.split(' ').map((w) => `${w}\n`);
+    const b = 'a quick red fox leaps over lazy dogs and cats'.split(' ').map((w) => `${w}\n`);
+    const ops = diffLines(a, b);
+
+    assert.deepStrictEqual(ops.filter((op) => op.type !== '+').map((op) => op.line), a);
+    assert.deepStrictEqual(ops.filter((op) => op.type !== '-').map((op) => op.line), b);
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  it('should render a git-style modification hunk', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n') + '\n';
+    const after = ['1', '2', '3', 'four', '5', '6', '7', '8'].join('\n') + '\n';
+
+    assert.strictEqual(
+      createUnifiedDiff('src/n.txt', before, after),
+      [
+        'diff --git a/src/n.txt b/src/n.txt',
+        '--- a/src/n.txt',
+        '+++ b/src/n.txt',
+        '@@ -1,7 +1,7 @@',
+        ' 1', ' 2', ' 3', '-4', '+four', ' 5', ' 6', ' 7',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should split distant changes into separate hunks', () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    const changed = [...lines];
+    changed[1] = 'changed 2';
+    changed[25] = 'changed 26';
+
+    const patch = createUnifiedDiff('f.txt', lines.join('\n') + '\n', changed.join('\n') + '\n');
+    const headers = patch.split('\n').filter((line) => line.startsWith('@@'));
+
+    assert.deepStrictEqual(headers, ['@@ -1,5 +1,5 @@', '@@ -23,7 +23,7 @@']);
+  });
+
+  it('should render created and deleted files', () => {
+    assert.strictEqual(
+      createUnifiedDiff('new.txt', null, 'hello\n'),
+      'diff --git a/new.txt b/new.txt\nnew file mode 100644\n--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1 @@\n+hello\n'
+    );
+    assert.strictEqual(
+      createUnifiedDiff('old.txt', 'a\nb\n', null),
+      'diff --git a/old.txt b/old.txt\ndeleted file mode 100644\n--- a/old.txt\n+++ /dev/null\n@@ -1,2 +0,0 @@\n-a\n-b\n'
+    );
+  });
+
+  it('should mark a missing trailing newline', () => {
+    const patch = createUnifiedDiff('x.txt', 'a\n', 'a');
+
+    assert.ok(patch.includes('-a\n+a\n\\ No newline at end of file\n'));
+  });
+
+  it('should return an empty string for identical content', () => {
+    assert.strictEqual(createUnifiedDiff('same.txt', 'x\n', Buffer.from('x\n')), '');
+  });
+
+  it('should summarize binary files', () => {
+    assert.ok(isBinaryContent(Buffer.from([0x89, 0x00, 0x01])));
+    assert.strictEqual(
+      createUnifiedDiff('img.png', Buffer.from([1, 0]), Buffer.from([2, 0])),
+      'diff --git a/img.png b/img.png\nBinary files a/img.png and b/img.png differ\n'
+    );
+  });
+
+  it('should produce patches git can apply', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'diff-apply-'));
+    try {
+      const before = 'alpha\nbeta\ngamma\ndelta\n';
+      const after = 'alpha\nBETA\ngamma\ndelta\nepsilon';
+      writeFileSync(join(dir, 'file.txt'), before);
+      writeFileSync(join(dir, 'gone.txt'), 'bye\n');
+
+      const patch = createUnifiedDiff('file.txt', before, after)
+        + createUnifiedDiff('gone.txt', 'bye\n', null)
+        + createUnifiedDiff('added.txt', null, 'hi\n');
+      execFileSync('git', ['apply', '-'], { cwd: dir, input: patch });
+
+      assert.strictEqual(readFileSync(join(dir, 'file.txt'), 'utf-8'), after);
+      assert.strictEqual(readFileSync(join(dir, 'added.txt'), 'utf-8'), 'hi\n');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('parseUnifiedPatch', () => {
+  it('should split a combined patch into files with stats', () => {
+    const patch = createUnifiedDiff('a.js', 'x\ny\n', 'x\nz\nw\n')
+      + createUnifiedDiff('b.js', null, 'new\n')
+      + createUnifiedDiff('c.js', 'old\n', null)
+      + createUnifiedDiff('d.bin', Buffer.from([0]), Buffer.from([1, 0]));
+
+    const files = parseUnifiedPatch(patch);
+
+    assert.deepStrictEqual(
+      files.map(({ patch: _patch, ...f }) => f),
+      [
+        { path: 'a.js', status: 'modified', added: 2, removed: 1, binary: false },
+        { path: 'b.js', status: 'created', added: 1, removed: 0, binary: false },
+        { path: 'c.js', status: 'deleted', added: 0, removed: 1, binary: false },
+        { path: 'd.bin', status: 'modified', added: 0, removed: 0, binary: true },
+      ]
+    );
+    assert.strictEqual(files.map((f) => f.patch).join(''), patch);
+  });
+
+  it('should return an empty list for an empty patch', () => {
+    assert.deepStrictEqual(parseUnifiedPatch(''), []);
+  });
+});
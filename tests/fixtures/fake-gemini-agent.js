@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Fake Gemini CLI for agent handler tests
+ *
+ * Emits stream-json events from FAKE_GEMINI_EVENTS (a JSON array) after
+ * reading the prompt from stdin, then exits with FAKE_GEMINI_EXIT (default 0).
+ * When called with --resume, FAKE_GEMINI_RESUME_EVENTS is used instead if set.
+ * FAKE_GEMINI_PROMPT_LOG names a file each received prompt is appended to.
+ * FAKE_GEMINI_IGNORE_SIGTERM keeps it running (and emitting) after SIGTERM.
+ *
+ * Event entries may include:
+ * - delayMs: wait before emitting the event
+ * - writeFile: { path, content } - write a file (relative to cwd) before emitting
+ */
+
+import { appendFileSync, writeFileSync } from 'fs';
+
+const resumed = process.argv.includes('--resume') && process.env.FAKE_GEMINI_RESUME_EVENTS;
+const events = JSON.parse((resumed ? process.env.FAKE_GEMINI_RESUME_EVENTS : process.env.FAKE_GEMINI_EVENTS) || '[]');
+const exitCode = parseInt(process.env.FAKE_GEMINI_EXIT || '0', 10);
+
+if (process.env.FAKE_GEMINI_IGNORE_SIGTERM) {
+  process.on('SIGTERM', () => {});
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let prompt = '';
+process.stdin.resume();
+process.stdin.on('data', (chunk) => { prompt += chunk; });
+process.stdin.on('end', async () => {
+  if (process.env.FAKE_GEMINI_PROMPT_LOG) {
+    appendFileSync(process.env.FAKE_GEMINI_PROMPT_LOG, `${prompt}\n---\n`);
+  }
+  for (const { delayMs, writeFile, ...event } of events) {
+    if (delayMs) await sleep(delayMs);
+    if (writeFile) writeFileSync(writeFile.path, writeFile.content);
+    process.stdout.write(JSON.stringify(event) + '\n');
+  }
+  process.exitCode = exitCode;
+});
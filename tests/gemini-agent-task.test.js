@@ -7,12 +7,32 @@
 
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
+import { execFileSync, spawn as realSpawn } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 
 import { handlers } from '../src/mcp/tool-handlers/agent/index.js';
 import {
   getAgentSessionManager,
   resetAgentSessionManager,
+  SessionStatus,
 } from '../src/services/agent-session-manager.js';
+import { findTraceFiles, readTrace } from '../src/services/agent-trace.js';
+
+const FAKE_GEMINI = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'fake-gemini-agent.js');
+
+/**
+ * Build a handler context that runs the fake Gemini CLI with the given events
+ */
+function createFakeGeminiContext(events, extra = {}) {
+  return {
+    spawn: (cmd, args, opts) => realSpawn(process.execPath, [FAKE_GEMINI, ...args], opts),
+    buildEnv: () => ({ ...process.env, FAKE_GEMINI_EVENTS: JSON.stringify(events) }),
+    ...extra,
+  };
+}
 
 describe('gemini_agent_task handler', () => {
   const originalEnv = { ...process.env };
@@ -102,6 +122,1009 @@ describe('gemini_agent_task handler', () => {
   });
 });
 
+describe('gemini_agent_task progress notifications', () => {
+  const originalEnv = { ...process.env };
+  let outputDir;
+  let checkpointDir;
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    rmSync(outputDir, { recursive: true, force: true });
+    rmSync(checkpointDir, { recursive: true, force: true });
+  });
+
+  it('should report tool calls, file mutations and token updates as they happen', async () => {
+    const progress = [];
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-123' },
+      { type: 'tool_use', tool_name: 'read_file', tool_input: { path: 'src/a.js' } },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'src/b.js', content: 'x' } },
+      { type: 'usage', input_tokens: 1200, output_tokens: 300, total_tokens: 1500 },
+      { type: 'text', content: 'Done' },
+    ], { sendProgress: (message) => progress.push(message) });
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Create b.js', working_directory: outputDir },
+      context
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    assert.deepStrictEqual(progress, [
+      'Agent started (Gemini session gemini-123)',
+      '[1/20] read_file: src/a.js',
+      '[2/20] write_file: src/b.js',
+      'Created src/b.js',
+      `Tokens: ${(1500).toLocaleString()} (in: ${(1200).toLocaleString()}, out: ${(300).toLocaleString()})`,
+    ]);
+  });
+
+  it('should write every parsed event to a replayable trace', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-trace' },
+      { type: 'tool_use', tool_name: 'run_shell_command', tool_input: { command: 'npm test' } },
+      { type: 'tool_result', tool_name: 'run_shell_command', output: '3 passing' },
+      { type: 'usage', input_tokens: 10, output_tokens: 5, total_tokens: 15 },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Run tests', working_directory: outputDir },
+      context
+    );
+
+    const sessionId = getAgentSessionManager().listSessions()[0].id;
+    assert.ok(result.content[0].text.includes(`(replay with \`hybrid agent replay ${sessionId}\`)`));
+
+    const [tracePath] = await findTraceFiles(sessionId, outputDir);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const records = await readTrace(tracePath);
+    assert.deepStrictEqual(records.map((r) => r.kind), ['start', 'event', 'event', 'event', 'event', 'end']);
+    assert.strictEqual(records[0].task, 'Run tests');
+    assert.strictEqual(records[3].event.output, '3 passing');
+    assert.strictEqual(records[5].exitCode, 0);
+  });
+
+  it('should stop recording and point at the full output after a timeout', async () => {
+    process.env.FAKE_GEMINI_IGNORE_SIGTERM = '1';
+    const context = createFakeGeminiContext([
+      { type: 'tool_use', tool_name: 'read_file', tool_input: { path: 'src/a.js' } },
+      { type: 'tool_use', tool_name: 'read_file', tool_input: { path: 'src/late.js' }, delayMs: 600 },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Slow task', working_directory: outputDir, timeout_minutes: 0.005 },
+      context
+    );
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('Agent timeout'));
+    assert.match(result.content[0].text, /\*\*Full Output:\*\* `[^`]+-full\.txt`/);
+
+    // Events the process emits after the timeout are ignored
+    const session = getAgentSessionManager().listSessions()[0];
+    await new Promise((resolve) => setTimeout(resolve, 800));
+    assert.strictEqual(getAgentSessionManager().getSession(session.id).iterations, 1);
+  });
+
+  it('should run without a progress reporter', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'tool_use', tool_name: 'run_shell_command', tool_input: { command: 'npm test' } },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Run tests', working_directory: outputDir },
+      context
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    assert.ok(result.content[0].text.includes('Agent Task Completed'));
+  });
+});
+
+describe('background agent tasks', () => {
+  const originalEnv = { ...process.env };
+  let outputDir;
+  let checkpointDir;
+
+  /**
+   * Wait until a session reaches a finished status
+   */
+  async function waitForFinish(sessionId, timeoutMs = 10000) {
+    const sessionManager = getAgentSessionManager();
+    const deadline = Date.now() + timeoutMs;
+    while (!sessionManager.isFinished(sessionId) || sessionManager.getProcess(sessionId)) {
+      if (Date.now() > deadline) throw new Error('Session did not finish in time');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+
+  const getSessionId = (result) => result.content[0].text.match(/Session ID:\*\* `([^`]+)`/)[1];
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    rmSync(outputDir, { recursive: true, force: true });
+    rmSync(checkpointDir, { recursive: true, force: true });
+  });
+
+  it('should return a session id immediately and finish in the background', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-bg' },
+      { type: 'text', content: 'Working...', delayMs: 50 },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'out.txt' } },
+      { type: 'text', content: 'All done' },
+    ]);
+
+    const started = await handlers.gemini_agent_task(
+      { task_description: 'Background job', working_directory: outputDir, background: true },
+      context
+    );
+    assert.ok(started.content[0].text.includes('Agent Task Started (background)'));
+
+    const sessionId = getSessionId(started);
+    assert.strictEqual(getAgentSessionManager().getSession(sessionId).status, SessionStatus.RUNNING);
+
+    await waitForFinish(sessionId);
+
+    const status = await handlers.gemini_agent_status({ session_id: sessionId });
+    const text = status.content[0].text;
+    assert.ok(text.includes('**Status:** completed'));
+    assert.ok(text.includes('**Iteration:** 1/20'));
+    assert.ok(text.includes('`out.txt`'));
+    assert.ok(text.includes('Working...'));
+    assert.ok(text.includes('All done'));
+  });
+
+  it('should queue a second task in the same directory until the first finishes', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-queue' },
+      { type: 'text', content: 'Working...', delayMs: 300 },
+    ]);
+
+    const first = await handlers.gemini_agent_task(
+      { task_description: 'First', working_directory: outputDir, background: true },
+      context
+    );
+    const second = await handlers.gemini_agent_task(
+      { task_description: 'Second', working_directory: outputDir, background: true },
+      context
+    );
+
+    assert.ok(second.content[0].text.includes('Agent Task Queued (background)'));
+    assert.ok(second.content[0].text.includes('**Queue position:** 1 of 1 (waiting for another agent in the same directory)'));
+    const secondId = getSessionId(second);
+    assert.strictEqual(getAgentSessionManager().getSession(secondId).status, SessionStatus.QUEUED);
+
+    const listed = await handlers.gemini_agent_list({ status: 'queued' });
+    assert.ok(listed.content[0].text.includes(secondId));
+    assert.ok(listed.content[0].text.includes('- **Queue position:** 1 of 1'));
+
+    await waitForFinish(getSessionId(first));
+    await waitForFinish(secondId);
+    assert.strictEqual(getAgentSessionManager().getSession(secondId).status, SessionStatus.COMPLETED);
+  });
+
+  it('should report the queue position to a blocking caller', async () => {
+    const progress = [];
+    const slow = createFakeGeminiContext([{ type: 'text', content: 'Working...', delayMs: 200 }]);
+    const started = await handlers.gemini_agent_task(
+      { task_description: 'First', working_directory: outputDir, background: true },
+      slow
+    );
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Second', working_directory: outputDir },
+      createFakeGeminiContext([{ type: 'text', content: 'Done' }], { sendProgress: (message) => progress.push(message) })
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    assert.strictEqual(progress[0], 'Queued at position 1 of 1 (waiting for another agent in the same directory)');
+    assert.strictEqual(progress[1], 'Dequeued - starting agent');
+    assert.strictEqual(getAgentSessionManager().getSession(getSessionId(started)).status, SessionStatus.COMPLETED);
+  });
+
+  it('should only return output produced since the cursor', async () => {
+    const sessionManager = getAgentSessionManager();
+    const session = sessionManager.createSession({ taskDescription: 'Manual' });
+    sessionManager.appendOutput(session.id, 'old line\n');
+
+    const first = await handlers.gemini_agent_status({ session_id: session.id });
+    const cursor = Number(first.content[0].text.match(/Next cursor:\*\* (\d+)/)[1]);
+
+    sessionManager.appendOutput(session.id, 'new line\n');
+    const second = await handlers.gemini_agent_status({ session_id: session.id, cursor });
+
+    assert.ok(!second.content[0].text.includes('old line'));
+    assert.ok(second.content[0].text.includes('new line'));
+  });
+
+  it('should cancel a running background task', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-slow' },
+      { type: 'text', content: 'never printed', delayMs: 30000 },
+    ]);
+
+    const started = await handlers.gemini_agent_task(
+      { task_description: 'Slow job', working_directory: outputDir, background: true },
+      context
+    );
+    const sessionId = getSessionId(started);
+
+    const cancelled = await handlers.gemini_agent_cancel({ session_id: sessionId });
+    assert.strictEqual(cancelled.isError, undefined);
+    assert.ok(cancelled.content[0].text.includes('cancelled'));
+
+    await waitForFinish(sessionId);
+    const session = getAgentSessionManager().getSession(sessionId);
+    assert.strictEqual(session.status, SessionStatus.CANCELLED);
+    assert.strictEqual(getAgentSessionManager().getProcess(sessionId), undefined);
+
+    const again = await handlers.gemini_agent_cancel({ session_id: sessionId });
+    assert.strictEqual(again.isError, true);
+  });
+
+  it('should refuse to clear a session while its process is running', async () => {
+    const context = createFakeGeminiContext([{ type: 'text', content: 'slow', delayMs: 30000 }]);
+    const started = await handlers.gemini_agent_task(
+      { task_description: 'Slow job', working_directory: outputDir, background: true },
+      context
+    );
+    const sessionId = getSessionId(started);
+
+    const cleared = await handlers.gemini_agent_clear({ session_id: sessionId });
+    assert.strictEqual(cleared.isError, true);
+    assert.ok(cleared.content[0].text.includes('still running'));
+
+    await handlers.gemini_agent_cancel({ session_id: sessionId });
+    await waitForFinish(sessionId);
+  });
+
+  it('should report unknown sessions', async () => {
+    const status = await handlers.gemini_agent_status({ session_id: 'missing' });
+    const cancel = await handlers.gemini_agent_cancel({ session_id: 'missing' });
+
+    assert.strictEqual(status.isError, true);
+    assert.strictEqual(cancel.isError, true);
+  });
+});
+
+describe('gemini_agent_rollback handler', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let outputDir;
+  let checkpointDir;
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    workDir = mkdtempSync(join(tmpdir(), 'agent-work-'));
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+    writeFileSync(join(workDir, 'app.js'), 'original\n');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [workDir, outputDir, checkpointDir]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should undo every file the session touched', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-rb' },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'app.js' }, writeFile: { path: 'app.js', content: 'rewritten\n' } },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'extra.js' }, writeFile: { path: 'extra.js', content: 'new\n' } },
+      { type: 'text', content: 'Done' },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Rewrite app', working_directory: workDir },
+      context
+    );
+    assert.ok(result.content[0].text.includes('gemini_agent_rollback'));
+    assert.strictEqual(readFileSync(join(workDir, 'app.js'), 'utf-8'), 'rewritten\n');
+
+    const sessionId = getAgentSessionManager().listSessions()[0].id;
+    const listed = await handlers.gemini_agent_list({});
+    assert.ok(listed.content[0].text.includes('**Rollback:** available (snapshot checkpoint)'));
+
+    const rolledBack = await handlers.gemini_agent_rollback({ session_id: sessionId });
+    assert.strictEqual(rolledBack.isError, undefined);
+    assert.ok(rolledBack.content[0].text.includes('`app.js`'));
+    assert.ok(rolledBack.content[0].text.includes('`extra.js`'));
+    assert.strictEqual(readFileSync(join(workDir, 'app.js'), 'utf-8'), 'original\n');
+    assert.strictEqual(existsSync(join(workDir, 'extra.js')), false);
+
+    const again = await handlers.gemini_agent_rollback({ session_id: sessionId });
+    assert.strictEqual(again.isError, true);
+    assert.ok(again.content[0].text.includes('Already rolled back'));
+
+    const relisted = await handlers.gemini_agent_list({});
+    assert.ok(relisted.content[0].text.includes('**Rollback:** unavailable - Already rolled back'));
+  });
+
+  it('should refuse sessions without a checkpoint', async () => {
+    const session = getAgentSessionManager().createSession({ taskDescription: 'Manual' });
+
+    const result = await handlers.gemini_agent_rollback({ session_id: session.id });
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('No checkpoint recorded'));
+
+    const missing = await handlers.gemini_agent_rollback({ session_id: 'missing' });
+    assert.ok(missing.content[0].text.includes('Session not found'));
+  });
+
+  it('should discard the snapshot when the session is cleared', async () => {
+    const context = createFakeGeminiContext([{ type: 'text', content: 'Done' }]);
+    await handlers.gemini_agent_task({ task_description: 'Noop', working_directory: workDir }, context);
+
+    const sessionId = getAgentSessionManager().listSessions()[0].id;
+    assert.strictEqual(existsSync(join(checkpointDir, sessionId)), true);
+
+    await handlers.gemini_agent_clear({ session_id: sessionId });
+    assert.strictEqual(existsSync(join(checkpointDir, sessionId)), false);
+  });
+});
+
+describe('worktree-isolated agent tasks', () => {
+  const originalEnv = { ...process.env };
+  let repo;
+  let outputDir;
+  let worktreeRoot;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf-8' }).trim();
+
+  const runIsolatedTask = (events) => handlers.gemini_agent_task(
+    { task_description: 'Edit app', working_directory: repo, isolation: 'worktree' },
+    createFakeGeminiContext(events)
+  );
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    repo = mkdtempSync(join(tmpdir(), 'agent-repo-'));
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    worktreeRoot = mkdtempSync(join(tmpdir(), 'agent-worktrees-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_WORKTREES_DIR = worktreeRoot;
+    process.env.GEMINI_AGENT_MODE = 'true';
+
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    writeFileSync(join(repo, 'app.js'), 'original\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [repo, outputDir, worktreeRoot]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should run in a worktree and report the branch and diff summary', async () => {
+    const result = await runIsolatedTask([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'app.js' }, writeFile: { path: 'app.js', content: 'agent\n' } },
+      { type: 'text', content: 'Done' },
+    ]);
+
+    const text = result.content[0].text;
+    assert.strictEqual(result.isError, undefined);
+    assert.match(text, /\*\*Branch:\*\* `hybrid\/agent-[0-9a-f]{8}`/);
+    assert.ok(text.includes('1 file(s) changed, +1 -1'));
+    assert.ok(text.includes('`app.js` (+1 -1)'));
+    assert.ok(text.includes('action: "apply"'));
+    // The caller's tree is untouched until the worktree is applied
+    assert.strictEqual(readFileSync(join(repo, 'app.js'), 'utf-8'), 'original\n');
+
+    const sessionId = getAgentSessionManager().listSessions()[0].id;
+    const merged = await handlers.gemini_agent_merge({ session_id: sessionId, action: 'apply' });
+    assert.strictEqual(merged.isError, undefined);
+    assert.strictEqual(readFileSync(join(repo, 'app.js'), 'utf-8'), 'agent\n');
+
+    const again = await handlers.gemini_agent_merge({ session_id: sessionId, action: 'discard' });
+    assert.strictEqual(again.isError, true);
+    assert.ok(again.content[0].text.includes('already applied'));
+  });
+
+  it('should discard the worktree without touching the caller\'s tree', async () => {
+    await runIsolatedTask([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'new.js' }, writeFile: { path: 'new.js', content: 'x\n' } },
+    ]);
+    const session = getAgentSessionManager().listSessions()[0];
+
+    const listed = await handlers.gemini_agent_list({});
+    assert.ok(listed.content[0].text.includes(`**Worktree:** \`${session.worktree.branch}\` (active)`));
+
+    const discarded = await handlers.gemini_agent_merge({ session_id: session.id, action: 'discard' });
+    assert.strictEqual(discarded.isError, undefined);
+    assert.strictEqual(existsSync(session.worktree.path), false);
+    assert.strictEqual(existsSync(join(repo, 'new.js')), false);
+    assert.strictEqual(git('branch', '--list', session.worktree.branch), '');
+  });
+
+  it('should refuse worktree isolation outside git', async () => {
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Edit', working_directory: outputDir, isolation: 'worktree' },
+      createFakeGeminiContext([])
+    );
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('requires a git repository'));
+    assert.strictEqual(getAgentSessionManager().size, 0);
+  });
+
+  it('should validate merge arguments', async () => {
+    const session = getAgentSessionManager().createSession({ taskDescription: 'Plain' });
+
+    const badAction = await handlers.gemini_agent_merge({ session_id: session.id, action: 'rebase' });
+    assert.ok(badAction.content[0].text.includes('Invalid action'));
+
+    const notIsolated = await handlers.gemini_agent_merge({ session_id: session.id, action: 'apply' });
+    assert.ok(notIsolated.content[0].text.includes('did not run in a worktree'));
+  });
+});
+
+describe('gemini_agent_diff handler', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let outputDir;
+  let checkpointDir;
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    workDir = mkdtempSync(join(tmpdir(), 'agent-diff-work-'));
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+    writeFileSync(join(workDir, 'app.js'), 'const a = 1;\nconst b = 2;\n');
+    writeFileSync(join(workDir, 'notes.md'), 'notes\n');
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [workDir, outputDir, checkpointDir]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  const runEditingTask = () => handlers.gemini_agent_task(
+    { task_description: 'Edit app', working_directory: workDir },
+    createFakeGeminiContext([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'app.js' }, writeFile: { path: 'app.js', content: 'const a = 1;\nconst b = 3;\n' } },
+      { type: 'tool_use', tool_name: 'run_shell_command', tool_input: { command: 'touch made-by-shell.txt' }, writeFile: { path: 'made-by-shell.txt', content: 'shell\n' } },
+      { type: 'text', content: 'Done' },
+    ])
+  );
+
+  it('should show a unified diff in the task result and save the patch', async () => {
+    const result = await runEditingTask();
+    const text = result.content[0].text;
+
+    assert.ok(text.includes('### Changes: 2 file(s)'));
+    assert.ok(text.includes('- `app.js` (modified, +1 -1)'));
+    assert.ok(text.includes('- `made-by-shell.txt` (created, +1 -0)'));
+    assert.ok(text.includes('-const b = 2;\n+const b = 3;'));
+
+    const patchPath = text.match(/\*\*Patch:\*\* `([^`]+)`/)[1];
+    assert.strictEqual(dirname(patchPath), outputDir);
+    assert.match(patchPath, /agent-task-.+\.patch$/);
+    assert.ok(readFileSync(patchPath, 'utf-8').includes('+++ b/made-by-shell.txt'));
+  });
+
+  it('should return the diff of a past session', async () => {
+    await runEditingTask();
+    const sessionId = getAgentSessionManager().listSessions()[0].id;
+
+    const full = await handlers.gemini_agent_diff({ session_id: sessionId });
+    assert.strictEqual(full.isError, undefined);
+    assert.ok(full.content[0].text.includes('```diff'));
+    assert.ok(full.content[0].text.includes('+const b = 3;'));
+
+    const single = await handlers.gemini_agent_diff({ session_id: sessionId, file: 'made-by-shell.txt' });
+    assert.ok(single.content[0].text.includes('+shell'));
+    assert.ok(!single.content[0].text.includes('const b'));
+
+    // Still found from the outputs directory once the session is gone from memory
+    resetAgentSessionManager();
+    const reloaded = await handlers.gemini_agent_diff({ session_id: sessionId });
+    assert.ok(reloaded.content[0].text.includes('+const b = 3;'));
+  });
+
+  it('should report sessions without a diff', async () => {
+    const missing = await handlers.gemini_agent_diff({ session_id: 'missing' });
+    assert.strictEqual(missing.isError, true);
+    assert.ok(missing.content[0].text.includes('No diff recorded'));
+  });
+});
+
+describe('agent policy enforcement', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let outputDir;
+  let checkpointDir;
+
+  const writePolicy = (policy) => {
+    mkdirSync(join(workDir, '.hybrid'), { recursive: true });
+    writeFileSync(join(workDir, '.hybrid', 'agent-policy.json'), typeof policy === 'string' ? policy : JSON.stringify(policy));
+  };
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    workDir = mkdtempSync(join(tmpdir(), 'agent-policy-work-'));
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+    delete process.env.HYBRID_AGENT_POLICY;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [workDir, outputDir, checkpointDir]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should kill the agent and fail the session on a denied command', async () => {
+    const progress = [];
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-policy' },
+      { type: 'tool_use', tool_name: 'run_shell_command', tool_input: { command: 'npm test && git push origin main' } },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'late.js' }, delayMs: 2000, writeFile: { path: 'late.js', content: 'x' } },
+    ], { sendProgress: (message) => progress.push(message) });
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Ship it', working_directory: workDir },
+      context
+    );
+
+    assert.strictEqual(result.isError, true);
+    const text = result.content[0].text;
+    assert.ok(text.includes('Policy violation: Command matches denied pattern'));
+    assert.ok(text.includes('`npm test && git push origin main` (rule: deniedPattern)'));
+    assert.ok(text.includes('**Policy:** built-in defaults'));
+    assert.ok(progress.some((message) => message.startsWith('Policy violation:')));
+
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.status, SessionStatus.FAILED);
+    assert.strictEqual(session.iterations, 1);
+    assert.strictEqual(session.policyViolation.tool, 'run_shell_command');
+    assert.strictEqual(session.policyViolation.source, null);
+
+    // The process was killed before it could act on later tool calls
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual(getAgentSessionManager().getProcess(session.id), undefined);
+    assert.strictEqual(existsSync(join(workDir, 'late.js')), false);
+
+    const listed = await handlers.gemini_agent_list({});
+    assert.ok(listed.content[0].text.includes('**Policy violation:** Command matches denied pattern'));
+  });
+
+  it('should enforce write-path rules from the policy file', async () => {
+    writePolicy({ writeRules: 'protected', allowWritePaths: ['src/**'] });
+    const context = createFakeGeminiContext([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'src/ok.js' } },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'package.json' } },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Edit', working_directory: workDir },
+      context
+    );
+
+    assert.strictEqual(result.isError, true);
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.policyViolation.reason, 'Protected file: package.json');
+    assert.strictEqual(session.policyViolation.source, join(workDir, '.hybrid', 'agent-policy.json'));
+  });
+
+  it('should refuse to start with an invalid policy file', async () => {
+    writePolicy({ writeRules: 'everything' });
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Edit', working_directory: workDir },
+      createFakeGeminiContext([])
+    );
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('writeRules'));
+    assert.strictEqual(getAgentSessionManager().size, 0);
+  });
+});
+
+describe('agent budgets', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let outputDir;
+  let checkpointDir;
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    workDir = mkdtempSync(join(tmpdir(), 'agent-budget-work-'));
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [workDir, outputDir, checkpointDir]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject invalid budgets', async () => {
+    const tokens = await handlers.gemini_agent_task({ task_description: 'x', max_tokens: 0 }, createFakeGeminiContext([]));
+    const cost = await handlers.gemini_agent_task({ task_description: 'x', max_cost_usd: '5' }, createFakeGeminiContext([]));
+
+    assert.ok(tokens.content[0].text.includes('Invalid max_tokens'));
+    assert.ok(cost.content[0].text.includes('Invalid max_cost_usd'));
+    assert.strictEqual(getAgentSessionManager().size, 0);
+  });
+
+  it('should warn at 80% and kill the agent with a BudgetError once the cost budget is exceeded', async () => {
+    const progress = [];
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-budget' },
+      { type: 'usage', input_tokens: 1000000, output_tokens: 0, total_tokens: 1000000 },
+      { type: 'usage', input_tokens: 1300000, output_tokens: 0, total_tokens: 1300000 },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'late.js' }, delayMs: 2000, writeFile: { path: 'late.js', content: 'x' } },
+    ], { sendProgress: (message) => progress.push(message) });
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Expensive', working_directory: workDir, model: 'gemini-2.5-pro', max_cost_usd: 1.5 },
+      context
+    );
+
+    assert.strictEqual(result.isError, true);
+    const text = result.content[0].text;
+    assert.ok(text.includes('**Error:** Cost budget exceeded: $1.6250 of $1.5000'));
+    assert.ok(text.includes('- **Warning:** 83% of cost budget used ($1.2500 of $1.5000)'));
+    assert.ok(progress.includes('Budget warning: 83% of cost budget used ($1.2500 of $1.5000)'));
+
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.status, SessionStatus.FAILED);
+    assert.strictEqual(session.budget.costUsd, 1.625);
+    assert.deepStrictEqual(session.budget.warnings, ['83% of cost budget used ($1.2500 of $1.5000)']);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual(existsSync(join(workDir, 'late.js')), false);
+  });
+
+  it('should show the budget in the result when it was not exceeded', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'usage', input_tokens: 400, output_tokens: 100, total_tokens: 500 },
+      { type: 'text', content: 'Done' },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Cheap', working_directory: workDir, max_tokens: 10000 },
+      context
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    assert.ok(result.content[0].text.includes('- Tokens: 500 of 10,000'));
+  });
+});
+
+describe('agent verify-and-iterate loop', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let outputDir;
+  let checkpointDir;
+
+  // Passes once the agent has written fixed.txt
+  const writeCheck = () => writeFileSync(
+    join(workDir, 'check.js'),
+    "const fs = require('fs');\n"
+      + "if (!fs.existsSync('fixed.txt')) { console.error('missing fixed.txt'); process.exit(1); }\n"
+      + "console.log('all good');\n"
+  );
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    workDir = mkdtempSync(join(tmpdir(), 'agent-verify-work-'));
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+    writeCheck();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [workDir, outputDir, checkpointDir]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should resume the session with the failing output until the command passes', async () => {
+    const promptLog = join(outputDir, 'prompts.txt');
+    process.env.FAKE_GEMINI_PROMPT_LOG = promptLog;
+    process.env.FAKE_GEMINI_RESUME_EVENTS = JSON.stringify([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'fixed.txt' }, writeFile: { path: 'fixed.txt', content: 'ok' } },
+      { type: 'text', content: 'Fixed it' },
+    ]);
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-verify' },
+      { type: 'text', content: 'First attempt' },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Make check pass', working_directory: workDir, verify_command: 'node check.js' },
+      context
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    const text = result.content[0].text;
+    assert.ok(text.includes('### Verification: `node check.js` (passed in round 2, max 3 rounds)'));
+    assert.match(text, /- Round 1: failed \(exit 1, [\d.]+s\)/);
+    assert.match(text, /- Round 2: passed \([\d.]+s\)/);
+    assert.ok(text.includes('First attempt'));
+    assert.ok(text.includes('Fixed it'));
+
+    const [, feedback] = readFileSync(promptLog, 'utf-8').split('\n---\n');
+    assert.ok(feedback.includes('The verification command `node check.js` failed (exit code 1)'));
+    assert.ok(feedback.includes('missing fixed.txt'));
+
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.status, SessionStatus.COMPLETED);
+    assert.deepStrictEqual(session.verification.rounds.map((r) => r.passed), [false, true]);
+  });
+
+  it('should give each verify round its own iteration budget', async () => {
+    process.env.FAKE_GEMINI_RESUME_EVENTS = JSON.stringify([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'fixed.txt' }, writeFile: { path: 'fixed.txt', content: 'ok' } },
+      { type: 'text', content: 'Fixed it' },
+    ]);
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-verify-budget' },
+      { type: 'tool_use', tool_name: 'read_file', tool_input: { path: 'check.js' } },
+      { type: 'text', content: 'First attempt' },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Make check pass', working_directory: workDir, verify_command: 'node check.js', max_iterations: 1 },
+      context
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.iterations, 2);
+    assert.deepStrictEqual(session.verification.rounds.map((r) => r.passed), [false, true]);
+  });
+
+  it('should fail the session when the rounds run out', async () => {
+    const context = createFakeGeminiContext([
+      { type: 'session', session_id: 'gemini-verify-fail' },
+      { type: 'text', content: 'Tried' },
+    ]);
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Never fixed', working_directory: workDir, verify_command: 'node check.js', max_verify_rounds: 2 },
+      context
+    );
+
+    assert.strictEqual(result.isError, true);
+    const text = result.content[0].text;
+    assert.ok(text.includes('**Error:** Verification failed after 2 round(s): `node check.js`'));
+    assert.ok(text.includes('- Round 2: failed (exit 1'));
+    assert.ok(text.includes('missing fixed.txt'));
+
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.status, SessionStatus.FAILED);
+    assert.strictEqual(session.verification.rounds.length, 2);
+  });
+
+  it('should reject shell syntax and bad round counts', async () => {
+    const shell = await handlers.gemini_agent_task(
+      { task_description: 'x', verify_command: 'npm test && rm -rf dist' },
+      createFakeGeminiContext([])
+    );
+    const rounds = await handlers.gemini_agent_task(
+      { task_description: 'x', verify_command: 'npm test', max_verify_rounds: 0 },
+      createFakeGeminiContext([])
+    );
+
+    assert.ok(shell.content[0].text.includes('Invalid verify_command: Shell syntax is not supported'));
+    assert.ok(rounds.content[0].text.includes('Invalid max_verify_rounds'));
+    assert.strictEqual(getAgentSessionManager().size, 0);
+  });
+});
+
+describe('agent plan approval', () => {
+  const originalEnv = { ...process.env };
+  let workDir;
+  let outputDir;
+  let checkpointDir;
+
+  const PLAN = {
+    summary: 'Add a helper and test it',
+    steps: [
+      { description: 'Write the helper', files: ['src/'], commands: [] },
+      { description: 'Run the tests', files: [], commands: ['npm test'] },
+    ],
+    risks: ['No existing tests'],
+  };
+
+  const planContext = (events, response, extra = {}) => {
+    const prompts = [];
+    const context = createFakeGeminiContext(events, {
+      runGeminiCli: async (prompt, options) => {
+        prompts.push({ prompt, options });
+        return { response, model: 'gemini-2.5-pro', tokens: { total: 10 } };
+      },
+      ...extra,
+    });
+    return { context, prompts };
+  };
+
+  beforeEach(() => {
+    resetAgentSessionManager();
+    workDir = mkdtempSync(join(tmpdir(), 'agent-plan-work-'));
+    writeFileSync(join(workDir, 'README.md'), 'readme\n');
+    outputDir = mkdtempSync(join(tmpdir(), 'agent-outputs-'));
+    checkpointDir = mkdtempSync(join(tmpdir(), 'agent-checkpoints-'));
+    process.env.HYBRID_OUTPUTS_DIR = outputDir;
+    process.env.HYBRID_CHECKPOINTS_DIR = checkpointDir;
+    process.env.GEMINI_AGENT_MODE = 'true';
+    delete process.env.HYBRID_AGENT_POLICY;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    resetAgentSessionManager();
+    for (const dir of [workDir, outputDir, checkpointDir]) {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should return a plan without starting the agent', async () => {
+    const spawn = mock.fn();
+    const { context, prompts } = planContext([], '```json\n' + JSON.stringify(PLAN) + '\n```', { spawn });
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Add a helper', working_directory: workDir, require_plan_approval: true },
+      context
+    );
+
+    assert.strictEqual(result.isError, undefined);
+    const text = result.content[0].text;
+    assert.ok(text.includes('## Agent Plan (awaiting approval)'));
+    assert.ok(text.includes('1. Write the helper'));
+    assert.ok(text.includes('   - Commands: `npm test`'));
+    assert.ok(text.includes('- No existing tests'));
+    assert.ok(text.includes('gemini_agent_approve'));
+    assert.strictEqual(spawn.mock.callCount(), 0);
+    assert.strictEqual(prompts[0].options.enableExtensions, false);
+    assert.ok(prompts[0].prompt.includes('Add a helper'));
+
+    const session = getAgentSessionManager().listSessions()[0];
+    assert.strictEqual(session.status, SessionStatus.AWAITING_APPROVAL);
+    assert.strictEqual(session.checkpoint, null);
+
+    const listed = await handlers.gemini_agent_list({ status: 'awaiting_approval' });
+    assert.ok(listed.content[0].text.includes(`gemini_agent_approve({ session_id: "${session.id}" })`));
+
+    const resumed = await handlers.gemini_agent_task({ session_id: session.id, task_description: 'Go' }, context);
+    assert.ok(resumed.content[0].text.includes('waiting for plan approval'));
+  });
+
+  it('should fail the session when the plan is not valid JSON', async () => {
+    const { context } = planContext([], 'I would start by reading the code.');
+
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Add a helper', working_directory: workDir, require_plan_approval: true },
+      context
+    );
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(result.content[0].text.includes('Planning failed: Plan is not a JSON object'));
+    assert.strictEqual(getAgentSessionManager().listSessions()[0].status, SessionStatus.FAILED);
+  });
+
+  it('should run the approved plan and flag off-plan actions', async () => {
+    const progress = [];
+    const { context } = planContext([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'src/helper.js' } },
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'package.json' } },
+      { type: 'tool_use', tool_name: 'run_shell_command', tool_input: { command: 'npm test -- --watch=false' } },
+      { type: 'text', content: 'Done' },
+    ], JSON.stringify(PLAN), { sendProgress: (message) => progress.push(message) });
+
+    const planned = await handlers.gemini_agent_task(
+      { task_description: 'Add a helper', working_directory: workDir, require_plan_approval: true },
+      context
+    );
+    const sessionId = planned.content[0].text.match(/\*\*Session ID:\*\* `([^`]+)`/)[1];
+
+    const result = await handlers.gemini_agent_approve({ session_id: sessionId }, context);
+
+    assert.strictEqual(result.isError, undefined);
+    const text = result.content[0].text;
+    assert.ok(text.includes('### Off-plan actions: 1'));
+    assert.ok(text.includes('`write_file`: File not in plan: package.json'));
+    assert.deepStrictEqual(progress.filter((message) => message.startsWith('Off-plan:')), ['Off-plan: File not in plan: package.json']);
+
+    const summary = getAgentSessionManager().getSummary(sessionId);
+    assert.strictEqual(summary.status, SessionStatus.COMPLETED);
+    assert.ok(summary.plan.approvedAt);
+    assert.strictEqual(summary.plan.edited, false);
+    assert.ok(summary.rollback.available);
+
+    const again = await handlers.gemini_agent_approve({ session_id: sessionId }, context);
+    assert.ok(again.content[0].text.includes('is not waiting for plan approval'));
+  });
+
+  it('should run an edited plan instead of the proposed one', async () => {
+    const { context } = planContext([
+      { type: 'tool_use', tool_name: 'write_file', tool_input: { path: 'src/helper.js' } },
+    ], JSON.stringify(PLAN));
+
+    const planned = await handlers.gemini_agent_task(
+      { task_description: 'Add a helper', working_directory: workDir, require_plan_approval: true },
+      context
+    );
+    const sessionId = planned.content[0].text.match(/\*\*Session ID:\*\* `([^`]+)`/)[1];
+
+    const invalid = await handlers.gemini_agent_approve({ session_id: sessionId, plan: { steps: [] } }, context);
+    assert.ok(invalid.content[0].text.includes('Invalid plan: Plan must have at least one step'));
+
+    const result = await handlers.gemini_agent_approve({
+      session_id: sessionId,
+      plan: JSON.stringify({ steps: [{ description: 'Only touch docs', files: ['docs/'] }] }),
+    }, context);
+
+    assert.ok(result.content[0].text.includes('File not in plan: src/helper.js'));
+    const summary = getAgentSessionManager().getSummary(sessionId);
+    assert.strictEqual(summary.plan.edited, true);
+    assert.deepStrictEqual(summary.plan.steps.map((step) => step.description), ['Only touch docs']);
+  });
+
+  it('should reject require_plan_approval when resuming', async () => {
+    const result = await handlers.gemini_agent_task(
+      { task_description: 'Go', session_id: 'abc', require_plan_approval: true },
+      createFakeGeminiContext([])
+    );
+    assert.ok(result.content[0].text.includes('require_plan_approval only applies to new tasks'));
+  });
+});
+
 describe('gemini_agent_list handler', () => {
   beforeEach(() => {
     resetAgentSessionManager();
@@ -0,0 +1,157 @@
+/**
+ * Tests for GeminiApiClient service (against a local stub server)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import GeminiApiClient, { GeminiBackend, resolveGeminiBackend, extractUsage } from '../src/services/gemini-api-client.js';
+import { AuthenticationError, ModelError, RateLimitError } from '../src/utils/errors.js';
+
+describe('GeminiApiClient', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  const reply = (text) => ({
+    candidates: [{ content: { role: 'model', parts: [{ text: 'thinking...', thought: true }, { text }] } }],
+    modelVersion: 'gemini-2.5-flash-001',
+  });
+  const usageMetadata = { promptTokenCount: 9, candidatesTokenCount: 4, thoughtsTokenCount: 2 };
+
+  // Stub of the generateContent endpoints; the model name picks the failure
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const sendError = (status, message, headers = {}) => {
+          res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+          res.end(JSON.stringify({ error: { code: status, message } }));
+        };
+
+        if (req.headers['x-goog-api-key'] === 'bad-key') return sendError(403, 'API key not valid');
+        if (req.url.includes('/models/busy:')) return sendError(429, 'Resource exhausted', { 'Retry-After': '30' });
+        if (req.url.includes('/models/missing:')) return sendError(404, 'models/missing is not found');
+
+        if (req.url.endsWith(':streamGenerateContent?alt=sse')) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify(reply('Hel'))}\r\n\r\n`);
+          res.end(`data: ${JSON.stringify({ ...reply('lo'), usageMetadata })}\r\n\r\n`);
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...reply('Hello'), usageMetadata }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1beta`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  describe('generate()', () => {
+    it('should return the runGeminiCli response shape', async () => {
+      const client = new GeminiApiClient({ authMethod: 'api-key', apiKey: 'test-key', baseUrl });
+
+      const result = await client.generate({ prompt: 'Hi', model: 'gemini-2.5-flash', systemPrompt: 'Be brief', maxTokens: 100 });
+      const request = requests.at(-1);
+
+      assert.deepStrictEqual(result, {
+        response: 'Hello',
+        model: 'gemini-2.5-flash-001',
+        authMethod: 'api-key',
+        tokens: { input: 9, output: 6 },
+      });
+      assert.strictEqual(request.url, '/v1beta/models/gemini-2.5-flash:generateContent');
+      assert.strictEqual(request.headers['x-goog-api-key'], 'test-key');
+      assert.deepStrictEqual(request.body.contents, [{ role: 'user', parts: [{ text: 'Hi' }] }]);
+      assert.deepStrictEqual(request.body.systemInstruction, { parts: [{ text: 'Be brief' }] });
+      assert.deepStrictEqual(request.body.generationConfig, { maxOutputTokens: 100 });
+    });
+
+    it('should raise typed errors the auth and model fallbacks understand', async () => {
+      const client = new GeminiApiClient({ authMethod: 'api-key', apiKey: 'test-key', baseUrl });
+
+      await assert.rejects(client.generate({ prompt: 'Hi', model: 'busy' }), (error) => {
+        assert.ok(error instanceof RateLimitError);
+        assert.strictEqual(error.retryAfter, 30);
+        return true;
+      });
+      await assert.rejects(client.generate({ prompt: 'Hi', model: 'missing' }), (error) => {
+        assert.ok(error instanceof ModelError);
+        assert.strictEqual(error.status, 404);
+        return true;
+      });
+
+      const badKey = new GeminiApiClient({ authMethod: 'vertex', vertexKey: 'bad-key', baseUrl });
+      await assert.rejects(badKey.generate({ prompt: 'Hi' }), (error) => {
+        assert.ok(error instanceof AuthenticationError);
+        assert.strictEqual(error.method, 'vertex');
+        assert.match(error.message, /403 - API key not valid/);
+        return true;
+      });
+    });
+
+    it('should fail without a key for the auth method', async () => {
+      const client = new GeminiApiClient({ authMethod: 'vertex', apiKey: 'gemini-only', vertexKey: '', baseUrl });
+      client.vertexKey = undefined;
+
+      assert.strictEqual(client.isConfigured(), false);
+      await assert.rejects(client.generate({ prompt: 'Hi' }), /Set VERTEX_API_KEY/);
+    });
+  });
+
+  describe('generateStream()', () => {
+    it('should yield deltas and the final usage', async () => {
+      const client = new GeminiApiClient({ authMethod: 'api-key', apiKey: 'test-key', baseUrl });
+
+      const events = [];
+      for await (const event of client.generateStream({ prompt: 'Hi', model: 'gemini-2.5-flash' })) {
+        events.push(event);
+      }
+
+      assert.strictEqual(requests.at(-1).url, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+      assert.deepStrictEqual(events, [
+        { type: 'delta', content: 'Hel' },
+        { type: 'delta', content: 'lo' },
+        { type: 'usage', tokens: { input: 9, output: 6 }, model: 'gemini-2.5-flash-001' },
+      ]);
+    });
+  });
+
+  describe('endpoints', () => {
+    it('should use the Gemini API for API keys', () => {
+      const client = new GeminiApiClient({ authMethod: 'api-key', apiKey: 'k' });
+      assert.strictEqual(client.baseUrl, 'https://generativelanguage.googleapis.com/v1beta');
+    });
+
+    it('should use the regional Vertex endpoint when a project is set', () => {
+      const client = new GeminiApiClient({ authMethod: 'vertex', vertexKey: 'k', vertexProject: 'proj', vertexLocation: 'europe-west4' });
+      assert.strictEqual(client.baseUrl,
+        'https://europe-west4-aiplatform.googleapis.com/v1/projects/proj/locations/europe-west4/publishers/google');
+    });
+
+    it('should use the Vertex express endpoint without a project', () => {
+      const client = new GeminiApiClient({ authMethod: 'vertex', vertexKey: 'k', vertexProject: '' });
+      client.vertexProject = undefined;
+      assert.strictEqual(client.getDefaultBaseUrl(), 'https://aiplatform.googleapis.com/v1/publishers/google');
+    });
+  });
+
+  describe('helpers', () => {
+    it('resolveGeminiBackend() should read per-method settings before GEMINI_BACKEND', () => {
+      const env = { GEMINI_BACKEND: 'api', GEMINI_BACKEND_VERTEX: 'cli' };
+      assert.strictEqual(resolveGeminiBackend('api-key', env), GeminiBackend.API);
+      assert.strictEqual(resolveGeminiBackend('vertex', env), GeminiBackend.CLI);
+      assert.strictEqual(resolveGeminiBackend('oauth', env), GeminiBackend.CLI);
+      assert.strictEqual(resolveGeminiBackend('api-key', {}), GeminiBackend.CLI);
+    });
+
+    it('extractUsage() should count thinking tokens as output', () => {
+      assert.deepStrictEqual(extractUsage(usageMetadata), { input: 9, output: 6 });
+      assert.deepStrictEqual(extractUsage(undefined), { input: 0, output: 0 });
+    });
+  });
+});
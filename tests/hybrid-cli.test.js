@@ -0,0 +1,74 @@
+/**
+ * Tests for the hybrid CLI (bin/hybrid.js), run as a child process
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { spawnSync } from 'child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { Orchestrator } from '../src/orchestrator/index.js';
+
+const HYBRID_BIN = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'hybrid.js');
+
+const runHybrid = (cwd, ...args) => spawnSync(process.execPath, [HYBRID_BIN, ...args], {
+  cwd,
+  encoding: 'utf-8',
+  env: { ...process.env, NO_COLOR: '1', HYBRID_REPLAY: '' },
+  timeout: 30000,
+});
+
+describe('hybrid CLI', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'hybrid-cli-'));
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('costs', () => {
+    it('should print the totals saved in HYBRID_CONTEXT.md', async () => {
+      const orchestrator = new Orchestrator({ workDir });
+      orchestrator.sessions.set('s1', {
+        id: 's1', task: 'Explain', status: 'complete', taskType: 'question', complexity: 'simple',
+        startedAt: new Date().toISOString(), steps: [],
+      });
+      orchestrator.costTracker.claude = { inputTokens: 1000, outputTokens: 200, cost: 0.0123 };
+      orchestrator.costTracker.openrouter = { inputTokens: 500, outputTokens: 100, cost: 0.0042 };
+      orchestrator.costTracker.local = { inputTokens: 300, outputTokens: 50, cost: 0 };
+      await orchestrator.persistContext('s1');
+
+      const result = runHybrid(workDir, 'costs');
+
+      assert.strictEqual(result.status, 0, result.stderr);
+      assert.match(result.stdout, /Claude: \$0\.0123 \(1000 in \/ 200 out\)/);
+      assert.match(result.stdout, /OpenRouter: \$0\.0042 \(500 in \/ 100 out\)/);
+      assert.match(result.stdout, /Local: \$0\.0000 \(300 in \/ 50 out, FREE\)/);
+      assert.match(result.stdout, /Total: \$0\.0165/);
+    });
+
+    it('should print zero totals without a context file', () => {
+      const result = runHybrid(workDir, 'costs');
+
+      assert.strictEqual(result.status, 0, result.stderr);
+      assert.match(result.stdout, /Total: \$0\.0000/);
+    });
+
+    it('should report an invalid routing policy instead of crashing', () => {
+      mkdirSync(join(workDir, '.hybrid'));
+      writeFileSync(join(workDir, '.hybrid', 'routing-policy.json'), '{ not json');
+
+      const result = runHybrid(workDir, 'costs');
+
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /routing-policy\.json/);
+      assert.doesNotMatch(result.stderr, /at new Orchestrator/);
+    });
+  });
+});
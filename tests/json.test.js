@@ -0,0 +1,26 @@
+/**
+ * Tests for JSON extraction from model responses
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractJson } from '../src/utils/json.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+describe('extractJson', () => {
+  it('should accept bare JSON, fences and surrounding prose', () => {
+    assert.deepStrictEqual(extractJson('{"a": 1}', 'Plan'), { a: 1 });
+    assert.deepStrictEqual(extractJson('Here it is:\n```json\n{"a": 2}\n```\nDone.', 'Plan'), { a: 2 });
+    assert.deepStrictEqual(extractJson('Sure: {"a": {"b": 3}} hope that helps', 'Plan'), { a: { b: 3 } });
+  });
+
+  it('should name the object and field in errors', () => {
+    assert.throws(() => extractJson('no object here', 'Task graph', 'graph'), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.strictEqual(error.message, 'Task graph is not a JSON object');
+      assert.strictEqual(error.field, 'graph');
+      return true;
+    });
+    assert.throws(() => extractJson('{"a": }', 'Plan', 'plan'), /^ValidationError: Plan is not valid JSON/);
+  });
+});
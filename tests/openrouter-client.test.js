@@ -242,5 +242,49 @@ describe('OpenRouterClient', () => {
         /OpenRouter API error: 401 - Unauthorized/
       );
     });
+
+    it('chatStream() should yield deltas and the final usage', async () => {
+      const client = new OpenRouterClient({ apiKey: 'sk-test' });
+      const chunk = (event) => `data: ${JSON.stringify(event)}\n\n`;
+      const sse = [
+        ': OPENROUTER PROCESSING\n\n',
+        chunk({ model: 'deepseek/deepseek-chat', choices: [{ delta: { content: 'Hel' } }] }),
+        // An event split across network chunks
+        chunk({ choices: [{ delta: { content: 'lo' } }] }).slice(0, 20),
+        chunk({ choices: [{ delta: { content: 'lo' } }] }).slice(20),
+        chunk({ choices: [{ delta: {} }], usage: { prompt_tokens: 12, completion_tokens: 3 } }),
+        'data: [DONE]\n\n',
+      ];
+      let body;
+      global.fetch = async (url, options) => {
+        body = JSON.parse(options.body);
+        return { ok: true, body: sse.map((text) => new TextEncoder().encode(text)) };
+      };
+
+      const events = [];
+      for await (const event of client.chatStream({ model: 'deepseek/deepseek-chat', prompt: 'Hi' })) {
+        events.push(event);
+      }
+
+      assert.strictEqual(body.stream, true);
+      assert.deepStrictEqual(events, [
+        { type: 'delta', content: 'Hel' },
+        { type: 'delta', content: 'lo' },
+        { type: 'usage', usage: { prompt_tokens: 12, completion_tokens: 3 }, model: 'deepseek/deepseek-chat' },
+      ]);
+      assert.strictEqual(client.usage.tokensByModel['deepseek/deepseek-chat'].input, 12);
+    });
+
+    it('chatStream() should throw on an error event mid-stream', async () => {
+      const client = new OpenRouterClient({ apiKey: 'sk-test' });
+      global.fetch = async () => ({
+        ok: true,
+        body: [new TextEncoder().encode('data: {"error":{"message":"Provider overloaded"}}\n\n')],
+      });
+
+      await assert.rejects(async () => {
+        for await (const event of client.chatStream({ prompt: 'test' })) { /* drain */ }
+      }, /Provider overloaded/);
+    });
   });
 });
\ No newline at end of file
@@ -210,6 +210,56 @@ describe('Orchestrator', () => {
       // Since sessions are internal, we infer state or check side effects if possible.
       // Here we rely on the throw.
     });
+
+    it('should fall back to the next policy model when a model fails', async () => {
+      const send = mockGemini.sendAndWait.bind(mockGemini);
+      let failed = false;
+      mockGemini.sendAndWait = async (...args) => {
+        if (!failed) {
+          failed = true;
+          throw new Error('Gemini failed');
+        }
+        return send(...args);
+      };
+      const events = [];
+      orchestrator.on('progress', (e) => events.push(e));
+
+      const result = await orchestrator.execute('What time is it?');
+
+      assert.strictEqual(result.routing.rule, 'default');
+      assert.strictEqual(result.steps[0].model, result.routing.fallback[0]);
+      assert.ok(events.some(e => e.stage === 'fallback'));
+    });
+
+    it('should send forced OpenRouter models to the OpenRouter adapter', async () => {
+      const mockOpenRouter = new MockAdapter('openrouter');
+      orchestrator.openrouter = mockOpenRouter;
+      mockOpenRouter.queueResponse('4', { inputTokens: 100, outputTokens: 10 });
+
+      const result = await orchestrator.execute('What is 2+2?', { forceModel: 'deepseek/deepseek-chat' });
+
+      assert.strictEqual(result.result, '4');
+      assert.strictEqual(result.routing.adapter, 'openrouter');
+      assert.strictEqual(mockOpenRouter.calls[0].options.model, 'deepseek/deepseek-chat');
+      assert.strictEqual(orchestrator.getTotalCosts().openrouter.inputTokens, 100);
+      assert.ok(Math.abs(orchestrator.getTotalCosts().total - 110 * mockOpenRouter.costPerToken) < 1e-9);
+    });
+
+    it('should send local/ models to the local adapter', async () => {
+      const mockLocal = new MockAdapter('local', 0);
+      orchestrator.local = mockLocal;
+
+      const result = await orchestrator.execute('What is 2+2?', { forceModel: 'local/qwen2.5-coder' });
+
+      assert.strictEqual(result.routing.adapter, 'local');
+      assert.strictEqual(mockLocal.calls[0].options.model, 'local/qwen2.5-coder');
+      assert.strictEqual(orchestrator.getTotalCosts().local.inputTokens, 10);
+      assert.strictEqual(orchestrator.getTotalCosts().total, 0);
+    });
+
+    it('should reject unknown forced adapters', async () => {
+      await assert.rejects(orchestrator.execute('Task', { forceAdapter: 'ollama' }), /Unknown adapter "ollama"/);
+    });
   });
 
   describe('Review Loop', () => {
@@ -244,6 +294,17 @@ describe('Orchestrator', () => {
       assert.strictEqual(result.result, 'const x = 1;');
     });
 
+    it('should keep the output when an approval quotes an illustrative snippet', async () => {
+      const code = '```js\nfunction add(a, b) {\n  return a + b;\n}\n```';
+      mockGemini.queueResponse(code);
+      mockClaude.queueResponse('APPROVED\nClean, e.g. the one-liner\n```js\nreturn a + b;\n```\nreads well.');
+
+      const result = await orchestrator.execute('Write code');
+
+      assert.strictEqual(result.summary.approved, true);
+      assert.strictEqual(result.result, code);
+    });
+
     it('should enter correction loop if Claude rejects', async () => {
       const task = 'Write code';
       
@@ -296,6 +357,58 @@ describe('Orchestrator', () => {
       // Should have 2 correction attempts
       assert.strictEqual(result.summary.correctionIterations, 2);
     });
+
+    it('should not treat "not APPROVED" as approval', async () => {
+      mockGemini.queueResponse('Draft');
+      mockClaude.queueResponse('This is NOT APPROVED:\n- Missing error handling');
+      mockGemini.queueResponse('Fixed');
+      mockClaude.queueResponse('APPROVED');
+
+      const result = await orchestrator.execute('Write code');
+
+      assert.strictEqual(result.result, 'Fixed');
+      assert.strictEqual(result.summary.correctionIterations, 1);
+    });
+
+    it('should apply JSON verdicts and keep their issues', async () => {
+      mockGemini.queueResponse('Draft');
+      mockClaude.queueResponse(JSON.stringify({
+        status: 'changes_requested',
+        summary: 'Off by one',
+        issues: [{ severity: 'major', message: 'Loop skips the last item', file: 'src/a.js', line: 3 }],
+      }));
+      mockGemini.queueResponse('Fixed');
+      mockClaude.queueResponse(JSON.stringify({
+        status: 'approved',
+        issues: [{ severity: 'minor', message: 'Prefer const', file: 'src/a.js' }],
+        correctedFiles: { 'src/a.js': 'const fixed = true;' },
+      }));
+
+      const result = await orchestrator.execute('Write code');
+      const session = orchestrator.sessions.get(result.sessionId);
+      const correctionPrompt = mockGemini.calls.filter(c => c.method === 'sendAndWait')[1].message;
+
+      assert.match(correctionPrompt, /- \[major\] src\/a\.js:3 - Loop skips the last item/);
+      assert.strictEqual(result.result, 'const fixed = true;');
+      assert.strictEqual(result.summary.approved, true);
+      assert.deepStrictEqual(result.summary.issues, [{ severity: 'minor', message: 'Prefer const', file: 'src/a.js' }]);
+      assert.strictEqual(session.review.attempts, 2);
+      assert.strictEqual(session.steps.find(s => s.type === 'review').verdict.issues[0].line, 3);
+    });
+
+    it('should keep the other files when an approval polishes one of several', async () => {
+      const draft = '### src/a.js\n```js\nexport const a = 1;\n```\n\n### src/b.js\n```js\nexport const b = 2\n```';
+      mockGemini.queueResponse(draft);
+      mockClaude.queueResponse(JSON.stringify({
+        status: 'approved',
+        issues: [{ severity: 'minor', message: 'Missing semicolon', file: 'src/b.js' }],
+        correctedFiles: { 'src/b.js': 'export const b = 2;' },
+      }));
+
+      const result = await orchestrator.execute('Write two modules');
+
+      assert.strictEqual(result.result, draft.replace('b = 2\n', 'b = 2;\n'));
+    });
   });
 
   describe('Cost Tracking', () => {
@@ -336,6 +449,107 @@ describe('Orchestrator', () => {
     });
   });
 
+  describe('Adaptive Routing', () => {
+    const rejectThenApprove = () => {
+      mockGemini.queueResponse('Draft');
+      mockClaude.queueResponse('Issues found\n```js\nconst fixed = true;\n```');
+      mockClaude.queueResponse('APPROVED');
+    };
+
+    it('should record outcomes per route', async () => {
+      rejectThenApprove();
+      await orchestrator.execute('Write code');
+
+      const [route] = orchestrator.getRouteStats();
+      assert.strictEqual(route.taskType, 'draft_code');
+      assert.strictEqual(route.model, 'gemini-2.5-pro');
+      assert.strictEqual(route.reviewed, 1);
+      assert.strictEqual(route.firstPassApproved, 0);
+      assert.strictEqual(route.corrections, 1);
+      assert.ok(route.cost > 0);
+    });
+
+    it('should escalate a task class that keeps failing first review', async () => {
+      for (let i = 0; i < 5; i++) {
+        rejectThenApprove();
+        await orchestrator.execute('Write code');
+      }
+
+      const routing = orchestrator.selectModel('draft_code', 'trivial');
+      assert.strictEqual(routing.model, 'gemini-3-pro-preview');
+      assert.strictEqual(routing.escalated.from, 'gemini-2.5-pro');
+      assert.strictEqual(orchestrator.getRouteStats()[0].escalation.model, 'gemini-3-pro-preview');
+
+      // Other task classes keep their route
+      assert.strictEqual(orchestrator.selectModel('fix_bug', 'trivial').model, 'gemini-2.5-pro');
+    });
+  });
+
+  describe('Task Graphs', () => {
+    const graph = (tasks) => JSON.stringify({ summary: 'Split', tasks });
+
+    it('should run independent subtasks in parallel and feed results downstream', async () => {
+      mockClaude.queueResponse(graph([
+        { id: 'config', task: 'Read the config loader', dependsOn: [] },
+        { id: 'routes', task: 'Summarize the API routes', dependsOn: [] },
+        { id: 'flow', task: 'Explain how config reaches the routes', dependsOn: ['config', 'routes'] },
+      ]));
+
+      let active = 0;
+      let maxActive = 0;
+      const prompts = [];
+      mockGemini.sendAndWait = async (sessionId, message) => {
+        prompts.push(message);
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        active--;
+        return { text: `answer to ${message.split('\n')[0]}`, metadata: { inputTokens: 10, outputTokens: 10 } };
+      };
+      const stages = [];
+      orchestrator.on('progress', (e) => stages.push(e.stage));
+
+      const result = await orchestrator.execute('Document the config flow', { decompose: true });
+
+      assert.strictEqual(maxActive, 2);
+      assert.match(prompts[2], /### config: Read the config loader\nanswer to Read the config loader/);
+      assert.strictEqual(result.result, 'answer to Explain how config reaches the routes');
+      assert.deepStrictEqual(result.summary.nodes, { total: 3, complete: 3, failed: 0, skipped: 0 });
+      assert.deepStrictEqual(result.steps.map(s => s.node || s.type), ['decompose', 'config', 'routes', 'flow']);
+      assert.strictEqual(result.graph.nodes[2].routing.adapter, 'gemini');
+      assert.ok(['decompose', 'graph', 'node-start', 'node-complete', 'complete'].every(stage => stages.includes(stage)));
+
+      const content = await readFile(join(workDir, 'HYBRID_CONTEXT.md'), 'utf-8');
+      assert.match(content, /### Task Graph/);
+      assert.match(content, /\*\*flow\*\* - complete \(gemini\/gemini-2.5-flash\)/);
+      assert.match(content, /Depends on: config, routes/);
+    });
+
+    it('should skip subtasks whose dependencies failed', async () => {
+      mockClaude.queueResponse(graph([
+        { id: 'a', task: 'Read module a', dependsOn: [] },
+        { id: 'b', task: 'Explain module b', dependsOn: ['a'] },
+        { id: 'c', task: 'Summarize module c', dependsOn: [] },
+      ]));
+      mockGemini.sendAndWait = async (sessionId, message) => {
+        if (message.startsWith('Read module a')) throw new Error('quota exceeded');
+        return { text: 'c done', metadata: { inputTokens: 1, outputTokens: 1 } };
+      };
+
+      const result = await orchestrator.execute('Document modules', { decompose: true });
+
+      assert.deepStrictEqual(result.graph.nodes.map(n => n.status), ['failed', 'skipped', 'complete']);
+      assert.match(result.result, /## c: Summarize module c\n\nc done/);
+      assert.match(result.result, /- b \(skipped\): a failed/);
+      assert.strictEqual(orchestrator.sessions.get(result.sessionId).status, 'partial');
+    });
+
+    it('should fail when the planner returns no valid graph', async () => {
+      mockClaude.queueResponse('I would rather just do it.');
+      await assert.rejects(orchestrator.execute('Big task', { decompose: true }), /Task graph is not a JSON object/);
+    });
+  });
+
   describe('Context Persistence', () => {
     it('should persist session context to file', async () => {
       mockGemini.queueResponse('Result');
@@ -373,5 +587,50 @@ describe('Orchestrator', () => {
       const content = await orchestrator.loadContext();
       assert.strictEqual(content, null);
     });
+
+    it('should restore sessions and costs from the context file', async () => {
+      mockGemini.queueResponse('Res --> done', { inputTokens: 100, outputTokens: 50 });
+      const { sessionId } = await orchestrator.execute('Task');
+
+      const restored = new Orchestrator({ workDir, claudeAdapter: new MockAdapter('claude'), geminiAdapter: new MockAdapter('gemini') });
+      const content = await restored.loadContext();
+      const session = restored.sessions.get(sessionId);
+
+      assert.match(content, /<!-- hybrid-state/);
+      assert.strictEqual(restored.restoredSessionId, sessionId);
+      assert.strictEqual(session.status, 'complete');
+      assert.strictEqual(session.result, 'Res --> done');
+      assert.strictEqual(session.steps[0].tokens.inputTokens, 100);
+      assert.deepStrictEqual(restored.getTotalCosts(), orchestrator.getTotalCosts());
+    });
+
+    it('should resume an interrupted review', async () => {
+      mockGemini.queueResponse('Draft');
+      mockClaude.sendAndWait = () => new Promise(() => {}); // terminal closed mid-review
+      const reviewing = new Promise((resolve) => orchestrator.on('progress', (e) => e.stage === 'review' && resolve()));
+      orchestrator.execute('Write code');
+      await reviewing;
+
+      const claude = new MockAdapter('claude');
+      const gemini = new MockAdapter('gemini');
+      claude.queueResponse('APPROVED');
+      const resumed = new Orchestrator({ workDir, claudeAdapter: claude, geminiAdapter: gemini });
+      const result = await resumed.resume();
+
+      assert.strictEqual(result.result, 'Draft');
+      assert.strictEqual(result.summary.approved, true);
+      assert.deepStrictEqual(result.steps.map(s => s.type || s.agent), ['gemini', 'review']);
+      assert.strictEqual(gemini.calls.length, 0);
+      assert.match(await readFile(join(workDir, 'HYBRID_CONTEXT.md'), 'utf-8'), /\*\*Status:\*\* complete/);
+    });
+
+    it('should refuse to resume finished sessions', async () => {
+      mockGemini.queueResponse('Res');
+      const { sessionId } = await orchestrator.execute('Task');
+
+      const resumed = new Orchestrator({ workDir, claudeAdapter: new MockAdapter('claude'), geminiAdapter: new MockAdapter('gemini') });
+      await assert.rejects(resumed.resume(), new RegExp(`Session ${sessionId} is complete`));
+      await assert.rejects(resumed.resume('missing'), /Session missing not found/);
+    });
   });
 });
\ No newline at end of file
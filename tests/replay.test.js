@@ -0,0 +1,251 @@
+/**
+ * Tests for record/replay cassettes
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { BaseAdapter } from '../src/adapters/base.js';
+import Orchestrator from '../src/orchestrator/index.js';
+import { handlers as openrouterHandlers } from '../src/mcp/tool-handlers/openrouter/index.js';
+import { OpenRouterClient } from '../src/services/openrouter-client.js';
+import {
+  Cassette,
+  ReplayMode,
+  cassetteKey,
+  getReplayCassette,
+  normalizePrompt,
+  wrapAdapter,
+  wrapOpenRouterClient,
+} from '../src/services/replay.js';
+import { ConfigError } from '../src/utils/errors.js';
+
+/**
+ * Adapter answering from a script; counts live calls
+ */
+class ScriptedAdapter extends BaseAdapter {
+  constructor(name, replies) {
+    super();
+    this.name = name;
+    this.replies = replies;
+    this.liveCalls = 0;
+  }
+
+  async spawn(sessionId, options = {}) {
+    this.sessions.set(sessionId, { id: sessionId, model: options.model || 'scripted-model' });
+  }
+
+  async runSync(prompt) {
+    this.liveCalls++;
+    return this.replies.shift();
+  }
+
+  async *send(sessionId, message) {
+    this.liveCalls++;
+    yield { type: 'text', content: this.replies.shift() };
+    yield { type: 'metadata', data: { inputTokens: 100, outputTokens: 50 } };
+  }
+}
+
+describe('Replay', () => {
+  let dir;
+  let cassettePath;
+  let originalEnv;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'replay-test-'));
+    cassettePath = join(dir, 'cassettes', 'flow.json');
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('normalizePrompt', () => {
+    it('should ignore whitespace, line endings, timestamps and UUIDs', () => {
+      const a = 'Review  this\r\n\r\n\r\nfile  \nrun 3f2b8c1e-0d4a-4b6f-9c2e-1a2b3c4d5e6f at 2026-10-18T09:15:00.123Z';
+      const b = 'Review this\n\nfile\nrun 00000000-1111-2222-3333-444444444444 at 2025-01-01T00:00:00Z  ';
+
+      assert.strictEqual(normalizePrompt(a), 'Review this\n\nfile\nrun <uuid> at <timestamp>');
+      assert.strictEqual(cassetteKey('runGeminiCli', { prompt: a }), cassetteKey('runGeminiCli', { prompt: b }));
+    });
+
+    it('should key by source and model', () => {
+      const key = cassetteKey('gemini-cli.runSync', { prompt: 'Hi', model: 'gemini-2.5-pro' });
+      assert.match(key, /^gemini-cli\.runSync:gemini-2\.5-pro:[0-9a-f]{16}$/);
+      assert.notStrictEqual(key, cassetteKey('gemini-cli.runSync', { prompt: 'Hi', model: 'gemini-2.5-flash' }));
+    });
+  });
+
+  describe('Cassette', () => {
+    it('should replay recordings in order, then repeat the last', async () => {
+      const recorder = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      await recorder.run('src', { prompt: 'Hi' }, async () => 'first');
+      await recorder.run('src', { prompt: 'Hi' }, async () => 'second');
+
+      const player = new Cassette(cassettePath);
+      const live = async () => assert.fail('replay must not call through');
+
+      assert.strictEqual(await player.run('src', { prompt: ' Hi ' }, live), 'first');
+      assert.strictEqual(await player.run('src', { prompt: 'Hi' }, live), 'second');
+      assert.strictEqual(await player.run('src', { prompt: 'Hi' }, live), 'second');
+    });
+
+    it('should record and replay errors', async () => {
+      const recorder = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      await assert.rejects(recorder.run('src', { prompt: 'Hi' }, async () => {
+        throw new Error('Gemini CLI timed out after 120s');
+      }));
+
+      await assert.rejects(new Cassette(cassettePath).run('src', { prompt: 'Hi' }), /timed out after 120s/);
+    });
+
+    it('should replace a key re-recorded in a later run and keep the others', async () => {
+      const first = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      await first.run('src', { prompt: 'a' }, async () => 'old a');
+      await first.run('src', { prompt: 'b' }, async () => 'b');
+      const second = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      await second.run('src', { prompt: 'a' }, async () => 'new a');
+
+      const player = new Cassette(cassettePath);
+      assert.strictEqual(await player.run('src', { prompt: 'a' }), 'new a');
+      assert.strictEqual(await player.run('src', { prompt: 'b' }), 'b');
+      const file = JSON.parse(await readFile(cassettePath, 'utf-8'));
+      assert.strictEqual(file.interactions.length, 2);
+      assert.deepStrictEqual(file.interactions.find((i) => i.response === 'new a').request, { model: null, prompt: 'a' });
+    });
+
+    it('should fail on a prompt that was never recorded', async () => {
+      const recorder = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      await recorder.run('src', { prompt: 'Hi' }, async () => 'hello');
+
+      await assert.rejects(new Cassette(cassettePath).run('src', { prompt: 'Bye', model: 'm' }), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.match(error.message, /No recording for src \(model m\).*"Bye"/);
+        return true;
+      });
+    });
+
+    it('should reject a missing cassette and an unknown mode', () => {
+      assert.throws(() => new Cassette(cassettePath), /not found\. Record it with HYBRID_REPLAY_MODE=record/);
+      assert.throws(() => new Cassette(cassettePath, { mode: 'rewind' }), ConfigError);
+    });
+  });
+
+  describe('getReplayCassette', () => {
+    it('should be off without HYBRID_REPLAY and shared per file', async () => {
+      await new Cassette(cassettePath, { mode: ReplayMode.RECORD }).run('src', { prompt: 'Hi' }, async () => 'x');
+
+      assert.strictEqual(getReplayCassette({}), null);
+      const cassette = getReplayCassette({ HYBRID_REPLAY: cassettePath });
+      assert.strictEqual(cassette.mode, ReplayMode.REPLAY);
+      assert.strictEqual(getReplayCassette({ HYBRID_REPLAY: cassettePath }), cassette);
+    });
+  });
+
+  describe('wrappers', () => {
+    it('wrapAdapter() should record and replay runSync and send', async () => {
+      const recorder = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      const live = wrapAdapter(new ScriptedAdapter('gemini-cli', ['sync answer', 'streamed answer']), recorder);
+      await live.runSync('Summarize', { model: 'gemini-2.5-flash' });
+      await live.spawn('s1', { model: 'gemini-2.5-pro' });
+      await live.sendAndWait('s1', 'Draft it');
+
+      const replayed = wrapAdapter(new ScriptedAdapter('gemini-cli', []), new Cassette(cassettePath));
+      await replayed.spawn('s2', { model: 'gemini-2.5-pro' });
+
+      assert.strictEqual(await replayed.runSync('Summarize', { model: 'gemini-2.5-flash' }), 'sync answer');
+      assert.deepStrictEqual(await replayed.sendAndWait('s2', 'Draft it'), {
+        text: 'streamed answer',
+        metadata: { inputTokens: 100, outputTokens: 50 },
+      });
+      assert.strictEqual(replayed.liveCalls, 0);
+      assert.strictEqual(await replayed.isAvailable(), true);
+    });
+
+    it('wrapOpenRouterClient() should record and replay chat and chatStream', async () => {
+      const live = new OpenRouterClient({ apiKey: 'sk-test' });
+      live.chat = async ({ model }) => ({ content: `chat from ${model}`, model });
+      live.chatStream = async function* () {
+        yield { type: 'delta', content: 'streamed' };
+      };
+      wrapOpenRouterClient(live, new Cassette(cassettePath, { mode: ReplayMode.RECORD }));
+      await live.chat({ model: 'openai/gpt-4.1-nano', prompt: 'Hi' });
+      for await (const event of live.chatStream({ messages: [{ role: 'user', content: 'Hi' }] })) { /* drain */ }
+
+      const replayed = wrapOpenRouterClient(new OpenRouterClient({ apiKey: '' }), new Cassette(cassettePath));
+      const events = [];
+      for await (const event of replayed.chatStream({ messages: [{ role: 'user', content: 'Hi' }] })) {
+        events.push(event);
+      }
+
+      assert.deepStrictEqual(await replayed.chat({ model: 'openai/gpt-4.1-nano', prompt: 'Hi' }), {
+        content: 'chat from openai/gpt-4.1-nano',
+        model: 'openai/gpt-4.1-nano',
+      });
+      assert.deepStrictEqual(events, [{ type: 'delta', content: 'streamed' }]);
+      assert.strictEqual(replayed.isConfigured(), true);
+    });
+
+    it('should leave targets untouched when replay is off', () => {
+      const adapter = new ScriptedAdapter('gemini-cli', []);
+      const { send } = adapter;
+      assert.strictEqual(wrapAdapter(adapter, null).send, send);
+    });
+  });
+
+  describe('end to end', () => {
+    it('should replay an orchestrator run with the default adapters', async () => {
+      const task = 'Write a function that adds two numbers';
+      const verdict = JSON.stringify({ status: 'approved', summary: 'Looks right', issues: [] });
+      const options = { forceAdapter: 'gemini', forceModel: 'gemini-2.5-flash' };
+
+      // Record with scripted adapters standing in for the live CLIs
+      const recorder = new Cassette(cassettePath, { mode: ReplayMode.RECORD });
+      const recorded = await new Orchestrator({
+        workDir: join(dir, 'record'),
+        geminiAdapter: wrapAdapter(new ScriptedAdapter('gemini-cli', ['const add = (a, b) => a + b;']), recorder),
+        claudeAdapter: wrapAdapter(new ScriptedAdapter('claude-code', [verdict]), recorder),
+      }).execute(task, options);
+
+      // Replay through the real adapters, selected by HYBRID_REPLAY
+      process.env.HYBRID_REPLAY = cassettePath;
+      delete process.env.HYBRID_REPLAY_MODE;
+      const replayed = await new Orchestrator({ workDir: join(dir, 'replay') }).execute(task, options);
+
+      assert.strictEqual(replayed.result, 'const add = (a, b) => a + b;');
+      assert.strictEqual(replayed.result, recorded.result);
+      assert.strictEqual(replayed.summary.reviewIterations, 1);
+      assert.strictEqual(replayed.summary.approved, true);
+    });
+
+    it('should replay the openrouter_chat tool handler without a key', async () => {
+      const live = new OpenRouterClient({ apiKey: 'sk-test' });
+      live.chat = async ({ model }) => ({
+        content: 'Paris',
+        model,
+        usage: { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 },
+      });
+      await wrapOpenRouterClient(live, new Cassette(cassettePath, { mode: ReplayMode.RECORD }))
+        .chat({ model: 'openai/gpt-4o-mini', prompt: 'Capital of France?' });
+
+      process.env.HYBRID_REPLAY = cassettePath;
+      delete process.env.HYBRID_REPLAY_MODE;
+      delete process.env.OPENROUTER_API_KEY;
+      const openrouterStats = { requests: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0 };
+      const result = await openrouterHandlers.openrouter_chat(
+        { prompt: 'Capital of France?', model: 'openai/gpt-4o-mini' },
+        { openrouterStats }
+      );
+
+      assert.ok(!result.isError);
+      assert.strictEqual(result.content[0].text, '[openai/gpt-4o-mini]\n\nParis');
+      assert.strictEqual(openrouterStats.requests, 1);
+      assert.strictEqual(openrouterStats.estimatedCost, 0.75);
+    });
+  });
+});
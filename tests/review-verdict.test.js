@@ -0,0 +1,153 @@
+/**
+ * Tests for structured review verdicts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  buildReviewPrompt,
+  validateReviewVerdict,
+  parseReviewVerdict,
+  renderCorrectedFiles,
+  applyCorrectedFiles,
+  formatIssue,
+} from '../src/services/review-verdict.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+describe('review verdicts', () => {
+  describe('JSON verdicts', () => {
+    it('should parse a bare or fenced JSON verdict', () => {
+      const verdict = {
+        status: 'changes_requested',
+        summary: 'Two problems',
+        issues: [
+          { severity: 'critical', message: 'SQL injection', file: 'src/db.js', line: 40 },
+          { severity: 'minor', message: 'Unused import' },
+        ],
+      };
+
+      for (const text of [JSON.stringify(verdict), `Here you go:\n\`\`\`json\n${JSON.stringify(verdict, null, 2)}\n\`\`\``]) {
+        const parsed = parseReviewVerdict(text);
+        assert.strictEqual(parsed.source, 'json');
+        assert.strictEqual(parsed.approved, false);
+        assert.deepStrictEqual(parsed.issues, verdict.issues);
+        assert.strictEqual(parsed.corrected, null);
+      }
+    });
+
+    it('should render corrected files as the new output', () => {
+      assert.strictEqual(renderCorrectedFiles({ 'a.js': 'const a = 1;\n' }), 'const a = 1;');
+      assert.strictEqual(
+        renderCorrectedFiles({ 'a.js': 'a', 'b.js': 'b' }),
+        '### a.js\n```\na\n```\n\n### b.js\n```\nb\n```'
+      );
+
+      const parsed = parseReviewVerdict(JSON.stringify({ status: 'approved', issues: [], correctedFiles: { 'a.js': 'x' } }));
+      assert.strictEqual(parsed.approved, true);
+      assert.strictEqual(parsed.corrected, 'x');
+    });
+
+    it('should merge corrected files into a multi-file output by path', () => {
+      const output = 'Two files:\n\n### src/a.js\n```js\nconst a = 0;\n```\n\n### src/b.js\n```js\nconst b = 0;\n```\n';
+
+      assert.strictEqual(
+        applyCorrectedFiles(output, { 'src/b.js': 'const b = 2;\n', 'src/c.js': 'const c = 3;' }),
+        'Two files:\n\n### src/a.js\n```js\nconst a = 0;\n```\n\n### src/b.js\n```js\nconst b = 2;\n```'
+          + '\n\n### src/c.js\n```\nconst c = 3;\n```'
+      );
+      assert.strictEqual(applyCorrectedFiles(output, { output: 'all new\n' }), 'all new');
+      assert.strictEqual(applyCorrectedFiles(output, {}), null);
+    });
+
+    it('should replace a single-file output', () => {
+      assert.strictEqual(applyCorrectedFiles('const a = 0;', { 'src/a.js': 'const a = 1;' }), 'const a = 1;');
+      assert.strictEqual(applyCorrectedFiles('Here:\n```js\nconst a = 0;\n```', { 'src/a.js': 'const a = 1;' }), 'const a = 1;');
+    });
+
+    it('should reject verdicts that do not match the schema', () => {
+      for (const raw of [
+        null,
+        { status: 'maybe', issues: [] },
+        { status: 'approved' },
+        { status: 'approved', issues: [{ severity: 'blocker', message: 'x' }] },
+        { status: 'approved', issues: [{ severity: 'minor', message: 'x', line: 0 }] },
+        { status: 'approved', issues: [], correctedFiles: { 'a.js': 1 } },
+        { status: 'approved', issues: [], verdict: 'ok' },
+      ]) {
+        assert.throws(() => validateReviewVerdict(raw), ValidationError, JSON.stringify(raw));
+      }
+    });
+
+    it('should fall back to text when the JSON is invalid', () => {
+      const parsed = parseReviewVerdict('{"status": "approve", "issues": []}');
+      assert.strictEqual(parsed.source, 'text');
+      assert.strictEqual(parsed.approved, false);
+    });
+  });
+
+  describe('text fallback', () => {
+    it('should not approve negated approvals', () => {
+      for (const text of ['NOT APPROVED', 'This cannot be approved yet.', 'Unapproved: changes requested']) {
+        assert.strictEqual(parseReviewVerdict(text).approved, false, text);
+      }
+      assert.strictEqual(parseReviewVerdict('Looks good. APPROVED').approved, true);
+    });
+
+    it('should not approve when a negation or condition qualifies the approval', () => {
+      for (const text of [
+        'Not yet approved: the loop is off by one.',
+        'This can be approved once the null check is added.',
+        'Approved once the null check is added.',
+        'Would have approved, but tests are missing.',
+      ]) {
+        assert.strictEqual(parseReviewVerdict(text).approved, false, text);
+      }
+      for (const text of [
+        'APPROVED',
+        'Looks good. APPROVED',
+        'The code is APPROVED.',
+        'Solid work.\n\n**Approved** - ship it',
+        'Verdict: APPROVED\n- Nit: naming',
+      ]) {
+        assert.strictEqual(parseReviewVerdict(text).approved, true, text);
+      }
+    });
+
+    it('should turn list items into issues with locations', () => {
+      const parsed = parseReviewVerdict('Problems:\n- Security: token logged at src/auth.js:12\n2. Naming nit');
+
+      assert.deepStrictEqual(parsed.issues, [
+        { severity: 'critical', message: 'Security: token logged at src/auth.js:12', file: 'src/auth.js', line: 12 },
+        { severity: 'minor', message: 'Naming nit' },
+      ]);
+    });
+
+    it('should key labelled code blocks by path and ignore ambiguous ones', () => {
+      const labelled = parseReviewVerdict('Fixes:\n```js src/a.js\nconst a = 1;\n```\n`src/b.js`:\n```js\nconst b = 2;\n```');
+      assert.deepStrictEqual(labelled.correctedFiles, { 'src/a.js': 'const a = 1;', 'src/b.js': 'const b = 2;' });
+
+      const single = parseReviewVerdict('Issues found\n```js\nconst fixed = true;\n```');
+      assert.strictEqual(single.corrected, 'const fixed = true;');
+
+      const ambiguous = parseReviewVerdict('Before:\n```js\nbad();\n```\nAfter:\n```js\ngood();\n```');
+      assert.strictEqual(ambiguous.corrected, null);
+    });
+
+    it('should keep a single unlabelled block of an approval as the polished output', () => {
+      const parsed = parseReviewVerdict('Approved with polish. APPROVED\n```js\nconst x = 1;\n```');
+
+      assert.strictEqual(parsed.approved, true);
+      assert.deepStrictEqual(parsed.correctedFiles, { output: 'const x = 1;' });
+
+      const labelled = parseReviewVerdict('APPROVED with polish\n```js src/a.js\nconst a = 1;\n```');
+      assert.deepStrictEqual(labelled.correctedFiles, { 'src/a.js': 'const a = 1;' });
+    });
+  });
+
+  it('should format issues and show the schema in the prompt', () => {
+    assert.strictEqual(formatIssue({ severity: 'major', message: 'Wrong', file: 'a.js', line: 2 }), '[major] a.js:2 - Wrong');
+    assert.strictEqual(formatIssue({ severity: 'info', message: 'Note' }), '[info] Note');
+    assert.match(buildReviewPrompt('task', 'code'), /"changes_requested"/);
+  });
+});
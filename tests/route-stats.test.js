@@ -0,0 +1,111 @@
+/**
+ * Tests for per-route outcome statistics
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { RouteStats, getRouteStatsPath, getFreshOutcomes, ROUTE_STATS_VERSION } from '../src/services/route-stats.js';
+
+const outcome = (extra = {}) => ({
+  taskType: 'fix_bug',
+  complexity: 'standard',
+  adapter: 'gemini',
+  model: 'gemini-2.5-pro',
+  ...extra,
+});
+
+describe('RouteStats', () => {
+  const originalEnv = { ...process.env };
+  let root;
+  let path;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'route-stats-'));
+    path = join(root, '.hybrid', 'route-stats.json');
+    delete process.env.HYBRID_ROUTE_STATS;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should default to the working directory and honor HYBRID_ROUTE_STATS', () => {
+    assert.strictEqual(getRouteStatsPath(root), path);
+    process.env.HYBRID_ROUTE_STATS = join(root, 'shared.json');
+    assert.strictEqual(getRouteStatsPath('/elsewhere'), join(root, 'shared.json'));
+  });
+
+  it('should aggregate outcomes per route', () => {
+    const stats = new RouteStats({ path });
+    stats.record(outcome({ reviewed: true, approvedFirstPass: true, latencyMs: 1000, cost: 0.02 }));
+    stats.record(outcome({ reviewed: true, corrections: 2, latencyMs: 3000, cost: 0.04 }));
+    stats.record(outcome({ failed: true, latencyMs: 99999 }));
+    stats.record(outcome({ model: 'gemini-3-pro-preview' }));
+
+    const [route] = stats.list();
+    assert.strictEqual(route.model, 'gemini-2.5-pro');
+    assert.strictEqual(route.runs, 3);
+    assert.strictEqual(route.failures, 1);
+    assert.strictEqual(route.firstPassRate, 0.5);
+    assert.strictEqual(route.avgCorrections, 1);
+    assert.strictEqual(route.avgLatencyMs, 2000);
+    assert.ok(Math.abs(route.avgCost - 0.03) < 1e-9);
+    assert.deepStrictEqual(route.recent, [true, false]);
+    assert.strictEqual(stats.get('fix_bug', 'standard', 'gemini-3-pro-preview').reviewed, 0);
+  });
+
+  it('should add up runs recorded by other processes', () => {
+    new RouteStats({ path }).record(outcome({ reviewed: true }));
+    const second = new RouteStats({ path });
+    new RouteStats({ path }).record(outcome({ reviewed: true }));
+    second.record(outcome({ reviewed: true, approvedFirstPass: true }));
+
+    const record = JSON.parse(readFileSync(path, 'utf-8'));
+    assert.strictEqual(record.version, ROUTE_STATS_VERSION);
+    assert.strictEqual(new RouteStats({ path }).get('fix_bug', 'standard', 'gemini-2.5-pro').runs, 3);
+  });
+
+  it('should keep only the recent review window', () => {
+    const stats = new RouteStats({ path });
+    for (let i = 0; i < 25; i++) {
+      stats.record(outcome({ reviewed: true, approvedFirstPass: i >= 20 }));
+    }
+    const route = stats.get('fix_bug', 'standard', 'gemini-2.5-pro');
+    assert.strictEqual(route.recent.length, 20);
+    assert.strictEqual(route.recent.filter(Boolean).length, 5);
+  });
+
+  it('should date each review outcome so old ones age out', () => {
+    const stats = new RouteStats({ path });
+    stats.record(outcome({ reviewed: true }));
+    stats.record(outcome({ reviewed: true, approvedFirstPass: true }));
+    const route = stats.get('fix_bug', 'standard', 'gemini-2.5-pro');
+
+    assert.strictEqual(route.recentAt.length, 2);
+    assert.strictEqual(route.recentAt[1], route.lastRunAt);
+    assert.deepStrictEqual(getFreshOutcomes(route, 60 * 1000), [false, true]);
+    assert.deepStrictEqual(getFreshOutcomes(route, 60 * 1000, Date.now() + 2 * 60 * 1000), []);
+
+    // Files written before recentAt existed are dated by their last run
+    const legacy = { recent: [false, true], lastRunAt: '2026-01-01T00:00:00.000Z' };
+    assert.deepStrictEqual(getFreshOutcomes(legacy, 60 * 1000, Date.parse('2026-01-01T00:00:30.000Z')), [false, true]);
+    assert.deepStrictEqual(getFreshOutcomes(legacy, 60 * 1000, Date.parse('2026-01-01T00:02:00.000Z')), []);
+    assert.deepStrictEqual(getFreshOutcomes(null, 1000), []);
+  });
+
+  it('should treat an unreadable file as empty and reset', () => {
+    writeFileSync(join(root, 'torn.json'), '{"version":1,"rou');
+    assert.deepStrictEqual(new RouteStats({ path: join(root, 'torn.json') }).list(), []);
+
+    const stats = new RouteStats({ path });
+    stats.record(outcome());
+    stats.reset();
+    assert.strictEqual(existsSync(path), false);
+    assert.deepStrictEqual(stats.list(), []);
+  });
+});
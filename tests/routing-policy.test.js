@@ -0,0 +1,253 @@
+/**
+ * Tests for the shared routing policy
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  parseRoutingPolicy,
+  loadRoutingPolicy,
+  findRoutingPolicyFile,
+  classifyTaskType,
+  classifyComplexity,
+  selectRoute,
+  escalateRoute,
+  explainRoute,
+  estimateInputTokens,
+  getAdapterForModel,
+} from '../src/services/routing-policy.js';
+import { ConfigError } from '../src/utils/errors.js';
+import Orchestrator from '../src/orchestrator/index.js';
+
+describe('routing policy', () => {
+  describe('defaults', () => {
+    const policy = parseRoutingPolicy({});
+
+    it('should classify task types by keyword in order', () => {
+      assert.deepStrictEqual(classifyTaskType(policy, 'Explain and fix the parser'), {
+        taskType: 'read_analyze',
+        reason: 'keyword "Explain"',
+      });
+      assert.strictEqual(classifyTaskType(policy, 'Debug the error').taskType, 'fix_bug');
+      assert.strictEqual(classifyTaskType(policy, 'prefixing words').taskType, 'question');
+    });
+
+    it('should prefer complexity hints over input size', () => {
+      assert.strictEqual(classifyComplexity(policy, 'quick look', 100000).complexity, 'trivial');
+      assert.strictEqual(classifyComplexity(policy, 'task', 4999).complexity, 'standard');
+      assert.deepStrictEqual(classifyComplexity(policy, 'task', 50000), {
+        complexity: 'critical',
+        reason: 'input 50000 >= complex threshold 50000',
+      });
+    });
+
+    it('should route MCP tools by name before task keywords', () => {
+      const route = selectRoute(policy, { taskType: 'architecture', complexity: 'critical', tool: 'ask_gemini' });
+      assert.strictEqual(route.rule, 'mcp-simple-tools');
+      assert.strictEqual(route.model, 'gemini-2.5-flash');
+    });
+
+    it('should give every Claude route a Gemini fallback', () => {
+      for (const rule of policy.rules.filter((r) => r.adapter === 'claude')) {
+        assert.ok(rule.fallback.some((model) => getAdapterForModel(model) === 'gemini'), rule.name);
+      }
+    });
+  });
+
+  describe('custom rules', () => {
+    const policy = parseRoutingPolicy({
+      rules: [
+        { name: 'huge', when: { minTokens: 1000 }, model: 'gemini-3-pro-preview' },
+        { name: 'bugs', when: { taskType: 'fix_bug', maxTokens: 1000 }, model: 'claude-opus-4-5-20250514', requiresReview: true },
+        { name: 'rest', model: 'gemini-2.5-flash', fallback: ['gemini-2.5-pro'] },
+      ],
+    });
+
+    it('should keep default sections that the file omits', () => {
+      assert.strictEqual(policy.review.model, 'claude-sonnet-4-5-20250514');
+      assert.strictEqual(policy.taskTypes.length, 6);
+    });
+
+    it('should send vendor/model IDs to OpenRouter', () => {
+      assert.strictEqual(getAdapterForModel('deepseek/deepseek-chat'), 'openrouter');
+      assert.strictEqual(getAdapterForModel('anthropic/claude-3-haiku'), 'openrouter');
+      assert.strictEqual(getAdapterForModel('local/qwen2.5-coder:7b'), 'local');
+      assert.strictEqual(parseRoutingPolicy({ rules: [{ model: 'deepseek/deepseek-chat' }] }).rules[0].adapter, 'openrouter');
+    });
+
+    it('should derive the adapter from the model', () => {
+      assert.deepStrictEqual(selectRoute(policy, { taskType: 'fix_bug', complexity: 'standard', inputTokens: 10 }), {
+        adapter: 'claude',
+        model: 'claude-opus-4-5-20250514',
+        requiresReview: true,
+        fallback: [],
+        rule: 'bugs',
+      });
+    });
+
+    it('should apply token bounds', () => {
+      assert.strictEqual(selectRoute(policy, { taskType: 'fix_bug', complexity: 'critical', inputTokens: 1000 }).rule, 'huge');
+    });
+
+    it('should explain skipped and matched rules', () => {
+      const explanation = explainRoute(policy, 'Fix the bug', { inputTokens: 999 });
+
+      assert.deepStrictEqual(explanation.skipped, [{ rule: 'huge', reason: 'input 999 < minTokens 1000' }]);
+      assert.deepStrictEqual(explanation.matched, {
+        rule: 'bugs',
+        index: 1,
+        reasons: ['taskType is fix_bug', 'input 999 < maxTokens 1000'],
+      });
+      assert.strictEqual(explanation.route.model, 'claude-opus-4-5-20250514');
+    });
+
+    it('should measure input in estimated tokens by default', () => {
+      const task = `Fix the bug ${'x'.repeat(3988)}`;
+
+      assert.strictEqual(estimateInputTokens(task), 1000);
+      assert.strictEqual(estimateInputTokens('Fix it', 4000), 1002);
+      assert.strictEqual(explainRoute(policy, task).inputTokens, 1000);
+      assert.strictEqual(explainRoute(policy, task).matched.rule, 'huge');
+    });
+
+    it('should route the orchestrator by estimated tokens', async () => {
+      const orchestrator = new Orchestrator({ routingPolicy: policy, claudeAdapter: {}, geminiAdapter: {} });
+      const routed = [];
+      orchestrator.selectModel = (taskType, complexity, inputTokens) => {
+        routed.push(inputTokens);
+        throw new Error('routed');
+      };
+
+      await assert.rejects(orchestrator.execute('Fix the bug', { contextLength: 4000 }), /routed/);
+      assert.deepStrictEqual(routed, [1003]);
+    });
+
+    it('should throw when no rule matches', () => {
+      const partial = parseRoutingPolicy({ rules: [{ when: { tool: 'ask_gemini' }, model: 'gemini-2.5-flash' }] });
+      assert.throws(() => selectRoute(partial, { taskType: 'question', complexity: 'trivial' }), ConfigError);
+    });
+  });
+
+  describe('adaptive escalation', () => {
+    const policy = parseRoutingPolicy({ adaptive: { minSamples: 3, minFirstPassRate: 0.5 } });
+    const route = selectRoute(policy, { taskType: 'fix_bug', complexity: 'standard' });
+    const stats = (byModel) => (model) => (byModel[model] ? { recent: byModel[model] } : null);
+
+    it('should keep routes without enough samples or with a good record', () => {
+      assert.strictEqual(escalateRoute(policy, route, stats({ 'gemini-2.5-pro': [false, false] })), route);
+      assert.strictEqual(escalateRoute(policy, route, stats({ 'gemini-2.5-pro': [false, true, true] })), route);
+    });
+
+    it('should climb the ladder past models with a poor record', () => {
+      const escalated = escalateRoute(policy, route, stats({
+        'gemini-2.5-pro': [false, false, true],
+        'gemini-3-pro-preview': [false, false, false, false],
+      }));
+
+      assert.strictEqual(escalated.model, 'claude-sonnet-4-5-20250514');
+      assert.strictEqual(escalated.adapter, 'claude');
+      assert.strictEqual(escalated.requiresReview, false);
+      assert.deepStrictEqual(escalated.fallback, ['gemini-2.5-pro', 'gemini-3-pro-preview']);
+      assert.strictEqual(escalated.escalated.from, 'gemini-2.5-pro');
+      assert.match(escalated.escalated.reason, /33% over the last 3 reviews of gemini-2.5-pro < 50%/);
+    });
+
+    it('should drop back once the poor reviews age out', () => {
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const aged = (at) => (model) => (model === 'gemini-2.5-pro' ? { recent: [false, false, false], recentAt: [at, at, at] } : null);
+
+      assert.strictEqual(escalateRoute(policy, route, aged(daysAgo(13))).model, 'gemini-3-pro-preview');
+      assert.strictEqual(escalateRoute(policy, route, aged(daysAgo(15))), route);
+
+      const weekly = parseRoutingPolicy({ adaptive: { minSamples: 3, maxSampleAgeDays: 7 } });
+      assert.strictEqual(escalateRoute(weekly, route, aged(daysAgo(8))).model, 'gemini-2.5-pro');
+    });
+
+    it('should not escalate unreviewed routes, unknown models or when disabled', () => {
+      const poor = stats({ 'gemini-2.5-pro': [false, false, false], 'gemini-2.5-flash': [false, false, false] });
+      const disabled = parseRoutingPolicy({ adaptive: { enabled: false } });
+
+      assert.strictEqual(escalateRoute(policy, { ...route, requiresReview: false }, poor).model, 'gemini-2.5-pro');
+      assert.strictEqual(escalateRoute(policy, { ...route, model: 'my-model' }, poor).model, 'my-model');
+      assert.strictEqual(escalateRoute(disabled, route, poor).model, 'gemini-2.5-pro');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject malformed policies', () => {
+      for (const raw of [
+        [],
+        { rules: [] },
+        { rules: [{ when: { language: 'go' }, model: 'gemini-2.5-pro' }] },
+        { rules: [{ when: { minTokens: '10' }, model: 'gemini-2.5-pro' }] },
+        { rules: [{ adapter: 'gemini' }] },
+        { taskTypes: [{ type: 'docs', keywords: [] }] },
+        { complexity: { hints: [{ complexity: 'huge', keywords: ['big'] }] } },
+        { review: { model: 'claude-sonnet-4-5-20250514', fallback: 'gemini-2.5-pro' } },
+        { adaptive: { minFirstPassRate: 2 } },
+        { adaptive: { maxSampleAgeDays: 0 } },
+        { adaptive: { ladder: 'gemini-2.5-pro' } },
+      ]) {
+        assert.throws(() => parseRoutingPolicy(raw, 'policy.json'), ConfigError, JSON.stringify(raw));
+      }
+    });
+  });
+
+  describe('loading', () => {
+    const originalEnv = { ...process.env };
+    let root;
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), 'routing-policy-'));
+      delete process.env.HYBRID_ROUTING_POLICY;
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should find the nearest policy file upwards', () => {
+      mkdirSync(join(root, '.hybrid'));
+      mkdirSync(join(root, 'packages', 'app'), { recursive: true });
+      writeFileSync(join(root, '.hybrid', 'routing-policy.json'), JSON.stringify({ defaultTaskType: 'draft_code' }));
+
+      const policy = loadRoutingPolicy(join(root, 'packages', 'app'));
+
+      assert.strictEqual(policy.source, join(root, '.hybrid', 'routing-policy.json'));
+      assert.strictEqual(policy.defaultTaskType, 'draft_code');
+    });
+
+    it('should honor HYBRID_ROUTING_POLICY', () => {
+      const file = join(root, 'shared-routing.json');
+      writeFileSync(file, '{}');
+      process.env.HYBRID_ROUTING_POLICY = file;
+
+      assert.strictEqual(findRoutingPolicyFile('/somewhere/else'), file);
+    });
+
+    it('should throw on an unreadable policy file', () => {
+      mkdirSync(join(root, '.hybrid'));
+      writeFileSync(join(root, '.hybrid', 'routing-policy.json'), '{ not json');
+
+      assert.throws(() => loadRoutingPolicy(root), /Cannot read routing policy/);
+    });
+
+    it('should route the orchestrator by the project policy', () => {
+      mkdirSync(join(root, '.hybrid'));
+      writeFileSync(join(root, '.hybrid', 'routing-policy.json'), JSON.stringify({
+        rules: [{ name: 'all-flash', model: 'gemini-2.5-flash' }],
+        review: { model: 'gemini-2.5-pro' },
+      }));
+
+      const orchestrator = new Orchestrator({ workDir: root, claudeAdapter: {}, geminiAdapter: {} });
+
+      assert.strictEqual(orchestrator.selectModel('architecture', 'critical').model, 'gemini-2.5-flash');
+      assert.strictEqual(orchestrator.routingPolicy.review.adapter, 'gemini');
+    });
+  });
+});
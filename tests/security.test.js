@@ -11,6 +11,7 @@ import {
   sanitizeGlobPatterns,
   sanitizeCommandArg,
   sanitizeGitPatterns,
+  parseCommandLine,
   spawnWithTimeout,
   safeSpawn,
   isWriteAllowed,
@@ -197,6 +198,34 @@ describe('sanitizeGitPatterns', () => {
   });
 });
 
+describe('parseCommandLine', () => {
+  it('should split on whitespace', () => {
+    assert.deepStrictEqual(parseCommandLine('  npm   test  '), ['npm', 'test']);
+  });
+
+  it('should honor quotes and escapes', () => {
+    assert.deepStrictEqual(
+      parseCommandLine(`npm test -- --grep "auth flow" 'it''s' a\\ b "q\\"x" ""`),
+      ['npm', 'test', '--', '--grep', 'auth flow', 'its', 'a b', 'q"x', '']
+    );
+  });
+
+  it('should keep shell characters inside quotes literal', () => {
+    assert.deepStrictEqual(parseCommandLine('node -e "a && b | c"'), ['node', '-e', 'a && b | c']);
+  });
+
+  it('should reject shell syntax', () => {
+    for (const command of ['npm test && rm -rf /', 'make | tee log', 'a; b', 'a > out', 'echo `id`', 'echo $(id)']) {
+      assert.throws(() => parseCommandLine(command), /Shell syntax is not supported/, command);
+    }
+  });
+
+  it('should reject empty commands and unbalanced quotes', () => {
+    assert.throws(() => parseCommandLine('   '), /non-empty/);
+    assert.throws(() => parseCommandLine('echo "oops'), /Unbalanced " quote/);
+  });
+});
+
 describe('TIMEOUTS', () => {
   it('should have correct timeout values', () => {
     assert.strictEqual(TIMEOUTS.QUICK, 30000);
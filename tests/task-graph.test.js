@@ -0,0 +1,67 @@
+/**
+ * Tests for task graph parsing and node prompts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  buildDecompositionPrompt,
+  parseTaskGraph,
+  getSinkNodes,
+  buildNodePrompt,
+} from '../src/services/task-graph.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+const task = (id, dependsOn = []) => ({ id, task: `Do ${id}`, dependsOn });
+
+describe('task graph', () => {
+  it('should ask for at most maxNodes subtasks', () => {
+    assert.match(buildDecompositionPrompt('Add caching', { maxNodes: 4 }), /At most 4 subtasks/);
+  });
+
+  it('should parse fenced JSON and order nodes after their dependencies', () => {
+    const graph = parseTaskGraph(`Here is the plan:
+\`\`\`json
+${JSON.stringify({ summary: ' Split it ', tasks: [task('c', ['a', 'b']), task('b', ['a']), task('a')] })}
+\`\`\``);
+
+    assert.strictEqual(graph.summary, 'Split it');
+    assert.deepStrictEqual(graph.nodes.map((node) => node.id), ['a', 'b', 'c']);
+  });
+
+  it('should reject malformed graphs', () => {
+    for (const raw of [
+      'no json here',
+      { tasks: [] },
+      { tasks: [{ id: 'a' }] },
+      { tasks: [task('a'), task('a')] },
+      { tasks: [task('a', ['missing'])] },
+      { tasks: [{ ...task('a'), dependsOn: 'b' }] },
+      { tasks: [task('a'), task('b'), task('c')] },
+    ]) {
+      assert.throws(() => parseTaskGraph(raw, { maxNodes: 2 }), ValidationError, JSON.stringify(raw));
+    }
+  });
+
+  it('should reject cycles', () => {
+    assert.throws(
+      () => parseTaskGraph({ tasks: [task('a', ['c']), task('b', ['a']), task('c', ['b'])] }),
+      /cycle: a -> c -> b -> a/
+    );
+  });
+
+  it('should find the nodes nothing depends on', () => {
+    const { nodes } = parseTaskGraph({ tasks: [task('a'), task('b', ['a']), task('c')] });
+    assert.deepStrictEqual(getSinkNodes(nodes).map((node) => node.id), ['b', 'c']);
+  });
+
+  it('should pass dependency results into node prompts', () => {
+    const prompt = buildNodePrompt('Add caching', task('b', ['a']), [{ id: 'a', task: 'Do a', result: 'x'.repeat(9000) }]);
+
+    assert.ok(prompt.startsWith('Do b\n'));
+    assert.match(prompt, /larger task:\nAdd caching/);
+    assert.match(prompt, /### a: Do a\nx+\n\.\.\.\(truncated\)/);
+    assert.doesNotMatch(buildNodePrompt('Add caching', task('a')), /Results of earlier steps/);
+  });
+});
@@ -4,9 +4,9 @@
 
 import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { existsSync, unlinkSync, readFileSync } from 'fs';
+import { existsSync, unlinkSync, readFileSync, rmSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
+import { homedir, tmpdir } from 'os';
 import {
   success,
   error,
@@ -23,6 +23,8 @@ import {
   estimateTokens,
   tokensToChars,
   exceedsTokenLimit,
+  getOutputDir,
+  createProgressReporter,
 } from '../src/mcp/tool-handlers/base.js';
 import { OUTPUT_LIMITS } from '../src/config/timeouts.js';
 
@@ -900,3 +902,64 @@ describe('saveDualOutputFiles', () => {
     assert.ok(result.summarySize > 100, 'Summary size should include metadata');
   });
 });
+
+describe('getOutputDir', () => {
+  const originalDir = process.env.HYBRID_OUTPUTS_DIR;
+
+  afterEach(() => {
+    if (originalDir === undefined) {
+      delete process.env.HYBRID_OUTPUTS_DIR;
+    } else {
+      process.env.HYBRID_OUTPUTS_DIR = originalDir;
+    }
+  });
+
+  it('should default to ~/.claude/gemini-worker-outputs', () => {
+    delete process.env.HYBRID_OUTPUTS_DIR;
+    assert.strictEqual(getOutputDir(), join(homedir(), '.claude', 'gemini-worker-outputs'));
+  });
+
+  it('should honor HYBRID_OUTPUTS_DIR', () => {
+    const dir = join(tmpdir(), `outputs-test-${Date.now()}`);
+    process.env.HYBRID_OUTPUTS_DIR = dir;
+
+    assert.strictEqual(getOutputDir(), dir);
+    assert.ok(existsSync(dir));
+    rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('createProgressReporter', () => {
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  it('should be a no-op without a progress token', async () => {
+    const sent = [];
+    const report = createProgressReporter(undefined, (n) => sent.push(n));
+
+    report('ignored');
+    await flush();
+
+    assert.deepStrictEqual(sent, []);
+  });
+
+  it('should send increasing progress notifications', async () => {
+    const sent = [];
+    const report = createProgressReporter('tok-1', async (n) => sent.push(n));
+
+    report('first');
+    report('second', { total: 10 });
+    await flush();
+
+    assert.deepStrictEqual(sent, [
+      { method: 'notifications/progress', params: { progressToken: 'tok-1', progress: 1, message: 'first' } },
+      { method: 'notifications/progress', params: { progressToken: 'tok-1', progress: 2, message: 'second', total: 10 } },
+    ]);
+  });
+
+  it('should not throw when sending fails', async () => {
+    const report = createProgressReporter(0, async () => { throw new Error('closed'); });
+
+    assert.doesNotThrow(() => report('lost'));
+    await flush();
+  });
+});